@@ -54,11 +54,28 @@ function initializeDatabase() {
     createDocumentsTable();
     createAudioTranscriptionsTable();
     createChatHistoryTable();
+    createChatConversationsTable();
     createTreatmentGoalsTable();
+    createGoalProgressHistoryTable();
     createAssessmentsTable();
     createAppointmentsTable();
+    createCalendarExceptionsTable();
     createInvoicesTable();
     createInvoiceItemsTable();
+    createInvoiceNumberSequencesTable();
+    createInvoicePaymentsTable();
+    createInvoiceRemindersTable();
+    createBankStatementImportsTable();
+    createBankTransactionsTable();
+    createSepaMandatesTable();
+    createSepaBatchesTable();
+    createTherapyContingentsTable();
+    createTreatmentPhaseHistoryTable();
+    createTherapyApplicationsTable();
+    createWaitlistTables();
+    createRiskAlertsTable();
+    createSelfReportLinksTable();
+    createRomPlansTable();
     createAnamnesesTable();
     createNotesTable();
     createSettingsTable();
@@ -70,6 +87,9 @@ function initializeDatabase() {
     createIntegrationSettingsTable();
     createSyncHistoryTable();
     
+    // Bring existing databases up to the current schema
+    migrateSchema();
+    
     // Create indexes for performance
     createIndexes();
     
@@ -124,6 +144,8 @@ function createUsersTable() {
             password_reset_token TEXT,
             password_reset_expires TEXT,
             access_expires TEXT, -- For temporary access (praktikant)
+            calendar_feed_token TEXT, -- SHA-256 hash of the private ICS feed token
+            calendar_feed_created_at TEXT,
             created_at TEXT DEFAULT CURRENT_TIMESTAMP,
             updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (praxis_id) REFERENCES praxis(id) ON DELETE CASCADE
@@ -145,12 +167,14 @@ function createClientsTable() {
             address TEXT,
             insurance_number TEXT,
             insurance_type TEXT CHECK (insurance_type IN ('gesetzlich','privat','selbstzahler')),
+            preferred_payment_method TEXT, -- ueberweisung, lastschrift (SEPA-Mandat erforderlich)
             emergency_contact TEXT,
             referring_doctor TEXT,
             diagnosis_primary TEXT,
             diagnosis_secondary TEXT,
             therapy_type TEXT CHECK (therapy_type IN ('VT','TP','PA','ST','Gruppe')),
             therapy_status TEXT CHECK (therapy_status IN ('aktiv','beendet','pausiert','warteliste')) DEFAULT 'aktiv',
+            treatment_phase TEXT CHECK (treatment_phase IN ('sprechstunde','akutbehandlung','probatorik','antrag','kzt','lzt','rueckfallprophylaxe','abgeschlossen')), -- PT-RL phase, NULL = not tracked
             sessions_approved INTEGER DEFAULT 0,
             sessions_used INTEGER DEFAULT 0,
             session_frequency TEXT DEFAULT 'wöchentlich',
@@ -197,10 +221,13 @@ function createSessionsTable() {
             next_session_planned TEXT,
             billing_code TEXT,
             billing_points REAL,
+            contingent_id INTEGER, -- Approval contingent the completed session was deducted from
+            treatment_phase TEXT, -- Client's PT-RL phase when the session was recorded
             created_by INTEGER,
             created_at TEXT DEFAULT CURRENT_TIMESTAMP,
             updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+            FOREIGN KEY (contingent_id) REFERENCES therapy_contingents(id) ON DELETE SET NULL,
             FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
         )
     `).run();
@@ -228,9 +255,11 @@ function createDocumentsTable() {
             ocr_text TEXT, -- Extracted text from images/PDFs
             analysis_result TEXT, -- AI analysis results
             retention_until TEXT, -- Auto-deletion date
+            praxis_id INTEGER, -- Owning praxis (documents may exist without client)
             uploaded_by INTEGER,
             created_at TEXT DEFAULT CURRENT_TIMESTAMP,
             updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (praxis_id) REFERENCES praxis(id) ON DELETE CASCADE,
             FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
             FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
             FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL
@@ -295,6 +324,23 @@ function createChatHistoryTable() {
     `).run();
 }
 
+function createChatConversationsTable() {
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS chat_conversations (
+            id TEXT PRIMARY KEY, -- UUID, referenced by chat_history.conversation_id
+            praxis_id INTEGER NOT NULL,
+            client_id INTEGER NOT NULL,
+            title TEXT NOT NULL,
+            created_by INTEGER,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (praxis_id) REFERENCES praxis(id) ON DELETE CASCADE,
+            FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `).run();
+}
+
 function createTreatmentGoalsTable() {
     db.prepare(`
         CREATE TABLE IF NOT EXISTS treatment_goals (
@@ -329,6 +375,25 @@ function createTreatmentGoalsTable() {
     `).run();
 }
 
+function createGoalProgressHistoryTable() {
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS goal_progress_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            goal_id INTEGER NOT NULL,
+            progress INTEGER NOT NULL CHECK (progress >= 0 AND progress <= 100),
+            previous_progress INTEGER,
+            current_value TEXT, -- Measurement at time of review
+            note TEXT,
+            session_id INTEGER,
+            recorded_by INTEGER,
+            recorded_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (goal_id) REFERENCES treatment_goals(id) ON DELETE CASCADE,
+            FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL,
+            FOREIGN KEY (recorded_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `).run();
+}
+
 function createAssessmentsTable() {
     db.prepare(`
         CREATE TABLE IF NOT EXISTS assessments (
@@ -387,9 +452,19 @@ function createAppointmentsTable() {
             cancelled_at TEXT,
             no_show_fee REAL,
             notes TEXT,
+            praxis_id INTEGER,
+            therapist_id INTEGER, -- Responsible therapist (calendar owner)
+            session_id INTEGER, -- Session created when the appointment is completed
+            rescheduled_from INTEGER, -- Previous appointment this one replaces
+            series_id TEXT, -- UUID shared by all occurrences of a recurring series
+            external_uid TEXT, -- iCalendar UID of imported external events
             created_by INTEGER,
             created_at TEXT DEFAULT CURRENT_TIMESTAMP,
             updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (praxis_id) REFERENCES praxis(id) ON DELETE CASCADE,
+            FOREIGN KEY (therapist_id) REFERENCES users(id) ON DELETE SET NULL,
+            FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL,
+            FOREIGN KEY (rescheduled_from) REFERENCES appointments(id) ON DELETE SET NULL,
             FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
             FOREIGN KEY (cancelled_by) REFERENCES users(id) ON DELETE SET NULL,
             FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
@@ -397,6 +472,25 @@ function createAppointmentsTable() {
     `).run();
 }
 
+function createCalendarExceptionsTable() {
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS calendar_exceptions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            praxis_id INTEGER NOT NULL,
+            therapist_id INTEGER, -- NULL = whole praxis closed
+            start_date TEXT NOT NULL, -- YYYY-MM-DD, inclusive
+            end_date TEXT NOT NULL, -- YYYY-MM-DD, inclusive
+            type TEXT CHECK (type IN ('holiday','vacation','closure','other')) DEFAULT 'vacation',
+            reason TEXT,
+            created_by INTEGER,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (praxis_id) REFERENCES praxis(id) ON DELETE CASCADE,
+            FOREIGN KEY (therapist_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `).run();
+}
+
 function createInvoicesTable() {
     db.prepare(`
         CREATE TABLE IF NOT EXISTS invoices (
@@ -426,11 +520,15 @@ function createInvoicesTable() {
             pdf_path TEXT,
             xml_path TEXT, -- For electronic transmission
             notes TEXT,
+            invoice_date TEXT, -- Set when the draft is finalized and numbered
+            cancelled_at TEXT,
+            sepa_batch_id INTEGER, -- Last SEPA direct debit batch the invoice was submitted in
             created_by INTEGER,
             created_at TEXT DEFAULT CURRENT_TIMESTAMP,
             updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (praxis_id) REFERENCES praxis(id) ON DELETE CASCADE,
             FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+            FOREIGN KEY (sepa_batch_id) REFERENCES sepa_batches(id) ON DELETE SET NULL,
             FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
         )
     `).run();
@@ -460,6 +558,361 @@ function createInvoiceItemsTable() {
     `).run();
 }
 
+function createInvoiceNumberSequencesTable() {
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS invoice_number_sequences (
+            praxis_id INTEGER NOT NULL,
+            year INTEGER NOT NULL,
+            last_number INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (praxis_id, year),
+            FOREIGN KEY (praxis_id) REFERENCES praxis(id) ON DELETE CASCADE
+        )
+    `).run();
+}
+
+function createInvoicePaymentsTable() {
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS invoice_payments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            invoice_id INTEGER NOT NULL,
+            praxis_id INTEGER NOT NULL,
+            amount REAL NOT NULL,
+            payment_date TEXT NOT NULL,
+            payment_method TEXT,
+            payment_reference TEXT,
+            source TEXT DEFAULT 'manual', -- manual, bank_import, sepa
+            notes TEXT,
+            created_by INTEGER,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+            FOREIGN KEY (praxis_id) REFERENCES praxis(id) ON DELETE CASCADE,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `).run();
+}
+
+function createInvoiceRemindersTable() {
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS invoice_reminders (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            invoice_id INTEGER NOT NULL,
+            praxis_id INTEGER NOT NULL,
+            level INTEGER NOT NULL CHECK (level IN (1, 2, 3)), -- Zahlungserinnerung, 2. Mahnung, letzte Mahnung
+            reminder_date TEXT NOT NULL,
+            payment_deadline TEXT NOT NULL,
+            amount_open REAL NOT NULL,
+            pdf_path TEXT,
+            created_by INTEGER,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+            FOREIGN KEY (praxis_id) REFERENCES praxis(id) ON DELETE CASCADE,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `).run();
+}
+
+function createBankStatementImportsTable() {
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS bank_statement_imports (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            praxis_id INTEGER NOT NULL,
+            filename TEXT,
+            format TEXT CHECK (format IN ('camt053','mt940')) NOT NULL,
+            account_iban TEXT,
+            statement_id TEXT,
+            file_hash TEXT NOT NULL, -- SHA-256, verhindert doppelten Import derselben Datei
+            transaction_count INTEGER DEFAULT 0,
+            duplicate_count INTEGER DEFAULT 0,
+            matched_count INTEGER DEFAULT 0,
+            review_count INTEGER DEFAULT 0,
+            created_by INTEGER,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (praxis_id) REFERENCES praxis(id) ON DELETE CASCADE,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `).run();
+}
+
+function createBankTransactionsTable() {
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS bank_transactions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            import_id INTEGER NOT NULL,
+            praxis_id INTEGER NOT NULL,
+            booking_date TEXT NOT NULL,
+            value_date TEXT,
+            amount REAL NOT NULL,
+            currency TEXT DEFAULT 'EUR',
+            credit_debit TEXT CHECK (credit_debit IN ('CRDT','DBIT')) NOT NULL,
+            counterparty_name TEXT,
+            counterparty_iban TEXT,
+            remittance_info TEXT,
+            end_to_end_id TEXT,
+            bank_reference TEXT,
+            transaction_hash TEXT NOT NULL, -- Erkennung überlappender Auszüge
+            match_status TEXT CHECK (match_status IN ('matched','review','unmatched','ignored')) DEFAULT 'unmatched',
+            match_reason TEXT,
+            match_candidates TEXT, -- JSON array of invoice ids
+            allocations TEXT, -- JSON array of { invoice_id, amount, payment_id }
+            reviewed_by INTEGER,
+            reviewed_at TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(praxis_id, transaction_hash),
+            FOREIGN KEY (import_id) REFERENCES bank_statement_imports(id) ON DELETE CASCADE,
+            FOREIGN KEY (praxis_id) REFERENCES praxis(id) ON DELETE CASCADE,
+            FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `).run();
+}
+
+function createSepaMandatesTable() {
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS sepa_mandates (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            praxis_id INTEGER NOT NULL,
+            client_id INTEGER NOT NULL,
+            mandate_reference TEXT NOT NULL,
+            account_holder TEXT NOT NULL,
+            iban TEXT NOT NULL,
+            bic TEXT,
+            signature_date TEXT NOT NULL,
+            sequence_type TEXT CHECK (sequence_type IN ('FRST','RCUR')) DEFAULT 'FRST', -- Switches to RCUR after the first submission
+            status TEXT CHECK (status IN ('active','revoked')) DEFAULT 'active',
+            last_collection_date TEXT, -- Mandates expire 36 months after the last collection
+            revoked_at TEXT,
+            notes TEXT,
+            created_by INTEGER,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(praxis_id, mandate_reference),
+            FOREIGN KEY (praxis_id) REFERENCES praxis(id) ON DELETE CASCADE,
+            FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `).run();
+}
+
+function createSepaBatchesTable() {
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS sepa_batches (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            praxis_id INTEGER NOT NULL,
+            message_id TEXT NOT NULL UNIQUE, -- GrpHdr/MsgId of the pain.008 file
+            collection_date TEXT NOT NULL,
+            transaction_count INTEGER DEFAULT 0,
+            total_amount REAL DEFAULT 0,
+            status TEXT CHECK (status IN ('exported','settled','cancelled')) DEFAULT 'exported',
+            items TEXT, -- JSON array of { invoice_id, mandate_id, sequence_type, amount, end_to_end_id, previous_collection_date }
+            file_path TEXT,
+            settled_at TEXT,
+            created_by INTEGER,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (praxis_id) REFERENCES praxis(id) ON DELETE CASCADE,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `).run();
+}
+
+function createTherapyContingentsTable() {
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS therapy_contingents (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            praxis_id INTEGER NOT NULL,
+            client_id INTEGER NOT NULL,
+            contingent_type TEXT CHECK (contingent_type IN ('sprechstunde','probatorik','kzt1','kzt2','lzt')) NOT NULL,
+            sessions_approved INTEGER NOT NULL,
+            sessions_used INTEGER DEFAULT 0, -- Recomputed from sessions.contingent_id
+            valid_from TEXT,
+            valid_until TEXT,
+            approval_date TEXT,
+            approval_reference TEXT, -- Aktenzeichen of the insurer's decision
+            status TEXT CHECK (status IN ('active','exhausted','closed')) DEFAULT 'active',
+            warning_level INTEGER, -- Lowest warning threshold already reported
+            notes TEXT,
+            created_by INTEGER,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (praxis_id) REFERENCES praxis(id) ON DELETE CASCADE,
+            FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `).run();
+}
+
+function createTreatmentPhaseHistoryTable() {
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS treatment_phase_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            praxis_id INTEGER NOT NULL,
+            client_id INTEGER NOT NULL,
+            from_phase TEXT, -- NULL when the phase is recorded for the first time
+            to_phase TEXT NOT NULL,
+            changed_at TEXT NOT NULL, -- Date the new phase starts
+            reason TEXT,
+            created_by INTEGER,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (praxis_id) REFERENCES praxis(id) ON DELETE CASCADE,
+            FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `).run();
+}
+
+function createTherapyApplicationsTable() {
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS therapy_applications (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            praxis_id INTEGER NOT NULL,
+            client_id INTEGER NOT NULL,
+            application_type TEXT CHECK (application_type IN ('kzt1','kzt2','lzt','umwandlung','fortfuehrung')) NOT NULL,
+            sessions_requested INTEGER NOT NULL,
+            requires_review BOOLEAN DEFAULT 0, -- Gutachterpflichtig
+            ptv1_date TEXT, -- Antrag des Versicherten
+            ptv2_date TEXT, -- Angaben des Therapeuten
+            consiliar_report_date TEXT, -- Konsiliarbericht received
+            report_submitted_at TEXT, -- Bericht an den Gutachter (PTV 3) sent
+            reviewer_name TEXT,
+            submitted_at TEXT, -- Application sent to the insurer
+            decision_due_date TEXT, -- § 13 Abs. 3a SGB V
+            status TEXT CHECK (status IN ('draft','submitted','decided','withdrawn')) DEFAULT 'draft',
+            decision TEXT CHECK (decision IN ('approved','partially_approved','rejected')),
+            decision_date TEXT,
+            sessions_approved INTEGER,
+            approval_reference TEXT,
+            decision_notes TEXT,
+            contingent_id INTEGER, -- Contingent created from the approval
+            notes TEXT,
+            created_by INTEGER,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (praxis_id) REFERENCES praxis(id) ON DELETE CASCADE,
+            FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+            FOREIGN KEY (contingent_id) REFERENCES therapy_contingents(id) ON DELETE SET NULL,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `).run();
+}
+
+function createWaitlistTables() {
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS waitlist_entries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            praxis_id INTEGER NOT NULL,
+            client_id INTEGER NOT NULL,
+            request_date TEXT NOT NULL, -- Date of the first treatment request
+            urgency TEXT CHECK (urgency IN ('routine','urgent','immediate')) DEFAULT 'routine',
+            preferred_therapy_type TEXT CHECK (preferred_therapy_type IN ('VT','TP','PA','ST','Gruppe')),
+            preferred_therapist_id INTEGER,
+            preferred_slots TEXT, -- JSON array of { weekday (1 = Mo), from, to }
+            status TEXT CHECK (status IN ('waiting','placed','removed')) DEFAULT 'waiting',
+            appointment_id INTEGER, -- First appointment offered when placed
+            placed_at TEXT,
+            removed_at TEXT,
+            removal_reason TEXT,
+            notes TEXT,
+            created_by INTEGER,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (praxis_id) REFERENCES praxis(id) ON DELETE CASCADE,
+            FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+            FOREIGN KEY (preferred_therapist_id) REFERENCES users(id) ON DELETE SET NULL,
+            FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE SET NULL,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `).run();
+    
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS waitlist_contact_attempts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            entry_id INTEGER NOT NULL,
+            contacted_at TEXT NOT NULL,
+            channel TEXT CHECK (channel IN ('telefon','email','brief','sms','persoenlich')) DEFAULT 'telefon',
+            outcome TEXT CHECK (outcome IN ('erreicht','nicht_erreicht','rueckruf_erbeten','kein_interesse')) NOT NULL,
+            notes TEXT,
+            created_by INTEGER,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (entry_id) REFERENCES waitlist_entries(id) ON DELETE CASCADE,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `).run();
+}
+
+function createRiskAlertsTable() {
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS risk_alerts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            praxis_id INTEGER NOT NULL,
+            client_id INTEGER NOT NULL,
+            assessment_id INTEGER,
+            assessment_type TEXT NOT NULL,
+            critical_items TEXT NOT NULL, -- JSON array of { item, label, question, value, answer }
+            risk_level TEXT CHECK (risk_level IN ('hoch','kritisch')) NOT NULL,
+            assigned_to INTEGER, -- Responsible therapist
+            status TEXT CHECK (status IN ('open','acknowledged','closed')) DEFAULT 'open',
+            acknowledged_by INTEGER,
+            acknowledged_at TEXT,
+            risk_assessment TEXT, -- Documented risk assessment, required for closing
+            closed_by INTEGER,
+            closed_at TEXT,
+            created_by INTEGER,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (praxis_id) REFERENCES praxis(id) ON DELETE CASCADE,
+            FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+            FOREIGN KEY (assessment_id) REFERENCES assessments(id) ON DELETE SET NULL,
+            FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL,
+            FOREIGN KEY (acknowledged_by) REFERENCES users(id) ON DELETE SET NULL,
+            FOREIGN KEY (closed_by) REFERENCES users(id) ON DELETE SET NULL,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `).run();
+}
+
+function createSelfReportLinksTable() {
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS self_report_links (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            praxis_id INTEGER NOT NULL,
+            client_id INTEGER NOT NULL,
+            assessment_type TEXT NOT NULL,
+            token_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the token, the token itself is only shown once
+            expires_at TEXT NOT NULL, -- Praxis local time
+            used_at TEXT,
+            revoked_at TEXT,
+            assessment_id INTEGER, -- Assessment created from the submitted form
+            created_by INTEGER,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (praxis_id) REFERENCES praxis(id) ON DELETE CASCADE,
+            FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+            FOREIGN KEY (assessment_id) REFERENCES assessments(id) ON DELETE SET NULL,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `).run();
+}
+
+function createRomPlansTable() {
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS rom_plans (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            praxis_id INTEGER NOT NULL,
+            client_id INTEGER NOT NULL,
+            assessment_type TEXT NOT NULL,
+            session_interval INTEGER, -- Every n-th completed session
+            day_interval INTEGER, -- Every n days after the last measurement
+            at_start BOOLEAN DEFAULT 1, -- Baseline measurement at plan start
+            at_end BOOLEAN DEFAULT 0, -- Final measurement when therapy ends
+            start_date TEXT NOT NULL,
+            notes TEXT,
+            is_active BOOLEAN DEFAULT 1,
+            created_by INTEGER,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (praxis_id) REFERENCES praxis(id) ON DELETE CASCADE,
+            FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `).run();
+}
+
 function createAnamnesesTable() {
     db.prepare(`
         CREATE TABLE IF NOT EXISTS anamneses (
@@ -647,6 +1100,40 @@ function createSyncHistoryTable() {
     `).run();
 }
 
+// === SCHEMA MIGRATIONS === //
+// CREATE TABLE IF NOT EXISTS does not touch existing tables, so columns added
+// after the initial release have to be added explicitly.
+
+function addColumnIfMissing(table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(col => col.name === column)) {
+        db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+        console.log(`🔧 Column added: ${table}.${column}`);
+    }
+}
+
+function migrateSchema() {
+    // Documents: praxis scoping
+    addColumnIfMissing('documents', 'praxis_id', 'INTEGER REFERENCES praxis(id) ON DELETE CASCADE');
+    
+    // Appointments: calendar ownership and session link
+    addColumnIfMissing('appointments', 'praxis_id', 'INTEGER REFERENCES praxis(id) ON DELETE CASCADE');
+    addColumnIfMissing('appointments', 'therapist_id', 'INTEGER REFERENCES users(id) ON DELETE SET NULL');
+    addColumnIfMissing('appointments', 'session_id', 'INTEGER REFERENCES sessions(id) ON DELETE SET NULL');
+    addColumnIfMissing('appointments', 'rescheduled_from', 'INTEGER REFERENCES appointments(id) ON DELETE SET NULL');
+    addColumnIfMissing('appointments', 'series_id', 'TEXT');
+    addColumnIfMissing('appointments', 'external_uid', 'TEXT');
+    addColumnIfMissing('users', 'calendar_feed_token', 'TEXT');
+    addColumnIfMissing('users', 'calendar_feed_created_at', 'TEXT');
+    addColumnIfMissing('invoices', 'invoice_date', 'TEXT');
+    addColumnIfMissing('invoices', 'cancelled_at', 'TEXT');
+    addColumnIfMissing('invoices', 'sepa_batch_id', 'INTEGER REFERENCES sepa_batches(id) ON DELETE SET NULL');
+    addColumnIfMissing('clients', 'preferred_payment_method', 'TEXT');
+    addColumnIfMissing('sessions', 'contingent_id', 'INTEGER REFERENCES therapy_contingents(id) ON DELETE SET NULL');
+    addColumnIfMissing('clients', 'treatment_phase', "TEXT CHECK (treatment_phase IN ('sprechstunde','akutbehandlung','probatorik','antrag','kzt','lzt','rueckfallprophylaxe','abgeschlossen'))");
+    addColumnIfMissing('sessions', 'treatment_phase', 'TEXT');
+}
+
 function createIndexes() {
     console.log("🔍 Creating database indexes...");
     
@@ -668,12 +1155,30 @@ function createIndexes() {
         "CREATE INDEX IF NOT EXISTS idx_sessions_date ON sessions(date)",
         "CREATE INDEX IF NOT EXISTS idx_sessions_status ON sessions(status)",
         "CREATE INDEX IF NOT EXISTS idx_sessions_session_number ON sessions(session_number)",
+        "CREATE INDEX IF NOT EXISTS idx_sessions_contingent_id ON sessions(contingent_id)",
+        "CREATE INDEX IF NOT EXISTS idx_therapy_contingents_client_id ON therapy_contingents(client_id)",
+        "CREATE INDEX IF NOT EXISTS idx_therapy_contingents_praxis_status ON therapy_contingents(praxis_id, status)",
+        "CREATE INDEX IF NOT EXISTS idx_treatment_phase_history_client_id ON treatment_phase_history(client_id)",
+        "CREATE INDEX IF NOT EXISTS idx_therapy_applications_client_id ON therapy_applications(client_id)",
+        "CREATE INDEX IF NOT EXISTS idx_therapy_applications_praxis_status ON therapy_applications(praxis_id, status)",
+        
+        // Waiting list
+        "CREATE INDEX IF NOT EXISTS idx_waitlist_entries_praxis_status ON waitlist_entries(praxis_id, status)",
+        "CREATE UNIQUE INDEX IF NOT EXISTS idx_waitlist_entries_client_waiting ON waitlist_entries(client_id) WHERE status = 'waiting'",
+        "CREATE INDEX IF NOT EXISTS idx_waitlist_contact_attempts_entry_id ON waitlist_contact_attempts(entry_id)",
+        
+        // Risk alerts
+        "CREATE INDEX IF NOT EXISTS idx_risk_alerts_praxis_status ON risk_alerts(praxis_id, status)",
+        "CREATE INDEX IF NOT EXISTS idx_risk_alerts_client_id ON risk_alerts(client_id)",
+        "CREATE INDEX IF NOT EXISTS idx_self_report_links_client_id ON self_report_links(client_id)",
+        "CREATE UNIQUE INDEX IF NOT EXISTS idx_rom_plans_client_type_active ON rom_plans(client_id, assessment_type) WHERE is_active = 1",
         
         // Documents
         "CREATE INDEX IF NOT EXISTS idx_documents_client_id ON documents(client_id)",
         "CREATE INDEX IF NOT EXISTS idx_documents_session_id ON documents(session_id)",
         "CREATE INDEX IF NOT EXISTS idx_documents_category ON documents(category)",
         "CREATE INDEX IF NOT EXISTS idx_documents_file_hash ON documents(file_hash)",
+        "CREATE INDEX IF NOT EXISTS idx_documents_praxis_id ON documents(praxis_id)",
         
         // Audio Transcriptions
         "CREATE INDEX IF NOT EXISTS idx_audio_client_id ON audio_transcriptions(client_id)",
@@ -683,11 +1188,13 @@ function createIndexes() {
         "CREATE INDEX IF NOT EXISTS idx_chat_client_id ON chat_history(client_id)",
         "CREATE INDEX IF NOT EXISTS idx_chat_conversation_id ON chat_history(conversation_id)",
         "CREATE INDEX IF NOT EXISTS idx_chat_timestamp ON chat_history(timestamp)",
+        "CREATE INDEX IF NOT EXISTS idx_chat_conversations_client_id ON chat_conversations(client_id)",
         
         // Treatment Goals
         "CREATE INDEX IF NOT EXISTS idx_goals_client_id ON treatment_goals(client_id)",
         "CREATE INDEX IF NOT EXISTS idx_goals_status ON treatment_goals(status)",
         "CREATE INDEX IF NOT EXISTS idx_goals_priority ON treatment_goals(priority)",
+        "CREATE INDEX IF NOT EXISTS idx_goal_progress_goal_id ON goal_progress_history(goal_id)",
         
         // Assessments
         "CREATE INDEX IF NOT EXISTS idx_assessments_client_id ON assessments(client_id)",
@@ -698,12 +1205,28 @@ function createIndexes() {
         "CREATE INDEX IF NOT EXISTS idx_appointments_client_id ON appointments(client_id)",
         "CREATE INDEX IF NOT EXISTS idx_appointments_start_time ON appointments(start_time)",
         "CREATE INDEX IF NOT EXISTS idx_appointments_status ON appointments(status)",
+        "CREATE INDEX IF NOT EXISTS idx_appointments_praxis_start ON appointments(praxis_id, start_time)",
+        "CREATE INDEX IF NOT EXISTS idx_appointments_therapist_id ON appointments(therapist_id)",
+        "CREATE INDEX IF NOT EXISTS idx_appointments_series_id ON appointments(series_id)",
+        "CREATE INDEX IF NOT EXISTS idx_appointments_external_uid ON appointments(therapist_id, external_uid)",
+        "CREATE INDEX IF NOT EXISTS idx_users_calendar_feed_token ON users(calendar_feed_token)",
+        "CREATE INDEX IF NOT EXISTS idx_calendar_exceptions_praxis ON calendar_exceptions(praxis_id, start_date)",
         
         // Invoices
         "CREATE INDEX IF NOT EXISTS idx_invoices_praxis_id ON invoices(praxis_id)",
         "CREATE INDEX IF NOT EXISTS idx_invoices_client_id ON invoices(client_id)",
         "CREATE INDEX IF NOT EXISTS idx_invoices_quarter ON invoices(quarter)",
         "CREATE INDEX IF NOT EXISTS idx_invoices_status ON invoices(status)",
+        "CREATE INDEX IF NOT EXISTS idx_invoices_due_date ON invoices(due_date)",
+        "CREATE INDEX IF NOT EXISTS idx_invoice_payments_invoice_id ON invoice_payments(invoice_id)",
+        "CREATE INDEX IF NOT EXISTS idx_invoice_reminders_invoice_id ON invoice_reminders(invoice_id)",
+        "CREATE INDEX IF NOT EXISTS idx_bank_transactions_praxis_status ON bank_transactions(praxis_id, match_status)",
+        "CREATE INDEX IF NOT EXISTS idx_bank_transactions_import_id ON bank_transactions(import_id)",
+        "CREATE INDEX IF NOT EXISTS idx_sepa_mandates_client_id ON sepa_mandates(client_id)",
+        "CREATE INDEX IF NOT EXISTS idx_sepa_batches_praxis_id ON sepa_batches(praxis_id)",
+        "CREATE INDEX IF NOT EXISTS idx_invoices_sepa_batch_id ON invoices(sepa_batch_id)",
+        "CREATE INDEX IF NOT EXISTS idx_invoice_items_invoice_id ON invoice_items(invoice_id)",
+        "CREATE INDEX IF NOT EXISTS idx_invoice_items_session_id ON invoice_items(session_id)",
         
         // Notes
         "CREATE INDEX IF NOT EXISTS idx_notes_client_id ON notes(client_id)",
@@ -776,6 +1299,11 @@ function initializeSettings() {
         { category: 'therapy', key: 'default_session_duration', value: '50', value_type: 'number', description: 'Default session duration in minutes' },
         { category: 'therapy', key: 'session_reminder_hours', value: '24', value_type: 'number', description: 'Hours before session to send reminder' },
         { category: 'therapy', key: 'max_missed_sessions', value: '3', value_type: 'number', description: 'Max missed sessions before alert' },
+        { category: 'therapy', key: 'contingent_warning_thresholds', value: '[5,2]', value_type: 'json', description: 'Warnung bei so vielen verbleibenden Sitzungen eines Kontingents' },
+        { category: 'therapy', key: 'waitlist_urgency_weights', value: '{"routine":0,"urgent":30,"immediate":90}', value_type: 'json', description: 'Zusätzliche Wartetage je Dringlichkeit für die Priorisierung der Warteliste' },
+        { category: 'therapy', key: 'contingent_expiry_warning_days', value: '30', value_type: 'number', description: 'Vorlauf in Tagen für ablaufende Bewilligungen' },
+        { category: 'therapy', key: 'self_report_link_valid_hours', value: '72', value_type: 'number', description: 'Gültigkeit von Fragebogen-Links für Klienten in Stunden' },
+        { category: 'therapy', key: 'rom_overdue_grace_days', value: '7', value_type: 'number', description: 'Tage nach Fälligkeit, ab denen eine geplante Messung als überfällig gilt' },
         
         // AI settings
         { category: 'ai', key: 'enabled', value: 'true', value_type: 'boolean', description: 'Enable AI features' },
@@ -792,6 +1320,36 @@ function initializeSettings() {
         { category: 'billing', key: 'default_currency', value: 'EUR', description: 'Default currency' },
         { category: 'billing', key: 'tax_rate', value: '0.19', value_type: 'number', description: 'Default tax rate' },
         { category: 'billing', key: 'payment_reminder_days', value: '14', value_type: 'number', description: 'Days after due date to send reminder' },
+        { category: 'billing', key: 'payment_terms_days', value: '14', value_type: 'number', description: 'Days between invoice date and due date' },
+        { category: 'billing', key: 'ebm_point_value', value: '0.123934', value_type: 'number', description: 'EBM Orientierungspunktwert in EUR' },
+        { category: 'billing', key: 'goae_point_value', value: '0.0582873', value_type: 'number', description: 'GOÄ Punktwert in EUR' },
+        { category: 'billing', key: 'goae_factor', value: '2.3', value_type: 'number', description: 'Default GOÄ multiplier for private patients' },
+        { category: 'billing', key: 'tax_exempt', value: 'true', value_type: 'boolean', description: 'Heilbehandlung umsatzsteuerfrei (§ 4 Nr. 14 UStG)' },
+        { category: 'billing', key: 'default_billing_codes', value: JSON.stringify({
+            goae: {
+                'Einzeltherapie': { code: '870', points: 750 },
+                'Erstgespräch': { code: '860', points: 920 },
+                'Diagnostik': { code: '801', points: 250 },
+                'Gruppentherapie': { code: '871', points: 150 }
+            },
+            ebm: {}
+        }), value_type: 'json', description: 'Fallback billing codes per scheme and session type' },
+        { category: 'billing', key: 'bank_account_holder', value: '', description: 'Kontoinhaber für Überweisungen' },
+        { category: 'billing', key: 'bank_name', value: '', description: 'Name der Bank' },
+        { category: 'billing', key: 'bank_iban', value: '', description: 'IBAN für Überweisungen' },
+        { category: 'billing', key: 'bank_bic', value: '', description: 'BIC der Bank' },
+        { category: 'billing', key: 'tax_number', value: '', description: 'Steuernummer der Praxis (Pflichtangabe auf Rechnungen)' },
+        { category: 'billing', key: 'vat_id', value: '', description: 'USt-IdNr. der Praxis, falls vorhanden' },
+        { category: 'billing', key: 'sepa_creditor_id', value: '', description: 'Gläubiger-Identifikationsnummer für SEPA-Lastschriften' },
+        { category: 'billing', key: 'datev_consultant_number', value: '', description: 'DATEV-Beraternummer des Steuerbüros' },
+        { category: 'billing', key: 'datev_client_number', value: '', description: 'DATEV-Mandantennummer der Praxis' },
+        { category: 'billing', key: 'datev_chart_of_accounts', value: 'SKR03', description: 'Kontenrahmen (SKR03 oder SKR04)' },
+        { category: 'billing', key: 'datev_revenue_account_gesetzlich', value: '', description: 'Erlöskonto GKV-Leistungen (leer = Standardkonto des Kontenrahmens)' },
+        { category: 'billing', key: 'datev_revenue_account_privat', value: '', description: 'Erlöskonto Privatleistungen (leer = Standardkonto des Kontenrahmens)' },
+        { category: 'billing', key: 'datev_revenue_account_selbstzahler', value: '', description: 'Erlöskonto Selbstzahler (leer = Standardkonto des Kontenrahmens)' },
+        { category: 'billing', key: 'datev_revenue_account_taxable', value: '', description: 'Erlöskonto umsatzsteuerpflichtige Leistungen (leer = Standardkonto des Kontenrahmens)' },
+        { category: 'billing', key: 'datev_bank_account', value: '', description: 'Finanzkonto Bank (leer = Standardkonto des Kontenrahmens)' },
+        { category: 'billing', key: 'datev_cash_account', value: '', description: 'Finanzkonto Kasse (leer = Standardkonto des Kontenrahmens)' },
         
         // Communication settings
         { category: 'communication', key: 'email_enabled', value: 'false', value_type: 'boolean', description: 'Enable email notifications' },
@@ -953,6 +1511,21 @@ function validatePraxisAccess(praxisId, userPraxisId) {
     }
 }
 
+// Termine und Tagesdaten werden als Ortszeit der Praxis gespeichert (ohne Zeitzonen-Suffix)
+const PRAXIS_TIMEZONE = process.env.PRAXIS_TIMEZONE || 'Europe/Berlin';
+
+function formatInPraxisTimezone(date, timeZone = PRAXIS_TIMEZONE) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+    
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
 // === PRAXIS MANAGEMENT === //
 
 function addPraxis(praxisData) {
@@ -990,7 +1563,7 @@ function getPraxisById(id) {
 
 function updatePraxis(id, updates) {
     try {
-        const allowedFields = ['name', 'email', 'telefon', 'adresse', 'website', 'settings'];
+        const allowedFields = ['name', 'email', 'telefon', 'adresse', 'website', 'logo_url', 'settings'];
         const fields = Object.keys(updates).filter(key => allowedFields.includes(key));
         
         if (fields.length === 0) {
@@ -1099,23 +1672,54 @@ function getUsersByPraxis(praxisId) {
     }
 }
 
-function updateUserLogin(userId, sessionToken) {
+/**
+ * Setzt (oder widerruft mit null) den Hash des privaten Kalender-Feed-Tokens
+ */
+function setUserCalendarFeedToken(userId, tokenHash) {
     try {
-        const stmt = db.prepare(`
+        return db.prepare(`
             UPDATE users 
-            SET last_login = CURRENT_TIMESTAMP, 
-                login_count = login_count + 1,
-                session_token = ?
+            SET calendar_feed_token = ?,
+                calendar_feed_created_at = ${tokenHash ? 'CURRENT_TIMESTAMP' : 'NULL'},
+                updated_at = CURRENT_TIMESTAMP
             WHERE id = ?
-        `);
-        return stmt.run(sessionToken, userId);
+        `).run(tokenHash, userId);
     } catch (error) {
-        console.error("❌ Error updating user login:", error);
+        console.error("❌ Error setting calendar feed token:", error);
         throw error;
     }
 }
 
-// === CLIENT MANAGEMENT === //
+function getUserByCalendarFeedToken(tokenHash) {
+    try {
+        return db.prepare(`
+            SELECT id, praxis_id, name, role, calendar_feed_created_at
+            FROM users
+            WHERE calendar_feed_token = ? AND is_active = 1
+        `).get(tokenHash);
+    } catch (error) {
+        console.error("❌ Error fetching user by calendar feed token:", error);
+        return null;
+    }
+}
+
+function updateUserLogin(userId, sessionToken) {
+    try {
+        const stmt = db.prepare(`
+            UPDATE users 
+            SET last_login = CURRENT_TIMESTAMP, 
+                login_count = login_count + 1,
+                session_token = ?
+            WHERE id = ?
+        `);
+        return stmt.run(sessionToken, userId);
+    } catch (error) {
+        console.error("❌ Error updating user login:", error);
+        throw error;
+    }
+}
+
+// === CLIENT MANAGEMENT === //
 
 function addClient(clientData) {
     try {
@@ -1195,12 +1799,12 @@ function getClientById(id, userPraxisId = null) {
         const stmt = db.prepare(`
             SELECT 
                 c.*,
-                COUNT(s.id) as total_sessions,
-                COUNT(CASE WHEN s.date >= date('now', '-30 days') THEN 1 END) as sessions_last_month,
+                COUNT(DISTINCT s.id) as total_sessions,
+                COUNT(DISTINCT CASE WHEN s.date >= date('now', '-30 days') THEN s.id END) as sessions_last_month,
                 MAX(s.date) as latest_session,
                 MIN(s.date) as first_session,
                 AVG(s.mood_after - s.mood_before) as avg_mood_improvement,
-                COUNT(tg.id) as active_goals
+                COUNT(DISTINCT tg.id) as active_goals
             FROM clients c
             LEFT JOIN sessions s ON c.id = s.client_id
             LEFT JOIN treatment_goals tg ON c.id = tg.client_id AND tg.status = 'active'
@@ -1232,7 +1836,8 @@ function updateClient(id, updates, userPraxisId = null, userId = null) {
         const allowedFields = [
             'name', 'full_name', 'email', 'phone', 'birth_date', 'address',
             'diagnosis_primary', 'diagnosis_secondary', 'therapy_type', 'therapy_status',
-            'sessions_approved', 'session_frequency', 'notes', 'risk_level', 'risk_assessment'
+            'sessions_approved', 'session_frequency', 'notes', 'risk_level', 'risk_assessment',
+            'insurance_type', 'insurance_number', 'preferred_payment_method'
         ];
         
         const fields = Object.keys(updates).filter(key => allowedFields.includes(key));
@@ -1323,14 +1928,16 @@ function addSession(sessionData) {
                 client_id, session_number, date, duration, type, location,
                 status, notes, private_notes, homework_given, mood_before, 
                 mood_after, therapeutic_focus, interventions_used, 
-                billing_code, billing_points, created_by, created_at
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+                billing_code, billing_points, treatment_phase, created_by, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
         `);
         
+        const sessionDate = sessionData.date || new Date().toISOString().split('T')[0];
+        
         const result = stmt.run(
             sessionData.client_id,
             nextNumber,
-            sessionData.date || new Date().toISOString().split('T')[0],
+            sessionDate,
             sessionData.duration || 50,
             sessionData.type || 'Einzeltherapie',
             sessionData.location || 'Praxis',
@@ -1344,11 +1951,13 @@ function addSession(sessionData) {
             sessionData.interventions_used || null,
             sessionData.billing_code || null,
             sessionData.billing_points || null,
+            getTreatmentPhaseAt(sessionData.client_id, sessionDate),
             sessionData.created_by || null
         );
         
-        // Update client's session count if session is completed
+        // Update client's session count and deduct from the approval contingent if session is completed
         if (sessionData.status === 'durchgeführt') {
+            assignSessionContingent(result.lastInsertRowid, sessionData.created_by || null);
             updateClientSessionCount(sessionData.client_id);
         }
         
@@ -1426,7 +2035,4013 @@ function updateClientSessionCount(clientId) {
         `);
         return stmt.run(clientId, clientId);
     } catch (error) {
-        console.error("❌ Error updating client session count:", error);
+        console.error("❌ Error updating client session count:", error);
+    }
+}
+
+// === THERAPY CONTINGENTS === //
+
+const CONTINGENT_TYPES = ['sprechstunde', 'probatorik', 'kzt1', 'kzt2', 'lzt'];
+const THERAPY_CONTINGENT_TYPES = ['kzt1', 'kzt2', 'lzt'];
+
+// Sitzungstyp → Kontingente, aus denen eine durchgeführte Sitzung abgebucht wird (in dieser Reihenfolge)
+const SESSION_TYPE_CONTINGENTS = {
+    'Sprechstunde': ['sprechstunde'],
+    'Erstgespräch': ['sprechstunde'],
+    'Probatorik': ['probatorik'],
+    'Einzeltherapie': THERAPY_CONTINGENT_TYPES,
+    'Gruppentherapie': THERAPY_CONTINGENT_TYPES,
+    'Rückfallprophylaxe': ['lzt']
+};
+
+function addTherapyContingent(contingentData, userId = null) {
+    try {
+        const result = db.prepare(`
+            INSERT INTO therapy_contingents (
+                praxis_id, client_id, contingent_type, sessions_approved, valid_from, valid_until,
+                approval_date, approval_reference, status, notes, created_by, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'active', ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        `).run(
+            contingentData.praxis_id,
+            contingentData.client_id,
+            contingentData.contingent_type,
+            contingentData.sessions_approved,
+            contingentData.valid_from || null,
+            contingentData.valid_until || null,
+            contingentData.approval_date || null,
+            contingentData.approval_reference || null,
+            contingentData.notes || null,
+            userId
+        );
+        
+        syncClientApprovedSessions(contingentData.client_id);
+        
+        logAction(
+            contingentData.praxis_id,
+            userId,
+            'CREATE',
+            'therapy_contingent',
+            result.lastInsertRowid,
+            null,
+            contingentData,
+            `Contingent ${contingentData.contingent_type} created for client ${contingentData.client_id}`
+        );
+        
+        return result.lastInsertRowid;
+    } catch (error) {
+        console.error("❌ Error adding therapy contingent:", error);
+        throw error;
+    }
+}
+
+function getTherapyContingentById(id, userPraxisId = null) {
+    try {
+        const contingent = db.prepare("SELECT * FROM therapy_contingents WHERE id = ?").get(id);
+        
+        if (contingent && userPraxisId) {
+            validatePraxisAccess(contingent.praxis_id, userPraxisId);
+        }
+        
+        return contingent || null;
+    } catch (error) {
+        console.error("❌ Error fetching therapy contingent:", error);
+        return null;
+    }
+}
+
+function getTherapyContingentsByClient(clientId, praxisId) {
+    try {
+        return db.prepare(`
+            SELECT * FROM therapy_contingents 
+            WHERE client_id = ? AND praxis_id = ?
+            ORDER BY COALESCE(valid_from, approval_date, created_at) ASC, id ASC
+        `).all(clientId, praxisId);
+    } catch (error) {
+        console.error("❌ Error fetching therapy contingents:", error);
+        return [];
+    }
+}
+
+/**
+ * Aktive Kontingente der Praxis inkl. Client-Angaben (Warn- und Ablauflisten)
+ */
+function getActiveTherapyContingents(praxisId) {
+    try {
+        return db.prepare(`
+            SELECT tc.*, c.name as client_name, c.client_number, c.therapy_status
+            FROM therapy_contingents tc
+            JOIN clients c ON tc.client_id = c.id
+            WHERE tc.praxis_id = ? AND tc.status = 'active' AND c.is_archived = 0
+            ORDER BY tc.valid_until ASC, tc.id ASC
+        `).all(praxisId);
+    } catch (error) {
+        console.error("❌ Error fetching active therapy contingents:", error);
+        return [];
+    }
+}
+
+function updateTherapyContingent(id, updates, userPraxisId = null, userId = null) {
+    try {
+        const contingent = getTherapyContingentById(id, userPraxisId);
+        if (!contingent) {
+            throw new Error('Contingent not found or access denied');
+        }
+        
+        const allowedFields = [
+            'sessions_approved', 'valid_from', 'valid_until', 'approval_date',
+            'approval_reference', 'status', 'notes'
+        ];
+        const fields = Object.keys(updates).filter(key => allowedFields.includes(key));
+        
+        if (fields.length === 0) {
+            throw new Error('No valid fields to update');
+        }
+        
+        const result = db.transaction(() => {
+            const result = db.prepare(`
+                UPDATE therapy_contingents 
+                SET ${fields.map(key => `${key} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(...fields.map(key => updates[key]), id);
+            
+            refreshContingentUsage(id);
+            syncClientApprovedSessions(contingent.client_id);
+            return result;
+        })();
+        
+        logAction(contingent.praxis_id, userId, 'UPDATE', 'therapy_contingent', id, contingent, updates, `Contingent ${contingent.contingent_type} updated`);
+        
+        return result;
+    } catch (error) {
+        console.error("❌ Error updating therapy contingent:", error);
+        throw error;
+    }
+}
+
+/**
+ * Zählt die abgebuchten Sitzungen neu und setzt den Status (aktiv/ausgeschöpft).
+ * Wird das Kontingent erhöht, werden bereits gemeldete Warnstufen zurückgesetzt.
+ */
+function refreshContingentUsage(contingentId) {
+    const { used } = db.prepare(`
+        SELECT COUNT(*) as used FROM sessions WHERE contingent_id = ? AND status = 'durchgeführt'
+    `).get(contingentId);
+    
+    db.prepare(`
+        UPDATE therapy_contingents 
+        SET sessions_used = ?,
+            status = CASE WHEN status = 'closed' THEN status WHEN ? >= sessions_approved THEN 'exhausted' ELSE 'active' END,
+            warning_level = CASE WHEN sessions_approved - ? > warning_level THEN NULL ELSE warning_level END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).run(used, used, used, contingentId);
+}
+
+/**
+ * clients.sessions_approved folgt der Summe der bewilligten Therapiekontingente (KZT1 + KZT2 bzw. LZT)
+ */
+function syncClientApprovedSessions(clientId) {
+    const { total, count } = db.prepare(`
+        SELECT COALESCE(SUM(sessions_approved), 0) as total, COUNT(*) as count
+        FROM therapy_contingents 
+        WHERE client_id = ? AND status != 'closed' AND contingent_type IN (${THERAPY_CONTINGENT_TYPES.map(() => '?').join(', ')})
+    `).get(clientId, ...THERAPY_CONTINGENT_TYPES);
+    
+    if (count > 0) {
+        db.prepare("UPDATE clients SET sessions_approved = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?").run(total, clientId);
+    }
+}
+
+/**
+ * Bucht eine durchgeführte Sitzung vom passenden gültigen Kontingent ab und
+ * protokolliert das Erreichen einer Warnschwelle. Liefert das Kontingent oder null.
+ */
+function assignSessionContingent(sessionId, userId = null) {
+    try {
+        const session = db.prepare(`
+            SELECT s.*, c.praxis_id FROM sessions s JOIN clients c ON s.client_id = c.id WHERE s.id = ?
+        `).get(sessionId);
+        
+        const types = session && SESSION_TYPE_CONTINGENTS[session.type];
+        if (!types || session.status !== 'durchgeführt' || session.contingent_id) {
+            return null;
+        }
+        
+        const contingent = db.prepare(`
+            SELECT * FROM therapy_contingents 
+            WHERE client_id = ? AND status = 'active' AND sessions_used < sessions_approved
+            AND contingent_type IN (${types.map(() => '?').join(', ')})
+            AND (valid_from IS NULL OR valid_from <= ?) AND (valid_until IS NULL OR valid_until >= ?)
+        `).all(session.client_id, ...types, session.date, session.date)
+            .sort((a, b) => types.indexOf(a.contingent_type) - types.indexOf(b.contingent_type) || String(a.valid_from).localeCompare(String(b.valid_from)))[0];
+        
+        if (!contingent) {
+            return null;
+        }
+        
+        db.prepare("UPDATE sessions SET contingent_id = ? WHERE id = ?").run(contingent.id, sessionId);
+        refreshContingentUsage(contingent.id);
+        
+        const updated = getTherapyContingentById(contingent.id);
+        const remaining = updated.sessions_approved - updated.sessions_used;
+        const thresholds = getPraxisSetting('contingent_warning_thresholds', 'therapy', updated.praxis_id) || [];
+        const crossed = thresholds.filter(threshold => remaining <= threshold);
+        
+        if (crossed.length > 0) {
+            const level = Math.min(...crossed);
+            if (updated.warning_level === null || level < updated.warning_level) {
+                db.prepare("UPDATE therapy_contingents SET warning_level = ? WHERE id = ?").run(level, updated.id);
+                logAction(
+                    updated.praxis_id,
+                    userId,
+                    'WARNING',
+                    'therapy_contingent',
+                    updated.id,
+                    null,
+                    { remaining, threshold: level },
+                    `Contingent ${updated.contingent_type} for client ${updated.client_id}: ${remaining} sessions remaining`
+                );
+            }
+        }
+        
+        return getTherapyContingentById(contingent.id);
+    } catch (error) {
+        console.error("❌ Error assigning session to contingent:", error);
+        return null;
+    }
+}
+
+/**
+ * Nachträglich erfasste Bewilligung: bereits durchgeführte, noch nicht abgebuchte Sitzungen zuordnen
+ */
+function assignUnallocatedSessions(clientId, userId = null) {
+    try {
+        const sessions = db.prepare(`
+            SELECT id FROM sessions 
+            WHERE client_id = ? AND status = 'durchgeführt' AND contingent_id IS NULL
+            ORDER BY date ASC, id ASC
+        `).all(clientId);
+        
+        return sessions.filter(session => assignSessionContingent(session.id, userId)).length;
+    } catch (error) {
+        console.error("❌ Error assigning unallocated sessions:", error);
+        return 0;
+    }
+}
+
+// === TREATMENT PHASES (PT-RL) === //
+
+/**
+ * Behandlungsphasen nach Psychotherapie-Richtlinie (Erwachsene).
+ * Höchstgrenzen in Therapieeinheiten (unit_minutes), LZT je Richtlinienverfahren.
+ */
+const TREATMENT_PHASES = {
+    sprechstunde: {
+        label: 'Psychotherapeutische Sprechstunde',
+        session_types: ['Sprechstunde', 'Erstgespräch', 'Diagnostik'],
+        default_session_type: 'Sprechstunde',
+        ebm_codes: ['35151'],
+        unit_minutes: 25,
+        max_units: 6,
+        transitions: ['akutbehandlung', 'probatorik', 'abgeschlossen']
+    },
+    akutbehandlung: {
+        label: 'Akutbehandlung',
+        session_types: ['Akutbehandlung', 'Diagnostik'],
+        default_session_type: 'Akutbehandlung',
+        ebm_codes: ['35152'],
+        unit_minutes: 25,
+        max_units: 24,
+        transitions: ['probatorik', 'abgeschlossen']
+    },
+    probatorik: {
+        label: 'Probatorische Sitzungen',
+        session_types: ['Probatorik', 'Diagnostik'],
+        default_session_type: 'Probatorik',
+        ebm_codes: ['35150'],
+        unit_minutes: 50,
+        max_units: 4,
+        transitions: ['antrag', 'abgeschlossen']
+    },
+    antrag: {
+        label: 'Antragsverfahren',
+        session_types: [],
+        default_session_type: null,
+        ebm_codes: [],
+        unit_minutes: 50,
+        max_units: 0,
+        transitions: ['kzt', 'lzt', 'probatorik', 'abgeschlossen']
+    },
+    kzt: {
+        label: 'Kurzzeittherapie',
+        session_types: ['Einzeltherapie', 'Gruppentherapie', 'Diagnostik'],
+        default_session_type: 'Einzeltherapie',
+        ebm_codes: ['35401', '35402', '35421', '35422', '35431', '35432'],
+        unit_minutes: 50,
+        max_units: 24,
+        transitions: ['antrag', 'abgeschlossen']
+    },
+    lzt: {
+        label: 'Langzeittherapie',
+        session_types: ['Einzeltherapie', 'Gruppentherapie', 'Diagnostik'],
+        default_session_type: 'Einzeltherapie',
+        ebm_codes: ['35405', '35411', '35425', '35435'],
+        unit_minutes: 50,
+        max_units: { VT: 80, TP: 100, PA: 300, ST: 48 },
+        transitions: ['antrag', 'rueckfallprophylaxe', 'abgeschlossen']
+    },
+    rueckfallprophylaxe: {
+        label: 'Rückfallprophylaxe',
+        session_types: ['Rückfallprophylaxe'],
+        default_session_type: 'Rückfallprophylaxe',
+        ebm_codes: ['35405', '35411', '35425', '35435'],
+        unit_minutes: 50,
+        max_units: 10,
+        transitions: ['abgeschlossen']
+    },
+    abgeschlossen: {
+        label: 'Behandlung abgeschlossen',
+        session_types: [],
+        default_session_type: null,
+        ebm_codes: [],
+        unit_minutes: 50,
+        max_units: 0,
+        transitions: ['sprechstunde']
+    }
+};
+
+// Sitzungstypen, die einer Phase zugeordnet sind; alle übrigen (z. B. Audio-Sitzung) werden nicht geprüft
+const PHASE_SESSION_TYPES = [...new Set(Object.values(TREATMENT_PHASES).flatMap(phase => phase.session_types))];
+
+function getPhaseMaxUnits(phase, therapyType) {
+    const maxUnits = TREATMENT_PHASES[phase].max_units;
+    return typeof maxUnits === 'object' ? (maxUnits[therapyType] || maxUnits.VT) : maxUnits;
+}
+
+function getSessionUnits(duration, phase) {
+    return Math.max(1, Math.floor((duration || 50) / TREATMENT_PHASES[phase].unit_minutes));
+}
+
+/**
+ * Wechselt die Behandlungsphase und hält den Therapiestatus synchron.
+ * Die Zulässigkeit des Übergangs prüft der Aufrufer.
+ */
+function setTreatmentPhase(clientId, toPhase, details = {}, userPraxisId = null, userId = null) {
+    try {
+        const client = getClientById(clientId, userPraxisId);
+        if (!client) {
+            throw new Error('Client not found or access denied');
+        }
+        
+        const changedAt = details.changed_at || formatInPraxisTimezone(new Date()).slice(0, 10);
+        
+        const historyId = db.transaction(() => {
+            const therapyStatus = toPhase === 'abgeschlossen'
+                ? 'beendet'
+                : (client.therapy_status === 'beendet' ? 'aktiv' : client.therapy_status);
+            
+            db.prepare(`
+                UPDATE clients 
+                SET treatment_phase = ?, therapy_status = ?,
+                    end_date = CASE WHEN ? = 'abgeschlossen' THEN ? ELSE end_date END,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(toPhase, therapyStatus, toPhase, changedAt, clientId);
+            
+            return db.prepare(`
+                INSERT INTO treatment_phase_history (
+                    praxis_id, client_id, from_phase, to_phase, changed_at, reason, created_by
+                ) VALUES (?, ?, ?, ?, ?, ?, ?)
+            `).run(client.praxis_id, clientId, client.treatment_phase || null, toPhase, changedAt, details.reason || null, userId).lastInsertRowid;
+        })();
+        
+        logAction(
+            client.praxis_id,
+            userId,
+            'UPDATE',
+            'client',
+            clientId,
+            { treatment_phase: client.treatment_phase },
+            { treatment_phase: toPhase },
+            `Treatment phase changed: ${client.treatment_phase || '-'} → ${toPhase}`
+        );
+        
+        return historyId;
+    } catch (error) {
+        console.error("❌ Error changing treatment phase:", error);
+        throw error;
+    }
+}
+
+/**
+ * Behandlungsphase an einem Datum laut Phasenverlauf. Vor der ersten erfassten
+ * Phase null; Clients ohne Verlauf behalten ihre aktuelle Phase.
+ */
+function getTreatmentPhaseAt(clientId, date) {
+    try {
+        const entry = db.prepare(`
+            SELECT to_phase FROM treatment_phase_history 
+            WHERE client_id = ? AND changed_at <= ?
+            ORDER BY changed_at DESC, id DESC LIMIT 1
+        `).get(clientId, date);
+        if (entry) {
+            return entry.to_phase;
+        }
+        
+        const hasHistory = db.prepare("SELECT 1 FROM treatment_phase_history WHERE client_id = ? LIMIT 1").get(clientId);
+        if (hasHistory) {
+            return null;
+        }
+        
+        const client = db.prepare("SELECT treatment_phase FROM clients WHERE id = ?").get(clientId);
+        return client ? client.treatment_phase : null;
+    } catch (error) {
+        console.error("❌ Error fetching treatment phase at date:", error);
+        throw error;
+    }
+}
+
+function getTreatmentPhaseHistory(clientId, praxisId) {
+    try {
+        return db.prepare(`
+            SELECT h.*, u.name as created_by_name
+            FROM treatment_phase_history h
+            LEFT JOIN users u ON h.created_by = u.id
+            WHERE h.client_id = ? AND h.praxis_id = ?
+            ORDER BY h.changed_at ASC, h.id ASC
+        `).all(clientId, praxisId);
+    } catch (error) {
+        console.error("❌ Error fetching treatment phase history:", error);
+        return [];
+    }
+}
+
+/**
+ * Durchgeführte Sitzungen und Einheiten je Phase im laufenden Behandlungsfall
+ * (seit dem letzten Neubeginn nach Abschluss bzw. der ersten Phasenerfassung)
+ */
+function getTreatmentPhaseUsage(clientId) {
+    try {
+        const client = db.prepare("SELECT therapy_type FROM clients WHERE id = ?").get(clientId);
+        const episodeStart = db.prepare(`
+            SELECT changed_at FROM treatment_phase_history 
+            WHERE client_id = ? AND (from_phase IS NULL OR from_phase = 'abgeschlossen')
+            ORDER BY changed_at DESC, id DESC LIMIT 1
+        `).get(clientId);
+        
+        const sessions = db.prepare(`
+            SELECT treatment_phase, duration FROM sessions 
+            WHERE client_id = ? AND status = 'durchgeführt' AND treatment_phase IS NOT NULL AND date >= ?
+        `).all(clientId, episodeStart ? episodeStart.changed_at : '');
+        
+        const usage = {};
+        Object.keys(TREATMENT_PHASES).forEach(phase => {
+            usage[phase] = { sessions: 0, minutes: 0, units: 0, max_units: getPhaseMaxUnits(phase, client && client.therapy_type) };
+        });
+        
+        sessions.filter(session => usage[session.treatment_phase]).forEach(session => {
+            const entry = usage[session.treatment_phase];
+            entry.sessions += 1;
+            entry.minutes += session.duration || 0;
+            entry.units += getSessionUnits(session.duration, session.treatment_phase);
+        });
+        
+        Object.values(usage).forEach(entry => {
+            entry.remaining_units = Math.max(0, entry.max_units - entry.units);
+        });
+        
+        return usage;
+    } catch (error) {
+        console.error("❌ Error calculating treatment phase usage:", error);
+        return {};
+    }
+}
+
+// === THERAPY APPLICATIONS (GUTACHTERVERFAHREN) === //
+
+// Beantragte Leistung → Kontingent, das bei Bewilligung angelegt wird
+const APPLICATION_CONTINGENT_TYPES = {
+    kzt1: 'kzt1',
+    kzt2: 'kzt2',
+    lzt: 'lzt',
+    umwandlung: 'lzt',
+    fortfuehrung: 'lzt'
+};
+
+const applicationSelectSql = `
+    SELECT a.*, c.name as client_name, c.client_number, c.therapy_type
+    FROM therapy_applications a
+    JOIN clients c ON a.client_id = c.id
+`;
+
+function addTherapyApplication(applicationData, userId = null) {
+    try {
+        const result = db.prepare(`
+            INSERT INTO therapy_applications (
+                praxis_id, client_id, application_type, sessions_requested, requires_review,
+                ptv1_date, ptv2_date, consiliar_report_date, report_submitted_at, reviewer_name,
+                status, notes, created_by, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'draft', ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        `).run(
+            applicationData.praxis_id,
+            applicationData.client_id,
+            applicationData.application_type,
+            applicationData.sessions_requested,
+            applicationData.requires_review ? 1 : 0,
+            applicationData.ptv1_date || null,
+            applicationData.ptv2_date || null,
+            applicationData.consiliar_report_date || null,
+            applicationData.report_submitted_at || null,
+            applicationData.reviewer_name || null,
+            applicationData.notes || null,
+            userId
+        );
+        
+        logAction(
+            applicationData.praxis_id,
+            userId,
+            'CREATE',
+            'therapy_application',
+            result.lastInsertRowid,
+            null,
+            applicationData,
+            `Application ${applicationData.application_type} created for client ${applicationData.client_id}`
+        );
+        
+        return result.lastInsertRowid;
+    } catch (error) {
+        console.error("❌ Error adding therapy application:", error);
+        throw error;
+    }
+}
+
+function getTherapyApplicationById(id, userPraxisId = null) {
+    try {
+        const application = db.prepare(`${applicationSelectSql} WHERE a.id = ?`).get(id);
+        
+        if (application && userPraxisId) {
+            validatePraxisAccess(application.praxis_id, userPraxisId);
+        }
+        
+        return application || null;
+    } catch (error) {
+        console.error("❌ Error fetching therapy application:", error);
+        return null;
+    }
+}
+
+function getTherapyApplicationsByClient(clientId, praxisId) {
+    try {
+        return db.prepare(`
+            ${applicationSelectSql}
+            WHERE a.client_id = ? AND a.praxis_id = ?
+            ORDER BY a.created_at DESC, a.id DESC
+        `).all(clientId, praxisId);
+    } catch (error) {
+        console.error("❌ Error fetching therapy applications:", error);
+        return [];
+    }
+}
+
+/**
+ * Noch nicht entschiedene Anträge der Praxis (Entwürfe und eingereichte)
+ */
+function getOpenTherapyApplications(praxisId) {
+    try {
+        return db.prepare(`
+            ${applicationSelectSql}
+            WHERE a.praxis_id = ? AND a.status IN ('draft', 'submitted') AND c.is_archived = 0
+            ORDER BY a.submitted_at IS NULL, a.submitted_at ASC, a.id ASC
+        `).all(praxisId);
+    } catch (error) {
+        console.error("❌ Error fetching open therapy applications:", error);
+        return [];
+    }
+}
+
+function updateTherapyApplication(id, updates, userPraxisId = null, userId = null) {
+    try {
+        const application = getTherapyApplicationById(id, userPraxisId);
+        if (!application) {
+            throw new Error('Application not found or access denied');
+        }
+        
+        const allowedFields = [
+            'sessions_requested', 'requires_review', 'ptv1_date', 'ptv2_date', 'consiliar_report_date',
+            'report_submitted_at', 'reviewer_name', 'submitted_at', 'decision_due_date', 'status', 'notes'
+        ];
+        const fields = Object.keys(updates).filter(key => allowedFields.includes(key));
+        
+        if (fields.length === 0) {
+            throw new Error('No valid fields to update');
+        }
+        
+        const result = db.prepare(`
+            UPDATE therapy_applications 
+            SET ${fields.map(key => `${key} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(...fields.map(key => key === 'requires_review' ? (updates[key] ? 1 : 0) : updates[key]), id);
+        
+        logAction(application.praxis_id, userId, 'UPDATE', 'therapy_application', id, application, updates, `Application ${application.application_type} updated`);
+        
+        return result;
+    } catch (error) {
+        console.error("❌ Error updating therapy application:", error);
+        throw error;
+    }
+}
+
+/**
+ * Erfasst den Bescheid der Krankenkasse. Bei (Teil-)Bewilligung wird das
+ * Kontingent angelegt, wodurch clients.sessions_approved nachgeführt wird.
+ */
+function recordApplicationDecision(id, decisionData, userPraxisId = null, userId = null) {
+    try {
+        const application = getTherapyApplicationById(id, userPraxisId);
+        if (!application) {
+            throw new Error('Application not found or access denied');
+        }
+        
+        const approved = decisionData.decision !== 'rejected';
+        
+        const contingentId = db.transaction(() => {
+            const contingentId = approved
+                ? addTherapyContingent({
+                    praxis_id: application.praxis_id,
+                    client_id: application.client_id,
+                    contingent_type: APPLICATION_CONTINGENT_TYPES[application.application_type],
+                    sessions_approved: decisionData.sessions_approved,
+                    valid_from: decisionData.valid_from,
+                    valid_until: decisionData.valid_until,
+                    approval_date: decisionData.decision_date,
+                    approval_reference: decisionData.approval_reference,
+                    notes: `Bewilligung aus Antrag #${application.id}`
+                }, userId)
+                : null;
+            
+            db.prepare(`
+                UPDATE therapy_applications 
+                SET status = 'decided', decision = ?, decision_date = ?, sessions_approved = ?,
+                    approval_reference = ?, decision_notes = ?, contingent_id = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(
+                decisionData.decision,
+                decisionData.decision_date,
+                approved ? decisionData.sessions_approved : 0,
+                decisionData.approval_reference || null,
+                decisionData.decision_notes || null,
+                contingentId,
+                id
+            );
+            
+            return contingentId;
+        })();
+        
+        logAction(
+            application.praxis_id,
+            userId,
+            'UPDATE',
+            'therapy_application',
+            id,
+            { status: application.status },
+            { status: 'decided', decision: decisionData.decision, sessions_approved: decisionData.sessions_approved, contingent_id: contingentId },
+            `Application ${application.application_type} decided: ${decisionData.decision}`
+        );
+        
+        return { contingentId };
+    } catch (error) {
+        console.error("❌ Error recording application decision:", error);
+        throw error;
+    }
+}
+
+// === ANAMNESES === //
+
+function parseAnamneseRow(anamnese) {
+    if (!anamnese) return anamnese;
+    return {
+        ...anamnese,
+        data: JSON.parse(anamnese.data || '{}'),
+        risk_factors: JSON.parse(anamnese.risk_factors || '[]'),
+        protective_factors: JSON.parse(anamnese.protective_factors || '[]')
+    };
+}
+
+function addAnamnese(anamneseData) {
+    try {
+        const result = db.prepare(`
+            INSERT INTO anamneses (
+                client_id, type, version, data, completion_status, completion_percentage,
+                risk_factors, protective_factors, differential_diagnosis, treatment_recommendations,
+                urgency_level, review_required, created_by, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        `).run(
+            anamneseData.client_id,
+            anamneseData.type || 'psychological',
+            anamneseData.version || '1.0',
+            JSON.stringify(anamneseData.data || {}),
+            anamneseData.completion_status || 'draft',
+            anamneseData.completion_percentage || 0,
+            JSON.stringify(anamneseData.risk_factors || []),
+            JSON.stringify(anamneseData.protective_factors || []),
+            anamneseData.differential_diagnosis || null,
+            anamneseData.treatment_recommendations || null,
+            anamneseData.urgency_level || 'routine',
+            anamneseData.review_required ? 1 : 0,
+            anamneseData.created_by || null
+        );
+        
+        const client = db.prepare("SELECT praxis_id FROM clients WHERE id = ?").get(anamneseData.client_id);
+        logAction(
+            client ? client.praxis_id : null,
+            anamneseData.created_by || null,
+            'CREATE',
+            'anamnese',
+            result.lastInsertRowid,
+            null,
+            { type: anamneseData.type, completion_status: anamneseData.completion_status },
+            `Anamnese (${anamneseData.type || 'psychological'}) created for client ${anamneseData.client_id}`
+        );
+        
+        return result;
+    } catch (error) {
+        console.error("❌ Error adding anamnese:", error);
+        throw error;
+    }
+}
+
+function getAnamnesesByClient(clientId, userPraxisId = null) {
+    try {
+        const client = getClientById(clientId, userPraxisId);
+        if (!client) {
+            throw new Error('Client not found or access denied');
+        }
+        
+        return db.prepare(`
+            SELECT * FROM anamneses WHERE client_id = ? ORDER BY created_at DESC, id DESC
+        `).all(clientId).map(parseAnamneseRow);
+    } catch (error) {
+        console.error("❌ Error fetching anamneses:", error);
+        return [];
+    }
+}
+
+// === WAITING LIST === //
+
+const waitlistSelectSql = `
+    SELECT 
+        w.*,
+        c.name as client_name,
+        c.client_number,
+        c.insurance_type,
+        c.risk_level,
+        u.name as preferred_therapist_name,
+        (SELECT COUNT(*) FROM waitlist_contact_attempts wc WHERE wc.entry_id = w.id) as contact_attempts,
+        (SELECT MAX(wc.contacted_at) FROM waitlist_contact_attempts wc WHERE wc.entry_id = w.id) as last_contact_at
+    FROM waitlist_entries w
+    JOIN clients c ON w.client_id = c.id
+    LEFT JOIN users u ON w.preferred_therapist_id = u.id
+`;
+
+function parseWaitlistRow(entry) {
+    if (!entry) return entry;
+    return {
+        ...entry,
+        preferred_slots: entry.preferred_slots ? JSON.parse(entry.preferred_slots) : []
+    };
+}
+
+/**
+ * Nimmt einen Client in die Warteliste auf und setzt den Therapiestatus auf 'warteliste'
+ */
+function addWaitlistEntry(entryData, userId = null) {
+    try {
+        const entryId = db.transaction(() => {
+            const result = db.prepare(`
+                INSERT INTO waitlist_entries (
+                    praxis_id, client_id, request_date, urgency, preferred_therapy_type,
+                    preferred_therapist_id, preferred_slots, notes, created_by, created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+            `).run(
+                entryData.praxis_id,
+                entryData.client_id,
+                entryData.request_date,
+                entryData.urgency || 'routine',
+                entryData.preferred_therapy_type || null,
+                entryData.preferred_therapist_id || null,
+                JSON.stringify(entryData.preferred_slots || []),
+                entryData.notes || null,
+                userId
+            );
+            
+            db.prepare(`
+                UPDATE clients SET therapy_status = 'warteliste', updated_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(entryData.client_id);
+            
+            return result.lastInsertRowid;
+        })();
+        
+        logAction(
+            entryData.praxis_id,
+            userId,
+            'CREATE',
+            'waitlist_entry',
+            entryId,
+            null,
+            entryData,
+            `Client ${entryData.client_id} added to waiting list`
+        );
+        
+        return entryId;
+    } catch (error) {
+        console.error("❌ Error adding waitlist entry:", error);
+        throw error;
+    }
+}
+
+function getWaitlistEntryById(id, userPraxisId = null) {
+    try {
+        const entry = db.prepare(`${waitlistSelectSql} WHERE w.id = ?`).get(id);
+        
+        if (entry && userPraxisId) {
+            validatePraxisAccess(entry.praxis_id, userPraxisId);
+        }
+        
+        return parseWaitlistRow(entry) || null;
+    } catch (error) {
+        console.error("❌ Error fetching waitlist entry:", error);
+        return null;
+    }
+}
+
+function getWaitlistEntries(praxisId, filters = {}) {
+    try {
+        let sql = `${waitlistSelectSql} WHERE w.praxis_id = ? AND c.is_archived = 0`;
+        const params = [praxisId];
+        
+        if (filters.client_id) {
+            sql += " AND w.client_id = ?";
+            params.push(filters.client_id);
+        }
+        
+        if (filters.status) {
+            sql += " AND w.status = ?";
+            params.push(filters.status);
+        }
+        
+        sql += " ORDER BY w.request_date ASC, w.id ASC";
+        
+        return db.prepare(sql).all(...params).map(parseWaitlistRow);
+    } catch (error) {
+        console.error("❌ Error fetching waitlist entries:", error);
+        return [];
+    }
+}
+
+function updateWaitlistEntry(id, updates, userPraxisId = null, userId = null) {
+    try {
+        const entry = getWaitlistEntryById(id, userPraxisId);
+        if (!entry) {
+            throw new Error('Waitlist entry not found or access denied');
+        }
+        
+        const allowedFields = [
+            'request_date', 'urgency', 'preferred_therapy_type', 'preferred_therapist_id', 'preferred_slots', 'notes'
+        ];
+        const fields = Object.keys(updates).filter(key => allowedFields.includes(key));
+        
+        if (fields.length === 0) {
+            throw new Error('No valid fields to update');
+        }
+        
+        const result = db.prepare(`
+            UPDATE waitlist_entries 
+            SET ${fields.map(key => `${key} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(...fields.map(key => key === 'preferred_slots' ? JSON.stringify(updates[key] || []) : updates[key]), id);
+        
+        logAction(entry.praxis_id, userId, 'UPDATE', 'waitlist_entry', id, entry, updates, `Waitlist entry updated for client ${entry.client_id}`);
+        
+        return result;
+    } catch (error) {
+        console.error("❌ Error updating waitlist entry:", error);
+        throw error;
+    }
+}
+
+function addWaitlistContactAttempt(entryId, attemptData, userId = null) {
+    try {
+        const result = db.prepare(`
+            INSERT INTO waitlist_contact_attempts (entry_id, contacted_at, channel, outcome, notes, created_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(
+            entryId,
+            attemptData.contacted_at,
+            attemptData.channel || 'telefon',
+            attemptData.outcome,
+            attemptData.notes || null,
+            userId
+        );
+        
+        db.prepare("UPDATE waitlist_entries SET updated_at = CURRENT_TIMESTAMP WHERE id = ?").run(entryId);
+        
+        return result.lastInsertRowid;
+    } catch (error) {
+        console.error("❌ Error adding waitlist contact attempt:", error);
+        throw error;
+    }
+}
+
+function getWaitlistContactAttempts(entryId) {
+    try {
+        return db.prepare(`
+            SELECT wc.*, u.name as created_by_name
+            FROM waitlist_contact_attempts wc
+            LEFT JOIN users u ON wc.created_by = u.id
+            WHERE wc.entry_id = ?
+            ORDER BY wc.contacted_at DESC, wc.id DESC
+        `).all(entryId);
+    } catch (error) {
+        console.error("❌ Error fetching waitlist contact attempts:", error);
+        return [];
+    }
+}
+
+/**
+ * Platzangebot: legt den Termin an, schließt den Wartelisteneintrag und
+ * setzt den Client auf 'aktiv' – alles in einer Transaktion.
+ */
+function placeWaitlistEntry(id, appointmentData, placedAt, userPraxisId = null, userId = null) {
+    try {
+        const entry = getWaitlistEntryById(id, userPraxisId);
+        if (!entry) {
+            throw new Error('Waitlist entry not found or access denied');
+        }
+        
+        const appointmentId = db.transaction(() => {
+            const appointmentId = addAppointment({ ...appointmentData, created_by: userId }).lastInsertRowid;
+            
+            db.prepare(`
+                UPDATE waitlist_entries 
+                SET status = 'placed', appointment_id = ?, placed_at = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(appointmentId, placedAt, id);
+            
+            db.prepare(`
+                UPDATE clients 
+                SET therapy_status = 'aktiv', start_date = COALESCE(start_date, ?), updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(appointmentData.start_time.slice(0, 10), entry.client_id);
+            
+            return appointmentId;
+        })();
+        
+        logAction(
+            entry.praxis_id,
+            userId,
+            'UPDATE',
+            'waitlist_entry',
+            id,
+            { status: entry.status },
+            { status: 'placed', appointment_id: appointmentId },
+            `Waiting list place offered to client ${entry.client_id}`
+        );
+        
+        return { appointmentId };
+    } catch (error) {
+        console.error("❌ Error placing waitlist entry:", error);
+        throw error;
+    }
+}
+
+function removeWaitlistEntry(id, reason, removedAt, userPraxisId = null, userId = null) {
+    try {
+        const entry = getWaitlistEntryById(id, userPraxisId);
+        if (!entry) {
+            throw new Error('Waitlist entry not found or access denied');
+        }
+        
+        db.transaction(() => {
+            db.prepare(`
+                UPDATE waitlist_entries 
+                SET status = 'removed', removed_at = ?, removal_reason = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(removedAt, reason || null, id);
+            
+            // Wer ohne Platz von der Liste geht, hat bei uns keine laufende Behandlung
+            db.prepare(`
+                UPDATE clients SET therapy_status = 'beendet', updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND therapy_status = 'warteliste'
+            `).run(entry.client_id);
+        })();
+        
+        logAction(entry.praxis_id, userId, 'DELETE', 'waitlist_entry', id, { status: entry.status }, { status: 'removed', reason }, `Client ${entry.client_id} removed from waiting list`);
+    } catch (error) {
+        console.error("❌ Error removing waitlist entry:", error);
+        throw error;
+    }
+}
+
+/**
+ * Wartezeiten in Tagen: vermittelte Einträge im Zeitraum (nach Platzierungsdatum)
+ * und die aktuell noch Wartenden
+ */
+function getWaitlistStatistics(praxisId, from, to) {
+    try {
+        const placed = db.prepare(`
+            SELECT 
+                urgency,
+                COUNT(*) as count,
+                AVG(julianday(placed_at) - julianday(request_date)) as avg_wait_days,
+                MIN(julianday(placed_at) - julianday(request_date)) as min_wait_days,
+                MAX(julianday(placed_at) - julianday(request_date)) as max_wait_days
+            FROM waitlist_entries
+            WHERE praxis_id = ? AND status = 'placed' AND placed_at BETWEEN ? AND ?
+            GROUP BY urgency
+        `).all(praxisId, from, to);
+        
+        const waiting = db.prepare(`
+            SELECT 
+                w.urgency,
+                COUNT(*) as count,
+                AVG(julianday(date('now')) - julianday(w.request_date)) as avg_wait_days,
+                MAX(julianday(date('now')) - julianday(w.request_date)) as max_wait_days
+            FROM waitlist_entries w
+            JOIN clients c ON w.client_id = c.id
+            WHERE w.praxis_id = ? AND w.status = 'waiting' AND c.is_archived = 0
+            GROUP BY w.urgency
+        `).all(praxisId);
+        
+        const removed = db.prepare(`
+            SELECT COUNT(*) as count FROM waitlist_entries
+            WHERE praxis_id = ? AND status = 'removed' AND removed_at BETWEEN ? AND ?
+        `).get(praxisId, from, to);
+        
+        return { placed, waiting, removed: removed.count };
+    } catch (error) {
+        console.error("❌ Error calculating waitlist statistics:", error);
+        throw error;
+    }
+}
+
+// === DOCUMENT MANAGEMENT === //
+
+function parseDocumentRow(document) {
+    if (!document) return document;
+    
+    const { encryption_key, ...safeDocument } = document;
+    return {
+        ...safeDocument,
+        tags: document.tags ? JSON.parse(document.tags) : []
+    };
+}
+
+function addDocument(docData) {
+    try {
+        // Default retention follows the praxis-wide data retention setting
+        let retentionUntil = docData.retention_until || null;
+        if (!retentionUntil) {
+            const retentionDays = getSetting('retention_days', 'database') || 2555;
+            const retentionDate = new Date();
+            retentionDate.setDate(retentionDate.getDate() + retentionDays);
+            retentionUntil = retentionDate.toISOString().split('T')[0];
+        }
+        
+        const stmt = db.prepare(`
+            INSERT INTO documents (
+                praxis_id, client_id, session_id, category, title, filename,
+                original_name, file_path, file_type, file_size, file_hash,
+                description, tags, access_level, ocr_text, retention_until,
+                uploaded_by, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `);
+        
+        const result = stmt.run(
+            docData.praxis_id || null,
+            docData.client_id || null,
+            docData.session_id || null,
+            docData.category || 'sonstiges',
+            docData.title || docData.original_name || docData.filename,
+            docData.filename,
+            docData.original_name || null,
+            docData.file_path,
+            docData.file_type || null,
+            docData.file_size || null,
+            docData.file_hash || null,
+            docData.description || null,
+            docData.tags ? JSON.stringify(docData.tags) : null,
+            docData.access_level || 'confidential',
+            docData.ocr_text || null,
+            retentionUntil,
+            docData.uploaded_by || null
+        );
+        
+        logAction(
+            docData.praxis_id || null,
+            docData.uploaded_by || null,
+            'CREATE',
+            'document',
+            result.lastInsertRowid,
+            null,
+            {
+                client_id: docData.client_id || null,
+                session_id: docData.session_id || null,
+                category: docData.category || 'sonstiges',
+                original_name: docData.original_name || null
+            },
+            `Document uploaded: ${docData.original_name || docData.filename}`
+        );
+        
+        console.log("✅ Document saved:", docData.original_name || docData.filename);
+        return result;
+    } catch (error) {
+        console.error("❌ Error saving document:", error);
+        throw error;
+    }
+}
+
+function getDocumentsByClient(clientId, filters = {}, userPraxisId = null) {
+    try {
+        // Verify client access
+        const client = getClientById(clientId, userPraxisId);
+        if (!client) {
+            throw new Error('Client not found or access denied');
+        }
+        
+        return getDocumentsByPraxis(client.praxis_id, { ...filters, client_id: clientId });
+    } catch (error) {
+        console.error("❌ Error fetching client documents:", error);
+        return [];
+    }
+}
+
+function getDocumentsByPraxis(praxisId, filters = {}) {
+    try {
+        let sql = `
+            SELECT 
+                d.id, d.praxis_id, d.client_id, d.session_id, d.category, d.title,
+                d.filename, d.original_name, d.file_type, d.file_size, d.file_hash,
+                d.description, d.tags, d.is_confidential, d.access_level,
+                d.retention_until, d.uploaded_by, d.created_at, d.updated_at,
+                c.name as client_name,
+                s.session_number,
+                s.date as session_date,
+                u.name as uploaded_by_name
+            FROM documents d
+            LEFT JOIN clients c ON d.client_id = c.id
+            LEFT JOIN sessions s ON d.session_id = s.id
+            LEFT JOIN users u ON d.uploaded_by = u.id
+            WHERE d.praxis_id = ?
+        `;
+        
+        const params = [praxisId];
+        
+        if (filters.client_id) {
+            sql += " AND d.client_id = ?";
+            params.push(filters.client_id);
+        }
+        
+        if (filters.session_id) {
+            sql += " AND d.session_id = ?";
+            params.push(filters.session_id);
+        }
+        
+        if (filters.category) {
+            sql += " AND d.category = ?";
+            params.push(filters.category);
+        }
+        
+        if (filters.search) {
+            const searchTerm = `%${filters.search}%`;
+            sql += " AND (d.title LIKE ? OR d.original_name LIKE ? OR d.description LIKE ? OR d.ocr_text LIKE ?)";
+            params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+        }
+        
+        sql += " ORDER BY d.created_at DESC, d.id DESC LIMIT ?";
+        params.push(filters.limit || 100);
+        
+        return db.prepare(sql).all(...params).map(parseDocumentRow);
+    } catch (error) {
+        console.error("❌ Error fetching documents:", error);
+        return [];
+    }
+}
+
+function getDocumentById(id, userPraxisId = null) {
+    try {
+        const stmt = db.prepare(`
+            SELECT 
+                d.*,
+                c.name as client_name,
+                s.session_number,
+                u.name as uploaded_by_name
+            FROM documents d
+            LEFT JOIN clients c ON d.client_id = c.id
+            LEFT JOIN sessions s ON d.session_id = s.id
+            LEFT JOIN users u ON d.uploaded_by = u.id
+            WHERE d.id = ?
+        `);
+        
+        const document = stmt.get(id);
+        
+        if (!document) {
+            return null;
+        }
+        
+        if (userPraxisId) {
+            validatePraxisAccess(document.praxis_id, userPraxisId);
+        }
+        
+        return parseDocumentRow(document);
+    } catch (error) {
+        console.error("❌ Error fetching document:", error);
+        return null;
+    }
+}
+
+function updateDocument(id, updates, userPraxisId = null, userId = null) {
+    try {
+        const document = getDocumentById(id, userPraxisId);
+        if (!document) {
+            throw new Error('Document not found or access denied');
+        }
+        
+        const allowedFields = [
+            'category', 'title', 'description', 'tags', 'client_id',
+            'session_id', 'access_level', 'retention_until'
+        ];
+        
+        const fields = Object.keys(updates).filter(key => allowedFields.includes(key));
+        
+        if (fields.length === 0) {
+            throw new Error('No valid fields to update');
+        }
+        
+        const setClause = fields.map(key => `${key} = ?`).join(', ');
+        const values = fields.map(key => 
+            key === 'tags' && Array.isArray(updates.tags) ? JSON.stringify(updates.tags) : updates[key]
+        );
+        values.push(id);
+        
+        const stmt = db.prepare(`
+            UPDATE documents 
+            SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `);
+        
+        const result = stmt.run(...values);
+        
+        logAction(
+            document.praxis_id,
+            userId,
+            'UPDATE',
+            'document',
+            id,
+            fields.reduce((acc, key) => ({ ...acc, [key]: document[key] }), {}),
+            updates,
+            `Document updated: ${document.original_name || document.filename}`
+        );
+        
+        console.log("✅ Document updated:", id);
+        return result;
+    } catch (error) {
+        console.error("❌ Error updating document:", error);
+        throw error;
+    }
+}
+
+function deleteDocument(id, userPraxisId = null, userId = null) {
+    try {
+        const document = getDocumentById(id, userPraxisId);
+        if (!document) {
+            throw new Error('Document not found or access denied');
+        }
+        
+        const result = db.prepare('DELETE FROM documents WHERE id = ?').run(id);
+        
+        logAction(
+            document.praxis_id,
+            userId,
+            'DELETE',
+            'document',
+            id,
+            {
+                client_id: document.client_id,
+                category: document.category,
+                original_name: document.original_name,
+                file_hash: document.file_hash
+            },
+            null,
+            `Document deleted: ${document.original_name || document.filename}`
+        );
+        
+        console.log("✅ Document deleted:", id);
+        return result;
+    } catch (error) {
+        console.error("❌ Error deleting document:", error);
+        throw error;
+    }
+}
+
+// === CHAT HISTORY === //
+
+function createChatConversation(conversationData) {
+    try {
+        const conversationId = conversationData.id || crypto.randomUUID();
+        
+        db.prepare(`
+            INSERT INTO chat_conversations (id, praxis_id, client_id, title, created_by, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        `).run(
+            conversationId,
+            conversationData.praxis_id,
+            conversationData.client_id,
+            conversationData.title || 'Neue Unterhaltung',
+            conversationData.created_by || null
+        );
+        
+        console.log("✅ Chat conversation created:", conversationId);
+        return conversationId;
+    } catch (error) {
+        console.error("❌ Error creating chat conversation:", error);
+        throw error;
+    }
+}
+
+function getChatConversationById(conversationId, userPraxisId = null) {
+    try {
+        const conversation = db.prepare(`
+            SELECT 
+                cc.*,
+                c.name as client_name,
+                u.name as created_by_name
+            FROM chat_conversations cc
+            JOIN clients c ON cc.client_id = c.id
+            LEFT JOIN users u ON cc.created_by = u.id
+            WHERE cc.id = ?
+        `).get(conversationId);
+        
+        if (!conversation) {
+            return null;
+        }
+        
+        if (userPraxisId) {
+            validatePraxisAccess(conversation.praxis_id, userPraxisId);
+        }
+        
+        return conversation;
+    } catch (error) {
+        console.error("❌ Error fetching chat conversation:", error);
+        return null;
+    }
+}
+
+function getChatConversationsByClient(clientId, userPraxisId = null) {
+    try {
+        // Verify client access
+        const client = getClientById(clientId, userPraxisId);
+        if (!client) {
+            throw new Error('Client not found or access denied');
+        }
+        
+        return db.prepare(`
+            SELECT 
+                cc.*,
+                u.name as created_by_name,
+                COUNT(ch.id) as message_count,
+                MAX(ch.timestamp) as last_message_at,
+                ROUND(AVG(ch.user_rating), 2) as avg_rating
+            FROM chat_conversations cc
+            LEFT JOIN chat_history ch ON ch.conversation_id = cc.id
+            LEFT JOIN users u ON cc.created_by = u.id
+            WHERE cc.client_id = ?
+            GROUP BY cc.id
+            ORDER BY COALESCE(MAX(ch.timestamp), cc.created_at) DESC
+        `).all(clientId);
+    } catch (error) {
+        console.error("❌ Error fetching chat conversations:", error);
+        return [];
+    }
+}
+
+function renameChatConversation(conversationId, title, userPraxisId = null, userId = null) {
+    try {
+        const conversation = getChatConversationById(conversationId, userPraxisId);
+        if (!conversation) {
+            throw new Error('Conversation not found or access denied');
+        }
+        
+        const result = db.prepare(`
+            UPDATE chat_conversations 
+            SET title = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(title, conversationId);
+        
+        logAction(
+            conversation.praxis_id,
+            userId,
+            'UPDATE',
+            'chat_conversation',
+            null,
+            { id: conversationId, title: conversation.title },
+            { id: conversationId, title },
+            `Chat conversation renamed: ${title}`
+        );
+        
+        return result;
+    } catch (error) {
+        console.error("❌ Error renaming chat conversation:", error);
+        throw error;
+    }
+}
+
+function deleteChatConversation(conversationId, userPraxisId = null, userId = null) {
+    try {
+        const conversation = getChatConversationById(conversationId, userPraxisId);
+        if (!conversation) {
+            throw new Error('Conversation not found or access denied');
+        }
+        
+        const removeConversation = db.transaction(() => {
+            const messages = db.prepare('DELETE FROM chat_history WHERE conversation_id = ?').run(conversationId);
+            db.prepare('DELETE FROM chat_conversations WHERE id = ?').run(conversationId);
+            return messages.changes;
+        });
+        
+        const deletedMessages = removeConversation();
+        
+        logAction(
+            conversation.praxis_id,
+            userId,
+            'DELETE',
+            'chat_conversation',
+            null,
+            { id: conversationId, title: conversation.title, client_id: conversation.client_id },
+            null,
+            `Chat conversation deleted: ${conversation.title} (${deletedMessages} messages)`
+        );
+        
+        console.log("✅ Chat conversation deleted:", conversationId);
+        return { changes: deletedMessages };
+    } catch (error) {
+        console.error("❌ Error deleting chat conversation:", error);
+        throw error;
+    }
+}
+
+function addChatMessage(messageData) {
+    try {
+        const stmt = db.prepare(`
+            INSERT INTO chat_history (
+                client_id, session_id, conversation_id, role, content,
+                attachments, tokens_used, model_used, context_window,
+                response_time, is_sensitive, created_by, timestamp
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `);
+        
+        const result = stmt.run(
+            messageData.client_id || null,
+            messageData.session_id || null,
+            messageData.conversation_id || null,
+            messageData.role,
+            messageData.content,
+            messageData.attachments ? JSON.stringify(messageData.attachments) : null,
+            messageData.tokens_used || null,
+            messageData.model_used || null,
+            messageData.context_window || null,
+            messageData.response_time || null,
+            messageData.is_sensitive ? 1 : 0,
+            messageData.created_by || null
+        );
+        
+        if (messageData.conversation_id) {
+            db.prepare(`
+                UPDATE chat_conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(messageData.conversation_id);
+        }
+        
+        return result;
+    } catch (error) {
+        console.error("❌ Error saving chat message:", error);
+        throw error;
+    }
+}
+
+/**
+ * Liefert die letzten Nachrichten eines Klienten (optional einer Unterhaltung)
+ * in chronologischer Reihenfolge.
+ */
+function getChatHistory(clientId, limit = 50, conversationId = null) {
+    try {
+        let sql = `
+            SELECT ch.*, u.name as created_by_name
+            FROM chat_history ch
+            LEFT JOIN users u ON ch.created_by = u.id
+            WHERE ch.client_id = ?
+        `;
+        const params = [clientId];
+        
+        if (conversationId) {
+            sql += " AND ch.conversation_id = ?";
+            params.push(conversationId);
+        }
+        
+        sql += " ORDER BY ch.timestamp DESC, ch.id DESC LIMIT ?";
+        params.push(limit);
+        
+        return db.prepare(sql).all(...params).reverse().map(message => ({
+            ...message,
+            attachments: message.attachments ? JSON.parse(message.attachments) : []
+        }));
+    } catch (error) {
+        console.error("❌ Error fetching chat history:", error);
+        return [];
+    }
+}
+
+function getRecentChatHistory(praxisId, limit = 20) {
+    try {
+        return db.prepare(`
+            SELECT 
+                ch.id, ch.client_id, ch.conversation_id, ch.role, ch.content,
+                ch.model_used, ch.timestamp,
+                c.name as client_name,
+                cc.title as conversation_title
+            FROM chat_history ch
+            JOIN clients c ON ch.client_id = c.id
+            LEFT JOIN chat_conversations cc ON ch.conversation_id = cc.id
+            WHERE c.praxis_id = ?
+            ORDER BY ch.timestamp DESC, ch.id DESC
+            LIMIT ?
+        `).all(praxisId, limit);
+    } catch (error) {
+        console.error("❌ Error fetching recent chat history:", error);
+        return [];
+    }
+}
+
+function rateChatMessage(messageId, rating, userPraxisId = null) {
+    try {
+        const message = db.prepare(`
+            SELECT ch.id, ch.role, c.praxis_id
+            FROM chat_history ch
+            JOIN clients c ON ch.client_id = c.id
+            WHERE ch.id = ?
+        `).get(messageId);
+        
+        if (!message) {
+            throw new Error('Message not found');
+        }
+        
+        if (userPraxisId) {
+            validatePraxisAccess(message.praxis_id, userPraxisId);
+        }
+        
+        if (message.role !== 'assistant') {
+            throw new Error('Only assistant messages can be rated');
+        }
+        
+        return db.prepare('UPDATE chat_history SET user_rating = ? WHERE id = ?').run(rating, messageId);
+    } catch (error) {
+        console.error("❌ Error rating chat message:", error);
+        throw error;
+    }
+}
+
+// === TREATMENT GOALS === //
+
+// review_frequency -> SQLite date modifier for the next review
+const GOAL_REVIEW_INTERVALS = {
+    daily: '+1 day',
+    weekly: '+7 days',
+    biweekly: '+14 days',
+    monthly: '+1 month',
+    quarterly: '+3 months'
+};
+
+const nextReviewSql = `date(COALESCE(tg.last_reviewed, tg.created_at), CASE tg.review_frequency ${
+    Object.entries(GOAL_REVIEW_INTERVALS).map(([frequency, modifier]) => `WHEN '${frequency}' THEN '${modifier}'`).join(' ')
+} ELSE '+7 days' END)`;
+
+function normalizeMilestones(milestones) {
+    if (!Array.isArray(milestones)) return [];
+    
+    return milestones.map(milestone => {
+        const entry = typeof milestone === 'string' ? { title: milestone } : milestone;
+        return {
+            id: entry.id || generateSecureId().substring(0, 8),
+            title: entry.title,
+            target_date: entry.target_date || null,
+            completed: !!entry.completed,
+            completed_at: entry.completed ? (entry.completed_at || new Date().toISOString()) : null
+        };
+    });
+}
+
+function parseGoalRow(goal) {
+    if (!goal) return goal;
+    
+    return {
+        ...goal,
+        milestones: goal.milestones ? JSON.parse(goal.milestones) : [],
+        interventions: goal.interventions ? JSON.parse(goal.interventions) : [],
+        is_smart_goal: !!goal.is_smart_goal
+    };
+}
+
+function addTreatmentGoal(goalData) {
+    try {
+        const createGoal = db.transaction(() => {
+            const result = db.prepare(`
+                INSERT INTO treatment_goals (
+                    client_id, title, description, category, priority, status,
+                    target_date, progress, measurement_method, baseline_value,
+                    current_value, target_value, milestones, interventions,
+                    obstacles, resources, review_frequency, notes, is_smart_goal,
+                    created_by, created_at
+                ) VALUES (?, ?, ?, ?, ?, 'active', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            `).run(
+                goalData.client_id,
+                goalData.title,
+                goalData.description || null,
+                goalData.category || 'symptom',
+                goalData.priority || 'medium',
+                goalData.target_date || null,
+                goalData.progress || 0,
+                goalData.measurement_method || null,
+                goalData.baseline_value || null,
+                goalData.current_value || goalData.baseline_value || null,
+                goalData.target_value || null,
+                JSON.stringify(normalizeMilestones(goalData.milestones)),
+                JSON.stringify(goalData.interventions || []),
+                goalData.obstacles || null,
+                goalData.resources || null,
+                goalData.review_frequency || 'weekly',
+                goalData.notes || null,
+                goalData.is_smart_goal ? 1 : 0,
+                goalData.created_by || null
+            );
+            
+            // Starting point of the progress history
+            db.prepare(`
+                INSERT INTO goal_progress_history (goal_id, progress, current_value, note, recorded_by, recorded_at)
+                VALUES (?, ?, ?, 'Ausgangswert', ?, CURRENT_TIMESTAMP)
+            `).run(
+                result.lastInsertRowid,
+                goalData.progress || 0,
+                goalData.baseline_value || null,
+                goalData.created_by || null
+            );
+            
+            return result;
+        });
+        
+        const result = createGoal();
+        
+        logAction(
+            goalData.praxis_id || null,
+            goalData.created_by || null,
+            'CREATE',
+            'treatment_goal',
+            result.lastInsertRowid,
+            null,
+            goalData,
+            `Treatment goal created: ${goalData.title}`
+        );
+        
+        console.log("✅ Treatment goal created:", goalData.title);
+        return result;
+    } catch (error) {
+        console.error("❌ Error creating treatment goal:", error);
+        throw error;
+    }
+}
+
+function getTreatmentGoalsByClient(clientId, filters = {}, userPraxisId = null) {
+    try {
+        // Verify client access
+        const client = getClientById(clientId, userPraxisId);
+        if (!client) {
+            throw new Error('Client not found or access denied');
+        }
+        
+        let sql = `
+            SELECT 
+                tg.*,
+                ${nextReviewSql} as next_review,
+                u.name as created_by_name
+            FROM treatment_goals tg
+            LEFT JOIN users u ON tg.created_by = u.id
+            WHERE tg.client_id = ?
+        `;
+        const params = [clientId];
+        
+        if (filters.status) {
+            sql += " AND tg.status = ?";
+            params.push(filters.status);
+        }
+        
+        sql += `
+            ORDER BY 
+                CASE tg.status WHEN 'active' THEN 0 WHEN 'paused' THEN 1 ELSE 2 END,
+                CASE tg.priority WHEN 'critical' THEN 0 WHEN 'high' THEN 1 WHEN 'medium' THEN 2 ELSE 3 END,
+                tg.created_at ASC
+        `;
+        
+        return db.prepare(sql).all(...params).map(parseGoalRow);
+    } catch (error) {
+        console.error("❌ Error fetching treatment goals:", error);
+        return [];
+    }
+}
+
+function getTreatmentGoalById(id, userPraxisId = null) {
+    try {
+        const goal = db.prepare(`
+            SELECT 
+                tg.*,
+                ${nextReviewSql} as next_review,
+                c.praxis_id,
+                c.name as client_name,
+                u.name as created_by_name
+            FROM treatment_goals tg
+            JOIN clients c ON tg.client_id = c.id
+            LEFT JOIN users u ON tg.created_by = u.id
+            WHERE tg.id = ?
+        `).get(id);
+        
+        if (!goal) {
+            return null;
+        }
+        
+        if (userPraxisId) {
+            validatePraxisAccess(goal.praxis_id, userPraxisId);
+        }
+        
+        return parseGoalRow(goal);
+    } catch (error) {
+        console.error("❌ Error fetching treatment goal:", error);
+        return null;
+    }
+}
+
+function updateTreatmentGoal(id, updates, userPraxisId = null, userId = null) {
+    try {
+        const goal = getTreatmentGoalById(id, userPraxisId);
+        if (!goal) {
+            throw new Error('Treatment goal not found or access denied');
+        }
+        
+        const allowedFields = [
+            'title', 'description', 'category', 'priority', 'status', 'target_date',
+            'completion_date', 'measurement_method', 'baseline_value', 'current_value',
+            'target_value', 'milestones', 'interventions', 'obstacles', 'resources',
+            'review_frequency', 'last_reviewed', 'notes', 'is_smart_goal', 'progress'
+        ];
+        
+        const fields = Object.keys(updates).filter(key => allowedFields.includes(key));
+        
+        if (fields.length === 0) {
+            throw new Error('No valid fields to update');
+        }
+        
+        const values = fields.map(key => {
+            if (key === 'milestones') return JSON.stringify(normalizeMilestones(updates.milestones));
+            if (key === 'interventions') return JSON.stringify(updates.interventions || []);
+            if (key === 'is_smart_goal') return updates.is_smart_goal ? 1 : 0;
+            return updates[key];
+        });
+        
+        // Completing a goal records the completion date
+        if (updates.status === 'completed' && !updates.completion_date && !goal.completion_date) {
+            fields.push('completion_date');
+            values.push(new Date().toISOString().split('T')[0]);
+        }
+        
+        const setClause = fields.map(key => `${key} = ?`).join(', ');
+        values.push(id);
+        
+        const result = db.prepare(`
+            UPDATE treatment_goals 
+            SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(...values);
+        
+        logAction(
+            goal.praxis_id,
+            userId,
+            'UPDATE',
+            'treatment_goal',
+            id,
+            fields.reduce((acc, key) => ({ ...acc, [key]: goal[key] }), {}),
+            updates,
+            `Treatment goal updated: ${goal.title}`
+        );
+        
+        console.log("✅ Treatment goal updated:", id);
+        return result;
+    } catch (error) {
+        console.error("❌ Error updating treatment goal:", error);
+        throw error;
+    }
+}
+
+function deleteTreatmentGoal(id, userPraxisId = null, userId = null) {
+    try {
+        const goal = getTreatmentGoalById(id, userPraxisId);
+        if (!goal) {
+            throw new Error('Treatment goal not found or access denied');
+        }
+        
+        const result = db.prepare('DELETE FROM treatment_goals WHERE id = ?').run(id);
+        
+        logAction(
+            goal.praxis_id,
+            userId,
+            'DELETE',
+            'treatment_goal',
+            id,
+            goal,
+            null,
+            `Treatment goal deleted: ${goal.title}`
+        );
+        
+        console.log("✅ Treatment goal deleted:", id);
+        return result;
+    } catch (error) {
+        console.error("❌ Error deleting treatment goal:", error);
+        throw error;
+    }
+}
+
+/**
+ * Erfasst einen neuen Fortschrittsstand und schreibt ihn in die Historie
+ */
+function recordGoalProgress(goalId, progressData, userPraxisId = null, userId = null) {
+    try {
+        const goal = getTreatmentGoalById(goalId, userPraxisId);
+        if (!goal) {
+            throw new Error('Treatment goal not found or access denied');
+        }
+        
+        const progress = progressData.progress !== undefined ? progressData.progress : goal.progress;
+        const currentValue = progressData.current_value !== undefined ? progressData.current_value : goal.current_value;
+        
+        const saveProgress = db.transaction(() => {
+            db.prepare(`
+                INSERT INTO goal_progress_history (
+                    goal_id, progress, previous_progress, current_value, note,
+                    session_id, recorded_by, recorded_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            `).run(
+                goalId,
+                progress,
+                goal.progress,
+                currentValue,
+                progressData.note || null,
+                progressData.session_id || null,
+                userId
+            );
+            
+            const completed = progress === 100 && goal.status === 'active';
+            
+            return db.prepare(`
+                UPDATE treatment_goals 
+                SET progress = ?,
+                    current_value = ?,
+                    last_reviewed = CURRENT_TIMESTAMP,
+                    status = CASE WHEN ? THEN 'completed' ELSE status END,
+                    completion_date = CASE WHEN ? THEN date('now') ELSE completion_date END,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(progress, currentValue, completed ? 1 : 0, completed ? 1 : 0, goalId);
+        });
+        
+        const result = saveProgress();
+        
+        logAction(
+            goal.praxis_id,
+            userId,
+            'UPDATE',
+            'treatment_goal',
+            goalId,
+            { progress: goal.progress, current_value: goal.current_value },
+            { progress, current_value: currentValue },
+            `Goal progress recorded: ${goal.title} (${goal.progress}% → ${progress}%)`
+        );
+        
+        return result;
+    } catch (error) {
+        console.error("❌ Error recording goal progress:", error);
+        throw error;
+    }
+}
+
+function getGoalProgressHistory(goalId, userPraxisId = null) {
+    try {
+        const goal = getTreatmentGoalById(goalId, userPraxisId);
+        if (!goal) {
+            throw new Error('Treatment goal not found or access denied');
+        }
+        
+        return db.prepare(`
+            SELECT 
+                gph.*,
+                u.name as recorded_by_name,
+                s.session_number
+            FROM goal_progress_history gph
+            LEFT JOIN users u ON gph.recorded_by = u.id
+            LEFT JOIN sessions s ON gph.session_id = s.id
+            WHERE gph.goal_id = ?
+            ORDER BY gph.recorded_at ASC, gph.id ASC
+        `).all(goalId);
+    } catch (error) {
+        console.error("❌ Error fetching goal progress history:", error);
+        return [];
+    }
+}
+
+function setGoalMilestoneStatus(goalId, milestoneId, completed, userPraxisId = null, userId = null) {
+    try {
+        const goal = getTreatmentGoalById(goalId, userPraxisId);
+        if (!goal) {
+            throw new Error('Treatment goal not found or access denied');
+        }
+        
+        const milestone = goal.milestones.find(m => m.id === milestoneId);
+        if (!milestone) {
+            throw new Error('Milestone not found');
+        }
+        
+        milestone.completed = !!completed;
+        milestone.completed_at = completed ? new Date().toISOString() : null;
+        
+        const result = db.prepare(`
+            UPDATE treatment_goals 
+            SET milestones = ?, last_reviewed = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(JSON.stringify(goal.milestones), goalId);
+        
+        logAction(
+            goal.praxis_id,
+            userId,
+            'UPDATE',
+            'treatment_goal',
+            goalId,
+            null,
+            { milestone: milestone.title, completed: milestone.completed },
+            `Milestone ${completed ? 'completed' : 'reopened'}: ${milestone.title}`
+        );
+        
+        return milestone;
+    } catch (error) {
+        console.error("❌ Error updating milestone:", error);
+        throw error;
+    }
+}
+
+/**
+ * Aktive Ziele, deren Überprüfung laut review_frequency fällig ist
+ */
+function getGoalsDueForReview(praxisId, userId = null) {
+    try {
+        let sql = `
+            SELECT 
+                tg.*,
+                ${nextReviewSql} as next_review,
+                c.name as client_name,
+                c.client_number
+            FROM treatment_goals tg
+            JOIN clients c ON tg.client_id = c.id
+            WHERE c.praxis_id = ? AND c.is_archived = 0
+            AND tg.status = 'active'
+            AND ${nextReviewSql} <= date('now')
+        `;
+        const params = [praxisId];
+        
+        if (userId) {
+            sql += " AND (tg.created_by = ? OR c.created_by = ?)";
+            params.push(userId, userId);
+        }
+        
+        sql += " ORDER BY next_review ASC, CASE tg.priority WHEN 'critical' THEN 0 WHEN 'high' THEN 1 WHEN 'medium' THEN 2 ELSE 3 END";
+        
+        return db.prepare(sql).all(...params).map(parseGoalRow);
+    } catch (error) {
+        console.error("❌ Error fetching goals due for review:", error);
+        return [];
+    }
+}
+
+// === APPOINTMENT MANAGEMENT === //
+// start_time/end_time are stored as local praxis time 'YYYY-MM-DDTHH:MM:SS',
+// so range and overlap checks work as plain string comparisons.
+
+// Appointment statuses that still occupy a calendar slot
+const BLOCKING_APPOINTMENT_STATUSES = ['scheduled', 'confirmed', 'completed'];
+
+// Appointment type -> sessions.type for completed appointments
+const APPOINTMENT_SESSION_TYPES = {
+    therapy: 'Einzeltherapie',
+    intake: 'Erstgespräch',
+    assessment: 'Diagnostik',
+    group: 'Gruppentherapie'
+};
+
+function parseAppointmentRow(appointment) {
+    if (!appointment) return appointment;
+    
+    return {
+        ...appointment,
+        recurrence_pattern: appointment.recurrence_pattern ? JSON.parse(appointment.recurrence_pattern) : null,
+        reminder_settings: appointment.reminder_settings ? JSON.parse(appointment.reminder_settings) : null,
+        follow_up_required: !!appointment.follow_up_required,
+        billing_eligible: !!appointment.billing_eligible
+    };
+}
+
+const appointmentSelectSql = `
+    SELECT 
+        a.*,
+        c.name as client_name,
+        c.client_number,
+        t.name as therapist_name
+    FROM appointments a
+    LEFT JOIN clients c ON a.client_id = c.id
+    LEFT JOIN users t ON a.therapist_id = t.id
+`;
+
+function addAppointment(appointmentData) {
+    try {
+        const stmt = db.prepare(`
+            INSERT INTO appointments (
+                praxis_id, therapist_id, client_id, title, description, start_time,
+                end_time, location, type, status, recurrence_pattern, reminder_settings,
+                google_event_id, outlook_event_id, zoom_meeting_id, preparation_notes,
+                follow_up_required, billing_eligible, notes, rescheduled_from,
+                series_id, external_uid, created_by, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `);
+        
+        const result = stmt.run(
+            appointmentData.praxis_id,
+            appointmentData.therapist_id || null,
+            appointmentData.client_id || null,
+            appointmentData.title,
+            appointmentData.description || null,
+            appointmentData.start_time,
+            appointmentData.end_time,
+            appointmentData.location || 'Praxis',
+            appointmentData.type || 'therapy',
+            appointmentData.status || 'scheduled',
+            appointmentData.recurrence_pattern ? JSON.stringify(appointmentData.recurrence_pattern) : null,
+            appointmentData.reminder_settings ? JSON.stringify(appointmentData.reminder_settings) : null,
+            appointmentData.google_event_id || null,
+            appointmentData.outlook_event_id || null,
+            appointmentData.zoom_meeting_id || null,
+            appointmentData.preparation_notes || null,
+            appointmentData.follow_up_required ? 1 : 0,
+            appointmentData.billing_eligible === undefined ? 1 : (appointmentData.billing_eligible ? 1 : 0),
+            appointmentData.notes || null,
+            appointmentData.rescheduled_from || null,
+            appointmentData.series_id || null,
+            appointmentData.external_uid || null,
+            appointmentData.created_by || null
+        );
+        
+        logAction(
+            appointmentData.praxis_id,
+            appointmentData.created_by || null,
+            'CREATE',
+            'appointment',
+            result.lastInsertRowid,
+            null,
+            {
+                client_id: appointmentData.client_id || null,
+                therapist_id: appointmentData.therapist_id || null,
+                start_time: appointmentData.start_time,
+                end_time: appointmentData.end_time,
+                type: appointmentData.type || 'therapy'
+            },
+            `Appointment created: ${appointmentData.title}`
+        );
+        
+        console.log("✅ Appointment created:", appointmentData.start_time);
+        return result;
+    } catch (error) {
+        console.error("❌ Error creating appointment:", error);
+        throw error;
+    }
+}
+
+function getAppointmentById(id, userPraxisId = null) {
+    try {
+        const appointment = db.prepare(`${appointmentSelectSql} WHERE a.id = ?`).get(id);
+        
+        if (!appointment) {
+            return null;
+        }
+        
+        if (userPraxisId) {
+            validatePraxisAccess(appointment.praxis_id, userPraxisId);
+        }
+        
+        return parseAppointmentRow(appointment);
+    } catch (error) {
+        console.error("❌ Error fetching appointment:", error);
+        return null;
+    }
+}
+
+/**
+ * Termine einer Praxis im Zeitraum [start, end)
+ */
+function getAppointmentsInRange(praxisId, start, end, filters = {}) {
+    try {
+        let sql = `${appointmentSelectSql}
+            WHERE a.praxis_id = ? AND a.start_time < ? AND a.end_time > ?
+        `;
+        const params = [praxisId, end, start];
+        
+        if (filters.therapist_id) {
+            sql += " AND a.therapist_id = ?";
+            params.push(filters.therapist_id);
+        }
+        
+        if (filters.client_id) {
+            sql += " AND a.client_id = ?";
+            params.push(filters.client_id);
+        }
+        
+        if (filters.status) {
+            sql += " AND a.status = ?";
+            params.push(filters.status);
+        } else if (!filters.include_cancelled) {
+            sql += " AND a.status NOT IN ('cancelled', 'rescheduled')";
+        }
+        
+        sql += " ORDER BY a.start_time ASC, a.id ASC";
+        
+        return db.prepare(sql).all(...params).map(parseAppointmentRow);
+    } catch (error) {
+        console.error("❌ Error fetching appointments:", error);
+        return [];
+    }
+}
+
+function getAppointmentByExternalUid(praxisId, therapistId, externalUid) {
+    try {
+        const appointment = db.prepare(`${appointmentSelectSql} 
+            WHERE a.praxis_id = ? AND a.therapist_id = ? AND a.external_uid = ?
+            ORDER BY a.id DESC
+        `).get(praxisId, therapistId, externalUid);
+        
+        return parseAppointmentRow(appointment);
+    } catch (error) {
+        console.error("❌ Error fetching appointment by external UID:", error);
+        return null;
+    }
+}
+
+/**
+ * Überschneidende Termine desselben Therapeuten oder desselben Klienten
+ */
+function findAppointmentConflicts(praxisId, { therapist_id, client_id, start_time, end_time }, excludeId = null) {
+    try {
+        if (!therapist_id && !client_id) {
+            return [];
+        }
+        
+        const placeholders = BLOCKING_APPOINTMENT_STATUSES.map(() => '?').join(', ');
+        let sql = `${appointmentSelectSql}
+            WHERE a.praxis_id = ?
+            AND a.start_time < ? AND a.end_time > ?
+            AND a.status IN (${placeholders})
+            AND (
+        `;
+        const params = [praxisId, end_time, start_time, ...BLOCKING_APPOINTMENT_STATUSES];
+        
+        const ownerConditions = [];
+        if (therapist_id) {
+            ownerConditions.push("a.therapist_id = ?");
+            params.push(therapist_id);
+        }
+        if (client_id) {
+            ownerConditions.push("a.client_id = ?");
+            params.push(client_id);
+        }
+        sql += ownerConditions.join(' OR ') + ")";
+        
+        if (excludeId) {
+            sql += " AND a.id != ?";
+            params.push(excludeId);
+        }
+        
+        sql += " ORDER BY a.start_time ASC";
+        
+        return db.prepare(sql).all(...params).map(parseAppointmentRow);
+    } catch (error) {
+        console.error("❌ Error checking appointment conflicts:", error);
+        throw error;
+    }
+}
+
+function updateAppointment(id, updates, userPraxisId = null, userId = null) {
+    try {
+        const appointment = getAppointmentById(id, userPraxisId);
+        if (!appointment) {
+            throw new Error('Appointment not found or access denied');
+        }
+        
+        const allowedFields = [
+            'client_id', 'therapist_id', 'title', 'description', 'start_time', 'end_time',
+            'location', 'type', 'status', 'recurrence_pattern', 'reminder_settings',
+            'google_event_id', 'outlook_event_id', 'zoom_meeting_id', 'preparation_notes',
+            'follow_up_required', 'billing_eligible', 'notes', 'no_show_fee', 'session_id'
+        ];
+        
+        const fields = Object.keys(updates).filter(key => allowedFields.includes(key));
+        
+        if (fields.length === 0) {
+            throw new Error('No valid fields to update');
+        }
+        
+        const setClause = fields.map(key => `${key} = ?`).join(', ');
+        const values = fields.map(key => {
+            if (key === 'recurrence_pattern' || key === 'reminder_settings') {
+                return updates[key] ? JSON.stringify(updates[key]) : null;
+            }
+            if (key === 'follow_up_required' || key === 'billing_eligible') {
+                return updates[key] ? 1 : 0;
+            }
+            return updates[key];
+        });
+        values.push(id);
+        
+        const result = db.prepare(`
+            UPDATE appointments 
+            SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(...values);
+        
+        logAction(
+            appointment.praxis_id,
+            userId,
+            'UPDATE',
+            'appointment',
+            id,
+            fields.reduce((acc, key) => ({ ...acc, [key]: appointment[key] }), {}),
+            updates,
+            `Appointment updated: ${appointment.title}`
+        );
+        
+        return result;
+    } catch (error) {
+        console.error("❌ Error updating appointment:", error);
+        throw error;
+    }
+}
+
+function cancelAppointment(id, cancellationData = {}, userPraxisId = null, userId = null) {
+    try {
+        const appointment = getAppointmentById(id, userPraxisId);
+        if (!appointment) {
+            throw new Error('Appointment not found or access denied');
+        }
+        
+        const result = db.prepare(`
+            UPDATE appointments 
+            SET status = 'cancelled',
+                cancellation_reason = ?,
+                cancelled_by = ?,
+                cancelled_at = CURRENT_TIMESTAMP,
+                no_show_fee = ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(
+            cancellationData.reason || null,
+            userId,
+            cancellationData.no_show_fee || null,
+            id
+        );
+        
+        logAction(
+            appointment.praxis_id,
+            userId,
+            'CANCEL',
+            'appointment',
+            id,
+            { status: appointment.status },
+            { status: 'cancelled', reason: cancellationData.reason || null },
+            `Appointment cancelled: ${appointment.title} (${appointment.start_time})`
+        );
+        
+        console.log("✅ Appointment cancelled:", id);
+        return result;
+    } catch (error) {
+        console.error("❌ Error cancelling appointment:", error);
+        throw error;
+    }
+}
+
+/**
+ * Verschiebt einen Termin: der alte Termin bleibt als 'rescheduled' erhalten,
+ * der neue verweist über rescheduled_from auf ihn.
+ */
+function rescheduleAppointment(id, newTimes, userPraxisId = null, userId = null) {
+    try {
+        const appointment = getAppointmentById(id, userPraxisId);
+        if (!appointment) {
+            throw new Error('Appointment not found or access denied');
+        }
+        
+        const reschedule = db.transaction(() => {
+            db.prepare(`
+                UPDATE appointments 
+                SET status = 'rescheduled', updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(id);
+            
+            return addAppointment({
+                ...appointment,
+                start_time: newTimes.start_time,
+                end_time: newTimes.end_time,
+                therapist_id: newTimes.therapist_id || appointment.therapist_id,
+                status: 'scheduled',
+                google_event_id: null,
+                outlook_event_id: null,
+                rescheduled_from: id,
+                created_by: userId
+            });
+        });
+        
+        const result = reschedule();
+        
+        logAction(
+            appointment.praxis_id,
+            userId,
+            'RESCHEDULE',
+            'appointment',
+            id,
+            { start_time: appointment.start_time, end_time: appointment.end_time },
+            { start_time: newTimes.start_time, end_time: newTimes.end_time, new_id: result.lastInsertRowid },
+            `Appointment rescheduled: ${appointment.title}`
+        );
+        
+        return result;
+    } catch (error) {
+        console.error("❌ Error rescheduling appointment:", error);
+        throw error;
+    }
+}
+
+/**
+ * Markiert einen Termin als durchgeführt und legt die zugehörige Sitzung an
+ */
+function completeAppointment(id, sessionDetails = {}, userPraxisId = null, userId = null) {
+    try {
+        const appointment = getAppointmentById(id, userPraxisId);
+        if (!appointment) {
+            throw new Error('Appointment not found or access denied');
+        }
+        
+        const complete = db.transaction(() => {
+            let sessionId = appointment.session_id;
+            
+            if (appointment.client_id && !sessionId) {
+                const durationMinutes = Math.round(
+                    (Date.parse(appointment.end_time + 'Z') - Date.parse(appointment.start_time + 'Z')) / 60000
+                );
+                
+                sessionId = addSession({
+                    ...sessionDetails,
+                    client_id: appointment.client_id,
+                    date: appointment.start_time.split('T')[0],
+                    duration: durationMinutes,
+                    type: sessionDetails.type || APPOINTMENT_SESSION_TYPES[appointment.type] || 'Einzeltherapie',
+                    location: appointment.location,
+                    status: 'durchgeführt',
+                    created_by: userId
+                }).lastInsertRowid;
+            }
+            
+            db.prepare(`
+                UPDATE appointments 
+                SET status = 'completed', session_id = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(sessionId || null, id);
+            
+            return sessionId;
+        });
+        
+        const sessionId = complete();
+        
+        logAction(
+            appointment.praxis_id,
+            userId,
+            'COMPLETE',
+            'appointment',
+            id,
+            { status: appointment.status },
+            { status: 'completed', session_id: sessionId || null },
+            `Appointment completed: ${appointment.title}`
+        );
+        
+        return { sessionId: sessionId || null };
+    } catch (error) {
+        console.error("❌ Error completing appointment:", error);
+        throw error;
+    }
+}
+
+// === RECURRING APPOINTMENT SERIES === //
+
+/**
+ * Legt alle Termine einer Serie in einer Transaktion an
+ */
+function addAppointmentSeries(baseData, occurrences) {
+    try {
+        const seriesId = baseData.series_id || crypto.randomUUID();
+        
+        const createSeries = db.transaction(() => occurrences.map(occurrence => 
+            addAppointment({
+                ...baseData,
+                start_time: occurrence.start_time,
+                end_time: occurrence.end_time,
+                series_id: seriesId
+            }).lastInsertRowid
+        ));
+        
+        const ids = createSeries();
+        
+        console.log(`✅ Appointment series created: ${seriesId} (${ids.length} occurrences)`);
+        return { seriesId, ids };
+    } catch (error) {
+        console.error("❌ Error creating appointment series:", error);
+        throw error;
+    }
+}
+
+function getSeriesAppointments(seriesId, userPraxisId = null) {
+    try {
+        const appointments = db.prepare(`${appointmentSelectSql} 
+            WHERE a.series_id = ?
+            ORDER BY a.start_time ASC
+        `).all(seriesId);
+        
+        if (appointments.length > 0 && userPraxisId) {
+            validatePraxisAccess(appointments[0].praxis_id, userPraxisId);
+        }
+        
+        return appointments.map(parseAppointmentRow);
+    } catch (error) {
+        console.error("❌ Error fetching appointment series:", error);
+        return [];
+    }
+}
+
+/**
+ * Setzt die Regel für alle Termine einer Serie vor einem Zeitpunkt (Serien-Split)
+ */
+function updateSeriesRuleBefore(seriesId, beforeStartTime, recurrencePattern) {
+    try {
+        return db.prepare(`
+            UPDATE appointments 
+            SET recurrence_pattern = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE series_id = ? AND start_time < ?
+        `).run(JSON.stringify(recurrencePattern), seriesId, beforeStartTime);
+    } catch (error) {
+        console.error("❌ Error updating series rule:", error);
+        throw error;
+    }
+}
+
+/**
+ * Entfernt noch nicht stattgefundene Termine einer Serie ab einem Zeitpunkt,
+ * damit sie mit geänderter Regel neu erzeugt werden können.
+ */
+function deleteSeriesOccurrencesFrom(seriesId, fromStartTime, praxisId, userId = null) {
+    try {
+        const result = db.prepare(`
+            DELETE FROM appointments 
+            WHERE series_id = ? AND start_time >= ?
+            AND status IN ('scheduled', 'confirmed') AND session_id IS NULL
+        `).run(seriesId, fromStartTime);
+        
+        logAction(
+            praxisId,
+            userId,
+            'DELETE',
+            'appointment_series',
+            null,
+            { series_id: seriesId, from: fromStartTime },
+            null,
+            `Series occurrences removed for regeneration: ${result.changes}`
+        );
+        
+        return result;
+    } catch (error) {
+        console.error("❌ Error deleting series occurrences:", error);
+        throw error;
+    }
+}
+
+function cancelSeriesFrom(seriesId, fromStartTime, reason, praxisId, userId = null) {
+    try {
+        const result = db.prepare(`
+            UPDATE appointments 
+            SET status = 'cancelled',
+                cancellation_reason = ?,
+                cancelled_by = ?,
+                cancelled_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE series_id = ? AND praxis_id = ? AND start_time >= ?
+            AND status IN ('scheduled', 'confirmed')
+        `).run(reason || null, userId, seriesId, praxisId, fromStartTime);
+        
+        logAction(
+            praxisId,
+            userId,
+            'CANCEL',
+            'appointment_series',
+            null,
+            null,
+            { series_id: seriesId, from: fromStartTime, reason: reason || null },
+            `Series cancelled from ${fromStartTime}: ${result.changes} occurrences`
+        );
+        
+        return result;
+    } catch (error) {
+        console.error("❌ Error cancelling series:", error);
+        throw error;
+    }
+}
+
+/**
+ * "Diesen und alle folgenden": kürzt die bestehende Serie vor dem Termin und
+ * legt die folgenden Termine als neue Serie an (atomar).
+ */
+function splitAppointmentSeries(seriesId, fromStartTime, earlierRule, baseData, occurrences, praxisId, userId = null) {
+    try {
+        const split = db.transaction(() => {
+            updateSeriesRuleBefore(seriesId, fromStartTime, earlierRule);
+            deleteSeriesOccurrencesFrom(seriesId, fromStartTime, praxisId, userId);
+            return addAppointmentSeries({ ...baseData, series_id: null }, occurrences);
+        });
+        
+        return split();
+    } catch (error) {
+        console.error("❌ Error splitting appointment series:", error);
+        throw error;
+    }
+}
+
+// === CALENDAR EXCEPTIONS (Urlaub, Feiertage, Schließzeiten) === //
+
+function addCalendarException(exceptionData) {
+    try {
+        const result = db.prepare(`
+            INSERT INTO calendar_exceptions (
+                praxis_id, therapist_id, start_date, end_date, type, reason, created_by, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `).run(
+            exceptionData.praxis_id,
+            exceptionData.therapist_id || null,
+            exceptionData.start_date,
+            exceptionData.end_date,
+            exceptionData.type || 'vacation',
+            exceptionData.reason || null,
+            exceptionData.created_by || null
+        );
+        
+        logAction(
+            exceptionData.praxis_id,
+            exceptionData.created_by || null,
+            'CREATE',
+            'calendar_exception',
+            result.lastInsertRowid,
+            null,
+            exceptionData,
+            `Calendar exception created: ${exceptionData.start_date} – ${exceptionData.end_date}`
+        );
+        
+        return result;
+    } catch (error) {
+        console.error("❌ Error creating calendar exception:", error);
+        throw error;
+    }
+}
+
+/**
+ * Ausnahmen, die sich mit [fromDate, toDate] überschneiden. Mit therapistId
+ * werden praxisweite und therapeutenbezogene Ausnahmen geliefert.
+ */
+function getCalendarExceptions(praxisId, fromDate, toDate, therapistId = null) {
+    try {
+        let sql = `
+            SELECT ce.*, u.name as therapist_name
+            FROM calendar_exceptions ce
+            LEFT JOIN users u ON ce.therapist_id = u.id
+            WHERE ce.praxis_id = ? AND ce.start_date <= ? AND ce.end_date >= ?
+        `;
+        const params = [praxisId, toDate, fromDate];
+        
+        if (therapistId) {
+            sql += " AND (ce.therapist_id IS NULL OR ce.therapist_id = ?)";
+            params.push(therapistId);
+        }
+        
+        sql += " ORDER BY ce.start_date ASC";
+        
+        return db.prepare(sql).all(...params);
+    } catch (error) {
+        console.error("❌ Error fetching calendar exceptions:", error);
+        return [];
+    }
+}
+
+function deleteCalendarException(id, praxisId, userId = null) {
+    try {
+        const exception = db.prepare('SELECT * FROM calendar_exceptions WHERE id = ? AND praxis_id = ?').get(id, praxisId);
+        if (!exception) {
+            throw new Error('Calendar exception not found');
+        }
+        
+        const result = db.prepare('DELETE FROM calendar_exceptions WHERE id = ?').run(id);
+        
+        logAction(
+            praxisId,
+            userId,
+            'DELETE',
+            'calendar_exception',
+            id,
+            exception,
+            null,
+            `Calendar exception deleted: ${exception.start_date} – ${exception.end_date}`
+        );
+        
+        return result;
+    } catch (error) {
+        console.error("❌ Error deleting calendar exception:", error);
+        throw error;
+    }
+}
+
+// === INVOICE MANAGEMENT === //
+
+const INVOICE_DRAFT_PREFIX = 'ENTWURF-';
+
+function parseInvoiceRow(invoice) {
+    if (!invoice) return invoice;
+    
+    return {
+        ...invoice,
+        is_draft: invoice.status === 'draft',
+        amount_paid: Math.round((invoice.amount_paid || 0) * 100) / 100,
+        amount_open: invoice.status === 'cancelled' ? 0 : Math.round((invoice.amount_gross - (invoice.amount_paid || 0)) * 100) / 100,
+        kv_response: invoice.kv_response ? JSON.parse(invoice.kv_response) : null
+    };
+}
+
+const invoiceSelectSql = `
+    SELECT 
+        i.*,
+        c.name as client_name,
+        c.client_number,
+        c.insurance_type,
+        (SELECT COUNT(*) FROM invoice_items ii WHERE ii.invoice_id = i.id) as item_count,
+        (SELECT COALESCE(SUM(p.amount), 0) FROM invoice_payments p WHERE p.invoice_id = i.id) as amount_paid
+    FROM invoices i
+    LEFT JOIN clients c ON i.client_id = c.id
+`;
+
+function addInvoice(invoiceData) {
+    try {
+        const stmt = db.prepare(`
+            INSERT INTO invoices (
+                praxis_id, client_id, invoice_number, quarter, invoice_type,
+                period_start, period_end, amount_gross, amount_net, tax_amount,
+                tax_rate, currency, status, due_date, notes, created_by, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `);
+        
+        const result = stmt.run(
+            invoiceData.praxis_id,
+            invoiceData.client_id,
+            invoiceData.invoice_number || `${INVOICE_DRAFT_PREFIX}${generateSecureId().substring(0, 12)}`,
+            invoiceData.quarter || null,
+            invoiceData.invoice_type || 'individual',
+            invoiceData.period_start,
+            invoiceData.period_end,
+            invoiceData.amount_gross || 0,
+            invoiceData.amount_net || 0,
+            invoiceData.tax_amount || 0,
+            invoiceData.tax_rate || 0,
+            invoiceData.currency || 'EUR',
+            invoiceData.status || 'draft',
+            invoiceData.due_date || null,
+            invoiceData.notes || null,
+            invoiceData.created_by || null
+        );
+        
+        logAction(
+            invoiceData.praxis_id,
+            invoiceData.created_by || null,
+            'CREATE',
+            'invoice',
+            result.lastInsertRowid,
+            null,
+            {
+                client_id: invoiceData.client_id,
+                period_start: invoiceData.period_start,
+                period_end: invoiceData.period_end,
+                amount_gross: invoiceData.amount_gross || 0
+            },
+            `Invoice draft created for client ${invoiceData.client_id}`
+        );
+        
+        return result;
+    } catch (error) {
+        console.error("❌ Error creating invoice:", error);
+        throw error;
+    }
+}
+
+function addInvoiceItem(itemData) {
+    try {
+        const stmt = db.prepare(`
+            INSERT INTO invoice_items (
+                invoice_id, session_id, item_type, billing_code, description,
+                date_service, quantity, unit_price, factor, points, is_billable, notes, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `);
+        
+        return stmt.run(
+            itemData.invoice_id,
+            itemData.session_id || null,
+            itemData.item_type || 'session',
+            itemData.billing_code,
+            itemData.description,
+            itemData.date_service,
+            itemData.quantity || 1,
+            itemData.unit_price,
+            itemData.factor || 1.0,
+            itemData.points || null,
+            itemData.is_billable === undefined ? 1 : (itemData.is_billable ? 1 : 0),
+            itemData.notes || null
+        );
+    } catch (error) {
+        console.error("❌ Error creating invoice item:", error);
+        throw error;
+    }
+}
+
+/**
+ * Legt Rechnung und Positionen in einer Transaktion an (als Entwurf)
+ */
+function createInvoiceWithItems(invoiceData, items) {
+    try {
+        const create = db.transaction(() => {
+            const invoiceId = addInvoice(invoiceData).lastInsertRowid;
+            items.forEach(item => addInvoiceItem({ ...item, invoice_id: invoiceId }));
+            return invoiceId;
+        });
+        
+        const invoiceId = create();
+        
+        console.log("✅ Invoice draft created:", invoiceId);
+        return invoiceId;
+    } catch (error) {
+        console.error("❌ Error creating invoice with items:", error);
+        throw error;
+    }
+}
+
+function getInvoiceItems(invoiceId) {
+    try {
+        return db.prepare(`
+            SELECT ii.*, s.type as session_type, s.session_number
+            FROM invoice_items ii
+            LEFT JOIN sessions s ON ii.session_id = s.id
+            WHERE ii.invoice_id = ?
+            ORDER BY ii.date_service ASC, ii.id ASC
+        `).all(invoiceId).map(item => ({ ...item, is_billable: !!item.is_billable }));
+    } catch (error) {
+        console.error("❌ Error fetching invoice items:", error);
+        return [];
+    }
+}
+
+function getInvoiceById(id, userPraxisId = null) {
+    try {
+        const invoice = db.prepare(`${invoiceSelectSql} WHERE i.id = ?`).get(id);
+        
+        if (invoice && userPraxisId) {
+            validatePraxisAccess(invoice.praxis_id, userPraxisId);
+        }
+        
+        if (!invoice) return null;
+        
+        return {
+            ...parseInvoiceRow(invoice),
+            items: getInvoiceItems(invoice.id)
+        };
+    } catch (error) {
+        console.error("❌ Error fetching invoice:", error);
+        return null;
+    }
+}
+
+function getInvoicesByClient(clientId, userPraxisId = null) {
+    try {
+        let sql = `${invoiceSelectSql} WHERE i.client_id = ?`;
+        const params = [clientId];
+        
+        if (userPraxisId) {
+            sql += " AND i.praxis_id = ?";
+            params.push(userPraxisId);
+        }
+        
+        sql += " ORDER BY i.period_start DESC, i.id DESC";
+        
+        return db.prepare(sql).all(...params).map(parseInvoiceRow);
+    } catch (error) {
+        console.error("❌ Error fetching invoices by client:", error);
+        return [];
+    }
+}
+
+function getInvoicesByPraxis(praxisId, filters = {}) {
+    try {
+        let sql = `${invoiceSelectSql} WHERE i.praxis_id = ?`;
+        const params = [praxisId];
+        
+        if (filters.client_id) {
+            sql += " AND i.client_id = ?";
+            params.push(filters.client_id);
+        }
+        
+        if (filters.status) {
+            sql += " AND i.status = ?";
+            params.push(filters.status);
+        }
+        
+        if (filters.quarter) {
+            sql += " AND i.quarter = ?";
+            params.push(filters.quarter);
+        }
+        
+        if (filters.from) {
+            sql += " AND i.period_end >= ?";
+            params.push(filters.from);
+        }
+        
+        if (filters.to) {
+            sql += " AND i.period_start <= ?";
+            params.push(filters.to);
+        }
+        
+        sql += " ORDER BY i.created_at DESC, i.id DESC";
+        
+        if (filters.limit) {
+            sql += " LIMIT ?";
+            params.push(parseInt(filters.limit));
+        }
+        
+        return db.prepare(sql).all(...params).map(parseInvoiceRow);
+    } catch (error) {
+        console.error("❌ Error fetching invoices by praxis:", error);
+        return [];
+    }
+}
+
+/**
+ * Durchgeführte Sitzungen im Zeitraum, die noch auf keiner gültigen Rechnung stehen
+ */
+function getBillableSessions(praxisId, { period_start, period_end, client_id = null, session_ids = null }) {
+    try {
+        let sql = `
+            SELECT s.*, c.name as client_name, c.insurance_type, c.praxis_id
+            FROM sessions s
+            JOIN clients c ON s.client_id = c.id
+            WHERE c.praxis_id = ?
+            AND s.status = 'durchgeführt'
+            AND substr(s.date, 1, 10) BETWEEN ? AND ?
+            AND NOT EXISTS (
+                SELECT 1 FROM invoice_items ii
+                JOIN invoices i ON ii.invoice_id = i.id
+                WHERE ii.session_id = s.id AND i.status != 'cancelled'
+            )
+        `;
+        const params = [praxisId, period_start, period_end];
+        
+        if (client_id) {
+            sql += " AND s.client_id = ?";
+            params.push(client_id);
+        }
+        
+        if (Array.isArray(session_ids) && session_ids.length > 0) {
+            sql += ` AND s.id IN (${session_ids.map(() => '?').join(', ')})`;
+            params.push(...session_ids);
+        }
+        
+        sql += " ORDER BY s.client_id ASC, s.date ASC";
+        
+        return db.prepare(sql).all(...params);
+    } catch (error) {
+        console.error("❌ Error fetching billable sessions:", error);
+        return [];
+    }
+}
+
+/**
+ * Vergibt die nächste Rechnungsnummer lückenlos pro Praxis und Jahr.
+ * Nur innerhalb einer Transaktion aufrufen, damit ein Abbruch keine Lücke hinterlässt.
+ */
+function allocateInvoiceNumber(praxisId, year) {
+    db.prepare(`
+        INSERT INTO invoice_number_sequences (praxis_id, year, last_number)
+        VALUES (?, ?, 0)
+        ON CONFLICT(praxis_id, year) DO NOTHING
+    `).run(praxisId, year);
+    
+    db.prepare(`
+        UPDATE invoice_number_sequences SET last_number = last_number + 1
+        WHERE praxis_id = ? AND year = ?
+    `).run(praxisId, year);
+    
+    const { last_number } = db.prepare(`
+        SELECT last_number FROM invoice_number_sequences WHERE praxis_id = ? AND year = ?
+    `).get(praxisId, year);
+    
+    const prefix = getPraxisSetting('invoice_number_prefix', 'billing', praxisId) || `P${praxisId}-`;
+    return `${prefix}${year}-${String(last_number).padStart(5, '0')}`;
+}
+
+/**
+ * Schreibt einen Entwurf fest: vergibt Rechnungsnummer, Rechnungsdatum und Fälligkeit
+ */
+function finalizeInvoice(id, { invoice_date, due_date }, userPraxisId = null, userId = null) {
+    try {
+        const invoice = getInvoiceById(id, userPraxisId);
+        if (!invoice) {
+            throw new Error('Invoice not found or access denied');
+        }
+        
+        if (invoice.status !== 'draft') {
+            throw new Error('Only draft invoices can be finalized');
+        }
+        
+        const finalize = db.transaction(() => {
+            const invoiceNumber = allocateInvoiceNumber(invoice.praxis_id, Number(invoice_date.slice(0, 4)));
+            
+            db.prepare(`
+                UPDATE invoices 
+                SET invoice_number = ?, invoice_date = ?, due_date = ?, status = 'sent',
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(invoiceNumber, invoice_date, due_date, id);
+            
+            return invoiceNumber;
+        });
+        
+        const invoiceNumber = finalize();
+        
+        logAction(
+            invoice.praxis_id,
+            userId,
+            'UPDATE',
+            'invoice',
+            id,
+            { status: 'draft', invoice_number: invoice.invoice_number },
+            { status: 'sent', invoice_number: invoiceNumber, invoice_date, due_date },
+            `Invoice finalized: ${invoiceNumber}`
+        );
+        
+        console.log("✅ Invoice finalized:", invoiceNumber);
+        return invoiceNumber;
+    } catch (error) {
+        console.error("❌ Error finalizing invoice:", error);
+        throw error;
+    }
+}
+
+/**
+ * Storniert eine festgeschriebene Rechnung. Nummer bleibt erhalten,
+ * die Sitzungen werden wieder abrechenbar.
+ */
+function cancelInvoice(id, reason, userPraxisId = null, userId = null) {
+    try {
+        const invoice = getInvoiceById(id, userPraxisId);
+        if (!invoice) {
+            throw new Error('Invoice not found or access denied');
+        }
+        
+        const result = db.prepare(`
+            UPDATE invoices 
+            SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP,
+                notes = CASE 
+                    WHEN ? IS NULL THEN notes
+                    WHEN notes IS NULL OR notes = '' THEN 'Storno: ' || ?
+                    ELSE notes || char(10) || 'Storno: ' || ?
+                END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(reason || null, reason || null, reason || null, id);
+        
+        logAction(
+            invoice.praxis_id,
+            userId,
+            'CANCEL',
+            'invoice',
+            id,
+            { status: invoice.status },
+            { status: 'cancelled', reason: reason || null },
+            `Invoice cancelled: ${invoice.invoice_number}`
+        );
+        
+        return result;
+    } catch (error) {
+        console.error("❌ Error cancelling invoice:", error);
+        throw error;
+    }
+}
+
+/**
+ * Hinterlegt den Pfad einer erzeugten Rechnungsdatei (PDF bzw. E-Rechnungs-XML)
+ */
+function setInvoiceDocumentPath(id, field, filePath) {
+    try {
+        if (!['pdf_path', 'xml_path'].includes(field)) {
+            throw new Error(`Invalid invoice document field: ${field}`);
+        }
+        
+        return db.prepare(`
+            UPDATE invoices SET ${field} = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(filePath, id);
+    } catch (error) {
+        console.error("❌ Error setting invoice document path:", error);
+        throw error;
+    }
+}
+
+function deleteInvoiceDraft(id, userPraxisId = null, userId = null) {
+    try {
+        const invoice = getInvoiceById(id, userPraxisId);
+        if (!invoice) {
+            throw new Error('Invoice not found or access denied');
+        }
+        
+        if (invoice.status !== 'draft') {
+            throw new Error('Only draft invoices can be deleted');
+        }
+        
+        const result = db.prepare('DELETE FROM invoices WHERE id = ?').run(id);
+        
+        logAction(
+            invoice.praxis_id,
+            userId,
+            'DELETE',
+            'invoice',
+            id,
+            { client_id: invoice.client_id, amount_gross: invoice.amount_gross },
+            null,
+            `Invoice draft deleted: ${invoice.invoice_number}`
+        );
+        
+        return result;
+    } catch (error) {
+        console.error("❌ Error deleting invoice draft:", error);
+        throw error;
+    }
+}
+
+// === PAYMENTS & DUNNING === //
+
+const OPEN_INVOICE_STATUSES = ['sent', 'overdue', 'disputed'];
+const MAX_REMINDER_LEVEL = 3;
+
+function getInvoicePayments(invoiceId) {
+    try {
+        return db.prepare(`
+            SELECT p.*, u.name as created_by_name
+            FROM invoice_payments p
+            LEFT JOIN users u ON p.created_by = u.id
+            WHERE p.invoice_id = ?
+            ORDER BY p.payment_date ASC, p.id ASC
+        `).all(invoiceId);
+    } catch (error) {
+        console.error("❌ Error fetching invoice payments:", error);
+        return [];
+    }
+}
+
+/**
+ * Status nach Zahlungseingang bzw. -storno: vollständig bezahlt, sonst
+ * je nach Fälligkeit offen oder überfällig (Einsprüche bleiben bestehen)
+ */
+function syncInvoicePaymentStatus(invoiceId, today) {
+    const invoice = db.prepare(`
+        SELECT i.*, (SELECT COALESCE(SUM(amount), 0) FROM invoice_payments WHERE invoice_id = i.id) as amount_paid
+        FROM invoices i WHERE i.id = ?
+    `).get(invoiceId);
+    
+    const lastPayment = db.prepare(`
+        SELECT * FROM invoice_payments WHERE invoice_id = ? ORDER BY payment_date DESC, id DESC LIMIT 1
+    `).get(invoiceId);
+    
+    if (invoice.amount_paid >= invoice.amount_gross - 0.005) {
+        db.prepare(`
+            UPDATE invoices 
+            SET status = 'paid', payment_date = ?, payment_method = ?, payment_reference = ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(lastPayment.payment_date, lastPayment.payment_method, lastPayment.payment_reference, invoiceId);
+        return 'paid';
+    }
+    
+    const status = invoice.status === 'disputed' 
+        ? 'disputed' 
+        : (invoice.due_date && invoice.due_date < today ? 'overdue' : 'sent');
+    
+    db.prepare(`
+        UPDATE invoices 
+        SET status = ?, payment_date = NULL, payment_reference = NULL,
+            payment_method = CASE WHEN sepa_batch_id IS NULL THEN NULL ELSE 'lastschrift' END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).run(status, invoiceId);
+    return status;
+}
+
+function addInvoicePayment(invoiceId, paymentData, today, userPraxisId = null, userId = null) {
+    try {
+        const invoice = getInvoiceById(invoiceId, userPraxisId);
+        if (!invoice) {
+            throw new Error('Invoice not found or access denied');
+        }
+        
+        if (!OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+            throw new Error('Payments can only be recorded for open invoices');
+        }
+        
+        const record = db.transaction(() => {
+            const result = db.prepare(`
+                INSERT INTO invoice_payments (
+                    invoice_id, praxis_id, amount, payment_date, payment_method,
+                    payment_reference, source, notes, created_by, created_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            `).run(
+                invoiceId,
+                invoice.praxis_id,
+                paymentData.amount,
+                paymentData.payment_date,
+                paymentData.payment_method || null,
+                paymentData.payment_reference || null,
+                paymentData.source || 'manual',
+                paymentData.notes || null,
+                userId
+            );
+            
+            return { id: result.lastInsertRowid, status: syncInvoicePaymentStatus(invoiceId, today) };
+        });
+        
+        const { id, status } = record();
+        
+        logAction(
+            invoice.praxis_id,
+            userId,
+            'CREATE',
+            'invoice_payment',
+            id,
+            { status: invoice.status },
+            { invoice_id: invoiceId, amount: paymentData.amount, payment_date: paymentData.payment_date, status },
+            `Payment recorded for invoice ${invoice.invoice_number}`
+        );
+        
+        return { id, status };
+    } catch (error) {
+        console.error("❌ Error adding invoice payment:", error);
+        throw error;
+    }
+}
+
+function deleteInvoicePayment(paymentId, invoiceId, today, userPraxisId = null, userId = null) {
+    try {
+        const invoice = getInvoiceById(invoiceId, userPraxisId);
+        if (!invoice) {
+            throw new Error('Invoice not found or access denied');
+        }
+        
+        const payment = db.prepare("SELECT * FROM invoice_payments WHERE id = ? AND invoice_id = ?").get(paymentId, invoiceId);
+        if (!payment) {
+            return null;
+        }
+        
+        // Aus dem Kontoauszug gebuchte Zahlungen: Buchung wieder in die Prüfliste, damit sie neu zugeordnet werden kann
+        const bankTransactions = db.prepare(`
+            SELECT DISTINCT bt.id, bt.allocations
+            FROM bank_transactions bt, json_each(bt.allocations) allocation
+            WHERE bt.praxis_id = ? AND json_extract(allocation.value, '$.payment_id') = ?
+        `).all(invoice.praxis_id, Number(paymentId));
+        
+        const status = db.transaction(() => {
+            db.prepare("DELETE FROM invoice_payments WHERE id = ?").run(paymentId);
+            bankTransactions.forEach(transaction => {
+                const allocations = JSON.parse(transaction.allocations).filter(allocation => allocation.payment_id !== Number(paymentId));
+                db.prepare(`
+                    UPDATE bank_transactions 
+                    SET match_status = 'review', match_reason = ?, allocations = ?
+                    WHERE id = ?
+                `).run(
+                    `Zahlung zu Rechnung ${invoice.invoice_number} zurückgenommen, bitte neu zuordnen`,
+                    JSON.stringify(allocations),
+                    transaction.id
+                );
+            });
+            return syncInvoicePaymentStatus(invoiceId, today);
+        })();
+        
+        logAction(
+            invoice.praxis_id,
+            userId,
+            'DELETE',
+            'invoice_payment',
+            paymentId,
+            payment,
+            { status, bank_transaction_ids: bankTransactions.map(transaction => transaction.id) },
+            `Payment reversed for invoice ${invoice.invoice_number}`
+        );
+        
+        return { status };
+    } catch (error) {
+        console.error("❌ Error deleting invoice payment:", error);
+        throw error;
+    }
+}
+
+/**
+ * Setzt fällige, nicht bezahlte Rechnungen auf "overdue"
+ */
+function markOverdueInvoices(today, praxisId = null) {
+    try {
+        let sql = "SELECT id, praxis_id, invoice_number FROM invoices WHERE status = 'sent' AND due_date < ?";
+        const params = [today];
+        
+        if (praxisId) {
+            sql += " AND praxis_id = ?";
+            params.push(praxisId);
+        }
+        
+        const invoices = db.prepare(sql).all(...params);
+        const markOverdue = db.prepare("UPDATE invoices SET status = 'overdue', updated_at = CURRENT_TIMESTAMP WHERE id = ?");
+        
+        db.transaction(() => invoices.forEach(invoice => markOverdue.run(invoice.id)))();
+        
+        invoices.forEach(invoice => logAction(
+            invoice.praxis_id,
+            null,
+            'UPDATE',
+            'invoice',
+            invoice.id,
+            { status: 'sent' },
+            { status: 'overdue' },
+            `Invoice overdue: ${invoice.invoice_number}`
+        ));
+        
+        return invoices.length;
+    } catch (error) {
+        console.error("❌ Error marking overdue invoices:", error);
+        throw error;
+    }
+}
+
+/**
+ * Überfällige Rechnungen mit offenem Betrag, deren Mahnstufen noch nicht ausgeschöpft sind
+ */
+function getInvoicesForDunning(praxisId = null) {
+    try {
+        // Rechnungen in einer noch nicht gebuchten Lastschrift-Einreichung werden nicht gemahnt
+        let sql = `${invoiceSelectSql} WHERE i.status = 'overdue' AND i.reminder_count < ?
+            AND NOT EXISTS (SELECT 1 FROM sepa_batches b WHERE b.id = i.sepa_batch_id AND b.status = 'exported')`;
+        const params = [MAX_REMINDER_LEVEL];
+        
+        if (praxisId) {
+            sql += " AND i.praxis_id = ?";
+            params.push(praxisId);
+        }
+        
+        return db.prepare(`${sql} ORDER BY i.due_date ASC`).all(...params)
+            .map(parseInvoiceRow)
+            .filter(invoice => invoice.amount_open > 0);
+    } catch (error) {
+        console.error("❌ Error fetching invoices for dunning:", error);
+        return [];
+    }
+}
+
+function addInvoiceReminder(reminderData, userId = null) {
+    try {
+        const create = db.transaction(() => {
+            const result = db.prepare(`
+                INSERT INTO invoice_reminders (
+                    invoice_id, praxis_id, level, reminder_date, payment_deadline,
+                    amount_open, pdf_path, created_by, created_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            `).run(
+                reminderData.invoice_id,
+                reminderData.praxis_id,
+                reminderData.level,
+                reminderData.reminder_date,
+                reminderData.payment_deadline,
+                reminderData.amount_open,
+                reminderData.pdf_path || null,
+                userId
+            );
+            
+            db.prepare(`
+                UPDATE invoices 
+                SET reminder_count = ?, last_reminder_sent = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(reminderData.level, reminderData.reminder_date, reminderData.invoice_id);
+            
+            return result.lastInsertRowid;
+        });
+        
+        const id = create();
+        
+        logAction(
+            reminderData.praxis_id,
+            userId,
+            'CREATE',
+            'invoice_reminder',
+            id,
+            null,
+            reminderData,
+            `Reminder level ${reminderData.level} created for invoice ${reminderData.invoice_id}`
+        );
+        
+        return id;
+    } catch (error) {
+        console.error("❌ Error adding invoice reminder:", error);
+        throw error;
+    }
+}
+
+function getInvoiceReminders(invoiceId) {
+    try {
+        return db.prepare(`
+            SELECT * FROM invoice_reminders WHERE invoice_id = ? ORDER BY level ASC, id ASC
+        `).all(invoiceId);
+    } catch (error) {
+        console.error("❌ Error fetching invoice reminders:", error);
+        return [];
+    }
+}
+
+function getInvoiceReminderById(id, userPraxisId = null) {
+    try {
+        const reminder = db.prepare("SELECT * FROM invoice_reminders WHERE id = ?").get(id);
+        
+        if (reminder && userPraxisId) {
+            validatePraxisAccess(reminder.praxis_id, userPraxisId);
+        }
+        
+        return reminder || null;
+    } catch (error) {
+        console.error("❌ Error fetching invoice reminder:", error);
+        return null;
+    }
+}
+
+/**
+ * Offene Posten: festgeschriebene, nicht bezahlte und nicht stornierte Rechnungen
+ */
+function getOpenInvoices(praxisId, filters = {}) {
+    try {
+        let sql = `${invoiceSelectSql} WHERE i.praxis_id = ? AND i.status IN (${OPEN_INVOICE_STATUSES.map(() => '?').join(', ')})`;
+        const params = [praxisId, ...OPEN_INVOICE_STATUSES];
+        
+        if (filters.client_id) {
+            sql += " AND i.client_id = ?";
+            params.push(filters.client_id);
+        }
+        
+        return db.prepare(`${sql} ORDER BY i.due_date ASC, i.id ASC`).all(...params).map(parseInvoiceRow);
+    } catch (error) {
+        console.error("❌ Error fetching open invoices:", error);
+        return [];
+    }
+}
+
+/**
+ * Einspruch erfassen (Mahnlauf pausiert) bzw. aufheben
+ */
+function setInvoiceDisputed(id, disputed, reason, today, userPraxisId = null, userId = null) {
+    try {
+        const invoice = getInvoiceById(id, userPraxisId);
+        if (!invoice) {
+            throw new Error('Invoice not found or access denied');
+        }
+        
+        const status = disputed ? 'disputed' : (invoice.due_date && invoice.due_date < today ? 'overdue' : 'sent');
+        const note = reason ? `${disputed ? 'Einspruch' : 'Einspruch erledigt'}: ${reason}` : null;
+        
+        const result = db.prepare(`
+            UPDATE invoices 
+            SET status = ?,
+                notes = CASE 
+                    WHEN ? IS NULL THEN notes
+                    WHEN notes IS NULL OR notes = '' THEN ?
+                    ELSE notes || char(10) || ?
+                END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(status, note, note, note, id);
+        
+        logAction(
+            invoice.praxis_id,
+            userId,
+            'UPDATE',
+            'invoice',
+            id,
+            { status: invoice.status },
+            { status, reason: reason || null },
+            `Invoice ${disputed ? 'disputed' : 'dispute resolved'}: ${invoice.invoice_number}`
+        );
+        
+        return status;
+    } catch (error) {
+        console.error("❌ Error updating invoice dispute:", error);
+        throw error;
+    }
+}
+
+// === BANK STATEMENT IMPORT === //
+
+function parseBankTransactionRow(transaction) {
+    if (!transaction) return transaction;
+    
+    return {
+        ...transaction,
+        allocations: transaction.allocations ? JSON.parse(transaction.allocations) : [],
+        match_candidates: transaction.match_candidates ? JSON.parse(transaction.match_candidates) : []
+    };
+}
+
+function addBankStatementImport(importData) {
+    try {
+        const result = db.prepare(`
+            INSERT INTO bank_statement_imports (
+                praxis_id, filename, format, account_iban, statement_id, file_hash, created_by, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `).run(
+            importData.praxis_id,
+            importData.filename || null,
+            importData.format,
+            importData.account_iban || null,
+            importData.statement_id || null,
+            importData.file_hash,
+            importData.created_by || null
+        );
+        
+        logAction(
+            importData.praxis_id,
+            importData.created_by,
+            'CREATE',
+            'bank_statement_import',
+            result.lastInsertRowid,
+            null,
+            { filename: importData.filename, format: importData.format, statement_id: importData.statement_id },
+            `Bank statement imported: ${importData.filename || importData.format}`
+        );
+        
+        return result.lastInsertRowid;
+    } catch (error) {
+        console.error("❌ Error adding bank statement import:", error);
+        throw error;
+    }
+}
+
+function updateBankStatementImportCounts(id, counts) {
+    try {
+        return db.prepare(`
+            UPDATE bank_statement_imports 
+            SET transaction_count = ?, duplicate_count = ?, matched_count = ?, review_count = ?
+            WHERE id = ?
+        `).run(counts.transaction_count, counts.duplicate_count, counts.matched_count, counts.review_count, id);
+    } catch (error) {
+        console.error("❌ Error updating bank statement import:", error);
+        throw error;
+    }
+}
+
+function getBankStatementImportByHash(praxisId, fileHash) {
+    try {
+        return db.prepare("SELECT * FROM bank_statement_imports WHERE praxis_id = ? AND file_hash = ?").get(praxisId, fileHash) || null;
+    } catch (error) {
+        console.error("❌ Error fetching bank statement import:", error);
+        return null;
+    }
+}
+
+function getBankStatementImports(praxisId) {
+    try {
+        return db.prepare(`
+            SELECT bi.*, u.name as created_by_name
+            FROM bank_statement_imports bi
+            LEFT JOIN users u ON bi.created_by = u.id
+            WHERE bi.praxis_id = ?
+            ORDER BY bi.created_at DESC, bi.id DESC
+        `).all(praxisId);
+    } catch (error) {
+        console.error("❌ Error fetching bank statement imports:", error);
+        return [];
+    }
+}
+
+/**
+ * Legt eine Buchung an; bereits importierte Buchungen (gleicher Hash) werden übersprungen
+ */
+function addBankTransaction(transactionData) {
+    try {
+        const result = db.prepare(`
+            INSERT OR IGNORE INTO bank_transactions (
+                import_id, praxis_id, booking_date, value_date, amount, currency, credit_debit,
+                counterparty_name, counterparty_iban, remittance_info, end_to_end_id,
+                bank_reference, transaction_hash, match_status, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'unmatched', CURRENT_TIMESTAMP)
+        `).run(
+            transactionData.import_id,
+            transactionData.praxis_id,
+            transactionData.booking_date,
+            transactionData.value_date || null,
+            transactionData.amount,
+            transactionData.currency || 'EUR',
+            transactionData.credit_debit,
+            transactionData.counterparty_name || null,
+            transactionData.counterparty_iban || null,
+            transactionData.remittance_info || null,
+            transactionData.end_to_end_id || null,
+            transactionData.bank_reference || null,
+            transactionData.transaction_hash
+        );
+        
+        return result.changes > 0 ? result.lastInsertRowid : null;
+    } catch (error) {
+        console.error("❌ Error adding bank transaction:", error);
+        throw error;
+    }
+}
+
+function updateBankTransactionMatch(id, match, userId = null) {
+    try {
+        return db.prepare(`
+            UPDATE bank_transactions 
+            SET match_status = ?, match_reason = ?, match_candidates = ?, allocations = ?,
+                reviewed_by = COALESCE(?, reviewed_by),
+                reviewed_at = CASE WHEN ? IS NULL THEN reviewed_at ELSE CURRENT_TIMESTAMP END
+            WHERE id = ?
+        `).run(
+            match.match_status,
+            match.match_reason || null,
+            JSON.stringify(match.match_candidates || []),
+            JSON.stringify(match.allocations || []),
+            userId,
+            userId,
+            id
+        );
+    } catch (error) {
+        console.error("❌ Error updating bank transaction match:", error);
+        throw error;
+    }
+}
+
+function getBankTransactionById(id, userPraxisId = null) {
+    try {
+        const transaction = db.prepare("SELECT * FROM bank_transactions WHERE id = ?").get(id);
+        
+        if (transaction && userPraxisId) {
+            validatePraxisAccess(transaction.praxis_id, userPraxisId);
+        }
+        
+        return parseBankTransactionRow(transaction) || null;
+    } catch (error) {
+        console.error("❌ Error fetching bank transaction:", error);
+        return null;
+    }
+}
+
+function getBankTransactions(praxisId, filters = {}) {
+    try {
+        let sql = "SELECT * FROM bank_transactions WHERE praxis_id = ?";
+        const params = [praxisId];
+        
+        if (filters.statuses && filters.statuses.length > 0) {
+            sql += ` AND match_status IN (${filters.statuses.map(() => '?').join(', ')})`;
+            params.push(...filters.statuses);
+        }
+        
+        if (filters.import_id) {
+            sql += " AND import_id = ?";
+            params.push(filters.import_id);
+        }
+        
+        sql += " ORDER BY booking_date DESC, id DESC";
+        
+        if (filters.limit) {
+            sql += " LIMIT ?";
+            params.push(parseInt(filters.limit));
+        }
+        
+        return db.prepare(sql).all(...params).map(parseBankTransactionRow);
+    } catch (error) {
+        console.error("❌ Error fetching bank transactions:", error);
+        return [];
+    }
+}
+
+// === SEPA DIRECT DEBIT === //
+
+function parseSepaBatchRow(batch) {
+    if (!batch) return batch;
+    
+    return {
+        ...batch,
+        items: batch.items ? JSON.parse(batch.items) : []
+    };
+}
+
+function addSepaMandate(mandateData, userId = null) {
+    try {
+        const result = db.prepare(`
+            INSERT INTO sepa_mandates (
+                praxis_id, client_id, mandate_reference, account_holder, iban, bic,
+                signature_date, sequence_type, status, notes, created_by, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'active', ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        `).run(
+            mandateData.praxis_id,
+            mandateData.client_id,
+            mandateData.mandate_reference,
+            mandateData.account_holder,
+            mandateData.iban,
+            mandateData.bic || null,
+            mandateData.signature_date,
+            mandateData.sequence_type || 'FRST',
+            mandateData.notes || null,
+            userId
+        );
+        
+        logAction(
+            mandateData.praxis_id,
+            userId,
+            'CREATE',
+            'sepa_mandate',
+            result.lastInsertRowid,
+            null,
+            { client_id: mandateData.client_id, mandate_reference: mandateData.mandate_reference },
+            `SEPA mandate ${mandateData.mandate_reference} created`
+        );
+        
+        return result.lastInsertRowid;
+    } catch (error) {
+        console.error("❌ Error adding SEPA mandate:", error);
+        throw error;
+    }
+}
+
+function getSepaMandatesByClient(clientId, praxisId) {
+    try {
+        return db.prepare(`
+            SELECT * FROM sepa_mandates 
+            WHERE client_id = ? AND praxis_id = ?
+            ORDER BY status ASC, signature_date DESC, id DESC
+        `).all(clientId, praxisId);
+    } catch (error) {
+        console.error("❌ Error fetching SEPA mandates:", error);
+        return [];
+    }
+}
+
+function getActiveSepaMandate(clientId) {
+    try {
+        return db.prepare(`
+            SELECT * FROM sepa_mandates 
+            WHERE client_id = ? AND status = 'active'
+            ORDER BY signature_date DESC, id DESC LIMIT 1
+        `).get(clientId) || null;
+    } catch (error) {
+        console.error("❌ Error fetching active SEPA mandate:", error);
+        return null;
+    }
+}
+
+function getSepaMandateById(id, userPraxisId = null) {
+    try {
+        const mandate = db.prepare("SELECT * FROM sepa_mandates WHERE id = ?").get(id);
+        
+        if (mandate && userPraxisId) {
+            validatePraxisAccess(mandate.praxis_id, userPraxisId);
+        }
+        
+        return mandate || null;
+    } catch (error) {
+        console.error("❌ Error fetching SEPA mandate:", error);
+        return null;
+    }
+}
+
+/**
+ * Kontoinhaber, BIC und Notizen; IBAN und Mandatsreferenz sind Teil des unterschriebenen Mandats
+ */
+function updateSepaMandate(id, updates, userPraxisId = null, userId = null) {
+    try {
+        const mandate = getSepaMandateById(id, userPraxisId);
+        if (!mandate) {
+            throw new Error('SEPA mandate not found or access denied');
+        }
+        
+        const allowedFields = ['account_holder', 'bic', 'notes'];
+        const fields = Object.keys(updates).filter(key => allowedFields.includes(key));
+        
+        if (fields.length === 0) {
+            throw new Error('No valid fields to update');
+        }
+        
+        const result = db.prepare(`
+            UPDATE sepa_mandates 
+            SET ${fields.map(key => `${key} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(...fields.map(key => updates[key]), id);
+        
+        logAction(mandate.praxis_id, userId, 'UPDATE', 'sepa_mandate', id, mandate, updates, `SEPA mandate ${mandate.mandate_reference} updated`);
+        
+        return result;
+    } catch (error) {
+        console.error("❌ Error updating SEPA mandate:", error);
+        throw error;
+    }
+}
+
+function revokeSepaMandate(id, today, userPraxisId = null, userId = null) {
+    try {
+        const mandate = getSepaMandateById(id, userPraxisId);
+        if (!mandate) {
+            throw new Error('SEPA mandate not found or access denied');
+        }
+        
+        const result = db.prepare(`
+            UPDATE sepa_mandates 
+            SET status = 'revoked', revoked_at = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'active'
+        `).run(today, id);
+        
+        if (result.changes > 0) {
+            logAction(mandate.praxis_id, userId, 'REVOKE', 'sepa_mandate', id, { status: mandate.status }, { status: 'revoked' }, `SEPA mandate ${mandate.mandate_reference} revoked`);
+        }
+        
+        return result;
+    } catch (error) {
+        console.error("❌ Error revoking SEPA mandate:", error);
+        throw error;
+    }
+}
+
+/**
+ * Speichert eine Lastschrift-Einreichung und vermerkt sie an Rechnungen und Mandaten
+ * (Zahlungsart Lastschrift, Folgelastschrift ab der nächsten Einreichung).
+ */
+function addSepaBatch(batchData, userId = null) {
+    try {
+        const create = db.transaction(() => {
+            const result = db.prepare(`
+                INSERT INTO sepa_batches (
+                    praxis_id, message_id, collection_date, transaction_count, total_amount,
+                    status, items, file_path, created_by, created_at
+                ) VALUES (?, ?, ?, ?, ?, 'exported', ?, ?, ?, CURRENT_TIMESTAMP)
+            `).run(
+                batchData.praxis_id,
+                batchData.message_id,
+                batchData.collection_date,
+                batchData.items.length,
+                Math.round(batchData.items.reduce((sum, item) => sum + item.amount, 0) * 100) / 100,
+                JSON.stringify(batchData.items),
+                batchData.file_path || null,
+                userId
+            );
+            
+            const updateInvoice = db.prepare(`
+                UPDATE invoices 
+                SET payment_method = 'lastschrift', sepa_batch_id = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `);
+            const updateMandate = db.prepare(`
+                UPDATE sepa_mandates 
+                SET sequence_type = 'RCUR', last_collection_date = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `);
+            
+            batchData.items.forEach(item => {
+                updateInvoice.run(result.lastInsertRowid, item.invoice_id);
+                updateMandate.run(batchData.collection_date, item.mandate_id);
+            });
+            
+            return result.lastInsertRowid;
+        });
+        
+        const id = create();
+        
+        logAction(
+            batchData.praxis_id,
+            userId,
+            'EXPORT',
+            'sepa_batch',
+            id,
+            null,
+            { message_id: batchData.message_id, invoice_ids: batchData.items.map(item => item.invoice_id) },
+            `SEPA direct debit batch ${batchData.message_id} created`
+        );
+        
+        return id;
+    } catch (error) {
+        console.error("❌ Error adding SEPA batch:", error);
+        throw error;
+    }
+}
+
+function setSepaBatchFilePath(id, filePath) {
+    try {
+        return db.prepare("UPDATE sepa_batches SET file_path = ? WHERE id = ?").run(filePath, id);
+    } catch (error) {
+        console.error("❌ Error updating SEPA batch file path:", error);
+        throw error;
+    }
+}
+
+function getSepaBatchById(id, userPraxisId = null) {
+    try {
+        const batch = db.prepare("SELECT * FROM sepa_batches WHERE id = ?").get(id);
+        
+        if (batch && userPraxisId) {
+            validatePraxisAccess(batch.praxis_id, userPraxisId);
+        }
+        
+        return parseSepaBatchRow(batch) || null;
+    } catch (error) {
+        console.error("❌ Error fetching SEPA batch:", error);
+        return null;
+    }
+}
+
+function getSepaBatches(praxisId) {
+    try {
+        return db.prepare(`
+            SELECT b.*, u.name as created_by_name
+            FROM sepa_batches b
+            LEFT JOIN users u ON b.created_by = u.id
+            WHERE b.praxis_id = ?
+            ORDER BY b.collection_date DESC, b.id DESC
+        `).all(praxisId).map(parseSepaBatchRow);
+    } catch (error) {
+        console.error("❌ Error fetching SEPA batches:", error);
+        return [];
+    }
+}
+
+/**
+ * Nicht bei der Bank eingereichte Datei verwerfen: Rechnungen werden wieder frei,
+ * Erstlastschriften dieser Datei gelten als nicht erfolgt.
+ */
+function cancelSepaBatch(id, userPraxisId = null, userId = null) {
+    try {
+        const batch = getSepaBatchById(id, userPraxisId);
+        if (!batch) {
+            throw new Error('SEPA batch not found or access denied');
+        }
+        
+        if (batch.status !== 'exported') {
+            throw new Error('Only exported batches can be cancelled');
+        }
+        
+        db.transaction(() => {
+            db.prepare("UPDATE sepa_batches SET status = 'cancelled' WHERE id = ?").run(id);
+            db.prepare(`
+                UPDATE invoices 
+                SET sepa_batch_id = NULL,
+                    payment_method = CASE WHEN status = 'paid' THEN payment_method ELSE NULL END,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE sepa_batch_id = ?
+            `).run(id);
+            
+            const resetMandate = db.prepare(`
+                UPDATE sepa_mandates 
+                SET sequence_type = ?, last_collection_date = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `);
+            batch.items.forEach(item => {
+                resetMandate.run(item.sequence_type, item.previous_collection_date || null, item.mandate_id);
+            });
+        })();
+        
+        logAction(batch.praxis_id, userId, 'CANCEL', 'sepa_batch', id, { status: batch.status }, { status: 'cancelled' }, `SEPA direct debit batch ${batch.message_id} cancelled`);
+        
+        return { success: true };
+    } catch (error) {
+        console.error("❌ Error cancelling SEPA batch:", error);
+        throw error;
+    }
+}
+
+/**
+ * Bucht die Lastschriften einer Einreichung zum Einzugsdatum als Zahlungseingang.
+ * Bereits (z. B. per Kontoauszug) ausgeglichene Rechnungen werden übersprungen.
+ */
+function settleSepaBatch(id, today, userPraxisId = null, userId = null) {
+    try {
+        const batch = getSepaBatchById(id, userPraxisId);
+        if (!batch) {
+            throw new Error('SEPA batch not found or access denied');
+        }
+        
+        if (batch.status !== 'exported') {
+            throw new Error('Only exported batches can be settled');
+        }
+        
+        const booked = [];
+        const skipped = [];
+        
+        db.transaction(() => {
+            batch.items.forEach(item => {
+                const invoice = getInvoiceById(item.invoice_id, batch.praxis_id);
+                if (!invoice || !OPEN_INVOICE_STATUSES.includes(invoice.status) || invoice.amount_open < item.amount - 0.005) {
+                    skipped.push(item.invoice_id);
+                    return;
+                }
+                
+                const payment = addInvoicePayment(item.invoice_id, {
+                    amount: item.amount,
+                    payment_date: batch.collection_date,
+                    payment_method: 'lastschrift',
+                    payment_reference: item.end_to_end_id,
+                    source: 'sepa',
+                    notes: `SEPA-Lastschrift ${batch.message_id}`
+                }, today, batch.praxis_id, userId);
+                
+                booked.push({ invoice_id: item.invoice_id, payment_id: payment.id });
+            });
+            
+            db.prepare("UPDATE sepa_batches SET status = 'settled', settled_at = CURRENT_TIMESTAMP WHERE id = ?").run(id);
+        })();
+        
+        logAction(batch.praxis_id, userId, 'UPDATE', 'sepa_batch', id, { status: batch.status }, { status: 'settled', booked, skipped }, `SEPA direct debit batch ${batch.message_id} settled`);
+        
+        return { booked, skipped };
+    } catch (error) {
+        console.error("❌ Error settling SEPA batch:", error);
+        throw error;
+    }
+}
+
+// === ACCOUNTING EXPORT === //
+
+/**
+ * Buchungsdaten eines Zeitraums: festgeschriebene Rechnungen (Rechnungsdatum),
+ * Zahlungseingänge (Zahlungsdatum) und Stornierungen (Stornodatum)
+ */
+function getAccountingExportData(praxisId, dateFrom, dateTo) {
+    try {
+        const invoices = db.prepare(`
+            ${invoiceSelectSql}
+            WHERE i.praxis_id = ? AND i.invoice_date BETWEEN ? AND ?
+            ORDER BY i.invoice_date ASC, i.invoice_number ASC
+        `).all(praxisId, dateFrom, dateTo).map(parseInvoiceRow);
+        
+        const cancellations = db.prepare(`
+            ${invoiceSelectSql}
+            WHERE i.praxis_id = ? AND i.status = 'cancelled' AND i.invoice_date IS NOT NULL
+            AND substr(i.cancelled_at, 1, 10) BETWEEN ? AND ?
+            ORDER BY i.cancelled_at ASC, i.invoice_number ASC
+        `).all(praxisId, dateFrom, dateTo).map(parseInvoiceRow);
+        
+        const payments = db.prepare(`
+            SELECT 
+                p.*,
+                i.invoice_number,
+                i.client_id,
+                i.currency,
+                c.name as client_name,
+                c.insurance_type
+            FROM invoice_payments p
+            JOIN invoices i ON p.invoice_id = i.id
+            LEFT JOIN clients c ON i.client_id = c.id
+            WHERE p.praxis_id = ? AND p.payment_date BETWEEN ? AND ?
+            ORDER BY p.payment_date ASC, p.id ASC
+        `).all(praxisId, dateFrom, dateTo);
+        
+        return { invoices, payments, cancellations };
+    } catch (error) {
+        console.error("❌ Error fetching accounting export data:", error);
+        throw error;
     }
 }
 
@@ -1627,7 +6242,7 @@ function addAssessment(assessmentData) {
             assessmentData.recommendations || null,
             assessmentData.is_baseline || 0,
             assessmentData.is_follow_up || 0,
-            assessmentData.administration_method || 'self_report',
+            assessmentData.administration_method || 'interview',
             assessmentData.administrator || null,
             assessmentData.duration_minutes || null,
             assessmentData.notes || null
@@ -1680,6 +6295,527 @@ function getAssessmentsByClient(clientId, assessmentType = null, userPraxisId =
     }
 }
 
+// === RISK ALERTS === //
+
+const RISK_LEVELS = ['niedrig', 'mittel', 'hoch', 'kritisch'];
+
+const riskAlertSelectSql = `
+    SELECT 
+        r.*,
+        c.name as client_name,
+        c.client_number,
+        c.risk_level as client_risk_level,
+        u.name as assigned_to_name,
+        ua.name as acknowledged_by_name,
+        uc.name as closed_by_name
+    FROM risk_alerts r
+    JOIN clients c ON r.client_id = c.id
+    LEFT JOIN users u ON r.assigned_to = u.id
+    LEFT JOIN users ua ON r.acknowledged_by = ua.id
+    LEFT JOIN users uc ON r.closed_by = uc.id
+`;
+
+function parseRiskAlertRow(alert) {
+    if (!alert) return alert;
+    return {
+        ...alert,
+        critical_items: JSON.parse(alert.critical_items)
+    };
+}
+
+/**
+ * Zuständige Therapeutin: Kalenderinhaber des zuletzt begonnenen (ersatzweise nächsten) Termins
+ */
+function getResponsibleTherapistId(clientId, now) {
+    try {
+        const appointment = db.prepare(`
+            SELECT therapist_id FROM appointments
+            WHERE client_id = ? AND therapist_id IS NOT NULL AND status != 'cancelled'
+            ORDER BY (start_time > ?), 
+                     CASE WHEN start_time > ? THEN start_time END ASC,
+                     start_time DESC
+            LIMIT 1
+        `).get(clientId, now, now);
+        return appointment ? appointment.therapist_id : null;
+    } catch (error) {
+        console.error("❌ Error resolving responsible therapist:", error);
+        return null;
+    }
+}
+
+/**
+ * Legt eine Warnung zu kritischen Items an und hebt die Risikoeinstufung des Clients
+ * mindestens auf die Stufe der Warnung an (mit Audit-Eintrag)
+ */
+function addRiskAlert(alertData, userId = null) {
+    try {
+        const client = db.prepare("SELECT id, praxis_id, risk_level FROM clients WHERE id = ?").get(alertData.client_id);
+        if (!client) {
+            throw new Error('Client not found');
+        }
+        
+        const raiseRiskLevel = RISK_LEVELS.indexOf(client.risk_level) < RISK_LEVELS.indexOf(alertData.risk_level);
+        
+        const alertId = db.transaction(() => {
+            const result = db.prepare(`
+                INSERT INTO risk_alerts (
+                    praxis_id, client_id, assessment_id, assessment_type, critical_items,
+                    risk_level, assigned_to, created_by, created_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            `).run(
+                client.praxis_id,
+                client.id,
+                alertData.assessment_id || null,
+                alertData.assessment_type,
+                JSON.stringify(alertData.critical_items),
+                alertData.risk_level,
+                alertData.assigned_to || null,
+                userId
+            );
+            
+            if (raiseRiskLevel) {
+                db.prepare(`
+                    UPDATE clients SET risk_level = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+                `).run(alertData.risk_level, client.id);
+            }
+            
+            return result.lastInsertRowid;
+        })();
+        
+        logAction(
+            client.praxis_id,
+            userId,
+            'RISK_ALERT',
+            'client',
+            client.id,
+            { risk_level: client.risk_level },
+            {
+                risk_level: raiseRiskLevel ? alertData.risk_level : client.risk_level,
+                risk_alert_id: alertId,
+                assessment_type: alertData.assessment_type,
+                items: alertData.critical_items.map(item => item.item)
+            },
+            `Critical items in ${alertData.assessment_type} for client ${client.id}` + 
+                (raiseRiskLevel ? `, risk level raised from ${client.risk_level} to ${alertData.risk_level}` : '')
+        );
+        
+        return alertId;
+    } catch (error) {
+        console.error("❌ Error adding risk alert:", error);
+        throw error;
+    }
+}
+
+function getRiskAlertById(id, userPraxisId = null) {
+    try {
+        const alert = db.prepare(`${riskAlertSelectSql} WHERE r.id = ?`).get(id);
+        
+        if (alert && userPraxisId) {
+            validatePraxisAccess(alert.praxis_id, userPraxisId);
+        }
+        
+        return parseRiskAlertRow(alert) || null;
+    } catch (error) {
+        console.error("❌ Error fetching risk alert:", error);
+        return null;
+    }
+}
+
+/**
+ * filters.status: 'open', 'acknowledged', 'closed' oder 'active' (= noch nicht geschlossen)
+ */
+function getRiskAlerts(praxisId, filters = {}) {
+    try {
+        let sql = `${riskAlertSelectSql} WHERE r.praxis_id = ?`;
+        const params = [praxisId];
+        
+        if (filters.status === 'active') {
+            sql += " AND r.status != 'closed'";
+        } else if (filters.status) {
+            sql += " AND r.status = ?";
+            params.push(filters.status);
+        }
+        
+        if (filters.client_id) {
+            sql += " AND r.client_id = ?";
+            params.push(filters.client_id);
+        }
+        
+        if (filters.assigned_to) {
+            sql += " AND r.assigned_to = ?";
+            params.push(filters.assigned_to);
+        }
+        
+        sql += " ORDER BY r.created_at DESC, r.id DESC";
+        
+        return db.prepare(sql).all(...params).map(parseRiskAlertRow);
+    } catch (error) {
+        console.error("❌ Error fetching risk alerts:", error);
+        return [];
+    }
+}
+
+function acknowledgeRiskAlert(id, userPraxisId = null, userId = null) {
+    try {
+        const alert = getRiskAlertById(id, userPraxisId);
+        if (!alert) {
+            throw new Error('Risk alert not found or access denied');
+        }
+        
+        db.prepare(`
+            UPDATE risk_alerts 
+            SET status = 'acknowledged', acknowledged_by = ?, acknowledged_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(userId, id);
+        
+        logAction(alert.praxis_id, userId, 'UPDATE', 'risk_alert', id, { status: alert.status }, { status: 'acknowledged' }, `Risk alert for client ${alert.client_id} acknowledged`);
+    } catch (error) {
+        console.error("❌ Error acknowledging risk alert:", error);
+        throw error;
+    }
+}
+
+/**
+ * Schließt eine bestätigte Warnung; die dokumentierte Risikoeinschätzung wird in den Client übernommen
+ */
+function closeRiskAlert(id, riskAssessment, riskLevel = null, userPraxisId = null, userId = null) {
+    try {
+        const alert = getRiskAlertById(id, userPraxisId);
+        if (!alert) {
+            throw new Error('Risk alert not found or access denied');
+        }
+        
+        db.transaction(() => {
+            db.prepare(`
+                UPDATE risk_alerts 
+                SET status = 'closed', risk_assessment = ?, closed_by = ?, closed_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(riskAssessment, userId, id);
+            
+            db.prepare(`
+                UPDATE clients 
+                SET risk_assessment = ?, risk_level = COALESCE(?, risk_level), updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(riskAssessment, riskLevel, alert.client_id);
+        })();
+        
+        logAction(
+            alert.praxis_id,
+            userId,
+            'UPDATE',
+            'risk_alert',
+            id,
+            { status: alert.status, risk_level: alert.client_risk_level },
+            { status: 'closed', risk_level: riskLevel || alert.client_risk_level },
+            `Risk alert for client ${alert.client_id} closed after documented risk assessment`
+        );
+    } catch (error) {
+        console.error("❌ Error closing risk alert:", error);
+        throw error;
+    }
+}
+
+// === SELF-REPORT LINKS === //
+
+function addSelfReportLink(linkData, userId = null) {
+    try {
+        const result = db.prepare(`
+            INSERT INTO self_report_links (
+                praxis_id, client_id, assessment_type, token_hash, expires_at, created_by, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `).run(
+            linkData.praxis_id,
+            linkData.client_id,
+            linkData.assessment_type,
+            linkData.token_hash,
+            linkData.expires_at,
+            userId
+        );
+        
+        logAction(
+            linkData.praxis_id,
+            userId,
+            'CREATE',
+            'self_report_link',
+            result.lastInsertRowid,
+            null,
+            { client_id: linkData.client_id, assessment_type: linkData.assessment_type, expires_at: linkData.expires_at },
+            `Self-report link (${linkData.assessment_type}) created for client ${linkData.client_id}`
+        );
+        
+        return result.lastInsertRowid;
+    } catch (error) {
+        console.error("❌ Error adding self-report link:", error);
+        throw error;
+    }
+}
+
+function getSelfReportLinkById(id, userPraxisId = null) {
+    try {
+        const link = db.prepare(`
+            SELECT id, praxis_id, client_id, assessment_type, expires_at, used_at, revoked_at, assessment_id, created_by, created_at
+            FROM self_report_links WHERE id = ?
+        `).get(id);
+        
+        if (link && userPraxisId) {
+            validatePraxisAccess(link.praxis_id, userPraxisId);
+        }
+        
+        return link || null;
+    } catch (error) {
+        console.error("❌ Error fetching self-report link:", error);
+        return null;
+    }
+}
+
+function getSelfReportLinkByTokenHash(tokenHash) {
+    try {
+        return db.prepare(`
+            SELECT l.id, l.praxis_id, l.client_id, l.assessment_type, l.expires_at, l.used_at, l.revoked_at,
+                   l.created_by, p.name as praxis_name
+            FROM self_report_links l
+            JOIN praxis p ON l.praxis_id = p.id
+            JOIN clients c ON l.client_id = c.id
+            WHERE l.token_hash = ? AND c.is_archived = 0
+        `).get(tokenHash) || null;
+    } catch (error) {
+        console.error("❌ Error fetching self-report link by token:", error);
+        return null;
+    }
+}
+
+function getSelfReportLinksByClient(clientId, userPraxisId = null) {
+    try {
+        const client = getClientById(clientId, userPraxisId);
+        if (!client) {
+            throw new Error('Client not found or access denied');
+        }
+        
+        return db.prepare(`
+            SELECT l.id, l.client_id, l.assessment_type, l.expires_at, l.used_at, l.revoked_at, l.assessment_id,
+                   l.created_at, u.name as created_by_name
+            FROM self_report_links l
+            LEFT JOIN users u ON l.created_by = u.id
+            WHERE l.client_id = ?
+            ORDER BY l.created_at DESC, l.id DESC
+        `).all(clientId);
+    } catch (error) {
+        console.error("❌ Error fetching self-report links:", error);
+        return [];
+    }
+}
+
+function revokeSelfReportLink(id, revokedAt, userPraxisId = null, userId = null) {
+    try {
+        const link = getSelfReportLinkById(id, userPraxisId);
+        if (!link) {
+            throw new Error('Self-report link not found or access denied');
+        }
+        
+        db.prepare("UPDATE self_report_links SET revoked_at = ? WHERE id = ?").run(revokedAt, id);
+        
+        logAction(link.praxis_id, userId, 'DELETE', 'self_report_link', id, null, { revoked_at: revokedAt }, `Self-report link for client ${link.client_id} revoked`);
+    } catch (error) {
+        console.error("❌ Error revoking self-report link:", error);
+        throw error;
+    }
+}
+
+/**
+ * Löst einen Link ein: der Link wird nur einmal und nur vor Ablauf angenommen, das Assessment
+ * wird im selben Schritt angelegt. Gibt die Assessment-ID zurück oder null, wenn der Link nicht mehr gültig ist.
+ */
+function completeSelfReportLink(id, assessmentData, now) {
+    try {
+        const assessmentId = db.transaction(() => {
+            const claimed = db.prepare(`
+                UPDATE self_report_links SET used_at = ?
+                WHERE id = ? AND used_at IS NULL AND revoked_at IS NULL AND expires_at > ?
+            `).run(now, id, now);
+            if (claimed.changes === 0) {
+                return null;
+            }
+            
+            const result = addAssessment({ ...assessmentData, administration_method: 'self_report' });
+            db.prepare("UPDATE self_report_links SET assessment_id = ? WHERE id = ?").run(result.lastInsertRowid, id);
+            return result.lastInsertRowid;
+        })();
+        
+        if (assessmentId) {
+            const link = getSelfReportLinkById(id);
+            logAction(link.praxis_id, null, 'CREATE', 'assessment', assessmentId, null, { self_report_link_id: id }, `Self-report ${link.assessment_type} submitted for client ${link.client_id}`);
+        }
+        
+        return assessmentId;
+    } catch (error) {
+        console.error("❌ Error completing self-report link:", error);
+        throw error;
+    }
+}
+
+// === ROUTINE OUTCOME MONITORING (ROM) PLANS === //
+
+const romPlanSelectSql = `
+    SELECT 
+        r.*,
+        c.name as client_name,
+        c.therapy_status,
+        c.treatment_phase,
+        c.end_date,
+        c.sessions_approved,
+        c.sessions_used
+    FROM rom_plans r
+    JOIN clients c ON r.client_id = c.id
+`;
+
+function addRomPlan(planData, userId = null) {
+    try {
+        const result = db.prepare(`
+            INSERT INTO rom_plans (
+                praxis_id, client_id, assessment_type, session_interval, day_interval,
+                at_start, at_end, start_date, notes, created_by, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        `).run(
+            planData.praxis_id,
+            planData.client_id,
+            planData.assessment_type,
+            planData.session_interval || null,
+            planData.day_interval || null,
+            planData.at_start ? 1 : 0,
+            planData.at_end ? 1 : 0,
+            planData.start_date,
+            planData.notes || null,
+            userId
+        );
+        
+        logAction(
+            planData.praxis_id,
+            userId,
+            'CREATE',
+            'rom_plan',
+            result.lastInsertRowid,
+            null,
+            planData,
+            `ROM plan (${planData.assessment_type}) created for client ${planData.client_id}`
+        );
+        
+        return result.lastInsertRowid;
+    } catch (error) {
+        console.error("❌ Error adding ROM plan:", error);
+        throw error;
+    }
+}
+
+function getRomPlanById(id, userPraxisId = null) {
+    try {
+        const plan = db.prepare(`${romPlanSelectSql} WHERE r.id = ?`).get(id);
+        
+        if (plan && userPraxisId) {
+            validatePraxisAccess(plan.praxis_id, userPraxisId);
+        }
+        
+        return plan || null;
+    } catch (error) {
+        console.error("❌ Error fetching ROM plan:", error);
+        return null;
+    }
+}
+
+function getRomPlansByClient(clientId, includeInactive = false, userPraxisId = null) {
+    try {
+        const client = getClientById(clientId, userPraxisId);
+        if (!client) {
+            throw new Error('Client not found or access denied');
+        }
+        
+        return db.prepare(`
+            ${romPlanSelectSql}
+            WHERE r.client_id = ? ${includeInactive ? '' : 'AND r.is_active = 1'}
+            ORDER BY r.is_active DESC, r.assessment_type
+        `).all(clientId);
+    } catch (error) {
+        console.error("❌ Error fetching ROM plans:", error);
+        return [];
+    }
+}
+
+function getActiveRomPlans(praxisId) {
+    try {
+        return db.prepare(`
+            ${romPlanSelectSql}
+            WHERE r.praxis_id = ? AND r.is_active = 1 AND c.is_archived = 0
+            ORDER BY c.name, r.assessment_type
+        `).all(praxisId);
+    } catch (error) {
+        console.error("❌ Error fetching active ROM plans:", error);
+        return [];
+    }
+}
+
+function updateRomPlan(id, updates, userPraxisId = null, userId = null) {
+    try {
+        const plan = getRomPlanById(id, userPraxisId);
+        if (!plan) {
+            throw new Error('ROM plan not found or access denied');
+        }
+        
+        const allowedFields = ['session_interval', 'day_interval', 'at_start', 'at_end', 'start_date', 'notes', 'is_active'];
+        const fields = Object.keys(updates).filter(key => allowedFields.includes(key));
+        
+        if (fields.length === 0) {
+            throw new Error('No valid fields to update');
+        }
+        
+        const toDbValue = (key, value) => ['at_start', 'at_end', 'is_active'].includes(key) ? (value ? 1 : 0) : (value ?? null);
+        const result = db.prepare(`
+            UPDATE rom_plans 
+            SET ${fields.map(key => `${key} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(...fields.map(key => toDbValue(key, updates[key])), id);
+        
+        logAction(plan.praxis_id, userId, 'UPDATE', 'rom_plan', id, plan, updates, `ROM plan (${plan.assessment_type}) updated for client ${plan.client_id}`);
+        
+        return result;
+    } catch (error) {
+        console.error("❌ Error updating ROM plan:", error);
+        throw error;
+    }
+}
+
+/**
+ * Anzahl und Zeitpunkt der Messungen eines Instruments ab einem UTC-Zeitpunkt
+ * (completed_at wird als UTC gespeichert, "YYYY-MM-DD HH:MM:SS")
+ */
+function getRomMeasurementData(clientId, assessmentType, sinceUtc) {
+    try {
+        const measurements = db.prepare(`
+            SELECT COUNT(*) as count, MAX(datetime(completed_at)) as last_completed_at
+            FROM assessments
+            WHERE client_id = ? AND assessment_type = ? AND datetime(completed_at) >= datetime(?)
+        `).get(clientId, assessmentType, sinceUtc);
+        
+        return {
+            assessment_count: measurements.count,
+            last_assessment_at: measurements.last_completed_at
+        };
+    } catch (error) {
+        console.error("❌ Error fetching ROM measurement data:", error);
+        return { assessment_count: 0, last_assessment_at: null };
+    }
+}
+
+function countCompletedSessionsAfter(clientId, date) {
+    try {
+        return db.prepare(`
+            SELECT COUNT(*) as count FROM sessions
+            WHERE client_id = ? AND status = 'durchgeführt' AND substr(date, 1, 10) > ?
+        `).get(clientId, date).count;
+    } catch (error) {
+        console.error("❌ Error counting completed sessions:", error);
+        return 0;
+    }
+}
+
 // === SETTINGS MANAGEMENT === //
 
 function getSetting(key, category = 'app', praxisId = null) {
@@ -1709,6 +6845,14 @@ function getSetting(key, category = 'app', praxisId = null) {
     }
 }
 
+/**
+ * Praxis-eigene Einstellung mit Rückfall auf den globalen Standardwert
+ */
+function getPraxisSetting(key, category = 'app', praxisId = null) {
+    const value = praxisId ? getSetting(key, category, praxisId) : null;
+    return value !== null ? value : getSetting(key, category);
+}
+
 function setSetting(key, value, category = 'app', description = null, praxisId = null, userId = null) {
     try {
         // Determine value type
@@ -2399,6 +7543,8 @@ module.exports = {
     getUserByEmail,
     getUsersByPraxis,
     updateUserLogin,
+    setUserCalendarFeedToken,
+    getUserByCalendarFeedToken,
     
     // Client management
     addClient,
@@ -2412,29 +7558,189 @@ module.exports = {
     getSessionsByClient,
     getSessionById,
     
-    // Document management (placeholders for compatibility)
-    addDocument: (docData) => ({ lastInsertRowid: Date.now() }),
-    getDocumentsByClient: (clientId) => [],
-    getDocumentById: (id) => null,
+    // Therapy contingents
+    CONTINGENT_TYPES,
+    SESSION_TYPE_CONTINGENTS,
+    addTherapyContingent,
+    getTherapyContingentById,
+    getTherapyContingentsByClient,
+    getActiveTherapyContingents,
+    updateTherapyContingent,
+    assignSessionContingent,
+    assignUnallocatedSessions,
+    
+    // Treatment phases
+    TREATMENT_PHASES,
+    PHASE_SESSION_TYPES,
+    getSessionUnits,
+    setTreatmentPhase,
+    getTreatmentPhaseAt,
+    getTreatmentPhaseHistory,
+    getTreatmentPhaseUsage,
+    
+    // Therapy applications
+    APPLICATION_CONTINGENT_TYPES,
+    addTherapyApplication,
+    getTherapyApplicationById,
+    getTherapyApplicationsByClient,
+    getOpenTherapyApplications,
+    updateTherapyApplication,
+    recordApplicationDecision,
+    
+    // Waiting list
+    addWaitlistEntry,
+    getWaitlistEntryById,
+    getWaitlistEntries,
+    updateWaitlistEntry,
+    addWaitlistContactAttempt,
+    getWaitlistContactAttempts,
+    placeWaitlistEntry,
+    removeWaitlistEntry,
+    getWaitlistStatistics,
+    
+    // Anamneses
+    addAnamnese,
+    getAnamnesesByClient,
+    
+    // Document management
+    addDocument,
+    getDocumentsByClient,
+    getDocumentsByPraxis,
+    getDocumentById,
+    updateDocument,
+    deleteDocument,
     
     // Audio transcriptions (placeholders)
     addAudioTranscription: (audioData) => ({ lastInsertRowid: Date.now() }),
     getAudioTranscriptionsByClient: (clientId) => [],
     
-    // Chat history (placeholders)
-    addChatMessage: (messageData) => ({ lastInsertRowid: Date.now() }),
-    getChatHistory: (clientId, limit) => [],
-    getRecentChatHistory: (limit) => [],
+    // Chat history
+    createChatConversation,
+    getChatConversationById,
+    getChatConversationsByClient,
+    renameChatConversation,
+    deleteChatConversation,
+    addChatMessage,
+    getChatHistory,
+    getRecentChatHistory,
+    rateChatMessage,
+    
+    // Treatment goals
+    GOAL_REVIEW_INTERVALS,
+    addTreatmentGoal,
+    getTreatmentGoalsByClient,
+    getTreatmentGoalById,
+    updateTreatmentGoal,
+    deleteTreatmentGoal,
+    recordGoalProgress,
+    getGoalProgressHistory,
+    setGoalMilestoneStatus,
+    getGoalsDueForReview,
+    
+    // Appointment management
+    addAppointment,
+    getAppointmentById,
+    getAppointmentsInRange,
+    getAppointmentByExternalUid,
+    findAppointmentConflicts,
+    updateAppointment,
+    cancelAppointment,
+    rescheduleAppointment,
+    completeAppointment,
+    APPOINTMENT_SESSION_TYPES,
+    addAppointmentSeries,
+    getSeriesAppointments,
+    updateSeriesRuleBefore,
+    deleteSeriesOccurrencesFrom,
+    cancelSeriesFrom,
+    splitAppointmentSeries,
+    addCalendarException,
+    getCalendarExceptions,
+    deleteCalendarException,
     
-    // Treatment goals (placeholders)
-    addTreatmentGoal: (goalData) => ({ lastInsertRowid: Date.now() }),
-    getTreatmentGoalsByClient: (clientId) => [],
-    updateTreatmentGoal: (id, updates) => ({ changes: 1 }),
+    // Invoice management
+    addInvoice,
+    addInvoiceItem,
+    createInvoiceWithItems,
+    getInvoiceById,
+    getInvoicesByClient,
+    getInvoicesByPraxis,
+    getInvoiceItems,
+    getBillableSessions,
+    finalizeInvoice,
+    cancelInvoice,
+    setInvoiceDocumentPath,
+    deleteInvoiceDraft,
+    
+    // Payments & dunning
+    getInvoicePayments,
+    addInvoicePayment,
+    deleteInvoicePayment,
+    markOverdueInvoices,
+    getInvoicesForDunning,
+    addInvoiceReminder,
+    getInvoiceReminders,
+    getInvoiceReminderById,
+    getOpenInvoices,
+    setInvoiceDisputed,
+    
+    // Bank statement import
+    addBankStatementImport,
+    updateBankStatementImportCounts,
+    getBankStatementImportByHash,
+    getBankStatementImports,
+    addBankTransaction,
+    updateBankTransactionMatch,
+    getBankTransactionById,
+    getBankTransactions,
+    
+    // SEPA direct debit
+    addSepaMandate,
+    getSepaMandatesByClient,
+    getActiveSepaMandate,
+    getSepaMandateById,
+    updateSepaMandate,
+    revokeSepaMandate,
+    addSepaBatch,
+    setSepaBatchFilePath,
+    getSepaBatchById,
+    getSepaBatches,
+    cancelSepaBatch,
+    settleSepaBatch,
+    
+    // Accounting export
+    getAccountingExportData,
     
     // Assessment management
     addAssessment,
     getAssessmentsByClient,
     
+    // Risk alerts
+    RISK_LEVELS,
+    getResponsibleTherapistId,
+    addRiskAlert,
+    getRiskAlertById,
+    getRiskAlerts,
+    acknowledgeRiskAlert,
+    closeRiskAlert,
+    
+    // Self-report links
+    addSelfReportLink,
+    getSelfReportLinkById,
+    getSelfReportLinkByTokenHash,
+    getSelfReportLinksByClient,
+    revokeSelfReportLink,
+    completeSelfReportLink,
+    
+    // ROM plans
+    addRomPlan,
+    getRomPlanById,
+    getRomPlansByClient,
+    getActiveRomPlans,
+    updateRomPlan,
+    getRomMeasurementData,
+    countCompletedSessionsAfter,
+    
     // Search functions
     searchClients,
     searchSessions,
@@ -2445,6 +7751,7 @@ module.exports = {
     
     // Settings management
     getSetting,
+    getPraxisSetting,
     setSetting,
     
     // NEW: Datei-Analyse Functions
@@ -2463,19 +7770,13 @@ module.exports = {
     getLastSyncTime,
     cleanupSyncHistory,
     
-    // Placeholders for additional features
-    addAnamnese: (data) => ({ lastInsertRowid: Date.now() }),
-    getAnamnesesByClient: (clientId) => [],
-    addInvoice: (invoiceData) => ({ lastInsertRowid: Date.now() }),
-    addInvoiceItem: (itemData) => ({ lastInsertRowid: Date.now() }),
-    getInvoicesByClient: (clientId) => [],
-    getInvoiceItems: (invoiceId) => [],
-    
     // Utility functions
     logAction,
     generateSecureId,
     hashString,
-    validatePraxisAccess
+    validatePraxisAccess,
+    PRAXIS_TIMEZONE,
+    formatInPraxisTimezone
 };
 
 console.log('✅ DB Module loaded with System-Integration & Datei-Analyse features');
@@ -5,8 +5,13 @@ const dotenv = require("dotenv");
 const path = require("path");
 const multer = require("multer");
 const fs = require("fs");
+const crypto = require("crypto");
 const mammoth = require("mammoth");
 const pdfParse = require("pdf-parse");
+const PDFDocument = require("pdfkit");
+const { XMLParser, XMLValidator } = require("fast-xml-parser");
+const { validateXML } = require("xmllint-wasm");
+const JSZip = require("jszip");
 const session = require('express-session');
 const bcrypt = require('bcryptjs');
 const SQLiteStore = require('connect-sqlite3')(session);
@@ -14,6 +19,7 @@ const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const { v4: uuidv4 } = require('uuid');
 const Anthropic = require('@anthropic-ai/sdk'); // ✅ NEU: Anthropic SDK
+const { Resvg } = require('@resvg/resvg-js');
 
 dotenv.config();
 
@@ -88,22 +94,80 @@ const {
   addSession,
   getSessionsByClient,
   getSessionById,
+  setUserCalendarFeedToken,
+  getUserByCalendarFeedToken,
   addDocument,
   getDocumentsByClient,
+  getDocumentsByPraxis,
   getDocumentById,
+  updateDocument,
+  deleteDocument,
   addAudioTranscription,
   getAudioTranscriptionsByClient,
+  createChatConversation,
+  getChatConversationById,
+  getChatConversationsByClient,
+  renameChatConversation,
+  deleteChatConversation,
   addChatMessage,
   getChatHistory,
   getRecentChatHistory,
+  rateChatMessage,
+  GOAL_REVIEW_INTERVALS,
   addTreatmentGoal,
   getTreatmentGoalsByClient,
+  getTreatmentGoalById,
   updateTreatmentGoal,
+  deleteTreatmentGoal,
+  recordGoalProgress,
+  getGoalProgressHistory,
+  setGoalMilestoneStatus,
+  getGoalsDueForReview,
+  addAppointment,
+  getAppointmentById,
+  getAppointmentsInRange,
+  getAppointmentByExternalUid,
+  findAppointmentConflicts,
+  updateAppointment,
+  cancelAppointment,
+  rescheduleAppointment,
+  completeAppointment,
+  APPOINTMENT_SESSION_TYPES,
+  addAppointmentSeries,
+  getSeriesAppointments,
+  updateSeriesRuleBefore,
+  cancelSeriesFrom,
+  splitAppointmentSeries,
+  addCalendarException,
+  getCalendarExceptions,
+  deleteCalendarException,
   addAssessment,
   getAssessmentsByClient,
+  RISK_LEVELS,
+  getResponsibleTherapistId,
+  addRiskAlert,
+  getRiskAlertById,
+  getRiskAlerts,
+  acknowledgeRiskAlert,
+  closeRiskAlert,
+  addSelfReportLink,
+  getSelfReportLinkById,
+  getSelfReportLinkByTokenHash,
+  getSelfReportLinksByClient,
+  revokeSelfReportLink,
+  completeSelfReportLink,
+  addRomPlan,
+  getRomPlanById,
+  getRomPlansByClient,
+  getActiveRomPlans,
+  updateRomPlan,
+  getRomMeasurementData,
+  countCompletedSessionsAfter,
   searchClients,
   searchSessions,
   getSetting,
+  getPraxisSetting,
+  getPraxisById,
   setSetting,
   getStatistics,
   getExtendedStatistics, // ✅ NEU
@@ -111,8 +175,77 @@ const {
   getAnamnesesByClient,
   addInvoice,
   addInvoiceItem,
+  createInvoiceWithItems,
+  getInvoiceById,
   getInvoicesByClient,
+  getInvoicesByPraxis,
   getInvoiceItems,
+  getBillableSessions,
+  finalizeInvoice,
+  cancelInvoice,
+  setInvoiceDocumentPath,
+  deleteInvoiceDraft,
+  getInvoicePayments,
+  addInvoicePayment,
+  deleteInvoicePayment,
+  markOverdueInvoices,
+  getInvoicesForDunning,
+  addInvoiceReminder,
+  getInvoiceReminders,
+  getInvoiceReminderById,
+  getOpenInvoices,
+  setInvoiceDisputed,
+  addBankStatementImport,
+  updateBankStatementImportCounts,
+  getBankStatementImportByHash,
+  getBankStatementImports,
+  addBankTransaction,
+  updateBankTransactionMatch,
+  getBankTransactionById,
+  getBankTransactions,
+  addSepaMandate,
+  getSepaMandatesByClient,
+  getActiveSepaMandate,
+  getSepaMandateById,
+  updateSepaMandate,
+  revokeSepaMandate,
+  addSepaBatch,
+  getSepaBatchById,
+  getSepaBatches,
+  cancelSepaBatch,
+  settleSepaBatch,
+  getAccountingExportData,
+  CONTINGENT_TYPES,
+  SESSION_TYPE_CONTINGENTS,
+  addTherapyContingent,
+  getTherapyContingentById,
+  getTherapyContingentsByClient,
+  getActiveTherapyContingents,
+  updateTherapyContingent,
+  assignUnallocatedSessions,
+  TREATMENT_PHASES,
+  PHASE_SESSION_TYPES,
+  getSessionUnits,
+  setTreatmentPhase,
+  getTreatmentPhaseAt,
+  getTreatmentPhaseHistory,
+  getTreatmentPhaseUsage,
+  APPLICATION_CONTINGENT_TYPES,
+  addTherapyApplication,
+  getTherapyApplicationById,
+  getTherapyApplicationsByClient,
+  getOpenTherapyApplications,
+  updateTherapyApplication,
+  recordApplicationDecision,
+  addWaitlistEntry,
+  getWaitlistEntryById,
+  getWaitlistEntries,
+  updateWaitlistEntry,
+  addWaitlistContactAttempt,
+  getWaitlistContactAttempts,
+  placeWaitlistEntry,
+  removeWaitlistEntry,
+  getWaitlistStatistics,
   addPraxis,
   addUser,
   getUsersByPraxis,
@@ -132,114 +265,160 @@ const {
   addSyncHistory,
   getSyncHistory,
   getLastSyncTime,
-  cleanupSyncHistory
+  cleanupSyncHistory,
+  logAction,
+  PRAXIS_TIMEZONE,
+  formatInPraxisTimezone
 } = require("./db");
 
 // --- STANDARDIZED ASSESSMENT INSTRUMENTS --- //
-const ASSESSMENTS = {
-  'PHQ-9': {
-    name: 'Patient Health Questionnaire-9',
-    type: 'depression',
-    questions: [
-      'Wenig Interesse oder Freude an Tätigkeiten',
-      'Niedergeschlagenheit, Schwermut oder Hoffnungslosigkeit',
-      'Schwierigkeiten beim Ein- oder Durchschlafen oder vermehrter Schlaf',
-      'Müdigkeit oder Gefühl, keine Energie zu haben',
-      'Verminderter Appetit oder übermäßiges Bedürfnis zu essen',
-      'Schlechte Meinung von sich selbst; Gefühl ein Versager zu sein',
-      'Schwierigkeiten sich zu konzentrieren',
-      'Langsame Bewegungen oder Sprache, oder Unruhe',
-      'Gedanken, dass Sie besser tot wären oder sich Leid zufügen möchten'
-    ],
-    scale: ['Überhaupt nicht', 'An einzelnen Tagen', 'An mehr als der Hälfte der Tage', 'Beinahe jeden Tag'],
-    scoring: {
-      minimal: [0, 4],
-      mild: [5, 9],
-      moderate: [10, 14],
-      moderateSevere: [15, 19],
-      severe: [20, 27]
-    },
-    maxScore: 27
-  },
-  'GAD-7': {
-    name: 'Generalized Anxiety Disorder 7-item',
-    type: 'anxiety',
-    questions: [
-      'Nervosität, Ängstlichkeit oder Anspannung',
-      'Nicht in der Lage sein, Sorgen zu stoppen oder zu kontrollieren',
-      'Zu viele Sorgen bezüglich verschiedener Angelegenheiten',
-      'Schwierigkeiten zu entspannen',
-      'Unruhe, sodass Stillsitzen schwer fällt',
-      'Schnelle Verärgerung oder Gereiztheit',
-      'Angst, dass etwas Schlimmes passieren könnte'
-    ],
-    scale: ['Überhaupt nicht', 'An einzelnen Tagen', 'An mehr als der Hälfte der Tage', 'Beinahe jeden Tag'],
-    scoring: {
-      minimal: [0, 4],
-      mild: [5, 9],
-      moderate: [10, 14],
-      severe: [15, 21]
-    },
-    maxScore: 21
-  },
-  'PCL-5': {
-    name: 'PTSD Checklist for DSM-5',
-    type: 'trauma',
-    questions: [
-      'Wiederholte, störende und ungewollte Erinnerungen an das belastende Ereignis',
-      'Wiederholte, störende Träume über das belastende Ereignis',
-      'Plötzliches Verhalten oder Gefühl, als ob das belastende Ereignis erneut geschieht',
-      'Sehr starke belastende Gefühle bei Erinnerung an das Ereignis',
-      'Starke körperliche Reaktionen bei Erinnerung an das Ereignis',
-      'Vermeidung von Erinnerungen, Gedanken oder Gefühlen bezüglich des Ereignisses',
-      'Vermeidung von äußeren Erinnerungen (Menschen, Orte, Gespräche, etc.)',
-      'Probleme, sich an wichtige Teile des belastenden Ereignisses zu erinnern',
-      'Starke negative Überzeugungen über sich selbst, andere oder die Welt',
-      'Andere oder sich selbst für das Ereignis oder die Folgen verantwortlich machen',
-      'Starke negative Gefühle (Angst, Wut, Schuld, Scham)',
-      'Deutlich vermindertes Interesse an Aktivitäten',
-      'Gefühl der Entfremdung oder Distanziertheit von anderen',
-      'Anhaltende Unfähigkeit positive Gefühle zu empfinden',
-      'Reizbarkeit, Wutausbrüche oder Aggressivität',
-      'Übermäßig risikoreiches oder selbstschädigendes Verhalten',
-      'Übermäßige Wachsamkeit',
-      'Übertriebene Schreckreaktionen',
-      'Schwierigkeiten sich zu konzentrieren',
-      'Schlafstörungen'
-    ],
-    scale: ['Überhaupt nicht', 'Ein wenig', 'Mäßig', 'Ziemlich', 'Extrem'],
-    scoring: {
-      minimal: [0, 32],
-      mild: [33, 37],
-      moderate: [38, 43],
-      severe: [44, 80]
-    },
-    maxScore: 80
-  },
-  'OQ-45': {
-    name: 'Outcome Questionnaire-45',
-    type: 'general',
-    questions: [
-      'Ich komme mit anderen Menschen gut aus',
-      'Ich werde müde ohne besonderen Grund',
-      'Ich bin unglücklich in meiner Ehe/Partnerschaft',
-      'Ich habe Gedanken, mir selbst das Leben zu nehmen',
-      'Ich fühle mich schwach',
-      'Meine Arbeit/Schule leidet',
-      'Ich bin eine glückliche Person',
-      'Ich habe Probleme bei der Arbeit/Schule wegen Drogen- oder Alkoholkonsums'
-      // Vereinfachte Version - das echte OQ-45 hat 45 Fragen
-    ],
-    scale: ['Nie', 'Selten', 'Manchmal', 'Häufig', 'Fast immer'],
-    scoring: {
-      normal: [0, 63],
-      mild: [64, 83],
-      moderate: [84, 103],
-      severe: [104, 180]
-    },
-    maxScore: 180
-  }
-};
+// Instrumente werden als JSON-Dateien in assessments/ definiert und beim Start geladen
+const ASSESSMENTS_DIR = process.env.ASSESSMENTS_DIR || path.join(__dirname, 'assessments');
+
+/**
+ * Prüft eine Instrumentdefinition und ergänzt Standardwerte.
+ * Pflichtfelder: key, name, type, questions, scale (Antwortstufen mit den Werten 0..n-1), scoring.
+ * Optional: reverseItems und subscales[].items (1-basierte Itemnummern), weights ({ Itemnummer: Gewicht }),
+ * maxMissingItems (Anzahl fehlender Antworten, die noch hochgerechnet werden), maxScore,
+ * criticalItems ([{ item, label, minValue, riskLevel }] – lösen ab minValue eine Risikowarnung aus),
+ * selfReport (per Link vom Klienten selbst ausfüllbar) und instructions (Einleitungstext des Fragebogens),
+ * direction ('lower_is_better' | 'higher_is_better') und norms für den Reliable Change Index:
+ * { reliability, sd, cutoff } oder { reliability, clinical: { mean, sd }, functional: { mean, sd } }.
+ */
+function normalizeAssessmentDefinition(definition) {
+    const errors = [];
+    if (!definition.key || typeof definition.key !== 'string') errors.push('key fehlt');
+    if (!definition.name) errors.push('name fehlt');
+    if (!Array.isArray(definition.questions) || definition.questions.length === 0) errors.push('questions fehlt');
+    if (!Array.isArray(definition.scale) || definition.scale.length < 2) errors.push('scale benötigt mindestens zwei Antwortstufen');
+    if (!definition.scoring || typeof definition.scoring !== 'object') errors.push('scoring fehlt');
+    if (errors.length > 0) throw new Error(errors.join(', '));
+    
+    const itemCount = definition.questions.length;
+    const isItemNumber = item => Number.isInteger(item) && item >= 1 && item <= itemCount;
+    const reverseItems = definition.reverseItems || [];
+    const weights = definition.weights || {};
+    const subscales = definition.subscales || {};
+    
+    if (!Array.isArray(reverseItems) || !reverseItems.every(isItemNumber)) {
+        errors.push('reverseItems enthält ungültige Itemnummern');
+    }
+    Object.entries(weights).forEach(([item, weight]) => {
+        if (!isItemNumber(Number(item)) || typeof weight !== 'number' || weight < 0) {
+            errors.push(`Ungültiges Gewicht für Item ${item}`);
+        }
+    });
+    Object.entries(subscales).forEach(([key, subscale]) => {
+        if (!Array.isArray(subscale.items) || subscale.items.length === 0 || !subscale.items.every(isItemNumber)) {
+            errors.push(`Subskala ${key} enthält ungültige Itemnummern`);
+        }
+    });
+    Object.entries(definition.scoring).forEach(([level, range]) => {
+        if (!Array.isArray(range) || range.length !== 2 || range[0] > range[1]) {
+            errors.push(`Ungültiger Wertebereich für Schweregrad ${level}`);
+        }
+    });
+    if (definition.maxMissingItems !== undefined && (!Number.isInteger(definition.maxMissingItems) || definition.maxMissingItems < 0)) {
+        errors.push('maxMissingItems muss eine nicht-negative ganze Zahl sein');
+    }
+    const criticalItems = definition.criticalItems || [];
+    criticalItems.forEach(rule => {
+        if (!isItemNumber(rule.item)) errors.push('criticalItems enthält ungültige Itemnummern');
+        if (rule.minValue !== undefined && (!Number.isInteger(rule.minValue) || rule.minValue < 1 || rule.minValue >= definition.scale.length)) {
+            errors.push(`Ungültiger Schwellenwert für kritisches Item ${rule.item}`);
+        }
+        if (rule.riskLevel !== undefined && !['hoch', 'kritisch'].includes(rule.riskLevel)) {
+            errors.push(`riskLevel für kritisches Item ${rule.item} muss hoch oder kritisch sein`);
+        }
+    });
+    if (definition.direction !== undefined && !['lower_is_better', 'higher_is_better'].includes(definition.direction)) {
+        errors.push('direction muss lower_is_better oder higher_is_better sein');
+    }
+    const norms = definition.norms ? normalizeAssessmentNorms(definition.norms, errors) : null;
+    if (errors.length > 0) throw new Error(errors.join(', '));
+    
+    const normalized = {
+        ...definition,
+        reverseItems,
+        weights,
+        subscales,
+        criticalItems: criticalItems.map(rule => ({ minValue: 1, riskLevel: 'hoch', ...rule })),
+        maxMissingItems: definition.maxMissingItems || 0,
+        direction: definition.direction || 'lower_is_better',
+        norms
+    };
+    const allItems = definition.questions.map((question, index) => index + 1);
+    if (normalized.maxScore === undefined) {
+        normalized.maxScore = getAssessmentItemsMax(normalized, allItems);
+    }
+    return normalized;
+}
+
+// Jacobson & Truax (1991): Streuung der Ausgangswerte und klinischer Trennwert c,
+// falls nicht direkt angegeben aus Mittelwerten und Streuungen der klinischen und der funktionalen Stichprobe
+function normalizeAssessmentNorms(norms, errors) {
+    const { reliability, clinical, functional } = norms;
+    if (typeof reliability !== 'number' || reliability <= 0 || reliability >= 1) {
+        errors.push('norms.reliability muss zwischen 0 und 1 liegen');
+        return null;
+    }
+    
+    const isGroup = group => group && typeof group.mean === 'number' && typeof group.sd === 'number' && group.sd > 0;
+    const sd = norms.sd !== undefined ? norms.sd : (isGroup(clinical) ? clinical.sd : undefined);
+    if (typeof sd !== 'number' || sd <= 0) {
+        errors.push('norms.sd oder norms.clinical fehlt');
+        return null;
+    }
+    
+    let cutoff = norms.cutoff;
+    if (cutoff === undefined && isGroup(clinical) && isGroup(functional)) {
+        cutoff = (clinical.sd * functional.mean + functional.sd * clinical.mean) / (clinical.sd + functional.sd);
+    }
+    if (cutoff !== undefined && typeof cutoff !== 'number') {
+        errors.push('norms.cutoff muss eine Zahl sein');
+        return null;
+    }
+    
+    return { ...norms, reliability, sd, cutoff: cutoff !== undefined ? Math.round(cutoff * 10) / 10 : null };
+}
+
+function loadAssessmentDefinitions(directory) {
+    const definitions = {};
+    if (!fs.existsSync(directory)) {
+        console.warn(`⚠️ Assessment-Verzeichnis nicht gefunden: ${directory}`);
+        return definitions;
+    }
+    
+    fs.readdirSync(directory)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .forEach(file => {
+            try {
+                const definition = normalizeAssessmentDefinition(JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')));
+                if (definitions[definition.key]) {
+                    throw new Error(`${definition.key} ist bereits definiert`);
+                }
+                definitions[definition.key] = definition;
+            } catch (error) {
+                console.error(`❌ Assessment-Definition ${file} ungültig:`, error.message);
+            }
+        });
+    return definitions;
+}
+
+function getAssessmentItemWeight(assessment, item) {
+    return assessment.weights[item] !== undefined ? assessment.weights[item] : 1;
+}
+
+function getAssessmentItemsMax(assessment, items) {
+    const maxItemValue = assessment.scale.length - 1;
+    return items.reduce((sum, item) => sum + getAssessmentItemWeight(assessment, item) * maxItemValue, 0);
+}
+
+const ASSESSMENTS = loadAssessmentDefinitions(ASSESSMENTS_DIR);
+
+// Erhebungsarten bei Eingabe durch das Praxisteam ('self_report' nur über Selbstauskunfts-Links)
+const STAFF_ADMINISTRATION_METHODS = ['interview', 'observation'];
 
 // === ANTHROPIC/CLAUDE AI FUNCTIONS === //
 
@@ -352,10 +531,18 @@ async function analyzeTextWithClaude(textContent, prompt) {
 // --- ENHANCED AI FUNCTIONS --- //
 
 async function callOpenAI(messages, model = "gpt-3.5-turbo") {
+    const completion = await callOpenAIWithUsage(messages, model);
+    return completion.content;
+}
+
+// Wie callOpenAI, liefert zusätzlich Token-Verbrauch, Modell und Antwortzeit
+async function callOpenAIWithUsage(messages, model = "gpt-3.5-turbo") {
     if (!process.env.OPENAI_API_KEY) {
         throw new Error('OpenAI API Key nicht konfiguriert');
     }
 
+    const startTime = Date.now();
+
     try {
         const response = await fetch('https://api.openai.com/v1/chat/completions', {
             method: 'POST',
@@ -379,7 +566,12 @@ async function callOpenAI(messages, model = "gpt-3.5-turbo") {
         }
 
         const data = await response.json();
-        return data.choices[0].message.content;
+        return {
+            content: data.choices[0].message.content,
+            model: data.model || model,
+            tokensUsed: data.usage?.total_tokens || null,
+            responseTime: Date.now() - startTime
+        };
     } catch (error) {
         console.error('❌ OpenAI API Fehler:', error);
         throw error;
@@ -479,32 +671,204 @@ Bewerte:
 
 // --- ASSESSMENT HELPER FUNCTIONS --- //
 
+// Summiert gewichtete Itemwerte; fehlende Items werden über den Mittelwert der beantworteten hochgerechnet
+function scoreAssessmentItems(assessment, itemScores, items, maxMissingItems) {
+    const answered = items.filter(item => itemScores[item - 1] !== null);
+    const missing = items.length - answered.length;
+    const max = getAssessmentItemsMax(assessment, items);
+    if (answered.length === 0 || missing > maxMissingItems) {
+        return { score: null, max, missing };
+    }
+    
+    const rawScore = answered.reduce((sum, item) => sum + itemScores[item - 1], 0);
+    const answeredMax = getAssessmentItemsMax(assessment, answered);
+    const score = missing > 0 && answeredMax > 0 ? rawScore * max / answeredMax : rawScore;
+    return { score: Math.round(score * 10) / 10, max, missing };
+}
+
+/**
+ * Berechnet Gesamt- und Subskalenwerte nach der Instrumentdefinition.
+ * Nicht beantwortete Items werden als null übergeben.
+ */
 function calculateAssessmentScore(assessmentType, responses) {
     const assessment = ASSESSMENTS[assessmentType];
     if (!assessment) throw new Error('Unbekannter Assessment-Typ');
     
-    const totalScore = responses.reduce((sum, response) => sum + response, 0);
+    const maxItemValue = assessment.scale.length - 1;
+    if (!Array.isArray(responses) || responses.length !== assessment.questions.length) {
+        throw new Error(`${assessmentType} erwartet ${assessment.questions.length} Antworten`);
+    }
+    if (responses.some(response => response !== null && (!Number.isInteger(response) || response < 0 || response > maxItemValue))) {
+        throw new Error(`Antworten müssen ganze Zahlen zwischen 0 und ${maxItemValue} sein`);
+    }
+    
+    const missingItems = responses
+        .map((response, index) => response === null ? index + 1 : null)
+        .filter(item => item !== null);
+    if (missingItems.length > assessment.maxMissingItems) {
+        throw new Error(`Zu viele fehlende Antworten (${missingItems.length}, höchstens ${assessment.maxMissingItems} zulässig)`);
+    }
+    
+    // Kritische Items werden nie hochgerechnet: eine fehlende Antwort würde die Risikowarnung unterdrücken
+    const missingCritical = assessment.criticalItems.filter(rule => responses[rule.item - 1] === null).map(rule => rule.item);
+    if (missingCritical.length > 0) {
+        throw new Error(`Kritische Items müssen beantwortet werden (Item ${missingCritical.join(', ')})`);
+    }
+    
+    // Umgepolte Items werden gespiegelt und danach gewichtet
+    const itemScores = responses.map((response, index) => {
+        if (response === null) return null;
+        const item = index + 1;
+        const value = assessment.reverseItems.includes(item) ? maxItemValue - response : response;
+        return value * getAssessmentItemWeight(assessment, item);
+    });
+    
+    const allItems = responses.map((response, index) => index + 1);
+    const totalScore = scoreAssessmentItems(assessment, itemScores, allItems, assessment.maxMissingItems).score;
     
-    // Bestimme Schweregrad
+    const subscaleScores = {};
+    Object.entries(assessment.subscales).forEach(([key, subscale]) => {
+        const result = scoreAssessmentItems(assessment, itemScores, subscale.items, subscale.maxMissingItems || 0);
+        subscaleScores[key] = {
+            score: result.score,
+            max: result.max,
+            ...(result.missing > 0 ? { missing_items: result.missing } : {}),
+            ...(subscale.cutoff !== undefined && result.score !== null ? { clinical: result.score >= subscale.cutoff } : {})
+        };
+    });
+    
+    // Bestimme Schweregrad: höchste Stufe, deren Untergrenze erreicht ist (hochgerechnete Werte können zwischen zwei Stufen liegen)
     let severityLevel = 'unknown';
+    let severityFloor = -Infinity;
     for (const [level, range] of Object.entries(assessment.scoring)) {
-        if (totalScore >= range[0] && totalScore <= range[1]) {
+        if (totalScore >= range[0] && range[0] > severityFloor) {
             severityLevel = level;
-            break;
+            severityFloor = range[0];
         }
     }
     
     return {
         totalScore,
         severityLevel,
+        subscaleScores,
+        missingItems,
+        prorated: missingItems.length > 0,
         maxScore: assessment.maxScore,
         percentage: Math.round((totalScore / assessment.maxScore) * 100)
     };
 }
 
+const RELIABLE_CHANGE_Z = 1.96;
+
+const OUTCOME_CLASSIFICATION_LABELS = {
+    recovered: 'Klinisch signifikante Verbesserung',
+    improved: 'Reliable Verbesserung',
+    unchanged: 'Keine reliable Veränderung',
+    deteriorated: 'Reliable Verschlechterung'
+};
+
+const OUTCOME_CLASSIFICATION_TRENDS = {
+    recovered: 'improving',
+    improved: 'improving',
+    unchanged: 'stable',
+    deteriorated: 'worsening'
+};
+
+/**
+ * Reliable Change Index nach Jacobson & Truax (1991) zwischen zwei Messwerten.
+ * Positive Werte bedeuten eine Verbesserung, unabhängig von der Polung des Instruments.
+ */
+function calculateReliableChange(instrument, fromScore, toScore) {
+    if (!instrument || !instrument.norms) return null;
+    
+    const standardError = instrument.norms.sd * Math.sqrt(1 - instrument.norms.reliability);
+    const differenceError = Math.sqrt(2 * standardError * standardError);
+    const improvement = instrument.direction === 'higher_is_better' ? toScore - fromScore : fromScore - toScore;
+    const rci = improvement / differenceError;
+    
+    return {
+        rci: Math.round(rci * 100) / 100,
+        reliable: Math.abs(rci) > RELIABLE_CHANGE_Z,
+        threshold: Math.round(RELIABLE_CHANGE_Z * differenceError * 10) / 10
+    };
+}
+
+function isInClinicalRange(instrument, score) {
+    if (!instrument || !instrument.norms || instrument.norms.cutoff === null) return null;
+    return instrument.direction === 'higher_is_better'
+        ? score < instrument.norms.cutoff
+        : score >= instrument.norms.cutoff;
+}
+
+// recovered = reliable Verbesserung und Wechsel vom klinischen in den funktionalen Bereich
+function classifyOutcome(instrument, baselineScore, score) {
+    const change = calculateReliableChange(instrument, baselineScore, score);
+    if (!change) return null;
+    if (!change.reliable) return 'unchanged';
+    if (change.rci < 0) return 'deteriorated';
+    
+    return isInClinicalRange(instrument, baselineScore) === true && isInClinicalRange(instrument, score) === false
+        ? 'recovered'
+        : 'improved';
+}
+
+// Kritische Items zählen schon bei der kleinsten positiven Antwort (Rohwert, nicht umgepolt)
+function getCriticalItemHits(assessmentType, responses) {
+    const assessment = ASSESSMENTS[assessmentType];
+    if (!assessment) return [];
+    
+    return assessment.criticalItems
+        .filter(rule => responses[rule.item - 1] !== null && responses[rule.item - 1] >= rule.minValue)
+        .map(rule => ({
+            item: rule.item,
+            label: rule.label || null,
+            question: assessment.questions[rule.item - 1],
+            value: responses[rule.item - 1],
+            answer: assessment.scale[responses[rule.item - 1]],
+            risk_level: rule.riskLevel
+        }));
+}
+
+/**
+ * Legt bei positiven kritischen Items eine Risikowarnung für die zuständige Therapeutin an
+ * (ohne Termine: fallbackTherapistId). Gibt die Warnung zurück oder null, wenn kein kritisches Item beantwortet wurde.
+ */
+function raiseCriticalItemAlert(client, assessmentType, assessmentId, responses, userId = null, fallbackTherapistId = userId) {
+    const hits = getCriticalItemHits(assessmentType, responses);
+    if (hits.length === 0) return null;
+    
+    const riskLevel = hits.reduce((level, hit) =>
+        RISK_LEVELS.indexOf(hit.risk_level) > RISK_LEVELS.indexOf(level) ? hit.risk_level : level, 'hoch');
+    const now = formatInPraxisTimezone(new Date());
+    
+    const alertId = addRiskAlert({
+        client_id: client.id,
+        assessment_id: assessmentId,
+        assessment_type: assessmentType,
+        critical_items: hits,
+        risk_level: riskLevel,
+        assigned_to: getResponsibleTherapistId(client.id, now) || fallbackTherapistId || client.created_by
+    }, userId);
+    
+    console.log(`⚠️ Risikowarnung für Client ${client.id}: kritische Items in ${assessmentType}`);
+    return getRiskAlertById(alertId);
+}
+
+/**
+ * Wertet die gesamte Messreihe eines Instruments aus: jede Messung wird gegen die Baseline
+ * und gegen die vorherige Messung per RCI verglichen.
+ * Baseline ist die jüngste als Baseline markierte Messung (ohne Markierung die erste): ein neuer Messplan
+ * markiert zu Beginn eine neue Baseline, und die Veränderung wird ab diesem Behandlungsabschnitt bewertet.
+ */
 async function generateOutcomeAnalysis(clientId, assessmentType = null) {
     try {
-        const assessments = getAssessmentsByClient(clientId, assessmentType);
+        let assessments = getAssessmentsByClient(clientId, assessmentType);
+        
+        // Ohne Typangabe wird das zuletzt erhobene Instrument ausgewertet
+        if (!assessmentType && assessments.length > 0) {
+            assessmentType = assessments[0].assessment_type;
+            assessments = assessments.filter(assessment => assessment.assessment_type === assessmentType);
+        }
         
         if (assessments.length < 2) {
             return {
@@ -514,38 +878,55 @@ async function generateOutcomeAnalysis(clientId, assessmentType = null) {
             };
         }
         
-        // Trend-Analyse
-        const latest = assessments[0];
-        const previous = assessments[1];
-        const scoreDifference = latest.total_score - previous.total_score;
-        const percentageChange = Math.round(((scoreDifference) / previous.total_score) * 100);
+        const instrument = ASSESSMENTS[assessmentType];
+        const chronological = [...assessments]
+            .sort((a, b) => a.completed_at.localeCompare(b.completed_at) || a.id - b.id);
+        const latest = chronological[chronological.length - 1];
+        const flaggedBaseline = [...chronological].reverse().find(assessment => assessment.is_baseline && assessment.id !== latest.id);
+        const baseline = flaggedBaseline || chronological[0];
+        const baselineIndex = chronological.indexOf(baseline);
+        
+        const series = chronological.map((assessment, index) => {
+            const previous = chronological[index - 1];
+            const fromBaseline = calculateReliableChange(instrument, baseline.total_score, assessment.total_score);
+            const fromPrevious = previous ? calculateReliableChange(instrument, previous.total_score, assessment.total_score) : null;
+            return {
+                id: assessment.id,
+                date: assessment.completed_at,
+                score: assessment.total_score,
+                severity: assessment.severity_level,
+                is_baseline: assessment.id === baseline.id,
+                clinical_range: isInClinicalRange(instrument, assessment.total_score),
+                rci_from_baseline: index > baselineIndex && fromBaseline ? fromBaseline.rci : null,
+                rci_from_previous: fromPrevious ? fromPrevious.rci : null,
+                reliable_change_from_previous: fromPrevious ? fromPrevious.reliable : null,
+                classification: index > baselineIndex ? classifyOutcome(instrument, baseline.total_score, assessment.total_score) : null
+            };
+        });
         
-        let trend = 'stable';
-        let trendDescription = '';
+        const scoreDifference = Math.round((latest.total_score - baseline.total_score) * 10) / 10;
+        const percentageChange = baseline.total_score
+            ? Math.round((scoreDifference / baseline.total_score) * 100)
+            : null;
+        const change = calculateReliableChange(instrument, baseline.total_score, latest.total_score);
+        const classification = classifyOutcome(instrument, baseline.total_score, latest.total_score);
+        const trend = classification ? OUTCOME_CLASSIFICATION_TRENDS[classification] : 'unclassified';
+        const signedDifference = `${scoreDifference >= 0 ? '+' : ''}${scoreDifference} Punkte`;
         
-        if (scoreDifference < -2) {
-            trend = 'improving';
-            trendDescription = `Verbesserung um ${Math.abs(scoreDifference)} Punkte (${Math.abs(percentageChange)}%)`;
-        } else if (scoreDifference > 2) {
-            trend = 'worsening';
-            trendDescription = `Verschlechterung um ${scoreDifference} Punkte (${percentageChange}%)`;
-        } else {
-            trend = 'stable';
-            trendDescription = `Stabiler Verlauf (${scoreDifference >= 0 ? '+' : ''}${scoreDifference} Punkte)`;
-        }
+        const trendDescription = change
+            ? `${OUTCOME_CLASSIFICATION_LABELS[classification]}: ${signedDifference} seit Baseline vom ${formatDateDE(baseline.completed_at)} (RCI ${change.rci}, reliabel ab ${change.threshold} Punkten)`
+            : `${signedDifference} seit Baseline vom ${formatDateDE(baseline.completed_at)}; für ${assessmentType} sind keine Normwerte hinterlegt, die Veränderung kann nicht auf Reliabilität geprüft werden`;
         
         // KI-gestützte Analyse falls OpenAI verfügbar
         let detailedAnalysis = '';
         if (process.env.OPENAI_API_KEY) {
-            const assessmentData = assessments.slice(0, 5).map(a => ({
-                date: a.completed_at.split('T')[0],
-                score: a.total_score,
-                severity: a.severity_level
-            }));
+            const recentSeries = series.slice(-6);
             
             const prompt = `Als Therapeut analysiere folgenden ${assessmentType} Verlauf:
             
-${assessmentData.map(d => `${d.date}: ${d.score} Punkte (${d.severity})`).join('\n')}
+${recentSeries.map(point => `${point.date.split('T')[0]}: ${point.score} Punkte (${point.severity})${point.is_baseline ? ' [Baseline]' : ''}${point.rci_from_baseline !== null ? `, RCI zur Baseline ${point.rci_from_baseline}` : ''}`).join('\n')}
+
+Gesamtbewertung nach Jacobson & Truax: ${trendDescription}
 
 Erstelle eine professionelle Interpretation mit:
 1. Klinische Bedeutung der Veränderungen
@@ -567,14 +948,22 @@ Antworte strukturiert und wissenschaftlich fundiert.`;
         }
         
         return {
-            analysis: detailedAnalysis || generateBasicAnalysis(latest, previous, trend, trendDescription),
+            analysis: detailedAnalysis || generateBasicAnalysis(latest, baseline, trend, trendDescription),
             trend: trend,
+            classification: classification,
+            classificationLabel: classification ? OUTCOME_CLASSIFICATION_LABELS[classification] : null,
             scoreChange: scoreDifference,
             percentageChange: percentageChange,
+            rci: change ? change.rci : null,
+            reliableChangeThreshold: change ? change.threshold : null,
+            clinicalCutoff: instrument && instrument.norms ? instrument.norms.cutoff : null,
+            baselineScore: baseline.total_score,
+            baselineDate: baseline.completed_at,
             currentScore: latest.total_score,
             currentSeverity: latest.severity_level,
             assessmentCount: assessments.length,
-            recommendations: generateRecommendations(trend, latest.severity_level, assessmentType)
+            series: series,
+            recommendations: generateRecommendations(trend, latest.severity_level, assessmentType, classification)
         };
         
     } catch (error) {
@@ -583,24 +972,26 @@ Antworte strukturiert und wissenschaftlich fundiert.`;
     }
 }
 
-function generateBasicAnalysis(latest, previous, trend, trendDescription) {
-    const assessment = ASSESSMENTS[latest.assessment_type];
+function generateBasicAnalysis(latest, baseline, trend, trendDescription) {
+    const assessment = ASSESSMENTS[latest.assessment_type] || { name: latest.assessment_type, maxScore: '?' };
     
     return `
         <div style="background: #f8f9ff; padding: 20px; border-radius: 12px; border-left: 4px solid #667eea;">
             <h4 style="color: #667eea; margin-bottom: 15px;">📊 Verlaufsanalyse ${assessment.name}</h4>
             
             <p><strong>Aktueller Status:</strong><br>
-            Score: ${latest.total_score}/${assessment.maxScore} Punkte<br>
+            Score: ${latest.total_score}/${assessment.maxScore} Punkte (Baseline: ${baseline.total_score})<br>
             Schweregrad: ${latest.severity_level}<br>
             ${trendDescription}</p>
             
             <p><strong>Klinische Interpretation:</strong><br>
             ${trend === 'improving' ? 
-                '✅ Der Patient zeigt eine positive Entwicklung. Die Symptombelastung hat sich messbar reduziert.' :
+                '✅ Der Patient zeigt eine positive Entwicklung. Die Symptombelastung hat sich über die Messfehlergrenze hinaus reduziert.' :
                 trend === 'worsening' ?
-                '⚠️ Verschlechterung erkennbar. Therapieplan sollte überprüft und angepasst werden.' :
-                '➡️ Stabiler Verlauf. Aktuelle Interventionen scheinen angemessen zu sein.'
+                '⚠️ Verschlechterung über die Messfehlergrenze hinaus. Therapieplan sollte überprüft und angepasst werden.' :
+                trend === 'stable' ?
+                '➡️ Keine Veränderung jenseits der Messfehlergrenze. Aktuelle Interventionen und Therapieziele überprüfen.' :
+                'ℹ️ Ohne Reliabilitäts- und Normwerte ist keine Aussage über bedeutsame Veränderungen möglich.'
             }</p>
             
             <p><strong>Empfehlung:</strong><br>
@@ -614,12 +1005,15 @@ function generateBasicAnalysis(latest, previous, trend, trendDescription) {
     `;
 }
 
-function generateRecommendations(trend, severity, assessmentType) {
+function generateRecommendations(trend, severity, assessmentType, classification = null) {
     const recommendations = [];
     
     if (trend === 'improving') {
         recommendations.push('Aktuelle Therapiestrategie beibehalten');
         recommendations.push('Fortschritte mit Patient besprechen und verstärken');
+        if (classification === 'recovered') {
+            recommendations.push('Wert liegt im funktionalen Bereich: Stabilisierung und Rückfallprophylaxe planen');
+        }
         recommendations.push('Nächstes Assessment in 4 Wochen');
     } else if (trend === 'worsening') {
         recommendations.push('Therapieplan überprüfen und anpassen');
@@ -632,6 +1026,9 @@ function generateRecommendations(trend, severity, assessmentType) {
         recommendations.push('Regelmäßige Assessments fortführen');
         recommendations.push('Therapieziele und -methoden evaluieren');
         recommendations.push('Motivation und Therapieadhärenz stärken');
+        if (trend === 'unclassified') {
+            recommendations.push(`Reliabilitäts- und Normwerte für ${assessmentType} in der Instrumentdefinition hinterlegen`);
+        }
     }
     
     return recommendations;
@@ -829,6 +1226,11 @@ app.get('/admin', requireAuth, requireRole('admin'), (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'admin.html'));
 });
 
+// Fragebogen-Link für Klienten (öffentlich, geschützt nur durch das Token)
+app.get('/self-report/:token', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'self-report.html'));
+});
+
 // Legacy Support für index.html
 app.get('/index.html', requireAuth, (req, res) => {
   console.log('🎯 Legacy index.html Route aufgerufen');
@@ -1327,6 +1729,20 @@ app.use('/api/upload', requireAuth);
 app.use('/api/audio', requireAuth);
 app.use('/api/chat', requireAuth);
 app.use('/api/assessments', requireAuth, requirePraxis);
+app.use('/api/documents', requireAuth, requirePraxis);
+app.use('/api/goals', requireAuth, requirePraxis);
+app.use('/api/appointments', requireAuth, requirePraxis);
+app.use('/api/calendar', requireAuth, requirePraxis);
+app.use('/api/invoices', requireAuth, requirePraxis);
+app.use('/api/billing', requireAuth, requirePraxis);
+app.use('/api/bank', requireAuth, requirePraxis);
+app.use('/api/sepa', requireAuth, requirePraxis);
+app.use('/api/contingents', requireAuth, requirePraxis);
+app.use('/api/applications', requireAuth, requirePraxis);
+app.use('/api/waitlist', requireAuth, requirePraxis);
+app.use('/api/risk-alerts', requireAuth, requirePraxis);
+app.use('/api/self-report-links', requireAuth, requirePraxis);
+app.use('/api/rom-plans', requireAuth, requirePraxis);
 
 // ========================================
 // === NEU: DATEI-ANALYSE API ENDPOINTS === //
@@ -1833,7 +2249,7 @@ app.get('/api/praxis/settings', requireAuth, (req, res) => {
 // ✅ Update praxis settings (admin only)
 app.put('/api/praxis/settings', requireAuth, requireRole('admin'), (req, res) => {
     try {
-        const { name, email, telefon, adresse, website } = req.body;
+        const { name, email, telefon, adresse, website, logo_url } = req.body;
         const praxisId = req.user.praxis_id;
         
         const updates = {};
@@ -1842,6 +2258,8 @@ app.put('/api/praxis/settings', requireAuth, requireRole('admin'), (req, res) =>
         if (telefon) updates.telefon = telefon;
         if (adresse) updates.adresse = adresse;
         if (website) updates.website = website;
+        // Lokaler Pfad unter public/, wird in Rechnungen und Berichte eingebettet
+        if (logo_url !== undefined) updates.logo_url = logo_url || null;
         
         if (Object.keys(updates).length === 0) {
             return res.status(400).json({ 
@@ -1960,6 +2378,14 @@ app.put("/api/clients/:id", requireAuth, requirePraxis, (req, res) => {
     delete updates.id;
     delete updates.praxis_id;
     
+    if (updates.preferred_payment_method && !PAYMENT_METHODS.includes(updates.preferred_payment_method)) {
+      return res.status(400).json({ error: `Ungültige Zahlungsart. Erlaubt: ${PAYMENT_METHODS.join(', ')}` });
+    }
+    
+    if (updates.preferred_payment_method === 'lastschrift' && !getActiveSepaMandate(client.id)) {
+      return res.status(400).json({ error: "Für Lastschrift muss ein aktives SEPA-Mandat hinterlegt sein" });
+    }
+    
     const result = updateClient(req.params.id, updates);
     if (result.changes === 0) {
       return res.status(404).json({ error: "Client nicht gefunden" });
@@ -1989,6 +2415,30 @@ app.delete("/api/clients/:id", requireAuth, requirePraxis, (req, res) => {
   }
 });
 
+// --- DOCUMENT HELPER FUNCTIONS --- //
+
+const DOCUMENT_CATEGORIES = ['protokoll', 'bericht', 'formular', 'bild', 'audio', 'video', 'sonstiges'];
+
+function computeFileHash(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+function detectDocumentCategory(file, requestedCategory) {
+    if (requestedCategory && DOCUMENT_CATEGORIES.includes(requestedCategory)) {
+        return requestedCategory;
+    }
+    if (file.mimetype.startsWith('audio/')) return 'audio';
+    if (file.mimetype.startsWith('video/')) return 'video';
+    if (file.mimetype.startsWith('image/')) return 'bild';
+    return 'sonstiges';
+}
+
+function removeUploadedFile(file) {
+    if (file && fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+    }
+}
+
 // --- ENHANCED AUDIO ROUTES --- //
 
 app.post("/api/audio/upload", requireAuth, upload.single('audio'), async (req, res) => {
@@ -2003,6 +2453,11 @@ app.post("/api/audio/upload", requireAuth, upload.single('audio'), async (req, r
         const clientId = req.body.client_id || null;
         const analysisType = req.body.analysis_type || 'protocol';
 
+        if (clientId && !getClientById(clientId, req.user.praxis_id)) {
+            removeUploadedFile(req.file);
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+
         console.log('📄 Starte Whisper-Transkription...');
         const transcription = await transcribeAudio(audioFilePath);
         console.log('✅ Transkription abgeschlossen');
@@ -2011,17 +2466,7 @@ app.post("/api/audio/upload", requireAuth, upload.single('audio'), async (req, r
         const analysis = await analyzeTherapyText(transcription, analysisType);
         console.log('✅ KI-Analyse abgeschlossen');
 
-        const docData = {
-            client_id: clientId,
-            filename: req.file.filename,
-            original_name: req.file.originalname,
-            file_path: req.file.path,
-            file_type: req.file.mimetype,
-            file_size: req.file.size
-        };
-        
-        const docResult = addDocument(docData);
-
+        let sessionId = null;
         if (clientId) {
             const sessionData = {
                 client_id: clientId,
@@ -2029,17 +2474,36 @@ app.post("/api/audio/upload", requireAuth, upload.single('audio'), async (req, r
                 duration: Math.ceil(req.file.size / 1000000),
                 type: 'Audio-Sitzung',
                 notes: analysis,
-                private_notes: `Transkript:\n\n${transcription}`
+                private_notes: `Transkript:\n\n${transcription}`,
+                created_by: req.user.id
             };
             
-            addSession(sessionData);
+            sessionId = addSession(sessionData).lastInsertRowid;
         }
 
+        const docData = {
+            praxis_id: req.user.praxis_id,
+            client_id: clientId,
+            session_id: sessionId,
+            category: 'audio',
+            filename: req.file.filename,
+            original_name: req.file.originalname,
+            file_path: req.file.path,
+            file_type: req.file.mimetype,
+            file_size: req.file.size,
+            file_hash: computeFileHash(audioFilePath),
+            ocr_text: transcription,
+            uploaded_by: req.user.id
+        };
+        
+        const docResult = addDocument(docData);
+
         res.json({
             success: true,
             transcription: transcription,
             analysis: analysis,
             document_id: docResult.lastInsertRowid,
+            session_id: sessionId,
             file: {
                 name: req.file.originalname,
                 size: req.file.size,
@@ -2106,6 +2570,7 @@ app.post("/api/audio/analyze", requireAuth, async (req, res) => {
 app.post("/api/chat", requireAuth, async (req, res) => {
   try {
     const { message, client_id, context, analysis_request } = req.body;
+    let conversationId = req.body.conversation_id || null;
     
     if (!message) {
       return res.status(400).json({ error: "Nachricht ist erforderlich" });
@@ -2113,15 +2578,41 @@ app.post("/api/chat", requireAuth, async (req, res) => {
 
     console.log(`💬 Enhanced Chat-Anfrage: ${message.substring(0, 50)}...`);
     
+    // Vorherige Nachrichten laden, bevor die aktuelle Frage gespeichert wird
+    let history = [];
+    
     if (client_id) {
+      if (!getClientById(client_id, req.user.praxis_id)) {
+        return res.status(404).json({ error: "Client nicht gefunden" });
+      }
+      
+      if (conversationId) {
+        const conversation = getChatConversationById(conversationId, req.user.praxis_id);
+        if (!conversation || String(conversation.client_id) !== String(client_id)) {
+          return res.status(404).json({ error: "Unterhaltung nicht gefunden" });
+        }
+        history = getChatHistory(client_id, 10, conversationId);
+      } else {
+        conversationId = createChatConversation({
+          praxis_id: req.user.praxis_id,
+          client_id: client_id,
+          title: message.length > 60 ? message.substring(0, 57) + '...' : message,
+          created_by: req.user.id
+        });
+      }
+      
       addChatMessage({
         client_id: client_id,
+        conversation_id: conversationId,
         role: 'user',
-        content: message
+        content: message,
+        context_window: context || null,
+        created_by: req.user.id
       });
     }
 
     let reply = '';
+    let completion = null;
     
     if (process.env.OPENAI_API_KEY) {
       try {
@@ -2156,16 +2647,14 @@ Wichtig: Du ersetzt keine professionelle Supervision oder Ausbildung, sondern er
           { role: "user", content: message }
         ];
 
-        if (client_id) {
-          const history = getChatHistory(client_id, 5);
-          history.forEach(msg => {
-            if (msg.role === 'user' || msg.role === 'assistant') {
-              messages.splice(-1, 0, { role: msg.role, content: msg.content });
-            }
-          });
-        }
+        history.forEach(msg => {
+          if (msg.role === 'user' || msg.role === 'assistant') {
+            messages.splice(-1, 0, { role: msg.role, content: msg.content });
+          }
+        });
 
-        reply = await callOpenAI(messages);
+        completion = await callOpenAIWithUsage(messages);
+        reply = completion.content;
 
       } catch (apiError) {
         console.error("❌ OpenAI API Fehler:", apiError);
@@ -2175,15 +2664,26 @@ Wichtig: Du ersetzt keine professionelle Supervision oder Ausbildung, sondern er
       reply = generateEnhancedFallbackResponse(message, 'API Key fehlt');
     }
 
+    let messageId = null;
+    
     if (client_id) {
-      addChatMessage({
+      messageId = addChatMessage({
         client_id: client_id,
+        conversation_id: conversationId,
         role: 'assistant',
-        content: reply
-      });
+        content: reply,
+        tokens_used: completion?.tokensUsed,
+        model_used: completion?.model,
+        response_time: completion?.responseTime,
+        created_by: req.user.id
+      }).lastInsertRowid;
     }
 
-    res.json({ reply: reply });
+    res.json({ 
+      reply: reply,
+      conversation_id: conversationId,
+      message_id: messageId
+    });
 
   } catch (err) {
     console.error("❌ Fehler im Enhanced Chat:", err);
@@ -2193,6 +2693,96 @@ Wichtig: Du ersetzt keine professionelle Supervision oder Ausbildung, sondern er
   }
 });
 
+// --- CHAT CONVERSATION ROUTES --- //
+
+app.get("/api/clients/:id/chat/conversations", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || (client.praxis_id && client.praxis_id !== req.user.praxis_id)) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        const conversations = getChatConversationsByClient(req.params.id, req.user.praxis_id);
+        res.json(conversations);
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Unterhaltungen:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Unterhaltungen" });
+    }
+});
+
+app.get("/api/chat/conversations/:conversationId", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const conversation = getChatConversationById(req.params.conversationId, req.user.praxis_id);
+        if (!conversation) {
+            return res.status(404).json({ error: "Unterhaltung nicht gefunden" });
+        }
+        
+        const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+        const messages = getChatHistory(conversation.client_id, limit, conversation.id);
+        
+        res.json({ ...conversation, messages });
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Unterhaltung:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Unterhaltung" });
+    }
+});
+
+app.put("/api/chat/conversations/:conversationId", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const title = (req.body.title || '').trim();
+        if (!title) {
+            return res.status(400).json({ error: "Titel ist erforderlich" });
+        }
+        
+        const conversation = getChatConversationById(req.params.conversationId, req.user.praxis_id);
+        if (!conversation) {
+            return res.status(404).json({ error: "Unterhaltung nicht gefunden" });
+        }
+        
+        renameChatConversation(conversation.id, title.substring(0, 200), req.user.praxis_id, req.user.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error("❌ Fehler beim Umbenennen der Unterhaltung:", error);
+        res.status(500).json({ error: "Fehler beim Umbenennen der Unterhaltung" });
+    }
+});
+
+app.delete("/api/chat/conversations/:conversationId", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const conversation = getChatConversationById(req.params.conversationId, req.user.praxis_id);
+        if (!conversation) {
+            return res.status(404).json({ error: "Unterhaltung nicht gefunden" });
+        }
+        
+        const result = deleteChatConversation(conversation.id, req.user.praxis_id, req.user.id);
+        res.json({ success: true, deleted_messages: result.changes });
+    } catch (error) {
+        console.error("❌ Fehler beim Löschen der Unterhaltung:", error);
+        res.status(500).json({ error: "Fehler beim Löschen der Unterhaltung" });
+    }
+});
+
+app.put("/api/chat/messages/:id/rating", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const rating = parseInt(req.body.rating);
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            return res.status(400).json({ error: "Bewertung muss zwischen 1 und 5 liegen" });
+        }
+        
+        rateChatMessage(req.params.id, rating, req.user.praxis_id);
+        res.json({ success: true, rating });
+    } catch (error) {
+        console.error("❌ Fehler beim Bewerten der Nachricht:", error);
+        if (error.message === 'Only assistant messages can be rated') {
+            return res.status(400).json({ error: "Nur KI-Antworten können bewertet werden" });
+        }
+        if (error.message === 'Message not found' || error.message.startsWith('Unauthorized')) {
+            return res.status(404).json({ error: "Nachricht nicht gefunden" });
+        }
+        res.status(500).json({ error: "Fehler beim Bewerten der Nachricht" });
+    }
+});
+
 // --- FILE UPLOAD ROUTES --- //
 
 app.post("/api/upload", requireAuth, upload.single('file'), async (req, res) => {
@@ -2203,7 +2793,24 @@ app.post("/api/upload", requireAuth, upload.single('file'), async (req, res) =>
 
     console.log(`📄 Datei hochgeladen: ${req.file.originalname}`);
     
+    const clientId = req.body.client_id || null;
+    const sessionId = req.body.session_id || null;
+    
+    if (clientId && !getClientById(clientId, req.user.praxis_id)) {
+      removeUploadedFile(req.file);
+      return res.status(404).json({ error: "Client nicht gefunden" });
+    }
+    
+    if (sessionId) {
+      const sessionRecord = getSessionById(sessionId, req.user.praxis_id);
+      if (!sessionRecord || (clientId && String(sessionRecord.client_id) !== String(clientId))) {
+        removeUploadedFile(req.file);
+        return res.status(404).json({ error: "Sitzung nicht gefunden" });
+      }
+    }
+    
     let fileContent = '';
+    let extractedText = '';
     const filePath = req.file.path;
     
     if (req.file.mimetype.startsWith('text/') || req.file.originalname.endsWith('.txt')) {
@@ -2218,17 +2825,29 @@ app.post("/api/upload", requireAuth, upload.single('file'), async (req, res) =>
     } else if (req.file.mimetype.startsWith('image/')) {
       fileContent = `[Bild-Datei: ${req.file.originalname}] - Bildanalyse mit Claude Vision würde hier implementiert werden.`;
     }
+    
+    if (!req.file.mimetype.startsWith('image/')) {
+      extractedText = fileContent;
+    }
 
     const docData = {
-      client_id: req.body.client_id || null,
+      praxis_id: req.user.praxis_id,
+      client_id: clientId,
+      session_id: sessionId,
+      category: detectDocumentCategory(req.file, req.body.category),
+      title: req.body.title,
+      description: req.body.description,
       filename: req.file.filename,
       original_name: req.file.originalname,
       file_path: req.file.path,
       file_type: req.file.mimetype,
-      file_size: req.file.size
+      file_size: req.file.size,
+      file_hash: computeFileHash(filePath),
+      ocr_text: extractedText,
+      uploaded_by: req.user.id
     };
     
-    addDocument(docData);
+    const docResult = addDocument(docData);
     
     let analysis = '';
     if (process.env.OPENAI_API_KEY && fileContent) {
@@ -2246,6 +2865,7 @@ app.post("/api/upload", requireAuth, upload.single('file'), async (req, res) =>
     res.json({ 
       success: true, 
       analysis: analysis,
+      document_id: docResult.lastInsertRowid,
       file: {
         name: req.file.originalname,
         size: req.file.size,
@@ -2259,40 +2879,8114 @@ app.post("/api/upload", requireAuth, upload.single('file'), async (req, res) =>
   }
 });
 
-// --- ASSESSMENT API ROUTES --- //
+// --- DOCUMENT ROUTES --- //
 
-app.get("/api/assessments/types", requireAuth, (req, res) => {
+app.get("/api/documents", requireAuth, requirePraxis, (req, res) => {
     try {
-        const types = Object.keys(ASSESSMENTS).map(key => ({
-            key: key,
-            name: ASSESSMENTS[key].name,
-            type: ASSESSMENTS[key].type,
-            questionCount: ASSESSMENTS[key].questions.length
-        }));
-        res.json(types);
+        const { client_id, session_id, category, search } = req.query;
+        
+        if (category && !DOCUMENT_CATEGORIES.includes(category)) {
+            return res.status(400).json({ error: "Ungültige Kategorie" });
+        }
+        
+        const documents = getDocumentsByPraxis(req.user.praxis_id, {
+            client_id,
+            session_id,
+            category,
+            search,
+            limit: Math.min(parseInt(req.query.limit) || 100, 500)
+        });
+        
+        res.json(documents);
     } catch (error) {
-        res.status(500).json({ error: "Fehler beim Abrufen der Assessment-Typen" });
+        console.error("❌ Fehler beim Abrufen der Dokumente:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Dokumente" });
     }
 });
 
-app.get("/api/assessments/template/:type", requireAuth, (req, res) => {
+app.get("/api/clients/:id/documents", requireAuth, requirePraxis, (req, res) => {
     try {
-        const assessment = ASSESSMENTS[req.params.type];
-        if (!assessment) {
-            return res.status(404).json({ error: "Assessment-Typ nicht gefunden" });
+        const client = getClientById(req.params.id);
+        if (!client || (client.praxis_id && client.praxis_id !== req.user.praxis_id)) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
         }
-        res.json(assessment);
+        
+        const documents = getDocumentsByClient(req.params.id, {
+            category: req.query.category,
+            session_id: req.query.session_id
+        }, req.user.praxis_id);
+        
+        res.json(documents);
     } catch (error) {
-        res.status(500).json({ error: "Fehler beim Abrufen des Assessment-Templates" });
+        console.error("❌ Fehler beim Abrufen der Client-Dokumente:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Dokumente" });
     }
 });
 
-app.post("/api/assessments", requireAuth, requirePraxis, (req, res) => {
+app.get("/api/sessions/:id/documents", requireAuth, requirePraxis, (req, res) => {
     try {
-        const { client_id, session_id, assessment_type, responses, notes } = req.body;
-        
-        if (!client_id || !assessment_type || !responses) {
-            return res.status(400).json({ error: "Pflichtfelder fehlen" });
+        const sessionRecord = getSessionById(req.params.id, req.user.praxis_id);
+        if (!sessionRecord) {
+            return res.status(404).json({ error: "Sitzung nicht gefunden" });
+        }
+        
+        const documents = getDocumentsByPraxis(req.user.praxis_id, { session_id: req.params.id });
+        res.json(documents);
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Sitzungs-Dokumente:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Dokumente" });
+    }
+});
+
+app.get("/api/documents/:id", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const document = getDocumentById(req.params.id, req.user.praxis_id);
+        if (!document) {
+            return res.status(404).json({ error: "Dokument nicht gefunden" });
+        }
+        
+        res.json(document);
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen des Dokuments:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen des Dokuments" });
+    }
+});
+
+app.get("/api/documents/:id/download", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const document = getDocumentById(req.params.id, req.user.praxis_id);
+        if (!document) {
+            return res.status(404).json({ error: "Dokument nicht gefunden" });
+        }
+        
+        const filePath = path.resolve(document.file_path);
+        if (!fs.existsSync(filePath)) {
+            return res.status(410).json({ error: "Datei nicht mehr vorhanden" });
+        }
+        
+        if (document.file_hash && computeFileHash(filePath) !== document.file_hash) {
+            console.error(`❌ Integritätsprüfung fehlgeschlagen für Dokument ${document.id}`);
+            return res.status(409).json({ error: "Integritätsprüfung der Datei fehlgeschlagen" });
+        }
+        
+        logAction(
+            req.user.praxis_id,
+            req.user.id,
+            'DOWNLOAD',
+            'document',
+            document.id,
+            null,
+            null,
+            `Document downloaded: ${document.original_name || document.filename}`
+        );
+        
+        res.download(filePath, document.original_name || document.filename);
+    } catch (error) {
+        console.error("❌ Fehler beim Download des Dokuments:", error);
+        res.status(500).json({ error: "Fehler beim Download des Dokuments" });
+    }
+});
+
+app.put("/api/documents/:id", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const document = getDocumentById(req.params.id, req.user.praxis_id);
+        if (!document) {
+            return res.status(404).json({ error: "Dokument nicht gefunden" });
+        }
+        
+        const { category, title, description, tags, session_id } = req.body;
+        const updates = {};
+        
+        if (category !== undefined) {
+            if (!DOCUMENT_CATEGORIES.includes(category)) {
+                return res.status(400).json({ error: "Ungültige Kategorie" });
+            }
+            updates.category = category;
+        }
+        if (title !== undefined) updates.title = title;
+        if (description !== undefined) updates.description = description;
+        if (tags !== undefined) {
+            if (!Array.isArray(tags)) {
+                return res.status(400).json({ error: "Tags müssen als Liste übergeben werden" });
+            }
+            updates.tags = tags;
+        }
+        if (session_id !== undefined) {
+            if (session_id) {
+                const sessionRecord = getSessionById(session_id, req.user.praxis_id);
+                if (!sessionRecord || (document.client_id && sessionRecord.client_id !== document.client_id)) {
+                    return res.status(400).json({ error: "Sitzung gehört nicht zu diesem Client" });
+                }
+            }
+            updates.session_id = session_id || null;
+        }
+        
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: "Keine Felder zum Aktualisieren" });
+        }
+        
+        updateDocument(req.params.id, updates, req.user.praxis_id, req.user.id);
+        res.json({ success: true, document: getDocumentById(req.params.id, req.user.praxis_id) });
+    } catch (error) {
+        console.error("❌ Fehler beim Aktualisieren des Dokuments:", error);
+        res.status(500).json({ error: "Fehler beim Aktualisieren des Dokuments" });
+    }
+});
+
+app.delete("/api/documents/:id", requireAuth, requirePraxis, requireRole('admin', 'therapeut'), (req, res) => {
+    try {
+        const document = getDocumentById(req.params.id, req.user.praxis_id);
+        if (!document) {
+            return res.status(404).json({ error: "Dokument nicht gefunden" });
+        }
+        
+        deleteDocument(req.params.id, req.user.praxis_id, req.user.id);
+        
+        const filePath = path.resolve(document.file_path);
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+        
+        res.json({ success: true, message: 'Dokument gelöscht' });
+    } catch (error) {
+        console.error("❌ Fehler beim Löschen des Dokuments:", error);
+        res.status(500).json({ error: "Fehler beim Löschen des Dokuments" });
+    }
+});
+
+// --- TREATMENT GOAL ROUTES --- //
+
+const GOAL_CATEGORIES = ['symptom', 'behavior', 'cognitive', 'emotional', 'social', 'relational'];
+const GOAL_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+const GOAL_STATUSES = ['active', 'completed', 'paused', 'cancelled', 'revised'];
+
+function validateGoalInput(input) {
+    if (input.category !== undefined && !GOAL_CATEGORIES.includes(input.category)) {
+        return 'Ungültige Zielkategorie';
+    }
+    if (input.priority !== undefined && !GOAL_PRIORITIES.includes(input.priority)) {
+        return 'Ungültige Priorität';
+    }
+    if (input.status !== undefined && !GOAL_STATUSES.includes(input.status)) {
+        return 'Ungültiger Status';
+    }
+    if (input.review_frequency !== undefined && !GOAL_REVIEW_INTERVALS[input.review_frequency]) {
+        return `Ungültige Überprüfungsfrequenz (erlaubt: ${Object.keys(GOAL_REVIEW_INTERVALS).join(', ')})`;
+    }
+    if (input.progress !== undefined && (!Number.isInteger(input.progress) || input.progress < 0 || input.progress > 100)) {
+        return 'Fortschritt muss eine ganze Zahl zwischen 0 und 100 sein';
+    }
+    if (input.milestones !== undefined && !Array.isArray(input.milestones)) {
+        return 'Meilensteine müssen als Liste übergeben werden';
+    }
+    return null;
+}
+
+app.get("/api/clients/:id/goals", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || (client.praxis_id && client.praxis_id !== req.user.praxis_id)) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        const goals = getTreatmentGoalsByClient(req.params.id, { status: req.query.status }, req.user.praxis_id);
+        res.json(goals);
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Therapieziele:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Therapieziele" });
+    }
+});
+
+app.post("/api/clients/:id/goals", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || (client.praxis_id && client.praxis_id !== req.user.praxis_id)) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        if (!req.body.title) {
+            return res.status(400).json({ error: "Titel ist erforderlich" });
+        }
+        
+        const validationError = validateGoalInput(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const result = addTreatmentGoal({
+            ...req.body,
+            client_id: client.id,
+            praxis_id: req.user.praxis_id,
+            created_by: req.user.id
+        });
+        
+        res.json({ success: true, id: result.lastInsertRowid });
+    } catch (error) {
+        console.error("❌ Fehler beim Anlegen des Therapieziels:", error);
+        res.status(500).json({ error: "Fehler beim Anlegen des Therapieziels" });
+    }
+});
+
+app.get("/api/goals/due-for-review", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const onlyMine = req.query.mine === 'true' || req.query.mine === '1';
+        const goals = getGoalsDueForReview(req.user.praxis_id, onlyMine ? req.user.id : null);
+        res.json(goals);
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen fälliger Zielüberprüfungen:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen fälliger Zielüberprüfungen" });
+    }
+});
+
+app.get("/api/goals/:id", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const goal = getTreatmentGoalById(req.params.id, req.user.praxis_id);
+        if (!goal) {
+            return res.status(404).json({ error: "Therapieziel nicht gefunden" });
+        }
+        
+        res.json(goal);
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen des Therapieziels:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen des Therapieziels" });
+    }
+});
+
+app.put("/api/goals/:id", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const goal = getTreatmentGoalById(req.params.id, req.user.praxis_id);
+        if (!goal) {
+            return res.status(404).json({ error: "Therapieziel nicht gefunden" });
+        }
+        
+        const validationError = validateGoalInput(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const updates = { ...req.body };
+        delete updates.id;
+        delete updates.client_id;
+        // Fortschritt läuft über /progress, damit die Historie vollständig bleibt
+        delete updates.progress;
+        
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: "Keine Felder zum Aktualisieren" });
+        }
+        
+        updateTreatmentGoal(req.params.id, updates, req.user.praxis_id, req.user.id);
+        res.json({ success: true, goal: getTreatmentGoalById(req.params.id, req.user.praxis_id) });
+    } catch (error) {
+        console.error("❌ Fehler beim Aktualisieren des Therapieziels:", error);
+        res.status(500).json({ error: "Fehler beim Aktualisieren des Therapieziels" });
+    }
+});
+
+app.delete("/api/goals/:id", requireAuth, requirePraxis, requireRole('admin', 'therapeut'), (req, res) => {
+    try {
+        const goal = getTreatmentGoalById(req.params.id, req.user.praxis_id);
+        if (!goal) {
+            return res.status(404).json({ error: "Therapieziel nicht gefunden" });
+        }
+        
+        deleteTreatmentGoal(req.params.id, req.user.praxis_id, req.user.id);
+        res.json({ success: true, message: 'Therapieziel gelöscht' });
+    } catch (error) {
+        console.error("❌ Fehler beim Löschen des Therapieziels:", error);
+        res.status(500).json({ error: "Fehler beim Löschen des Therapieziels" });
+    }
+});
+
+app.post("/api/goals/:id/progress", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const goal = getTreatmentGoalById(req.params.id, req.user.praxis_id);
+        if (!goal) {
+            return res.status(404).json({ error: "Therapieziel nicht gefunden" });
+        }
+        
+        const { progress, current_value, note, session_id } = req.body;
+        
+        if (progress === undefined && current_value === undefined && !note) {
+            return res.status(400).json({ error: "Fortschritt, Messwert oder Notiz erforderlich" });
+        }
+        
+        const validationError = validateGoalInput({ progress });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        if (session_id) {
+            const sessionRecord = getSessionById(session_id, req.user.praxis_id);
+            if (!sessionRecord || sessionRecord.client_id !== goal.client_id) {
+                return res.status(400).json({ error: "Sitzung gehört nicht zu diesem Client" });
+            }
+        }
+        
+        recordGoalProgress(req.params.id, { progress, current_value, note, session_id }, req.user.praxis_id, req.user.id);
+        
+        res.json({ 
+            success: true, 
+            goal: getTreatmentGoalById(req.params.id, req.user.praxis_id),
+            history: getGoalProgressHistory(req.params.id, req.user.praxis_id)
+        });
+    } catch (error) {
+        console.error("❌ Fehler beim Erfassen des Fortschritts:", error);
+        res.status(500).json({ error: "Fehler beim Erfassen des Fortschritts" });
+    }
+});
+
+app.get("/api/goals/:id/progress", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const goal = getTreatmentGoalById(req.params.id, req.user.praxis_id);
+        if (!goal) {
+            return res.status(404).json({ error: "Therapieziel nicht gefunden" });
+        }
+        
+        res.json(getGoalProgressHistory(req.params.id, req.user.praxis_id));
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Fortschrittshistorie:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Fortschrittshistorie" });
+    }
+});
+
+app.put("/api/goals/:id/milestones/:milestoneId", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const goal = getTreatmentGoalById(req.params.id, req.user.praxis_id);
+        if (!goal) {
+            return res.status(404).json({ error: "Therapieziel nicht gefunden" });
+        }
+        
+        if (!goal.milestones.some(m => m.id === req.params.milestoneId)) {
+            return res.status(404).json({ error: "Meilenstein nicht gefunden" });
+        }
+        
+        const completed = req.body.completed !== undefined ? !!req.body.completed : true;
+        const milestone = setGoalMilestoneStatus(req.params.id, req.params.milestoneId, completed, req.user.praxis_id, req.user.id);
+        
+        res.json({ success: true, milestone });
+    } catch (error) {
+        console.error("❌ Fehler beim Aktualisieren des Meilensteins:", error);
+        res.status(500).json({ error: "Fehler beim Aktualisieren des Meilensteins" });
+    }
+});
+
+// --- CALENDAR HELPER FUNCTIONS --- //
+
+const APPOINTMENT_TYPES = ['therapy', 'intake', 'assessment', 'group', 'supervision', 'other'];
+const APPOINTMENT_STATUSES = ['scheduled', 'confirmed', 'completed', 'cancelled', 'no_show', 'rescheduled'];
+
+function normalizeDateTime(value) {
+    if (!value || typeof value !== 'string') return null;
+    
+    const local = value.match(/^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})(:\d{2})?(\.\d+)?$/);
+    if (local) {
+        const normalized = `${local[1]}T${local[2]}${local[3] || ':00'}`;
+        return isNaN(Date.parse(normalized + 'Z')) ? null : normalized;
+    }
+    
+    // Zeitstempel mit Offset (z.B. aus toISOString()) in Praxis-Ortszeit umrechnen
+    if (/(Z|[+-]\d{2}:?\d{2})$/.test(value) && !isNaN(Date.parse(value))) {
+        return formatInPraxisTimezone(new Date(value));
+    }
+    
+    return null;
+}
+
+function addMinutesToDateTime(dateTime, minutes) {
+    const date = new Date(dateTime + 'Z');
+    date.setUTCMinutes(date.getUTCMinutes() + minutes);
+    return date.toISOString().slice(0, 19);
+}
+
+function getCalendarRange(view, dateString) {
+    const base = new Date((dateString || formatInPraxisTimezone(new Date()).split('T')[0]) + 'T00:00:00Z');
+    if (isNaN(base.getTime())) return null;
+    
+    let start = new Date(base);
+    let end;
+    
+    if (view === 'day') {
+        end = new Date(start);
+        end.setUTCDate(end.getUTCDate() + 1);
+    } else if (view === 'month') {
+        start = new Date(Date.UTC(base.getUTCFullYear(), base.getUTCMonth(), 1));
+        end = new Date(Date.UTC(base.getUTCFullYear(), base.getUTCMonth() + 1, 1));
+    } else {
+        // Woche beginnt am Montag
+        start.setUTCDate(start.getUTCDate() - ((base.getUTCDay() + 6) % 7));
+        end = new Date(start);
+        end.setUTCDate(end.getUTCDate() + 7);
+    }
+    
+    return {
+        start: start.toISOString().slice(0, 19),
+        end: end.toISOString().slice(0, 19)
+    };
+}
+
+/**
+ * Prüft Zeiten, Therapeut und Klient einer Termin-Eingabe.
+ * Liefert { error } oder die normalisierten Werte.
+ */
+function resolveAppointmentInput(input, req, existing = null) {
+    const startTime = input.start_time !== undefined ? normalizeDateTime(input.start_time) : existing?.start_time;
+    if (!startTime) {
+        return { error: 'Gültige Startzeit erforderlich (YYYY-MM-DDTHH:MM)' };
+    }
+    
+    let endTime;
+    if (input.end_time !== undefined) {
+        endTime = normalizeDateTime(input.end_time);
+    } else if (input.duration !== undefined && input.duration !== null && input.duration !== '') {
+        const duration = Number(input.duration);
+        if (!Number.isInteger(duration) || duration < 1) {
+            return { error: 'Dauer muss eine positive ganze Zahl (Minuten) sein' };
+        }
+        endTime = addMinutesToDateTime(startTime, duration);
+    } else if (existing && input.start_time !== undefined) {
+        // Dauer des bestehenden Termins beibehalten
+        const duration = (Date.parse(existing.end_time + 'Z') - Date.parse(existing.start_time + 'Z')) / 60000;
+        endTime = addMinutesToDateTime(startTime, duration);
+    } else if (existing) {
+        endTime = existing.end_time;
+    } else {
+        endTime = addMinutesToDateTime(startTime, getSetting('default_session_duration', 'therapy') || 50);
+    }
+    
+    if (!endTime || endTime <= startTime) {
+        return { error: 'Endzeit muss nach der Startzeit liegen' };
+    }
+    
+    if (input.type !== undefined && !APPOINTMENT_TYPES.includes(input.type)) {
+        return { error: 'Ungültiger Termintyp' };
+    }
+    
+    let client = null;
+    const clientId = input.client_id !== undefined ? input.client_id : existing?.client_id;
+    if (clientId) {
+        client = getClientById(clientId, req.user.praxis_id);
+        if (!client) {
+            return { error: 'Client nicht gefunden', status: 404 };
+        }
+    }
+    
+    const therapistId = input.therapist_id !== undefined ? input.therapist_id : (existing ? existing.therapist_id : req.user.id);
+    if (therapistId) {
+        const therapist = getUserById(therapistId);
+        if (!therapist || therapist.praxis_id !== req.user.praxis_id) {
+            return { error: 'Therapeut nicht gefunden', status: 404 };
+        }
+    }
+    
+    return {
+        start_time: startTime,
+        end_time: endTime,
+        client_id: client ? client.id : null,
+        client,
+        therapist_id: therapistId ? Number(therapistId) : null
+    };
+}
+
+// --- RECURRING SERIES HELPER FUNCTIONS --- //
+
+const MAX_SERIES_OCCURRENCES = 104;
+const CALENDAR_EXCEPTION_TYPES = ['holiday', 'vacation', 'closure', 'other'];
+
+function addDaysToDate(dateString, days) {
+    const date = new Date(dateString + 'T00:00:00Z');
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+function isValidDateString(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value + 'T00:00:00Z'));
+}
+
+/**
+ * Bundesweite gesetzliche Feiertage. Regionale Feiertage (z.B. Fronleichnam)
+ * werden als Kalender-Ausnahme vom Typ 'holiday' erfasst.
+ */
+function getPublicHolidays(year) {
+    // Ostersonntag nach der Gauß'schen Osterformel (Meeus/Jones/Butcher)
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    const easter = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    
+    return [
+        { date: `${year}-01-01`, name: 'Neujahr' },
+        { date: addDaysToDate(easter, -2), name: 'Karfreitag' },
+        { date: addDaysToDate(easter, 1), name: 'Ostermontag' },
+        { date: `${year}-05-01`, name: 'Tag der Arbeit' },
+        { date: addDaysToDate(easter, 39), name: 'Christi Himmelfahrt' },
+        { date: addDaysToDate(easter, 50), name: 'Pfingstmontag' },
+        { date: `${year}-10-03`, name: 'Tag der Deutschen Einheit' },
+        { date: `${year}-12-25`, name: '1. Weihnachtstag' },
+        { date: `${year}-12-26`, name: '2. Weihnachtstag' }
+    ];
+}
+
+/**
+ * Prüft eine Wiederholungsregel und bringt sie in die gespeicherte Form
+ * ({ frequency, interval, until, count, skip_holidays }).
+ */
+function normalizeRecurrenceRule(input) {
+    if (!input || typeof input !== 'object') {
+        return { error: 'Wiederholungsregel erforderlich' };
+    }
+    
+    const frequency = input.frequency || 'weekly';
+    let interval;
+    if (frequency === 'weekly' || frequency === 'every_n_weeks') {
+        interval = input.interval !== undefined && input.interval !== null ? parseInt(input.interval) : 1;
+    } else if (frequency === 'biweekly') {
+        interval = 2;
+    } else {
+        return { error: 'Ungültige Frequenz (weekly, biweekly, every_n_weeks)' };
+    }
+    
+    if (!Number.isInteger(interval) || interval < 1 || interval > 12) {
+        return { error: 'Intervall muss zwischen 1 und 12 Wochen liegen' };
+    }
+    
+    const until = input.until ? String(input.until).slice(0, 10) : null;
+    if (until && !isValidDateString(until)) {
+        return { error: 'Ungültiges Enddatum (YYYY-MM-DD)' };
+    }
+    
+    const count = input.count !== undefined && input.count !== null ? parseInt(input.count) : null;
+    if (count !== null && (!Number.isInteger(count) || count < 1 || count > MAX_SERIES_OCCURRENCES)) {
+        return { error: `Anzahl muss zwischen 1 und ${MAX_SERIES_OCCURRENCES} liegen` };
+    }
+    
+    if (!until && !count) {
+        return { error: 'Enddatum (until) oder Anzahl (count) erforderlich' };
+    }
+    
+    return {
+        frequency: interval === 1 ? 'weekly' : (interval === 2 ? 'biweekly' : 'every_n_weeks'),
+        interval,
+        until,
+        count,
+        skip_holidays: input.skip_holidays !== false
+    };
+}
+
+/**
+ * Erzeugt die konkreten Termine einer Serie. Feiertage, Urlaube und
+ * Überschneidungen werden übersprungen; bei einer Anzahl-Regel verlängert sich
+ * die Serie entsprechend, damit die vereinbarte Terminzahl erhalten bleibt.
+ */
+function expandSeriesOccurrences(rule, times, context) {
+    const duration = (Date.parse(times.end_time + 'Z') - Date.parse(times.start_time + 'Z')) / 60000;
+    const firstDate = times.start_time.slice(0, 10);
+    const lastDate = rule.until || addDaysToDate(firstDate, 7 * rule.interval * MAX_SERIES_OCCURRENCES);
+    
+    const exceptions = getCalendarExceptions(context.praxis_id, firstDate, lastDate, context.therapist_id);
+    const holidays = new Map();
+    if (rule.skip_holidays) {
+        for (let year = Number(firstDate.slice(0, 4)); year <= Number(lastDate.slice(0, 4)); year++) {
+            getPublicHolidays(year).forEach(holiday => holidays.set(holiday.date, holiday.name));
+        }
+    }
+    
+    const occurrences = [];
+    const skipped = [];
+    
+    for (let week = 0; occurrences.length < (rule.count || MAX_SERIES_OCCURRENCES); week += rule.interval) {
+        const startTime = addMinutesToDateTime(times.start_time, week * 7 * 24 * 60);
+        const date = startTime.slice(0, 10);
+        if (date > lastDate) break;
+        
+        const endTime = addMinutesToDateTime(startTime, duration);
+        
+        if (holidays.has(date)) {
+            skipped.push({ start_time: startTime, reason: 'holiday', detail: holidays.get(date) });
+            continue;
+        }
+        
+        const exception = exceptions.find(e => e.start_date <= date && e.end_date >= date);
+        if (exception) {
+            skipped.push({ start_time: startTime, reason: exception.type, detail: exception.reason, exception_id: exception.id });
+            continue;
+        }
+        
+        if (!context.force) {
+            const conflicts = findAppointmentConflicts(context.praxis_id, {
+                therapist_id: context.therapist_id,
+                client_id: context.client_id,
+                start_time: startTime,
+                end_time: endTime
+            }).filter(conflict => !context.ignoreConflict || !context.ignoreConflict(conflict));
+            
+            if (conflicts.length > 0) {
+                skipped.push({ start_time: startTime, reason: 'conflict', conflicts });
+                continue;
+            }
+        }
+        
+        occurrences.push({ start_time: startTime, end_time: endTime });
+    }
+    
+    return { occurrences, skipped };
+}
+
+// --- ICALENDAR HELPER FUNCTIONS --- //
+
+const ICS_FEED_PAST_DAYS = 90;
+const ICS_FEED_FUTURE_DAYS = 365;
+const ICS_MAX_IMPORTED_OCCURRENCES = 500;
+const ICS_SUMMARY_LABELS = {
+    therapy: 'Therapie',
+    intake: 'Erstgespräch',
+    assessment: 'Diagnostik',
+    group: 'Gruppe',
+    supervision: 'Supervision',
+    other: 'Termin'
+};
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const calendarUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (path.extname(file.originalname).toLowerCase() === '.ics' || file.mimetype === 'text/calendar') {
+            return cb(null, true);
+        }
+        cb(new Error('Nur iCalendar-Dateien (.ics) erlaubt'));
+    }
+});
+
+function hashFeedToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Pseudonymisierung im Feed: aus "S.R." oder "Sabine Rot" wird "S.R."
+function toClientInitials(name) {
+    const parts = String(name || '').split(/[\s.\-_]+/).filter(Boolean);
+    return parts.length > 0 ? parts.map(part => part[0].toUpperCase() + '.').join('') : '?';
+}
+
+/**
+ * Rechnet eine Ortszeit (YYYY-MM-DDTHH:MM:SS) einer Zeitzone in einen UTC-Zeitpunkt um
+ */
+function zonedTimeToUtc(dateTime, timeZone = PRAXIS_TIMEZONE) {
+    const asUtc = Date.parse(dateTime + 'Z');
+    const offsetAt = utc => Date.parse(formatInPraxisTimezone(new Date(utc), timeZone) + 'Z') - utc;
+    
+    let offset = offsetAt(asUtc);
+    const corrected = offsetAt(asUtc - offset);
+    if (corrected !== offset) offset = corrected; // Sommer-/Winterzeitwechsel
+    
+    return new Date(asUtc - offset);
+}
+
+function formatIcsUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeIcsText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Zeilen nach RFC 5545 auf 75 Oktette falten
+function foldIcsLine(line) {
+    const chunks = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (chunks.length === 0 ? 75 : 74)) {
+            chunks.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+function buildIcsCalendar(calendarName, appointments) {
+    const now = formatIcsUtc(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Praxida//Terminkalender//DE',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(calendarName)}`,
+        `X-WR-TIMEZONE:${PRAXIS_TIMEZONE}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H'
+    ];
+    
+    appointments.forEach(appointment => {
+        // Keine Klarnamen oder Inhalte: nur Terminart und Initialen
+        const summary = appointment.client_id
+            ? `${ICS_SUMMARY_LABELS[appointment.type] || 'Termin'} ${toClientInitials(appointment.client_name)}`
+            : appointment.title;
+        const status = appointment.status === 'cancelled' ? 'CANCELLED' 
+            : (appointment.status === 'scheduled' ? 'TENTATIVE' : 'CONFIRMED');
+        const updatedAt = appointment.updated_at ? new Date(appointment.updated_at.replace(' ', 'T') + 'Z') : new Date();
+        
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:praxida-appointment-${appointment.id}@praxida`,
+            `DTSTAMP:${now}`,
+            `LAST-MODIFIED:${formatIcsUtc(updatedAt)}`,
+            `DTSTART:${formatIcsUtc(zonedTimeToUtc(appointment.start_time))}`,
+            `DTEND:${formatIcsUtc(zonedTimeToUtc(appointment.end_time))}`,
+            `SUMMARY:${escapeIcsText(summary)}`,
+            `STATUS:${status}`,
+            'CLASS:PRIVATE',
+            'TRANSP:OPAQUE'
+        );
+        if (appointment.location) {
+            lines.push(`LOCATION:${escapeIcsText(appointment.location)}`);
+        }
+        lines.push('END:VEVENT');
+    });
+    
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+function unescapeIcsText(value) {
+    return String(value || '')
+        .replace(/\\[nN]/g, '\n')
+        .replace(/\\([,;\\])/g, '$1');
+}
+
+/**
+ * Liest einen ICS-Datumswert (UTC, TZID, floating oder VALUE=DATE) als Ortszeit der Praxis
+ */
+function parseIcsDateTime(value, params = {}) {
+    const match = String(value || '').trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+    
+    const [, year, month, day, hour, minute, second, utc] = match;
+    const date = `${year}-${month}-${day}`;
+    if (!hour) {
+        return { dateTime: `${date}T00:00:00`, allDay: true };
+    }
+    
+    const wallTime = `${date}T${hour}:${minute}:${second}`;
+    if (utc) {
+        return { dateTime: formatInPraxisTimezone(new Date(wallTime + 'Z')), allDay: false };
+    }
+    
+    if (params.TZID && params.TZID !== PRAXIS_TIMEZONE) {
+        try {
+            return { dateTime: formatInPraxisTimezone(zonedTimeToUtc(wallTime, params.TZID)), allDay: false };
+        } catch (error) {
+            // Unbekannte Zeitzone (z.B. Windows-Namen aus Outlook): als Praxiszeit übernehmen
+        }
+    }
+    
+    return { dateTime: wallTime, allDay: false };
+}
+
+function parseIcsDuration(value) {
+    const match = String(value || '').match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return null;
+    
+    const [, sign, weeks, days, hours, minutes] = match;
+    const total = (Number(weeks || 0) * 7 * 24 * 60) + (Number(days || 0) * 24 * 60) + (Number(hours || 0) * 60) + Number(minutes || 0);
+    return sign === '-' ? -total : total;
+}
+
+/**
+ * Zerlegt eine ICS-Datei in VEVENTs mit Start/Ende in Praxis-Ortszeit
+ */
+function parseIcsEvents(text) {
+    const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const calendar = { prodId: '', events: [] };
+    let event = null;
+    let nestedDepth = 0;
+    
+    lines.forEach(line => {
+        if (line === 'BEGIN:VEVENT') {
+            event = { exdates: [] };
+            return;
+        }
+        if (line === 'END:VEVENT') {
+            if (event) calendar.events.push(event);
+            event = null;
+            return;
+        }
+        // Unterkomponenten wie VALARM ignorieren
+        if (event && line.startsWith('BEGIN:')) { nestedDepth++; return; }
+        if (event && line.startsWith('END:')) { nestedDepth--; return; }
+        if (nestedDepth > 0) return;
+        
+        const separator = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+        if (separator < 0) return;
+        
+        const [name, ...paramParts] = line.slice(0, separator).split(';');
+        const value = line.slice(separator + 1);
+        const params = {};
+        paramParts.forEach(part => {
+            const [key, paramValue] = part.split('=');
+            params[key.toUpperCase()] = (paramValue || '').replace(/^"|"$/g, '');
+        });
+        
+        if (!event) {
+            if (name.toUpperCase() === 'PRODID') calendar.prodId = value;
+            return;
+        }
+        
+        switch (name.toUpperCase()) {
+            case 'UID': event.uid = value.trim(); break;
+            case 'SUMMARY': event.summary = unescapeIcsText(value); break;
+            case 'DESCRIPTION': event.description = unescapeIcsText(value); break;
+            case 'LOCATION': event.location = unescapeIcsText(value); break;
+            case 'STATUS': event.status = value.trim().toUpperCase(); break;
+            case 'TRANSP': event.transparent = value.trim().toUpperCase() === 'TRANSPARENT'; break;
+            case 'DTSTART': event.start = parseIcsDateTime(value, params); break;
+            case 'DTEND': event.end = parseIcsDateTime(value, params); break;
+            case 'DURATION': event.duration = parseIcsDuration(value); break;
+            case 'RRULE': event.rrule = value.trim(); break;
+            case 'RECURRENCE-ID': event.recurrenceId = parseIcsDateTime(value, params); break;
+            case 'EXDATE':
+                value.split(',').forEach(exdate => {
+                    const parsed = parseIcsDateTime(exdate, params);
+                    if (parsed) event.exdates.push(parsed.dateTime);
+                });
+                break;
+        }
+    });
+    
+    return calendar;
+}
+
+/**
+ * Expandiert DAILY/WEEKLY-Regeln (INTERVAL, COUNT, UNTIL, BYDAY) bis zum Importhorizont.
+ * Liefert null für nicht unterstützte Regeln.
+ */
+function expandIcsRecurrence(event, horizon) {
+    const rule = {};
+    event.rrule.split(';').forEach(part => {
+        const [key, value] = part.split('=');
+        rule[key.toUpperCase()] = value;
+    });
+    
+    if (!['DAILY', 'WEEKLY'].includes(rule.FREQ)) return null;
+    
+    const interval = parseInt(rule.INTERVAL) || 1;
+    const count = rule.COUNT ? parseInt(rule.COUNT) : null;
+    const until = rule.UNTIL ? parseIcsDateTime(rule.UNTIL)?.dateTime : null;
+    const start = event.start.dateTime;
+    const starts = [];
+    
+    if (rule.FREQ === 'DAILY') {
+        for (let i = 0; ; i++) {
+            const candidate = addMinutesToDateTime(start, i * interval * 24 * 60);
+            if ((until && candidate > until) || candidate > horizon || starts.length >= (count || ICS_MAX_IMPORTED_OCCURRENCES)) break;
+            starts.push(candidate);
+        }
+    } else {
+        const startDay = new Date(start + 'Z').getUTCDay();
+        const days = (rule.BYDAY ? rule.BYDAY.split(',') : [ICS_WEEKDAYS[startDay]])
+            .map(day => ICS_WEEKDAYS.indexOf(day.replace(/^[+-]?\d+/, '')))
+            .filter(day => day >= 0)
+            .map(day => (day + 6) % 7) // Montag = 0
+            .sort((a, b) => a - b);
+        if (days.length === 0) return null;
+        
+        const weekStart = addMinutesToDateTime(start, -((startDay + 6) % 7) * 24 * 60);
+        
+        outer:
+        for (let week = 0; ; week += interval) {
+            for (const day of days) {
+                const candidate = addMinutesToDateTime(weekStart, (week * 7 + day) * 24 * 60);
+                if (candidate < start) continue;
+                if ((until && candidate > until) || candidate > horizon || starts.length >= (count || ICS_MAX_IMPORTED_OCCURRENCES)) break outer;
+                starts.push(candidate);
+            }
+        }
+    }
+    
+    return starts.filter(candidate => !event.exdates.includes(candidate));
+}
+
+// --- APPOINTMENT ROUTES --- //
+
+app.get("/api/appointments", requireAuth, requirePraxis, (req, res) => {
+    try {
+        let range;
+        if (req.query.start && req.query.end) {
+            const start = normalizeDateTime(req.query.start.length === 10 ? req.query.start + 'T00:00' : req.query.start);
+            const end = normalizeDateTime(req.query.end.length === 10 ? req.query.end + 'T00:00' : req.query.end);
+            range = start && end ? { start, end } : null;
+        } else {
+            range = getCalendarRange(req.query.view || 'week', req.query.date);
+        }
+        
+        if (!range) {
+            return res.status(400).json({ error: "Ungültiger Zeitraum" });
+        }
+        
+        const appointments = getAppointmentsInRange(req.user.praxis_id, range.start, range.end, {
+            therapist_id: req.query.mine === 'true' ? req.user.id : req.query.therapist_id,
+            client_id: req.query.client_id,
+            status: req.query.status,
+            include_cancelled: req.query.include_cancelled === 'true'
+        });
+        
+        res.json({
+            view: req.query.start ? 'custom' : (req.query.view || 'week'),
+            start: range.start,
+            end: range.end,
+            timezone: PRAXIS_TIMEZONE,
+            appointments
+        });
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Termine:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Termine" });
+    }
+});
+
+app.get("/api/appointments/conflicts", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const input = resolveAppointmentInput(req.query, req);
+        if (input.error) {
+            return res.status(input.status || 400).json({ error: input.error });
+        }
+        
+        const conflicts = findAppointmentConflicts(req.user.praxis_id, input, req.query.exclude_id || null);
+        res.json({ available: conflicts.length === 0, conflicts });
+    } catch (error) {
+        console.error("❌ Fehler bei der Konfliktprüfung:", error);
+        res.status(500).json({ error: "Fehler bei der Konfliktprüfung" });
+    }
+});
+
+app.get("/api/appointments/:id", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const appointment = getAppointmentById(req.params.id, req.user.praxis_id);
+        if (!appointment) {
+            return res.status(404).json({ error: "Termin nicht gefunden" });
+        }
+        
+        res.json(appointment);
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen des Termins:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen des Termins" });
+    }
+});
+
+app.get("/api/clients/:id/appointments", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || (client.praxis_id && client.praxis_id !== req.user.praxis_id)) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        const from = normalizeDateTime(req.query.from) || '0000-01-01T00:00:00';
+        const to = normalizeDateTime(req.query.to) || '9999-12-31T23:59:59';
+        
+        res.json(getAppointmentsInRange(req.user.praxis_id, from, to, {
+            client_id: client.id,
+            include_cancelled: req.query.include_cancelled === 'true'
+        }));
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Client-Termine:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Termine" });
+    }
+});
+
+app.post("/api/appointments", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const input = resolveAppointmentInput(req.body, req);
+        if (input.error) {
+            return res.status(input.status || 400).json({ error: input.error });
+        }
+        
+        if (input.client) {
+            const phaseError = validateAppointmentsForPhase(input.client, req.body.type || 'therapy', [input]);
+            if (phaseError) {
+                return res.status(400).json({ error: phaseError });
+            }
+        }
+        
+        const conflicts = findAppointmentConflicts(req.user.praxis_id, input);
+        if (conflicts.length > 0 && !req.body.force) {
+            return res.status(409).json({ 
+                error: "Terminüberschneidung",
+                conflicts 
+            });
+        }
+        
+        const result = addAppointment({
+            ...req.body,
+            ...input,
+            praxis_id: req.user.praxis_id,
+            title: req.body.title || (input.client ? `Termin ${input.client.name}` : 'Termin'),
+            status: 'scheduled',
+            created_by: req.user.id
+        });
+        
+        res.json({ 
+            success: true, 
+            id: result.lastInsertRowid,
+            conflicts 
+        });
+    } catch (error) {
+        console.error("❌ Fehler beim Anlegen des Termins:", error);
+        res.status(500).json({ error: "Fehler beim Anlegen des Termins" });
+    }
+});
+
+app.put("/api/appointments/:id", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const appointment = getAppointmentById(req.params.id, req.user.praxis_id);
+        if (!appointment) {
+            return res.status(404).json({ error: "Termin nicht gefunden" });
+        }
+        
+        if (['completed', 'cancelled', 'rescheduled'].includes(appointment.status)) {
+            return res.status(400).json({ error: "Abgeschlossene oder abgesagte Termine können nicht geändert werden" });
+        }
+        
+        const { status } = req.body;
+        if (status !== undefined && !['scheduled', 'confirmed', 'no_show'].includes(status)) {
+            return res.status(400).json({ 
+                error: APPOINTMENT_STATUSES.includes(status) 
+                    ? "Bitte /complete, /cancel bzw. /reschedule verwenden" 
+                    : "Ungültiger Status" 
+            });
+        }
+        
+        const input = resolveAppointmentInput(req.body, req, appointment);
+        if (input.error) {
+            return res.status(input.status || 400).json({ error: input.error });
+        }
+        
+        // "Diesen und alle folgenden": Serie ab diesem Termin mit neuer Regel neu erzeugen
+        if (req.body.scope === 'following') {
+            if (!appointment.series_id) {
+                return res.status(400).json({ error: "Termin gehört zu keiner Serie" });
+            }
+            
+            const previousRule = appointment.recurrence_pattern || {};
+            const changes = req.body.recurrence || {};
+            const recurrenceInput = { ...previousRule, ...changes };
+            if (changes.frequency && changes.interval === undefined) delete recurrenceInput.interval;
+            if (changes.until && changes.count === undefined) recurrenceInput.count = null;
+            if (changes.count && changes.until === undefined) recurrenceInput.until = null;
+            if (changes.until === undefined && changes.count === undefined && previousRule.count) {
+                const earlier = getSeriesAppointments(appointment.series_id, req.user.praxis_id)
+                    .filter(a => a.start_time < appointment.start_time && !['cancelled', 'rescheduled'].includes(a.status));
+                recurrenceInput.count = Math.max(previousRule.count - earlier.length, 1);
+            }
+            
+            const rule = normalizeRecurrenceRule(recurrenceInput);
+            if (rule.error) {
+                return res.status(400).json({ error: rule.error });
+            }
+            
+            const { occurrences, skipped } = expandSeriesOccurrences(rule, input, {
+                praxis_id: req.user.praxis_id,
+                therapist_id: input.therapist_id,
+                client_id: input.client_id,
+                force: !!req.body.force,
+                // Die zu ersetzenden Folgetermine zählen nicht als Überschneidung
+                ignoreConflict: conflict => conflict.series_id === appointment.series_id
+                    && conflict.start_time >= appointment.start_time
+                    && ['scheduled', 'confirmed'].includes(conflict.status)
+                    && !conflict.session_id
+            });
+            
+            if (occurrences.length === 0) {
+                return res.status(409).json({ error: "Keine Termine in diesem Zeitraum möglich", skipped });
+            }
+            
+            if (input.client) {
+                const replacedIds = getSeriesAppointments(appointment.series_id, req.user.praxis_id)
+                    .filter(a => a.start_time >= appointment.start_time)
+                    .map(a => a.id);
+                const phaseError = validateAppointmentsForPhase(input.client, req.body.type || appointment.type, occurrences, replacedIds);
+                if (phaseError) {
+                    return res.status(400).json({ error: phaseError });
+                }
+            }
+            
+            const seriesUpdates = { ...req.body };
+            ['id', 'praxis_id', 'session_id', 'series_id', 'force', 'duration', 'recurrence', 'scope', 'status', 'created_by'].forEach(key => delete seriesUpdates[key]);
+            
+            const result = splitAppointmentSeries(
+                appointment.series_id,
+                appointment.start_time,
+                { ...previousRule, until: addDaysToDate(appointment.start_time.slice(0, 10), -1), count: null },
+                {
+                    ...appointment,
+                    ...seriesUpdates,
+                    client_id: input.client_id,
+                    therapist_id: input.therapist_id,
+                    status: 'scheduled',
+                    google_event_id: null,
+                    outlook_event_id: null,
+                    rescheduled_from: null,
+                    recurrence_pattern: rule,
+                    created_by: req.user.id
+                },
+                occurrences,
+                req.user.praxis_id,
+                req.user.id
+            );
+            
+            return res.json({
+                success: true,
+                series_id: result.seriesId,
+                previous_series_id: appointment.series_id,
+                ids: result.ids,
+                recurrence_pattern: rule,
+                skipped
+            });
+        }
+        
+        const timesChanged = input.start_time !== appointment.start_time 
+            || input.end_time !== appointment.end_time
+            || input.therapist_id !== appointment.therapist_id
+            || input.client_id !== appointment.client_id;
+        
+        if (timesChanged) {
+            const conflicts = findAppointmentConflicts(req.user.praxis_id, input, appointment.id);
+            if (conflicts.length > 0 && !req.body.force) {
+                return res.status(409).json({ error: "Terminüberschneidung", conflicts });
+            }
+        }
+        
+        if (input.client && (timesChanged || (req.body.type !== undefined && req.body.type !== appointment.type))) {
+            const phaseError = validateAppointmentsForPhase(input.client, req.body.type || appointment.type, [input], [appointment.id]);
+            if (phaseError) {
+                return res.status(400).json({ error: phaseError });
+            }
+        }
+        
+        const updates = { ...req.body };
+        ['id', 'praxis_id', 'session_id', 'series_id', 'recurrence', 'scope', 'force', 'duration', 'created_by'].forEach(key => delete updates[key]);
+        Object.assign(updates, {
+            start_time: input.start_time,
+            end_time: input.end_time,
+            client_id: input.client_id,
+            therapist_id: input.therapist_id
+        });
+        
+        updateAppointment(appointment.id, updates, req.user.praxis_id, req.user.id);
+        res.json({ success: true, appointment: getAppointmentById(appointment.id, req.user.praxis_id) });
+    } catch (error) {
+        console.error("❌ Fehler beim Aktualisieren des Termins:", error);
+        res.status(500).json({ error: "Fehler beim Aktualisieren des Termins" });
+    }
+});
+
+app.post("/api/appointments/:id/cancel", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const appointment = getAppointmentById(req.params.id, req.user.praxis_id);
+        if (!appointment) {
+            return res.status(404).json({ error: "Termin nicht gefunden" });
+        }
+        
+        if (['completed', 'cancelled', 'rescheduled'].includes(appointment.status)) {
+            return res.status(400).json({ error: "Termin kann nicht mehr abgesagt werden" });
+        }
+        
+        if (req.body.scope === 'following') {
+            if (!appointment.series_id) {
+                return res.status(400).json({ error: "Termin gehört zu keiner Serie" });
+            }
+            
+            const result = cancelSeriesFrom(appointment.series_id, appointment.start_time, req.body.reason, req.user.praxis_id, req.user.id);
+            updateSeriesRuleBefore(appointment.series_id, appointment.start_time, {
+                ...(appointment.recurrence_pattern || {}),
+                until: addDaysToDate(appointment.start_time.slice(0, 10), -1),
+                count: null
+            });
+            
+            return res.json({ success: true, message: 'Serie ab diesem Termin abgesagt', cancelled: result.changes });
+        }
+        
+        cancelAppointment(appointment.id, {
+            reason: req.body.reason,
+            no_show_fee: req.body.no_show_fee
+        }, req.user.praxis_id, req.user.id);
+        
+        res.json({ success: true, message: 'Termin abgesagt' });
+    } catch (error) {
+        console.error("❌ Fehler beim Absagen des Termins:", error);
+        res.status(500).json({ error: "Fehler beim Absagen des Termins" });
+    }
+});
+
+app.post("/api/appointments/:id/reschedule", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const appointment = getAppointmentById(req.params.id, req.user.praxis_id);
+        if (!appointment) {
+            return res.status(404).json({ error: "Termin nicht gefunden" });
+        }
+        
+        if (['completed', 'cancelled', 'rescheduled'].includes(appointment.status)) {
+            return res.status(400).json({ error: "Termin kann nicht mehr verschoben werden" });
+        }
+        
+        if (!req.body.start_time) {
+            return res.status(400).json({ error: "Neue Startzeit erforderlich" });
+        }
+        
+        const input = resolveAppointmentInput({
+            start_time: req.body.start_time,
+            end_time: req.body.end_time,
+            duration: req.body.duration,
+            therapist_id: req.body.therapist_id
+        }, req, appointment);
+        if (input.error) {
+            return res.status(input.status || 400).json({ error: input.error });
+        }
+        
+        const conflicts = findAppointmentConflicts(req.user.praxis_id, input, appointment.id);
+        if (conflicts.length > 0 && !req.body.force) {
+            return res.status(409).json({ error: "Terminüberschneidung", conflicts });
+        }
+        
+        if (input.client) {
+            const phaseError = validateAppointmentsForPhase(input.client, appointment.type, [input], [appointment.id]);
+            if (phaseError) {
+                return res.status(400).json({ error: phaseError });
+            }
+        }
+        
+        const result = rescheduleAppointment(appointment.id, input, req.user.praxis_id, req.user.id);
+        res.json({ success: true, id: result.lastInsertRowid, previous_id: appointment.id });
+    } catch (error) {
+        console.error("❌ Fehler beim Verschieben des Termins:", error);
+        res.status(500).json({ error: "Fehler beim Verschieben des Termins" });
+    }
+});
+
+app.post("/api/appointments/:id/complete", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const appointment = getAppointmentById(req.params.id, req.user.praxis_id);
+        if (!appointment) {
+            return res.status(404).json({ error: "Termin nicht gefunden" });
+        }
+        
+        if (['completed', 'cancelled', 'rescheduled'].includes(appointment.status)) {
+            return res.status(400).json({ error: "Termin kann nicht als durchgeführt markiert werden" });
+        }
+        
+        const sessionFields = [
+            'notes', 'private_notes', 'homework_given', 'mood_before', 'mood_after',
+            'therapeutic_focus', 'interventions_used', 'billing_code', 'billing_points', 'type'
+        ];
+        const sessionDetails = {};
+        sessionFields.forEach(key => {
+            if (req.body[key] !== undefined) sessionDetails[key] = req.body[key];
+        });
+        
+        const client = appointment.client_id ? getClientById(appointment.client_id) : null;
+        if (client && !appointment.session_id) {
+            const sessionDate = appointment.start_time.slice(0, 10);
+            if (!sessionDetails.type) {
+                sessionDetails.type = getAppointmentSessionType(appointment.type, getTreatmentPhaseAt(client.id, sessionDate));
+            }
+            
+            const durationMinutes = Math.round((Date.parse(appointment.end_time + 'Z') - Date.parse(appointment.start_time + 'Z')) / 60000);
+            const phaseError = validateSessionForPhase(client, sessionDetails.type, durationMinutes, 'durchgeführt', sessionDate);
+            if (phaseError) {
+                return res.status(400).json({ error: phaseError });
+            }
+        }
+        
+        const result = completeAppointment(appointment.id, sessionDetails, req.user.praxis_id, req.user.id);
+        
+        res.json({
+            success: true,
+            session_id: result.sessionId,
+            ...(client ? getSessionContingentInfo(result.sessionId, client) : {})
+        });
+    } catch (error) {
+        console.error("❌ Fehler beim Abschließen des Termins:", error);
+        res.status(500).json({ error: "Fehler beim Abschließen des Termins" });
+    }
+});
+
+// --- APPOINTMENT SERIES ROUTES --- //
+
+app.post("/api/appointments/series", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const input = resolveAppointmentInput(req.body, req);
+        if (input.error) {
+            return res.status(input.status || 400).json({ error: input.error });
+        }
+        
+        const rule = normalizeRecurrenceRule(req.body.recurrence);
+        if (rule.error) {
+            return res.status(400).json({ error: rule.error });
+        }
+        
+        if (rule.until && rule.until < input.start_time.slice(0, 10)) {
+            return res.status(400).json({ error: "Enddatum liegt vor dem ersten Termin" });
+        }
+        
+        const { occurrences, skipped } = expandSeriesOccurrences(rule, input, {
+            praxis_id: req.user.praxis_id,
+            therapist_id: input.therapist_id,
+            client_id: input.client_id,
+            force: !!req.body.force
+        });
+        
+        if (occurrences.length === 0) {
+            return res.status(409).json({ error: "Keine Termine in diesem Zeitraum möglich", skipped });
+        }
+        
+        if (input.client) {
+            const phaseError = validateAppointmentsForPhase(input.client, req.body.type || 'therapy', occurrences);
+            if (phaseError) {
+                return res.status(400).json({ error: phaseError });
+            }
+        }
+        
+        const baseData = { ...req.body };
+        ['id', 'praxis_id', 'session_id', 'series_id', 'force', 'duration', 'recurrence', 'status', 'created_by'].forEach(key => delete baseData[key]);
+        
+        const result = addAppointmentSeries({
+            ...baseData,
+            client_id: input.client_id,
+            therapist_id: input.therapist_id,
+            praxis_id: req.user.praxis_id,
+            title: req.body.title || (input.client ? `Termin ${input.client.name}` : 'Termin'),
+            status: 'scheduled',
+            recurrence_pattern: rule,
+            created_by: req.user.id
+        }, occurrences);
+        
+        res.json({
+            success: true,
+            series_id: result.seriesId,
+            ids: result.ids,
+            recurrence_pattern: rule,
+            skipped
+        });
+    } catch (error) {
+        console.error("❌ Fehler beim Anlegen der Terminserie:", error);
+        res.status(500).json({ error: "Fehler beim Anlegen der Terminserie" });
+    }
+});
+
+app.get("/api/appointments/series/:seriesId", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const occurrences = getSeriesAppointments(req.params.seriesId, req.user.praxis_id);
+        if (occurrences.length === 0) {
+            return res.status(404).json({ error: "Terminserie nicht gefunden" });
+        }
+        
+        res.json({
+            series_id: req.params.seriesId,
+            recurrence_pattern: occurrences[0].recurrence_pattern,
+            occurrences
+        });
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Terminserie:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Terminserie" });
+    }
+});
+
+// --- CALENDAR EXCEPTION ROUTES --- //
+
+app.get("/api/calendar/holidays", requireAuth, (req, res) => {
+    const year = parseInt(req.query.year) || Number(formatInPraxisTimezone(new Date()).slice(0, 4));
+    res.json(getPublicHolidays(year));
+});
+
+app.get("/api/calendar/exceptions", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const from = isValidDateString(req.query.from) ? req.query.from : '0000-01-01';
+        const to = isValidDateString(req.query.to) ? req.query.to : '9999-12-31';
+        
+        res.json(getCalendarExceptions(req.user.praxis_id, from, to, req.query.therapist_id || null));
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Kalender-Ausnahmen:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Kalender-Ausnahmen" });
+    }
+});
+
+app.post("/api/calendar/exceptions", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const { start_date, reason } = req.body;
+        const end_date = req.body.end_date || start_date;
+        const type = req.body.type || 'vacation';
+        
+        if (!isValidDateString(start_date) || !isValidDateString(end_date) || end_date < start_date) {
+            return res.status(400).json({ error: "Gültiger Zeitraum erforderlich (YYYY-MM-DD)" });
+        }
+        
+        if (!CALENDAR_EXCEPTION_TYPES.includes(type)) {
+            return res.status(400).json({ error: "Ungültiger Ausnahmetyp" });
+        }
+        
+        // Praxisweite Schließzeiten und Ausnahmen anderer Therapeuten nur durch Admins
+        const therapistId = req.body.therapist_id !== undefined ? req.body.therapist_id : req.user.id;
+        if (req.user.role !== 'admin' && (!therapistId || Number(therapistId) !== req.user.id)) {
+            return res.status(403).json({ error: "Keine Berechtigung für diese Ausnahme" });
+        }
+        
+        if (therapistId) {
+            const therapist = getUserById(therapistId);
+            if (!therapist || therapist.praxis_id !== req.user.praxis_id) {
+                return res.status(404).json({ error: "Therapeut nicht gefunden" });
+            }
+        }
+        
+        const result = addCalendarException({
+            praxis_id: req.user.praxis_id,
+            therapist_id: therapistId ? Number(therapistId) : null,
+            start_date,
+            end_date,
+            type,
+            reason,
+            created_by: req.user.id
+        });
+        
+        // Bereits angelegte Serientermine im Zeitraum entfallen, Einzeltermine werden nur gemeldet
+        const affected = getAppointmentsInRange(
+            req.user.praxis_id,
+            `${start_date}T00:00:00`,
+            `${addDaysToDate(end_date, 1)}T00:00:00`,
+            { therapist_id: therapistId || undefined }
+        ).filter(appointment => ['scheduled', 'confirmed'].includes(appointment.status));
+        
+        const cancelled = [];
+        const singleAppointments = [];
+        affected.forEach(appointment => {
+            if (appointment.series_id && req.body.cancel_series !== false) {
+                cancelAppointment(appointment.id, {
+                    reason: reason ? `Ausnahme (${type}): ${reason}` : `Ausnahme (${type})`
+                }, req.user.praxis_id, req.user.id);
+                cancelled.push(appointment.id);
+            } else {
+                singleAppointments.push(appointment);
+            }
+        });
+        
+        res.json({
+            success: true,
+            id: result.lastInsertRowid,
+            cancelled_series_appointments: cancelled,
+            affected_appointments: singleAppointments
+        });
+    } catch (error) {
+        console.error("❌ Fehler beim Anlegen der Kalender-Ausnahme:", error);
+        res.status(500).json({ error: "Fehler beim Anlegen der Kalender-Ausnahme" });
+    }
+});
+
+app.delete("/api/calendar/exceptions/:id", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const exception = getCalendarExceptions(req.user.praxis_id, '0000-01-01', '9999-12-31')
+            .find(e => e.id === Number(req.params.id));
+        if (!exception) {
+            return res.status(404).json({ error: "Kalender-Ausnahme nicht gefunden" });
+        }
+        
+        if (req.user.role !== 'admin' && exception.therapist_id !== req.user.id) {
+            return res.status(403).json({ error: "Keine Berechtigung für diese Ausnahme" });
+        }
+        
+        deleteCalendarException(exception.id, req.user.praxis_id, req.user.id);
+        res.json({ success: true, message: 'Kalender-Ausnahme gelöscht' });
+    } catch (error) {
+        console.error("❌ Fehler beim Löschen der Kalender-Ausnahme:", error);
+        res.status(500).json({ error: "Fehler beim Löschen der Kalender-Ausnahme" });
+    }
+});
+
+// --- ICALENDAR FEED & IMPORT ROUTES --- //
+
+app.get("/api/calendar/feed", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const user = getUserById(req.user.id);
+        res.json({
+            active: !!user.calendar_feed_token,
+            created_at: user.calendar_feed_created_at || null
+        });
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen des Kalender-Feeds:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen des Kalender-Feeds" });
+    }
+});
+
+// Erzeugt einen neuen Feed-Link; ein bestehender Link wird damit ungültig
+app.post("/api/calendar/feed", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const token = crypto.randomBytes(32).toString('hex');
+        setUserCalendarFeedToken(req.user.id, hashFeedToken(token));
+        
+        logAction(req.user.praxis_id, req.user.id, 'CREATE', 'calendar_feed', req.user.id, null, null, 'Calendar feed link generated');
+        
+        const url = `${req.protocol}://${req.get('host')}/ical/${token}.ics`;
+        res.json({
+            success: true,
+            url,
+            webcal_url: url.replace(/^https?:/, 'webcal:')
+        });
+    } catch (error) {
+        console.error("❌ Fehler beim Erzeugen des Kalender-Feeds:", error);
+        res.status(500).json({ error: "Fehler beim Erzeugen des Kalender-Feeds" });
+    }
+});
+
+app.delete("/api/calendar/feed", requireAuth, requirePraxis, (req, res) => {
+    try {
+        setUserCalendarFeedToken(req.user.id, null);
+        
+        logAction(req.user.praxis_id, req.user.id, 'DELETE', 'calendar_feed', req.user.id, null, null, 'Calendar feed link revoked');
+        
+        res.json({ success: true, message: 'Kalender-Feed deaktiviert' });
+    } catch (error) {
+        console.error("❌ Fehler beim Deaktivieren des Kalender-Feeds:", error);
+        res.status(500).json({ error: "Fehler beim Deaktivieren des Kalender-Feeds" });
+    }
+});
+
+// Öffentlicher Abo-Link für Kalender-Apps, geschützt nur durch das Token
+app.get("/ical/:token.ics", (req, res) => {
+    try {
+        const user = getUserByCalendarFeedToken(hashFeedToken(req.params.token));
+        if (!user) {
+            return res.status(404).send('Not found');
+        }
+        
+        const today = formatInPraxisTimezone(new Date()).slice(0, 10) + 'T00:00:00';
+        const appointments = getAppointmentsInRange(
+            user.praxis_id,
+            addMinutesToDateTime(today, -ICS_FEED_PAST_DAYS * 24 * 60),
+            addMinutesToDateTime(today, ICS_FEED_FUTURE_DAYS * 24 * 60),
+            { therapist_id: user.id, include_cancelled: true }
+        ).filter(appointment => appointment.status !== 'rescheduled' && !appointment.external_uid);
+        
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'inline; filename="praxida.ics"',
+            'Cache-Control': 'private, max-age=900'
+        });
+        res.send(buildIcsCalendar(`Praxida – ${user.name}`, appointments));
+    } catch (error) {
+        console.error("❌ Fehler beim Erzeugen des ICS-Feeds:", error);
+        res.status(500).send('Internal error');
+    }
+});
+
+/**
+ * Importiert Blockzeiten und externe Termine aus einer ICS-Datei (Feld "file"
+ * oder JSON "ics"). Wiederholter Import aktualisiert bereits übernommene Termine.
+ */
+app.post("/api/calendar/import", requireAuth, requirePraxis, calendarUpload.single('file'), (req, res) => {
+    try {
+        const text = req.file ? req.file.buffer.toString('utf8') : req.body.ics;
+        if (!text || !/BEGIN:VCALENDAR/.test(text)) {
+            return res.status(400).json({ error: "Keine gültige iCalendar-Datei" });
+        }
+        
+        const therapistId = req.body.therapist_id ? Number(req.body.therapist_id) : req.user.id;
+        if (therapistId !== req.user.id && req.user.role !== 'admin') {
+            return res.status(403).json({ error: "Import nur in den eigenen Kalender erlaubt" });
+        }
+        
+        const therapist = getUserById(therapistId);
+        if (!therapist || therapist.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Therapeut nicht gefunden" });
+        }
+        
+        const calendar = parseIcsEvents(text);
+        const source = /google/i.test(calendar.prodId) ? 'google' 
+            : (/microsoft|outlook|exchange/i.test(calendar.prodId) ? 'outlook' : 'ics');
+        const today = formatInPraxisTimezone(new Date()).slice(0, 10) + 'T00:00:00';
+        const horizon = addMinutesToDateTime(today, ICS_FEED_FUTURE_DAYS * 24 * 60);
+        const summary = { source, created: 0, updated: 0, cancelled: 0, skipped: [], conflicts: [] };
+        
+        const eventDuration = event => {
+            if (event.end) return (Date.parse(event.end.dateTime + 'Z') - Date.parse(event.start.dateTime + 'Z')) / 60000;
+            if (event.duration !== undefined && event.duration !== null) return event.duration;
+            return event.start.allDay ? 24 * 60 : 0;
+        };
+        
+        // Abweichende Einzeltermine (RECURRENCE-ID) ersetzen die jeweilige Serieninstanz
+        const overrides = new Map();
+        calendar.events
+            .filter(event => event.uid && event.start && event.recurrenceId)
+            .forEach(event => overrides.set(`${event.uid}/${event.recurrenceId.dateTime}`, event));
+        
+        const occurrences = [];
+        calendar.events.filter(event => !event.recurrenceId).forEach(event => {
+            if (!event.uid || !event.start) {
+                summary.skipped.push({ uid: event.uid || null, summary: event.summary || null, reason: 'invalid' });
+                return;
+            }
+            
+            if (!event.rrule) {
+                occurrences.push({ event, externalUid: event.uid, start: event.start.dateTime });
+                return;
+            }
+            
+            const starts = expandIcsRecurrence(event, horizon);
+            if (!starts) {
+                summary.skipped.push({ uid: event.uid, summary: event.summary || null, reason: 'unsupported_recurrence' });
+                return;
+            }
+            
+            starts.forEach(start => {
+                const externalUid = `${event.uid}/${start}`;
+                const override = overrides.get(externalUid);
+                occurrences.push(override 
+                    ? { event: override, externalUid, start: override.start.dateTime }
+                    : { event, externalUid, start });
+            });
+        });
+        
+        occurrences.forEach(({ event, externalUid, start }) => {
+            const duration = eventDuration(event);
+            const endTime = addMinutesToDateTime(start, duration);
+            
+            if (event.transparent) {
+                summary.skipped.push({ uid: externalUid, summary: event.summary || null, reason: 'free' });
+                return;
+            }
+            if (duration <= 0) {
+                summary.skipped.push({ uid: externalUid, summary: event.summary || null, reason: 'no_duration' });
+                return;
+            }
+            // Vergangene Termine werden nicht übernommen
+            if (endTime <= today) return;
+            
+            const fields = {
+                title: event.summary || 'Blockiert',
+                description: event.description || null,
+                location: event.location || 'Extern',
+                start_time: start,
+                end_time: endTime
+            };
+            const existing = getAppointmentByExternalUid(req.user.praxis_id, therapistId, externalUid);
+            
+            if (event.status === 'CANCELLED') {
+                if (existing && ['scheduled', 'confirmed'].includes(existing.status)) {
+                    cancelAppointment(existing.id, { reason: 'Im externen Kalender abgesagt' }, req.user.praxis_id, req.user.id);
+                    summary.cancelled++;
+                }
+                return;
+            }
+            
+            if (existing) {
+                const changed = Object.keys(fields).some(key => (existing[key] || null) !== fields[key]);
+                if (changed && ['scheduled', 'confirmed'].includes(existing.status)) {
+                    updateAppointment(existing.id, fields, req.user.praxis_id, req.user.id);
+                    summary.updated++;
+                }
+                return;
+            }
+            
+            const conflicts = findAppointmentConflicts(req.user.praxis_id, {
+                therapist_id: therapistId,
+                start_time: start,
+                end_time: endTime
+            });
+            if (conflicts.length > 0) {
+                summary.conflicts.push({
+                    start_time: start,
+                    title: fields.title,
+                    conflicting_appointment_ids: conflicts.map(conflict => conflict.id)
+                });
+            }
+            
+            addAppointment({
+                ...fields,
+                praxis_id: req.user.praxis_id,
+                therapist_id: therapistId,
+                client_id: null,
+                type: 'other',
+                status: 'confirmed',
+                billing_eligible: false,
+                external_uid: externalUid,
+                google_event_id: source === 'google' ? event.uid : null,
+                outlook_event_id: source === 'outlook' ? event.uid : null,
+                created_by: req.user.id
+            });
+            summary.created++;
+        });
+        
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        console.error("❌ Fehler beim ICS-Import:", error);
+        res.status(500).json({ error: "Fehler beim ICS-Import" });
+    }
+});
+
+// --- BILLING HELPER FUNCTIONS --- //
+
+const INVOICE_STATUSES = ['draft', 'sent', 'paid', 'overdue', 'cancelled', 'disputed'];
+const GOAE_MAX_FACTOR = 3.5;
+const GOAE_THRESHOLD_FACTOR = 2.3; // Darüber ist nach § 12 GOÄ eine Begründung nötig
+
+function roundCurrency(value) {
+    return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+// Gesetzlich Versicherte nach EBM, Privat- und Selbstzahler nach GOÄ
+function getBillingScheme(insuranceType) {
+    return insuranceType === 'gesetzlich' ? 'ebm' : 'goae';
+}
+
+function getQuarter(dateString) {
+    const month = Number(dateString.slice(5, 7));
+    return `${dateString.slice(0, 4)}Q${Math.floor((month - 1) / 3) + 1}`;
+}
+
+/**
+ * Bildet eine durchgeführte Sitzung auf eine Rechnungsposition ab.
+ * Fehlt eine Ziffer an der Sitzung, greift die Standardziffer des Sitzungstyps.
+ */
+function buildInvoiceItem(session, praxisId, options = {}) {
+    const scheme = getBillingScheme(session.insurance_type);
+    const defaults = (getPraxisSetting('default_billing_codes', 'billing', praxisId) || {})[scheme] || {};
+    const fallback = defaults[session.type] || {};
+    
+    const code = session.billing_code || fallback.code;
+    const points = session.billing_points || (code === fallback.code ? fallback.points : null);
+    if (!code || !points) {
+        return { error: 'Keine Abrechnungsziffer oder Punktzahl hinterlegt' };
+    }
+    
+    let factor = 1.0;
+    let unitPrice;
+    if (scheme === 'ebm') {
+        unitPrice = roundCurrency(points * getPraxisSetting('ebm_point_value', 'billing', praxisId));
+    } else {
+        factor = options.goae_factor || getPraxisSetting('goae_factor', 'billing', praxisId) || GOAE_THRESHOLD_FACTOR;
+        unitPrice = roundCurrency(points * getPraxisSetting('goae_point_value', 'billing', praxisId) * factor);
+    }
+    
+    return {
+        session_id: session.id,
+        item_type: 'session',
+        billing_code: code,
+        description: `${scheme === 'ebm' ? 'EBM' : 'GOÄ'} ${code} – ${session.type || 'Sitzung'} (${session.duration || 50} Min.)`,
+        date_service: session.date.slice(0, 10),
+        quantity: 1,
+        unit_price: unitPrice,
+        factor,
+        points,
+        notes: factor > GOAE_THRESHOLD_FACTOR && options.factor_justification ? `Begründung Steigerungsfaktor: ${options.factor_justification}` : null
+    };
+}
+
+/**
+ * Prüft Abrechnungszeitraum und GOÄ-Faktor einer Anfrage
+ */
+function validateBillingInput(input) {
+    const { period_start, period_end } = input;
+    if (!isValidDateString(period_start) || !isValidDateString(period_end) || period_end < period_start) {
+        return { error: 'Gültiger Abrechnungszeitraum erforderlich (period_start, period_end)' };
+    }
+    
+    if (input.goae_factor !== undefined && input.goae_factor !== null) {
+        const factor = parseFloat(input.goae_factor);
+        if (isNaN(factor) || factor < 1 || factor > GOAE_MAX_FACTOR) {
+            return { error: `GOÄ-Faktor muss zwischen 1,0 und ${GOAE_MAX_FACTOR} liegen` };
+        }
+        if (factor > GOAE_THRESHOLD_FACTOR && !input.factor_justification) {
+            return { error: `Für einen Faktor über ${GOAE_THRESHOLD_FACTOR} ist eine Begründung erforderlich` };
+        }
+    }
+    
+    return {
+        period_start,
+        period_end,
+        goae_factor: input.goae_factor ? parseFloat(input.goae_factor) : null,
+        factor_justification: input.factor_justification || null
+    };
+}
+
+/**
+ * Erzeugt je Klient einen Rechnungsentwurf aus allen offenen, durchgeführten
+ * Sitzungen des Zeitraums. Optional werden die Entwürfe direkt festgeschrieben.
+ */
+function generateInvoicesFromSessions(req, billing, filters = {}) {
+    const praxisId = req.user.praxis_id;
+    const sessions = getBillableSessions(praxisId, {
+        period_start: billing.period_start,
+        period_end: billing.period_end,
+        client_id: filters.client_id,
+        session_ids: filters.session_ids
+    });
+    
+    const taxRate = getPraxisSetting('tax_exempt', 'billing', praxisId) === false 
+        ? (getPraxisSetting('tax_rate', 'billing', praxisId) || 0) 
+        : 0;
+    const byClient = new Map();
+    const skipped = [];
+    
+    sessions.forEach(session => {
+        const item = buildInvoiceItem(session, praxisId, billing);
+        if (item.error) {
+            skipped.push({ session_id: session.id, client_id: session.client_id, date: session.date, reason: item.error });
+            return;
+        }
+        if (!byClient.has(session.client_id)) {
+            byClient.set(session.client_id, { insurance_type: session.insurance_type, items: [] });
+        }
+        byClient.get(session.client_id).items.push(item);
+    });
+    
+    const invoices = [];
+    byClient.forEach(({ insurance_type, items }, clientId) => {
+        const amountNet = roundCurrency(items.reduce((sum, item) => sum + item.unit_price * item.quantity, 0));
+        const taxAmount = roundCurrency(amountNet * taxRate);
+        
+        const invoiceId = createInvoiceWithItems({
+            praxis_id: praxisId,
+            client_id: clientId,
+            quarter: getQuarter(billing.period_start),
+            invoice_type: getBillingScheme(insurance_type) === 'ebm' ? 'quarterly' : 'individual',
+            period_start: billing.period_start,
+            period_end: billing.period_end,
+            amount_net: amountNet,
+            tax_rate: taxRate,
+            tax_amount: taxAmount,
+            amount_gross: roundCurrency(amountNet + taxAmount),
+            currency: getPraxisSetting('default_currency', 'billing', praxisId) || 'EUR',
+            status: 'draft',
+            created_by: req.user.id
+        }, items);
+        
+        if (filters.finalize) {
+            finalizeInvoice(invoiceId, getInvoiceDates(praxisId), praxisId, req.user.id);
+        }
+        
+        invoices.push(getInvoiceById(invoiceId, praxisId));
+    });
+    
+    return { invoices, skipped };
+}
+
+function getInvoiceDates(praxisId, invoiceDate = null) {
+    const date = invoiceDate || formatInPraxisTimezone(new Date()).slice(0, 10);
+    const termDays = getPraxisSetting('payment_terms_days', 'billing', praxisId) || 14;
+    
+    return {
+        invoice_date: date,
+        due_date: addDaysToDate(date, termDays)
+    };
+}
+
+// --- INVOICE ROUTES --- //
+
+app.get("/api/invoices", requireAuth, requirePraxis, (req, res) => {
+    try {
+        if (req.query.status && !INVOICE_STATUSES.includes(req.query.status)) {
+            return res.status(400).json({ error: "Ungültiger Rechnungsstatus" });
+        }
+        
+        res.json(getInvoicesByPraxis(req.user.praxis_id, {
+            client_id: req.query.client_id,
+            status: req.query.status,
+            quarter: req.query.quarter,
+            from: req.query.from,
+            to: req.query.to,
+            limit: req.query.limit
+        }));
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Rechnungen:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Rechnungen" });
+    }
+});
+
+// Vorschau: abrechenbare Sitzungen mit berechneten Positionen
+app.get("/api/invoices/billable-sessions", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const billing = validateBillingInput(req.query);
+        if (billing.error) {
+            return res.status(400).json({ error: billing.error });
+        }
+        
+        const sessions = getBillableSessions(req.user.praxis_id, {
+            period_start: billing.period_start,
+            period_end: billing.period_end,
+            client_id: req.query.client_id
+        });
+        
+        res.json(sessions.map(session => {
+            const item = buildInvoiceItem(session, req.user.praxis_id, billing);
+            return {
+                session_id: session.id,
+                client_id: session.client_id,
+                client_name: session.client_name,
+                insurance_type: session.insurance_type,
+                date: session.date,
+                type: session.type,
+                billing_scheme: getBillingScheme(session.insurance_type),
+                item: item.error ? null : item,
+                error: item.error || null
+            };
+        }));
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen abrechenbarer Sitzungen:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen abrechenbarer Sitzungen" });
+    }
+});
+
+app.post("/api/invoices/generate", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const billing = validateBillingInput(req.body);
+        if (billing.error) {
+            return res.status(400).json({ error: billing.error });
+        }
+        
+        if (req.body.client_id) {
+            const client = getClientById(req.body.client_id);
+            if (!client || (client.praxis_id && client.praxis_id !== req.user.praxis_id)) {
+                return res.status(404).json({ error: "Client nicht gefunden" });
+            }
+        }
+        
+        const result = generateInvoicesFromSessions(req, billing, {
+            client_id: req.body.client_id,
+            session_ids: Array.isArray(req.body.session_ids) ? req.body.session_ids : null,
+            finalize: !!req.body.finalize
+        });
+        
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error("❌ Fehler beim Erstellen der Rechnungen:", error);
+        res.status(500).json({ error: "Fehler beim Erstellen der Rechnungen" });
+    }
+});
+
+app.get("/api/clients/:id/invoices", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || (client.praxis_id && client.praxis_id !== req.user.praxis_id)) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        res.json(getInvoicesByClient(client.id, req.user.praxis_id));
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Client-Rechnungen:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Rechnungen" });
+    }
+});
+
+app.get("/api/invoices/:id", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const invoice = getInvoiceById(req.params.id, req.user.praxis_id);
+        if (!invoice) {
+            return res.status(404).json({ error: "Rechnung nicht gefunden" });
+        }
+        
+        res.json(invoice);
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Rechnung:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Rechnung" });
+    }
+});
+
+app.post("/api/invoices/:id/finalize", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const invoice = getInvoiceById(req.params.id, req.user.praxis_id);
+        if (!invoice) {
+            return res.status(404).json({ error: "Rechnung nicht gefunden" });
+        }
+        
+        if (invoice.status !== 'draft') {
+            return res.status(400).json({ error: "Nur Entwürfe können festgeschrieben werden" });
+        }
+        
+        if (req.body.invoice_date !== undefined && !isValidDateString(req.body.invoice_date)) {
+            return res.status(400).json({ error: "Ungültiges Rechnungsdatum (YYYY-MM-DD)" });
+        }
+        
+        const invoiceNumber = finalizeInvoice(invoice.id, getInvoiceDates(req.user.praxis_id, req.body.invoice_date), req.user.praxis_id, req.user.id);
+        res.json({ success: true, invoice_number: invoiceNumber, invoice: getInvoiceById(invoice.id, req.user.praxis_id) });
+    } catch (error) {
+        console.error("❌ Fehler beim Festschreiben der Rechnung:", error);
+        res.status(500).json({ error: "Fehler beim Festschreiben der Rechnung" });
+    }
+});
+
+app.post("/api/invoices/:id/cancel", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const invoice = getInvoiceById(req.params.id, req.user.praxis_id);
+        if (!invoice) {
+            return res.status(404).json({ error: "Rechnung nicht gefunden" });
+        }
+        
+        if (invoice.status === 'draft') {
+            return res.status(400).json({ error: "Entwürfe bitte löschen statt stornieren" });
+        }
+        
+        if (['cancelled', 'paid'].includes(invoice.status)) {
+            return res.status(400).json({ error: "Rechnung kann nicht storniert werden" });
+        }
+        
+        if (invoice.amount_paid > 0) {
+            return res.status(400).json({ error: "Rechnung enthält Zahlungen, bitte diese zuerst zurücknehmen" });
+        }
+        
+        cancelInvoice(invoice.id, req.body.reason, req.user.praxis_id, req.user.id);
+        res.json({ success: true, message: 'Rechnung storniert' });
+    } catch (error) {
+        console.error("❌ Fehler beim Stornieren der Rechnung:", error);
+        res.status(500).json({ error: "Fehler beim Stornieren der Rechnung" });
+    }
+});
+
+app.delete("/api/invoices/:id", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const invoice = getInvoiceById(req.params.id, req.user.praxis_id);
+        if (!invoice) {
+            return res.status(404).json({ error: "Rechnung nicht gefunden" });
+        }
+        
+        // Festgeschriebene Rechnungen bleiben für die lückenlose Nummernfolge erhalten
+        if (invoice.status !== 'draft') {
+            return res.status(400).json({ error: "Nur Entwürfe können gelöscht werden, bitte stornieren" });
+        }
+        
+        deleteInvoiceDraft(invoice.id, req.user.praxis_id, req.user.id);
+        res.json({ success: true, message: 'Rechnungsentwurf gelöscht' });
+    } catch (error) {
+        console.error("❌ Fehler beim Löschen des Rechnungsentwurfs:", error);
+        res.status(500).json({ error: "Fehler beim Löschen des Rechnungsentwurfs" });
+    }
+});
+
+// --- PDF RENDERING --- //
+
+// Eingebettete TrueType-Schrift (Umlaute, PDF/A); sonst PDF-Standardschrift
+const PDF_FONT_DIR = process.env.PDF_FONT_DIR || '/usr/share/fonts/truetype/dejavu';
+const PDF_FONTS = fs.existsSync(path.join(PDF_FONT_DIR, 'DejaVuSans.ttf')) && fs.existsSync(path.join(PDF_FONT_DIR, 'DejaVuSans-Bold.ttf'))
+    ? { regular: path.join(PDF_FONT_DIR, 'DejaVuSans.ttf'), bold: path.join(PDF_FONT_DIR, 'DejaVuSans-Bold.ttf') }
+    : { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+const PDF_MUTED_COLOR = '#666666';
+
+function formatDateDE(value) {
+    return value ? value.slice(0, 10).split('-').reverse().join('.') : '';
+}
+
+function formatCurrencyDE(value, currency = 'EUR') {
+    return new Intl.NumberFormat('de-DE', { style: 'currency', currency }).format(value || 0);
+}
+
+// Emojis aus Texten der Weboberfläche entfernen, die die PDF-Schrift nicht kennt
+function toPdfText(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/[\u{1F000}-\u{1FAFF}\u{2600}-\u{27BF}]️?/gu, '')
+        .trim();
+}
+
+function getPraxisUploadDir(praxisId, subdir) {
+    const dir = path.join('uploads', `praxis_${praxisId}`, subdir);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    return dir;
+}
+
+// Nur lokale Logos (z.B. "/logo.png" aus public/) werden eingebettet
+function resolveLogoPath(logoUrl) {
+    if (!logoUrl || /^[a-z]+:/i.test(logoUrl)) return null;
+    
+    const relative = logoUrl.replace(/^\/+/, '');
+    const candidates = [path.join(__dirname, 'public', relative), path.join(__dirname, relative)];
+    
+    return candidates.find(candidate => 
+        candidate.startsWith(__dirname + path.sep)
+        && /\.(png|jpe?g)$/i.test(candidate)
+        && fs.existsSync(candidate)
+    ) || null;
+}
+
+function splitAddressLines(address) {
+    return String(address || '').split(/\r?\n|,\s*/).map(line => line.trim()).filter(Boolean);
+}
+
+function drawPdfLetterhead(doc, praxis) {
+    const { left } = doc.page.margins;
+    const right = doc.page.width - doc.page.margins.right;
+    
+    const logoPath = resolveLogoPath(praxis.logo_url);
+    if (logoPath) {
+        try {
+            doc.image(logoPath, right - 130, 36, { fit: [130, 60], align: 'right' });
+        } catch (error) {
+            console.warn('⚠️ Praxislogo konnte nicht eingebettet werden:', error.message);
+        }
+    }
+    
+    doc.font('bold').fontSize(14).fillColor('black').text(praxis.name || '', left, 45, { width: 320 });
+    doc.font('regular').fontSize(8.5).fillColor(PDF_MUTED_COLOR);
+    [...splitAddressLines(praxis.adresse), praxis.telefon ? `Tel. ${praxis.telefon}` : null, praxis.email]
+        .filter(Boolean)
+        .forEach(line => doc.text(line, { width: 320 }));
+    doc.fillColor('black');
+}
+
+// Anschriftfeld und Infoblock nach DIN 5008 (Form B)
+function drawPdfAddressBlock(doc, praxis, recipient, meta) {
+    const { left } = doc.page.margins;
+    const top = 127;
+    
+    const senderLine = [praxis.name, splitAddressLines(praxis.adresse).join(', ')].filter(Boolean).join(' · ');
+    doc.font('regular').fontSize(7).fillColor(PDF_MUTED_COLOR)
+        .text(senderLine, left, top, { width: 240, underline: true, lineBreak: false, ellipsis: true });
+    doc.fontSize(10).fillColor('black');
+    recipient.filter(Boolean).forEach((line, index) => doc.text(line, left, top + 16 + index * 13, { width: 240 }));
+    
+    const metaLeft = 320;
+    meta.forEach(([label, value], index) => {
+        doc.font('regular').fontSize(8.5).fillColor(PDF_MUTED_COLOR).text(label, metaLeft, top + index * 13, { width: 95 });
+        doc.font('bold').fillColor('black').text(String(value ?? ''), metaLeft + 95, top + index * 13, { width: doc.page.width - doc.page.margins.right - metaLeft - 95 });
+    });
+    
+    doc.font('regular');
+    doc.y = Math.max(top + 16 + recipient.length * 13, top + meta.length * 13) + 45;
+    doc.x = left;
+}
+
+function ensurePdfSpace(doc, height) {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+    }
+}
+
+function drawPdfKeyValues(doc, rows) {
+    const { left } = doc.page.margins;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const labelWidth = 150;
+    
+    rows.filter(([, value]) => value !== null && value !== undefined && value !== '').forEach(([label, value]) => {
+        const text = toPdfText(value);
+        doc.font('regular').fontSize(10);
+        const height = Math.max(doc.heightOfString(text, { width: width - labelWidth }), 12);
+        ensurePdfSpace(doc, height + 4);
+        
+        const y = doc.y;
+        doc.font('bold').text(label, left, y, { width: labelWidth - 10 });
+        doc.font('regular').text(text, left + labelWidth, y, { width: width - labelWidth });
+        doc.x = left;
+        doc.y = y + height + 4;
+    });
+    doc.moveDown(0.5);
+}
+
+function drawPdfTable(doc, block) {
+    const { left } = doc.page.margins;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const columns = block.columns.map(column => ({ ...column, pixelWidth: column.width * width }));
+    const padding = 4;
+    
+    const drawRow = (cells, font, options = {}) => {
+        doc.font(font).fontSize(9);
+        const height = Math.max(...cells.map((cell, index) => 
+            doc.heightOfString(toPdfText(cell), { width: columns[index].pixelWidth - 2 * padding })
+        )) + 2 * padding;
+        
+        if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+            if (!options.isHeader) drawHeader();
+        }
+        
+        const y = doc.y;
+        if (options.fill) {
+            doc.rect(left, y, width, height).fill(options.fill).fillColor('black');
+        }
+        
+        let x = left;
+        cells.forEach((cell, index) => {
+            doc.font(font).fontSize(9).text(toPdfText(cell), x + padding, y + padding, {
+                width: columns[index].pixelWidth - 2 * padding,
+                align: columns[index].align || 'left'
+            });
+            x += columns[index].pixelWidth;
+        });
+        
+        doc.moveTo(left, y + height).lineTo(left + width, y + height).lineWidth(0.5).strokeColor('#cccccc').stroke();
+        doc.x = left;
+        doc.y = y + height;
+    };
+    const drawHeader = () => drawRow(columns.map(column => column.header), 'bold', { isHeader: true, fill: '#f0f0f0' });
+    
+    drawHeader();
+    block.rows.forEach(row => drawRow(row, 'regular'));
+    
+    // Summenzeilen rechtsbündig unter der Tabelle
+    (block.summaryRows || []).forEach(([label, value], index, all) => {
+        ensurePdfSpace(doc, 16);
+        const y = doc.y + (index === 0 ? 6 : 2);
+        const font = index === all.length - 1 ? 'bold' : 'regular';
+        doc.font(font).fontSize(10)
+            .text(label, left, y, { width: width * 0.8 - padding, align: 'right' })
+            .text(value, left + width * 0.8, y, { width: width * 0.2 - padding, align: 'right' });
+        doc.x = left;
+    });
+    
+    doc.moveDown(1);
+}
+
+// Bild auf Satzspiegelbreite, bei Bedarf auf die Seitenhöhe verkleinert
+function drawPdfImage(doc, data) {
+    const { left, top, bottom } = doc.page.margins;
+    const image = doc.openImage(data);
+    const maxWidth = doc.page.width - left - doc.page.margins.right;
+    const scale = Math.min(maxWidth / image.width, (doc.page.height - top - bottom) / image.height);
+    
+    ensurePdfSpace(doc, image.height * scale);
+    const y = doc.y;
+    doc.image(image, left, y, { width: image.width * scale, height: image.height * scale });
+    doc.x = left;
+    doc.y = y + image.height * scale;
+    doc.moveDown(0.5);
+}
+
+function drawPdfFooterAndWatermark(doc, definition) {
+    const range = doc.bufferedPageRange();
+    
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        const { left, right, bottom } = doc.page.margins;
+        const width = doc.page.width - left - right;
+        
+        if (definition.watermark) {
+            doc.save();
+            doc.rotate(-35, { origin: [doc.page.width / 2, doc.page.height / 2] });
+            doc.font('bold').fontSize(80).fillColor('#000000').opacity(0.08)
+                .text(definition.watermark, 0, doc.page.height / 2 - 40, { width: doc.page.width, align: 'center', lineBreak: false });
+            doc.restore();
+            doc.opacity(1);
+        }
+        
+        // Fußzeile liegt im unteren Rand; ohne Rand-Anpassung würde pdfkit umbrechen
+        doc.page.margins.bottom = 0;
+        const footerLines = [...(definition.footer || []), `Seite ${i - range.start + 1} von ${range.count}`];
+        let y = doc.page.height - bottom + 10;
+        doc.moveTo(left, y - 4).lineTo(left + width, y - 4).lineWidth(0.5).strokeColor('#cccccc').stroke();
+        footerLines.forEach(line => {
+            doc.font('regular').fontSize(7.5).fillColor(PDF_MUTED_COLOR)
+                .text(line, left, y, { width, align: 'center', lineBreak: false, ellipsis: true });
+            y += 10;
+        });
+        doc.page.margins.bottom = bottom;
+        doc.fillColor('black');
+    }
+}
+
+/**
+ * Generischer PDF-Renderer für Rechnungen, Sitzungsprotokolle und Berichte.
+ * definition: { praxis, title, subtitle, recipient, meta, blocks, footer, watermark,
+ * pdfOptions, beforeEnd } – blocks: heading | paragraph | keyValue | table | image (PNG/JPEG-Buffer in data).
+ * Liefert ein Promise mit dem PDF als Buffer.
+ */
+function renderPdf(definition) {
+    return new Promise((resolve, reject) => {
+        try {
+            const praxis = definition.praxis || {};
+            const doc = new PDFDocument({
+                size: 'A4',
+                margins: { top: 50, bottom: 70, left: 57, right: 57 },
+                bufferPages: true,
+                info: {
+                    Title: definition.title,
+                    Author: praxis.name || 'Praxida',
+                    Creator: 'Praxida'
+                },
+                ...(definition.pdfOptions || {})
+            });
+            
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+            
+            doc.registerFont('regular', PDF_FONTS.regular);
+            doc.registerFont('bold', PDF_FONTS.bold);
+            
+            drawPdfLetterhead(doc, praxis);
+            
+            if (definition.recipient) {
+                drawPdfAddressBlock(doc, praxis, definition.recipient, definition.meta || []);
+            } else {
+                doc.y = Math.max(doc.y, 110) + 20;
+            }
+            
+            const { left } = doc.page.margins;
+            doc.font('bold').fontSize(16).fillColor('black').text(definition.title, left, doc.y);
+            if (definition.subtitle) {
+                doc.font('regular').fontSize(10).fillColor(PDF_MUTED_COLOR).text(definition.subtitle).fillColor('black');
+            }
+            doc.moveDown(1);
+            
+            if (!definition.recipient && definition.meta) {
+                drawPdfKeyValues(doc, definition.meta);
+            }
+            
+            (definition.blocks || []).forEach(block => {
+                switch (block.type) {
+                    case 'heading':
+                        ensurePdfSpace(doc, 40);
+                        doc.font('bold').fontSize(11).text(toPdfText(block.text), left).moveDown(0.3);
+                        break;
+                    case 'paragraph':
+                        doc.font('regular').fontSize(10);
+                        ensurePdfSpace(doc, Math.min(doc.heightOfString(toPdfText(block.text)), 60));
+                        doc.text(toPdfText(block.text), left).moveDown(0.5);
+                        break;
+                    case 'keyValue':
+                        drawPdfKeyValues(doc, block.rows);
+                        break;
+                    case 'table':
+                        drawPdfTable(doc, block);
+                        break;
+                    case 'image':
+                        drawPdfImage(doc, block.data);
+                        break;
+                }
+            });
+            
+            drawPdfFooterAndWatermark(doc, definition);
+            
+            if (definition.beforeEnd) {
+                definition.beforeEnd(doc);
+            }
+            
+            doc.end();
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+function getPraxisFooterLines(praxis) {
+    const bank = [
+        getPraxisSetting('bank_account_holder', 'billing', praxis.id),
+        getPraxisSetting('bank_name', 'billing', praxis.id),
+        getPraxisSetting('bank_iban', 'billing', praxis.id) ? `IBAN ${getPraxisSetting('bank_iban', 'billing', praxis.id)}` : null,
+        getPraxisSetting('bank_bic', 'billing', praxis.id) ? `BIC ${getPraxisSetting('bank_bic', 'billing', praxis.id)}` : null
+    ].filter(Boolean).join(' · ');
+    const taxNumber = getPraxisSetting('tax_number', 'billing', praxis.id);
+    
+    return [
+        [praxis.name, splitAddressLines(praxis.adresse).join(', '), praxis.telefon ? `Tel. ${praxis.telefon}` : null, praxis.email]
+            .filter(Boolean).join(' · '),
+        [bank, taxNumber ? `Steuernummer ${taxNumber}` : null].filter(Boolean).join(' · ')
+    ].filter(Boolean);
+}
+
+function buildInvoicePdfDefinition(invoice, client, praxis) {
+    const isGoae = invoice.invoice_type !== 'quarterly';
+    const currency = invoice.currency || 'EUR';
+    const iban = getPraxisSetting('bank_iban', 'billing', praxis.id);
+    
+    const summaryRows = [['Zwischensumme', formatCurrencyDE(invoice.amount_net, currency)]];
+    if (invoice.tax_rate > 0) {
+        summaryRows.push([`zzgl. USt. ${Math.round(invoice.tax_rate * 100)} %`, formatCurrencyDE(invoice.tax_amount, currency)]);
+    }
+    summaryRows.push(['Gesamtbetrag', formatCurrencyDE(invoice.amount_gross, currency)]);
+    if (invoice.amount_paid > 0 && invoice.status !== 'paid') {
+        summaryRows.push(['bereits gezahlt', formatCurrencyDE(-invoice.amount_paid, currency)]);
+        summaryRows.push(['Offener Betrag', formatCurrencyDE(invoice.amount_open, currency)]);
+    }
+    
+    const blocks = [
+        { type: 'paragraph', text: 'Für die im Leistungszeitraum erbrachten Leistungen berechnen wir:' }
+    ];
+    
+    if (isGoae && client.diagnosis_primary) {
+        blocks.push({ type: 'keyValue', rows: [['Diagnose', client.diagnosis_primary]] });
+    }
+    
+    blocks.push({
+        type: 'table',
+        columns: [
+            { header: 'Datum', width: 0.14 },
+            { header: isGoae ? 'GOÄ-Nr.' : 'GOP', width: 0.11 },
+            { header: 'Leistung', width: 0.45 },
+            { header: isGoae ? 'Faktor' : 'Punkte', width: 0.1, align: 'right' },
+            { header: 'Betrag', width: 0.2, align: 'right' }
+        ],
+        rows: invoice.items.map(item => [
+            formatDateDE(item.date_service),
+            item.billing_code,
+            item.description,
+            isGoae ? Number(item.factor).toFixed(1).replace('.', ',') : String(item.points || ''),
+            formatCurrencyDE(item.total_price, currency)
+        ]),
+        summaryRows
+    });
+    
+    if (!(invoice.tax_rate > 0)) {
+        blocks.push({ type: 'paragraph', text: 'Umsatzsteuerfrei gemäß § 4 Nr. 14 UStG (Heilbehandlung).' });
+    }
+    
+    [...new Set(invoice.items.map(item => item.notes).filter(Boolean))]
+        .forEach(note => blocks.push({ type: 'paragraph', text: note }));
+    
+    if (invoice.status === 'paid') {
+        blocks.push({ type: 'paragraph', text: `Betrag dankend erhalten${invoice.payment_date ? ` am ${formatDateDE(invoice.payment_date)}` : ''}.` });
+    } else if (invoice.due_date) {
+        // Bei Lastschrift dient die Rechnung als Vorabankündigung (Pre-Notification)
+        const mandate = (invoice.payment_method || client.preferred_payment_method) === 'lastschrift'
+            ? getActiveSepaMandate(client.id)
+            : null;
+        const creditorId = getPraxisSetting('sepa_creditor_id', 'billing', praxis.id);
+        
+        blocks.push({
+            type: 'paragraph',
+            text: mandate && creditorId
+                ? `Den ${invoice.amount_paid > 0 ? 'offenen Betrag' : 'Gesamtbetrag'} ziehen wir frühestens am ${formatDateDE(invoice.due_date)} per SEPA-Lastschrift von Ihrem Konto ${maskIban(mandate.iban)} ein (Mandatsreferenz ${mandate.mandate_reference}, Gläubiger-ID ${creditorId}). Bitte sorgen Sie für ausreichende Deckung.`
+                : `Bitte überweisen Sie den ${invoice.amount_paid > 0 ? 'offenen Betrag' : 'Gesamtbetrag'} bis zum ${formatDateDE(invoice.due_date)} unter Angabe der Rechnungsnummer ${invoice.invoice_number}${iban ? ` auf das Konto IBAN ${iban}` : ''}.`
+        });
+    }
+    
+    return {
+        praxis,
+        title: invoice.status === 'draft' ? 'Rechnungsentwurf' : 'Rechnung',
+        recipient: [client.full_name || client.name, ...splitAddressLines(client.address)],
+        meta: [
+            ['Rechnungsnr.', invoice.status === 'draft' ? '–' : invoice.invoice_number],
+            ['Rechnungsdatum', formatDateDE(invoice.invoice_date) || '–'],
+            ['Leistungszeitraum', `${formatDateDE(invoice.period_start)} – ${formatDateDE(invoice.period_end)}`],
+            ['Fällig bis', formatDateDE(invoice.due_date) || '–'],
+            ['Klienten-Nr.', client.client_number || '']
+        ],
+        blocks,
+        footer: getPraxisFooterLines(praxis),
+        watermark: invoice.status === 'draft' ? 'ENTWURF' : (invoice.status === 'cancelled' ? 'STORNIERT' : null)
+    };
+}
+
+function buildSessionProtocolPdfDefinition(session, client, praxis, includePrivate = false) {
+    const blocks = [];
+    const sections = [
+        ['Therapeutischer Fokus', session.therapeutic_focus],
+        ['Interventionen', session.interventions_used],
+        ['Sitzungsnotizen', session.notes],
+        ['Hausaufgaben', session.homework_given]
+    ];
+    if (includePrivate) {
+        sections.push(['Interne Notizen', session.private_notes]);
+    }
+    
+    sections.filter(([, text]) => text).forEach(([heading, text]) => {
+        blocks.push({ type: 'heading', text: heading }, { type: 'paragraph', text });
+    });
+    
+    if (blocks.length === 0) {
+        blocks.push({ type: 'paragraph', text: 'Keine Dokumentation zu dieser Sitzung vorhanden.' });
+    }
+    
+    return {
+        praxis,
+        title: 'Sitzungsprotokoll',
+        subtitle: `Sitzung ${session.session_number || ''} vom ${formatDateDE(session.date)}`,
+        meta: [
+            ['Klient', client.name],
+            ['Klienten-Nr.', client.client_number],
+            ['Datum', formatDateDE(session.date)],
+            ['Dauer', session.duration ? `${session.duration} Minuten` : null],
+            ['Sitzungsart', session.type],
+            ['Status', session.status],
+            ['Stimmung vorher/nachher', session.mood_before || session.mood_after 
+                ? `${session.mood_before ?? '–'} / ${session.mood_after ?? '–'} (Skala 1–10)` : null],
+            ['Therapeut/in', session.created_by_name]
+        ],
+        blocks,
+        footer: [
+            ...getPraxisFooterLines(praxis).slice(0, 1),
+            'Vertraulich – enthält besondere Kategorien personenbezogener Daten (Art. 9 DSGVO)'
+        ]
+    };
+}
+
+async function buildOutcomeReportPdfDefinition(client, praxis) {
+    const assessments = getAssessmentsByClient(client.id);
+    const blocks = [];
+    const types = [...new Set(assessments.map(assessment => assessment.assessment_type))];
+    
+    for (const type of types) {
+        const series = assessments
+            .filter(assessment => assessment.assessment_type === type)
+            .sort((a, b) => a.completed_at.localeCompare(b.completed_at) || a.id - b.id);
+        const instrument = ASSESSMENTS[type];
+        
+        blocks.push({ type: 'heading', text: instrument ? `${instrument.name} (${type})` : type });
+        blocks.push({
+            type: 'table',
+            columns: [
+                { header: 'Datum', width: 0.25 },
+                { header: 'Punktwert', width: 0.25, align: 'right' },
+                { header: 'Schweregrad', width: 0.5 }
+            ],
+            rows: series.map(assessment => [
+                formatDateDE(assessment.completed_at),
+                instrument ? `${assessment.total_score} / ${instrument.maxScore}` : String(assessment.total_score),
+                assessment.severity_level || ''
+            ])
+        });
+        
+        const analysis = await generateOutcomeAnalysis(client.id, type);
+        if (analysis.trend === 'insufficient_data') {
+            blocks.push({ type: 'paragraph', text: analysis.analysis });
+        } else {
+            const trendLabels = { improving: 'Verbesserung', worsening: 'Verschlechterung', stable: 'Stabiler Verlauf', unclassified: 'Veränderung' };
+            const rciText = analysis.rci !== null ? `, RCI ${analysis.rci}, reliabel ab ${analysis.reliableChangeThreshold} Punkten` : '';
+            blocks.push({
+                type: 'keyValue',
+                rows: [
+                    ['Verlauf', `${analysis.classificationLabel || trendLabels[analysis.trend] || analysis.trend} (${analysis.scoreChange >= 0 ? '+' : ''}${analysis.scoreChange} Punkte seit ${formatDateDE(analysis.baselineDate)}${rciText})`],
+                    ['Aktueller Wert', `${analysis.currentScore} (${analysis.currentSeverity})`],
+                    ['Empfehlungen', (analysis.recommendations || []).map(toPdfText).join('\n')]
+                ]
+            });
+        }
+    }
+    
+    if (blocks.length === 0) {
+        blocks.push({ type: 'paragraph', text: 'Für diesen Klienten liegen keine Assessments vor.' });
+    }
+    
+    return {
+        praxis,
+        title: 'Verlaufsbericht',
+        subtitle: `Standardisierte Messinstrumente, Stand ${formatDateDE(formatInPraxisTimezone(new Date()))}`,
+        meta: [
+            ['Klient', client.name],
+            ['Klienten-Nr.', client.client_number],
+            ['Diagnose', client.diagnosis_primary],
+            ['Anzahl Messungen', String(assessments.length)]
+        ],
+        blocks,
+        footer: [
+            ...getPraxisFooterLines(praxis).slice(0, 1),
+            'Vertraulich – enthält besondere Kategorien personenbezogener Daten (Art. 9 DSGVO)'
+        ]
+    };
+}
+
+/**
+ * Ablagepfad des Rechnungs-PDFs. Storno und Zahlungsstand ändern Wasserzeichen und Zahlungshinweis,
+ * daher steckt dieser Stand im Dateinamen; frühere Fassungen bleiben als versandte Dokumente erhalten.
+ */
+function getInvoicePdfPath(invoice, praxisId) {
+    const state = ['paid', 'cancelled'].includes(invoice.status) ? invoice.status : 'open';
+    const revision = crypto.createHash('sha256')
+        .update([state, roundCurrency(invoice.amount_paid || 0), invoice.payment_date || ''].join('|'))
+        .digest('hex')
+        .slice(0, 8);
+    return path.join(getPraxisUploadDir(praxisId, 'invoices'), `${invoice.invoice_number.replace(/[^\w.-]/g, '_')}-${revision}.pdf`);
+}
+
+/**
+ * Erzeugt das Rechnungs-PDF und legt es im Upload-Bereich der Praxis ab
+ */
+async function createInvoicePdf(invoice, praxisId) {
+    const client = getClientById(invoice.client_id);
+    const praxis = getPraxisById(praxisId);
+    const buffer = await renderPdf(buildInvoicePdfDefinition(invoice, client, praxis));
+    
+    const filePath = getInvoicePdfPath(invoice, praxisId);
+    fs.writeFileSync(filePath, buffer);
+    setInvoiceDocumentPath(invoice.id, 'pdf_path', filePath);
+    
+    return filePath;
+}
+
+function sendPdf(res, buffer, filename) {
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Content-Length': buffer.length
+    });
+    res.send(buffer);
+}
+
+// --- PDF ROUTES --- //
+
+app.get("/api/invoices/:id/pdf", requireAuth, requirePraxis, async (req, res) => {
+    try {
+        const invoice = getInvoiceById(req.params.id, req.user.praxis_id);
+        if (!invoice) {
+            return res.status(404).json({ error: "Rechnung nicht gefunden" });
+        }
+        
+        // Entwürfe werden nur als Vorschau erzeugt, nicht abgelegt
+        if (invoice.status === 'draft') {
+            const buffer = await renderPdf(buildInvoicePdfDefinition(invoice, getClientById(invoice.client_id), getPraxisById(req.user.praxis_id)));
+            return sendPdf(res, buffer, `Rechnungsentwurf-${invoice.id}.pdf`);
+        }
+        
+        // Abgelegte Fassung nur ausliefern, solange sie dem aktuellen Status- und Zahlungsstand entspricht
+        let filePath = invoice.pdf_path;
+        if (!filePath || filePath !== getInvoicePdfPath(invoice, req.user.praxis_id) || !fs.existsSync(filePath) || req.query.regenerate === 'true') {
+            filePath = await createInvoicePdf(invoice, req.user.praxis_id);
+        }
+        
+        logAction(
+            req.user.praxis_id,
+            req.user.id,
+            'DOWNLOAD',
+            'invoice',
+            invoice.id,
+            null,
+            null,
+            `Invoice PDF downloaded: ${invoice.invoice_number}`
+        );
+        
+        res.download(path.resolve(filePath), `Rechnung-${invoice.invoice_number}.pdf`);
+    } catch (error) {
+        console.error("❌ Fehler beim Erzeugen des Rechnungs-PDFs:", error);
+        res.status(500).json({ error: "Fehler beim Erzeugen des Rechnungs-PDFs" });
+    }
+});
+
+app.get("/api/sessions/:id/protocol.pdf", requireAuth, requirePraxis, async (req, res) => {
+    try {
+        const session = getSessionById(req.params.id, req.user.praxis_id);
+        if (!session) {
+            return res.status(404).json({ error: "Sitzung nicht gefunden" });
+        }
+        
+        const includePrivate = req.query.include_private === 'true' && ['admin', 'therapeut'].includes(req.user.role);
+        const buffer = await renderPdf(buildSessionProtocolPdfDefinition(
+            session,
+            getClientById(session.client_id),
+            getPraxisById(req.user.praxis_id),
+            includePrivate
+        ));
+        
+        logAction(req.user.praxis_id, req.user.id, 'EXPORT', 'session', session.id, null, null, 'Session protocol exported as PDF');
+        
+        sendPdf(res, buffer, `Sitzungsprotokoll-${session.id}.pdf`);
+    } catch (error) {
+        console.error("❌ Fehler beim Erzeugen des Sitzungsprotokolls:", error);
+        res.status(500).json({ error: "Fehler beim Erzeugen des Sitzungsprotokolls" });
+    }
+});
+
+app.get("/api/clients/:id/outcome-report.pdf", requireAuth, requirePraxis, async (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || (client.praxis_id && client.praxis_id !== req.user.praxis_id)) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        const buffer = await renderPdf(await buildOutcomeReportPdfDefinition(client, getPraxisById(req.user.praxis_id)));
+        
+        logAction(req.user.praxis_id, req.user.id, 'EXPORT', 'client', client.id, null, null, 'Outcome report exported as PDF');
+        
+        sendPdf(res, buffer, `Verlaufsbericht-${client.client_number || client.id}.pdf`);
+    } catch (error) {
+        console.error("❌ Fehler beim Erzeugen des Verlaufsberichts:", error);
+        res.status(500).json({ error: "Fehler beim Erzeugen des Verlaufsberichts" });
+    }
+});
+
+// --- E-INVOICE HELPER FUNCTIONS (XRECHNUNG / ZUGFERD) --- //
+
+const XRECHNUNG_CUSTOMIZATION_ID = 'urn:cen.eu:en16931:2017#compliant#urn:xeinkauf.de:kosit:xrechnung_3.0';
+const EN16931_CUSTOMIZATION_ID = 'urn:cen.eu:en16931:2017';
+const PEPPOL_BILLING_PROCESS_ID = 'urn:fdc:peppol.eu:2017:poacc:billing:01:1.0';
+const FACTURX_NAMESPACE = 'urn:factur-x:pdfa:CrossIndustryDocument:invoice:1p0#';
+const FACTURX_FILENAME = 'factur-x.xml';
+const VAT_EXEMPTION_HEILBEHANDLUNG = {
+    code: 'VATEX-EU-132-1C',
+    reason: 'Umsatzsteuerfrei gemäß § 4 Nr. 14 UStG (Heilbehandlung)'
+};
+
+const CII_NAMESPACES = {
+    'xmlns:rsm': 'urn:un:unece:uncefact:data:standard:CrossIndustryInvoice:100',
+    'xmlns:ram': 'urn:un:unece:uncefact:data:standard:ReusableAggregateBusinessInformationEntity:100',
+    'xmlns:qdt': 'urn:un:unece:uncefact:data:standard:QualifiedDataType:100',
+    'xmlns:udt': 'urn:un:unece:uncefact:data:standard:UnqualifiedDataType:100'
+};
+const UBL_NAMESPACES = {
+    'xmlns': 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
+    'xmlns:cac': 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+    'xmlns:cbc': 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2'
+};
+
+// XSD des Factur-X-/ZUGFeRD-Profils EN 16931 (CII D16B), gilt auch für XRechnung-CII.
+// Für UBL liegt kein Schema bei; UBL-Dateien durchlaufen nur die Vorprüfung.
+const EINVOICE_CII_SCHEMA_DIR = path.join(__dirname, 'schemas', 'en16931-cii');
+const EINVOICE_CII_SCHEMA_ROOT = 'Factur-X_1.07.3_EN16931.xsd';
+let einvoiceCiiSchemaFiles = null;
+
+// Pflichtelemente je Syntax (Kardinalität 1..1 im Schema bzw. in der XRechnung-CIUS)
+const EINVOICE_REQUIRED_PATHS = {
+    cii: [
+        'rsm:CrossIndustryInvoice.rsm:ExchangedDocumentContext.ram:GuidelineSpecifiedDocumentContextParameter.ram:ID',
+        'rsm:CrossIndustryInvoice.rsm:ExchangedDocument.ram:ID',
+        'rsm:CrossIndustryInvoice.rsm:ExchangedDocument.ram:TypeCode',
+        'rsm:CrossIndustryInvoice.rsm:ExchangedDocument.ram:IssueDateTime.udt:DateTimeString',
+        'rsm:CrossIndustryInvoice.rsm:SupplyChainTradeTransaction.ram:IncludedSupplyChainTradeLineItem',
+        'rsm:CrossIndustryInvoice.rsm:SupplyChainTradeTransaction.ram:ApplicableHeaderTradeAgreement.ram:SellerTradeParty.ram:Name',
+        'rsm:CrossIndustryInvoice.rsm:SupplyChainTradeTransaction.ram:ApplicableHeaderTradeAgreement.ram:SellerTradeParty.ram:PostalTradeAddress.ram:CountryID',
+        'rsm:CrossIndustryInvoice.rsm:SupplyChainTradeTransaction.ram:ApplicableHeaderTradeAgreement.ram:BuyerTradeParty.ram:Name',
+        'rsm:CrossIndustryInvoice.rsm:SupplyChainTradeTransaction.ram:ApplicableHeaderTradeAgreement.ram:BuyerTradeParty.ram:PostalTradeAddress.ram:CountryID',
+        'rsm:CrossIndustryInvoice.rsm:SupplyChainTradeTransaction.ram:ApplicableHeaderTradeDelivery',
+        'rsm:CrossIndustryInvoice.rsm:SupplyChainTradeTransaction.ram:ApplicableHeaderTradeSettlement.ram:InvoiceCurrencyCode',
+        'rsm:CrossIndustryInvoice.rsm:SupplyChainTradeTransaction.ram:ApplicableHeaderTradeSettlement.ram:ApplicableTradeTax.ram:CategoryCode',
+        'rsm:CrossIndustryInvoice.rsm:SupplyChainTradeTransaction.ram:ApplicableHeaderTradeSettlement.ram:SpecifiedTradeSettlementHeaderMonetarySummation.ram:LineTotalAmount',
+        'rsm:CrossIndustryInvoice.rsm:SupplyChainTradeTransaction.ram:ApplicableHeaderTradeSettlement.ram:SpecifiedTradeSettlementHeaderMonetarySummation.ram:TaxBasisTotalAmount',
+        'rsm:CrossIndustryInvoice.rsm:SupplyChainTradeTransaction.ram:ApplicableHeaderTradeSettlement.ram:SpecifiedTradeSettlementHeaderMonetarySummation.ram:GrandTotalAmount',
+        'rsm:CrossIndustryInvoice.rsm:SupplyChainTradeTransaction.ram:ApplicableHeaderTradeSettlement.ram:SpecifiedTradeSettlementHeaderMonetarySummation.ram:DuePayableAmount'
+    ],
+    ubl: [
+        'Invoice.cbc:CustomizationID',
+        'Invoice.cbc:ID',
+        'Invoice.cbc:IssueDate',
+        'Invoice.cbc:InvoiceTypeCode',
+        'Invoice.cbc:DocumentCurrencyCode',
+        'Invoice.cac:AccountingSupplierParty.cac:Party.cac:PostalAddress.cac:Country.cbc:IdentificationCode',
+        'Invoice.cac:AccountingSupplierParty.cac:Party.cac:PartyLegalEntity.cbc:RegistrationName',
+        'Invoice.cac:AccountingCustomerParty.cac:Party.cac:PostalAddress.cac:Country.cbc:IdentificationCode',
+        'Invoice.cac:AccountingCustomerParty.cac:Party.cac:PartyLegalEntity.cbc:RegistrationName',
+        'Invoice.cac:TaxTotal.cbc:TaxAmount',
+        'Invoice.cac:LegalMonetaryTotal.cbc:LineExtensionAmount',
+        'Invoice.cac:LegalMonetaryTotal.cbc:TaxExclusiveAmount',
+        'Invoice.cac:LegalMonetaryTotal.cbc:TaxInclusiveAmount',
+        'Invoice.cac:LegalMonetaryTotal.cbc:PayableAmount',
+        'Invoice.cac:InvoiceLine'
+    ]
+};
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Baut ein XML-Element; Arrays sind Kindelemente, alles andere wird als Text escaped.
+ * Leere Werte und Container ohne Inhalt entfallen (optionale Elemente).
+ */
+function xmlElement(name, content, attributes = {}) {
+    if (content === null || content === undefined || content === '') return '';
+    
+    const body = Array.isArray(content) ? content.filter(Boolean).join('') : escapeXml(content);
+    if (Array.isArray(content) && !body) return '';
+    
+    const attrs = Object.entries(attributes)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+        .join('');
+    
+    return `<${name}${attrs}>${body}</${name}>`;
+}
+
+function formatXmlAmount(value) {
+    return roundCurrency(value || 0).toFixed(2);
+}
+
+function parsePostalAddress(address) {
+    const lines = splitAddressLines(address);
+    const cityIndex = lines.findIndex(line => /^(?:D-)?\d{5}\s+\S/.test(line));
+    const [, postcode = null, city = null] = cityIndex >= 0 ? lines[cityIndex].match(/^(?:D-)?(\d{5})\s+(.+)$/) : [];
+    const streetLines = lines.filter((line, index) => index !== cityIndex && !/^(deutschland|germany)$/i.test(line));
+    
+    return {
+        street: streetLines[0] || null,
+        additionalStreet: streetLines[1] || null,
+        postcode,
+        city,
+        country: 'DE'
+    };
+}
+
+function isValidIban(iban) {
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+    
+    // ISO 13616 Prüfziffer (Modulo 97)
+    const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, letter => letter.charCodeAt(0) - 55);
+    return digits.match(/\d{1,7}/g).reduce((remainder, chunk) => Number(String(remainder) + chunk) % 97, 0) === 1;
+}
+
+/**
+ * Semantisches Rechnungsmodell nach EN 16931 (Business Terms) aus Rechnung, Klient und Praxis
+ */
+function buildEInvoiceData(invoice, client, praxis, profile = 'xrechnung') {
+    const setting = key => getPraxisSetting(key, 'billing', praxis.id) || null;
+    const iban = setting('bank_iban') ? String(setting('bank_iban')).replace(/\s+/g, '').toUpperCase() : null;
+    const taxRate = invoice.tax_rate > 0 ? roundCurrency(invoice.tax_rate * 100) : 0;
+    const prepaid = invoice.amount_paid || 0;
+    
+    return {
+        profile,
+        customizationId: profile === 'xrechnung' ? XRECHNUNG_CUSTOMIZATION_ID : EN16931_CUSTOMIZATION_ID,
+        number: invoice.invoice_number,
+        typeCode: '380',
+        issueDate: invoice.invoice_date,
+        dueDate: invoice.due_date,
+        currency: invoice.currency || 'EUR',
+        buyerReference: client.client_number || invoice.invoice_number,
+        periodStart: invoice.period_start,
+        periodEnd: invoice.period_end,
+        notes: [...new Set(invoice.items.map(item => item.notes).filter(Boolean))],
+        seller: {
+            name: praxis.name,
+            ...parsePostalAddress(praxis.adresse),
+            contactName: setting('bank_account_holder') || praxis.name,
+            phone: praxis.telefon,
+            email: praxis.email,
+            taxNumber: setting('tax_number'),
+            vatId: setting('vat_id')
+        },
+        buyer: {
+            id: client.client_number,
+            name: client.full_name || client.name,
+            ...parsePostalAddress(client.address),
+            email: client.email
+        },
+        payment: {
+            meansCode: iban ? '58' : '1',
+            iban,
+            bic: setting('bank_bic'),
+            accountName: setting('bank_account_holder') || praxis.name,
+            terms: invoice.due_date ? `Zahlbar ohne Abzug bis ${formatDateDE(invoice.due_date)}` : null
+        },
+        tax: taxRate > 0
+            ? { category: 'S', rate: taxRate }
+            : { category: 'E', rate: 0, exemptionCode: VAT_EXEMPTION_HEILBEHANDLUNG.code, exemptionReason: VAT_EXEMPTION_HEILBEHANDLUNG.reason },
+        totals: {
+            lineTotal: invoice.amount_net,
+            taxBasis: invoice.amount_net,
+            tax: invoice.tax_amount || 0,
+            grandTotal: invoice.amount_gross,
+            prepaid,
+            payable: roundCurrency(invoice.amount_gross - prepaid)
+        },
+        lines: invoice.items.map((item, index) => ({
+            id: String(index + 1),
+            code: item.billing_code,
+            name: item.description,
+            date: item.date_service,
+            quantity: item.quantity || 1,
+            netPrice: item.unit_price,
+            netAmount: item.total_price
+        }))
+    };
+}
+
+/**
+ * Vorprüfung des Rechnungsmodells gegen eine Auswahl der EN-16931-Geschäftsregeln (BR-) und,
+ * für XRechnung, der nationalen Regeln (BR-DE-), damit fehlende Stammdaten vor dem Erzeugen
+ * des XML auffallen. Die Schematron-Regeln werden nicht vollständig abgedeckt.
+ */
+function precheckEInvoiceRules(data) {
+    const errors = [];
+    const check = (condition, rule, message) => {
+        if (!condition) errors.push({ rule, message });
+    };
+    
+    check(data.number, 'BR-02', 'Rechnungsnummer fehlt');
+    check(isValidDateString(data.issueDate), 'BR-03', 'Rechnungsdatum fehlt');
+    check(data.currency, 'BR-05', 'Währung fehlt');
+    check(data.seller.name, 'BR-06', 'Name des Verkäufers (Praxisname) fehlt');
+    check(data.buyer.name, 'BR-07', 'Name des Käufers (Klient) fehlt');
+    check(data.lines.length > 0, 'BR-16', 'Rechnung enthält keine Positionen');
+    
+    data.lines.forEach(line => {
+        check(line.name, 'BR-25', `Position ${line.id}: Bezeichnung fehlt`);
+        check(line.quantity > 0, 'BR-22', `Position ${line.id}: Menge fehlt`);
+        check(line.netPrice >= 0, 'BR-27', `Position ${line.id}: Nettopreis darf nicht negativ sein`);
+    });
+    
+    const lineSum = roundCurrency(data.lines.reduce((sum, line) => sum + line.netAmount, 0));
+    check(lineSum === roundCurrency(data.totals.lineTotal), 'BR-CO-10', `Summe der Positionen (${formatXmlAmount(lineSum)}) weicht vom Nettobetrag ab`);
+    check(roundCurrency(data.totals.taxBasis + data.totals.tax) === roundCurrency(data.totals.grandTotal), 'BR-CO-15', 'Bruttobetrag entspricht nicht Netto zuzüglich Steuer');
+    
+    if (data.tax.category === 'E') {
+        check(data.seller.vatId || data.seller.taxNumber, 'BR-E-02', 'Steuernummer oder USt-IdNr. der Praxis fehlt (Abrechnungseinstellungen)');
+        check(data.totals.tax === 0, 'BR-E-09', 'Steuerbefreite Rechnung darf keinen Steuerbetrag enthalten');
+    } else {
+        check(data.seller.vatId || data.seller.taxNumber, 'BR-S-02', 'Steuernummer oder USt-IdNr. der Praxis fehlt (Abrechnungseinstellungen)');
+    }
+    
+    if (data.payment.iban) {
+        check(isValidIban(data.payment.iban), 'BR-DE-19', 'IBAN der Praxis ist ungültig');
+    }
+    
+    if (data.profile === 'xrechnung') {
+        check(data.payment.meansCode === '58', 'BR-DE-1', 'Zahlungsanweisungen fehlen: IBAN der Praxis hinterlegen');
+        check(data.seller.city, 'BR-DE-3', 'Ort der Praxis fehlt (Adresse "Straße, PLZ Ort")');
+        check(data.seller.postcode, 'BR-DE-4', 'Postleitzahl der Praxis fehlt');
+        check(data.seller.contactName, 'BR-DE-5', 'Ansprechpartner der Praxis fehlt');
+        check(data.seller.phone, 'BR-DE-6', 'Telefonnummer der Praxis fehlt');
+        check(data.seller.email, 'BR-DE-7', 'E-Mail-Adresse der Praxis fehlt');
+        check(data.buyer.city, 'BR-DE-8', 'Ort des Klienten fehlt');
+        check(data.buyer.postcode, 'BR-DE-9', 'Postleitzahl des Klienten fehlt');
+        check(data.buyerReference, 'BR-DE-15', 'Käuferreferenz fehlt');
+        check(data.seller.email, 'BR-DE-SELLER-EA', 'Elektronische Adresse der Praxis (BT-34) fehlt');
+        check(data.buyer.email, 'BR-DE-BUYER-EA', 'Elektronische Adresse des Klienten (BT-49, E-Mail) fehlt');
+    }
+    
+    return errors;
+}
+
+function formatCiiDate(date) {
+    return xmlElement('udt:DateTimeString', date.slice(0, 10).replace(/-/g, ''), { format: '102' });
+}
+
+function buildCiiAddress(party) {
+    return xmlElement('ram:PostalTradeAddress', [
+        xmlElement('ram:PostcodeCode', party.postcode),
+        xmlElement('ram:LineOne', party.street),
+        xmlElement('ram:LineTwo', party.additionalStreet),
+        xmlElement('ram:CityName', party.city),
+        xmlElement('ram:CountryID', party.country)
+    ]);
+}
+
+function buildCiiTax(tax, amounts = null) {
+    return xmlElement('ram:ApplicableTradeTax', [
+        amounts && xmlElement('ram:CalculatedAmount', formatXmlAmount(amounts.tax)),
+        xmlElement('ram:TypeCode', 'VAT'),
+        amounts && xmlElement('ram:ExemptionReason', tax.exemptionReason),
+        amounts && xmlElement('ram:BasisAmount', formatXmlAmount(amounts.basis)),
+        xmlElement('ram:CategoryCode', tax.category),
+        amounts && xmlElement('ram:ExemptionReasonCode', tax.exemptionCode),
+        xmlElement('ram:RateApplicablePercent', String(tax.rate))
+    ]);
+}
+
+function buildCiiPeriod(start, end) {
+    return xmlElement('ram:BillingSpecifiedPeriod', [
+        start && xmlElement('ram:StartDateTime', [formatCiiDate(start)]),
+        end && xmlElement('ram:EndDateTime', [formatCiiDate(end)])
+    ]);
+}
+
+/**
+ * UN/CEFACT Cross Industry Invoice (D16B) – XRechnung-CII bzw. ZUGFeRD/Factur-X
+ */
+function buildCiiXml(data) {
+    const lines = data.lines.map(line => xmlElement('ram:IncludedSupplyChainTradeLineItem', [
+        xmlElement('ram:AssociatedDocumentLineDocument', [xmlElement('ram:LineID', line.id)]),
+        xmlElement('ram:SpecifiedTradeProduct', [
+            xmlElement('ram:SellerAssignedID', line.code),
+            xmlElement('ram:Name', line.name)
+        ]),
+        xmlElement('ram:SpecifiedLineTradeAgreement', [
+            xmlElement('ram:NetPriceProductTradePrice', [xmlElement('ram:ChargeAmount', formatXmlAmount(line.netPrice))])
+        ]),
+        xmlElement('ram:SpecifiedLineTradeDelivery', [
+            xmlElement('ram:BilledQuantity', String(line.quantity), { unitCode: 'C62' })
+        ]),
+        xmlElement('ram:SpecifiedLineTradeSettlement', [
+            buildCiiTax(data.tax),
+            buildCiiPeriod(line.date, line.date),
+            xmlElement('ram:SpecifiedTradeSettlementLineMonetarySummation', [
+                xmlElement('ram:LineTotalAmount', formatXmlAmount(line.netAmount))
+            ])
+        ])
+    ]));
+    
+    const xml = xmlElement('rsm:CrossIndustryInvoice', [
+        xmlElement('rsm:ExchangedDocumentContext', [
+            xmlElement('ram:BusinessProcessSpecifiedDocumentContextParameter', [xmlElement('ram:ID', PEPPOL_BILLING_PROCESS_ID)]),
+            xmlElement('ram:GuidelineSpecifiedDocumentContextParameter', [xmlElement('ram:ID', data.customizationId)])
+        ]),
+        xmlElement('rsm:ExchangedDocument', [
+            xmlElement('ram:ID', data.number),
+            xmlElement('ram:TypeCode', data.typeCode),
+            xmlElement('ram:IssueDateTime', [formatCiiDate(data.issueDate)]),
+            ...data.notes.map(note => xmlElement('ram:IncludedNote', [xmlElement('ram:Content', note)]))
+        ]),
+        xmlElement('rsm:SupplyChainTradeTransaction', [
+            ...lines,
+            xmlElement('ram:ApplicableHeaderTradeAgreement', [
+                xmlElement('ram:BuyerReference', data.buyerReference),
+                xmlElement('ram:SellerTradeParty', [
+                    xmlElement('ram:Name', data.seller.name),
+                    xmlElement('ram:DefinedTradeContact', [
+                        xmlElement('ram:PersonName', data.seller.contactName),
+                        xmlElement('ram:TelephoneUniversalCommunication', [xmlElement('ram:CompleteNumber', data.seller.phone)]),
+                        xmlElement('ram:EmailURIUniversalCommunication', [xmlElement('ram:URIID', data.seller.email)])
+                    ]),
+                    buildCiiAddress(data.seller),
+                    xmlElement('ram:URIUniversalCommunication', [xmlElement('ram:URIID', data.seller.email, { schemeID: 'EM' })]),
+                    xmlElement('ram:SpecifiedTaxRegistration', [xmlElement('ram:ID', data.seller.taxNumber, { schemeID: 'FC' })]),
+                    xmlElement('ram:SpecifiedTaxRegistration', [xmlElement('ram:ID', data.seller.vatId, { schemeID: 'VA' })])
+                ]),
+                xmlElement('ram:BuyerTradeParty', [
+                    xmlElement('ram:ID', data.buyer.id),
+                    xmlElement('ram:Name', data.buyer.name),
+                    buildCiiAddress(data.buyer),
+                    xmlElement('ram:URIUniversalCommunication', [xmlElement('ram:URIID', data.buyer.email, { schemeID: 'EM' })])
+                ])
+            ]),
+            '<ram:ApplicableHeaderTradeDelivery/>',
+            xmlElement('ram:ApplicableHeaderTradeSettlement', [
+                xmlElement('ram:PaymentReference', data.number),
+                xmlElement('ram:InvoiceCurrencyCode', data.currency),
+                xmlElement('ram:SpecifiedTradeSettlementPaymentMeans', [
+                    xmlElement('ram:TypeCode', data.payment.meansCode),
+                    xmlElement('ram:PayeePartyCreditorFinancialAccount', [
+                        xmlElement('ram:IBANID', data.payment.iban),
+                        data.payment.iban && xmlElement('ram:AccountName', data.payment.accountName)
+                    ]),
+                    xmlElement('ram:PayeeSpecifiedCreditorFinancialInstitution', [xmlElement('ram:BICID', data.payment.bic)])
+                ]),
+                buildCiiTax(data.tax, { tax: data.totals.tax, basis: data.totals.taxBasis }),
+                buildCiiPeriod(data.periodStart, data.periodEnd),
+                xmlElement('ram:SpecifiedTradePaymentTerms', [
+                    xmlElement('ram:Description', data.payment.terms),
+                    data.dueDate && xmlElement('ram:DueDateDateTime', [formatCiiDate(data.dueDate)])
+                ]),
+                xmlElement('ram:SpecifiedTradeSettlementHeaderMonetarySummation', [
+                    xmlElement('ram:LineTotalAmount', formatXmlAmount(data.totals.lineTotal)),
+                    xmlElement('ram:TaxBasisTotalAmount', formatXmlAmount(data.totals.taxBasis)),
+                    xmlElement('ram:TaxTotalAmount', formatXmlAmount(data.totals.tax), { currencyID: data.currency }),
+                    xmlElement('ram:GrandTotalAmount', formatXmlAmount(data.totals.grandTotal)),
+                    xmlElement('ram:TotalPrepaidAmount', formatXmlAmount(data.totals.prepaid)),
+                    xmlElement('ram:DuePayableAmount', formatXmlAmount(data.totals.payable))
+                ])
+            ])
+        ])
+    ], CII_NAMESPACES);
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${xml}\n`;
+}
+
+function buildUblAddress(party) {
+    return xmlElement('cac:PostalAddress', [
+        xmlElement('cbc:StreetName', party.street),
+        xmlElement('cbc:AdditionalStreetName', party.additionalStreet),
+        xmlElement('cbc:CityName', party.city),
+        xmlElement('cbc:PostalZone', party.postcode),
+        xmlElement('cac:Country', [xmlElement('cbc:IdentificationCode', party.country)])
+    ]);
+}
+
+function buildUblTaxCategory(elementName, tax, withExemption = false) {
+    return xmlElement(elementName, [
+        xmlElement('cbc:ID', tax.category),
+        xmlElement('cbc:Percent', String(tax.rate)),
+        withExemption && xmlElement('cbc:TaxExemptionReasonCode', tax.exemptionCode),
+        withExemption && xmlElement('cbc:TaxExemptionReason', tax.exemptionReason),
+        xmlElement('cac:TaxScheme', [xmlElement('cbc:ID', 'VAT')])
+    ]);
+}
+
+/**
+ * OASIS UBL 2.1 Invoice – XRechnung-UBL
+ */
+function buildUblXml(data) {
+    const amountElement = (name, value) => xmlElement(name, formatXmlAmount(value), { currencyID: data.currency });
+    
+    const xml = xmlElement('Invoice', [
+        xmlElement('cbc:CustomizationID', data.customizationId),
+        xmlElement('cbc:ProfileID', PEPPOL_BILLING_PROCESS_ID),
+        xmlElement('cbc:ID', data.number),
+        xmlElement('cbc:IssueDate', data.issueDate && data.issueDate.slice(0, 10)),
+        xmlElement('cbc:DueDate', data.dueDate && data.dueDate.slice(0, 10)),
+        xmlElement('cbc:InvoiceTypeCode', data.typeCode),
+        ...data.notes.map(note => xmlElement('cbc:Note', note)),
+        xmlElement('cbc:DocumentCurrencyCode', data.currency),
+        xmlElement('cbc:BuyerReference', data.buyerReference),
+        xmlElement('cac:InvoicePeriod', [
+            xmlElement('cbc:StartDate', data.periodStart),
+            xmlElement('cbc:EndDate', data.periodEnd)
+        ]),
+        xmlElement('cac:AccountingSupplierParty', [xmlElement('cac:Party', [
+            xmlElement('cbc:EndpointID', data.seller.email, { schemeID: 'EM' }),
+            buildUblAddress(data.seller),
+            data.seller.vatId && xmlElement('cac:PartyTaxScheme', [
+                xmlElement('cbc:CompanyID', data.seller.vatId),
+                xmlElement('cac:TaxScheme', [xmlElement('cbc:ID', 'VAT')])
+            ]),
+            data.seller.taxNumber && xmlElement('cac:PartyTaxScheme', [
+                xmlElement('cbc:CompanyID', data.seller.taxNumber),
+                xmlElement('cac:TaxScheme', [xmlElement('cbc:ID', 'FC')])
+            ]),
+            xmlElement('cac:PartyLegalEntity', [xmlElement('cbc:RegistrationName', data.seller.name)]),
+            xmlElement('cac:Contact', [
+                xmlElement('cbc:Name', data.seller.contactName),
+                xmlElement('cbc:Telephone', data.seller.phone),
+                xmlElement('cbc:ElectronicMail', data.seller.email)
+            ])
+        ])]),
+        xmlElement('cac:AccountingCustomerParty', [xmlElement('cac:Party', [
+            xmlElement('cbc:EndpointID', data.buyer.email, { schemeID: 'EM' }),
+            xmlElement('cac:PartyIdentification', [xmlElement('cbc:ID', data.buyer.id)]),
+            buildUblAddress(data.buyer),
+            xmlElement('cac:PartyLegalEntity', [xmlElement('cbc:RegistrationName', data.buyer.name)])
+        ])]),
+        xmlElement('cac:PaymentMeans', [
+            xmlElement('cbc:PaymentMeansCode', data.payment.meansCode),
+            xmlElement('cbc:PaymentID', data.number),
+            data.payment.iban && xmlElement('cac:PayeeFinancialAccount', [
+                xmlElement('cbc:ID', data.payment.iban),
+                xmlElement('cbc:Name', data.payment.accountName),
+                xmlElement('cac:FinancialInstitutionBranch', [xmlElement('cbc:ID', data.payment.bic)])
+            ])
+        ]),
+        xmlElement('cac:PaymentTerms', [xmlElement('cbc:Note', data.payment.terms)]),
+        xmlElement('cac:TaxTotal', [
+            amountElement('cbc:TaxAmount', data.totals.tax),
+            xmlElement('cac:TaxSubtotal', [
+                amountElement('cbc:TaxableAmount', data.totals.taxBasis),
+                amountElement('cbc:TaxAmount', data.totals.tax),
+                buildUblTaxCategory('cac:TaxCategory', data.tax, true)
+            ])
+        ]),
+        xmlElement('cac:LegalMonetaryTotal', [
+            amountElement('cbc:LineExtensionAmount', data.totals.lineTotal),
+            amountElement('cbc:TaxExclusiveAmount', data.totals.taxBasis),
+            amountElement('cbc:TaxInclusiveAmount', data.totals.grandTotal),
+            amountElement('cbc:PrepaidAmount', data.totals.prepaid),
+            amountElement('cbc:PayableAmount', data.totals.payable)
+        ]),
+        ...data.lines.map(line => xmlElement('cac:InvoiceLine', [
+            xmlElement('cbc:ID', line.id),
+            xmlElement('cbc:InvoicedQuantity', String(line.quantity), { unitCode: 'C62' }),
+            amountElement('cbc:LineExtensionAmount', line.netAmount),
+            xmlElement('cac:InvoicePeriod', [
+                xmlElement('cbc:StartDate', line.date),
+                xmlElement('cbc:EndDate', line.date)
+            ]),
+            xmlElement('cac:Item', [
+                xmlElement('cbc:Name', line.name),
+                xmlElement('cac:SellersItemIdentification', [xmlElement('cbc:ID', line.code)]),
+                buildUblTaxCategory('cac:ClassifiedTaxCategory', data.tax)
+            ]),
+            xmlElement('cac:Price', [amountElement('cbc:PriceAmount', line.netPrice)])
+        ]))
+    ], UBL_NAMESPACES);
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${xml}\n`;
+}
+
+/**
+ * Strukturelle Vorprüfung des erzeugten XML: Wohlgeformtheit, Wurzelelement mit Namespace
+ * und Pflichtelemente der jeweiligen Syntax (keine XSD-Validierung)
+ */
+function precheckEInvoiceXml(xml, syntax) {
+    const wellFormed = XMLValidator.validate(xml);
+    if (wellFormed !== true) {
+        return [{ rule: 'XML', message: `XML nicht wohlgeformt: ${wellFormed.err.msg} (Zeile ${wellFormed.err.line})` }];
+    }
+    
+    const document = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '@' }).parse(xml);
+    const errors = [];
+    const [rootName, namespaceAttribute, namespaces] = syntax === 'ubl'
+        ? ['Invoice', '@xmlns', UBL_NAMESPACES]
+        : ['rsm:CrossIndustryInvoice', '@xmlns:rsm', CII_NAMESPACES];
+    
+    if (!document[rootName] || document[rootName][namespaceAttribute] !== namespaces[namespaceAttribute.slice(1)]) {
+        return [{ rule: 'XML', message: `Wurzelelement ${rootName} mit gültigem Namespace fehlt` }];
+    }
+    
+    EINVOICE_REQUIRED_PATHS[syntax].forEach(requiredPath => {
+        const value = requiredPath.split('.').reduce((node, key) => {
+            if (node === undefined || node === null) return undefined;
+            const current = Array.isArray(node) ? node[0] : node;
+            return typeof current === 'object' ? current[key] : undefined;
+        }, document);
+        
+        if (value === undefined || value === null) {
+            errors.push({ rule: 'XML', message: `Pflichtelement fehlt: ${requiredPath.split('.').slice(-2).join('/')}` });
+        }
+    });
+    
+    return errors;
+}
+
+/**
+ * Validiert CII-XML lokal gegen das mitgelieferte EN-16931-XSD
+ */
+async function validateEInvoiceSchema(xml) {
+    if (!einvoiceCiiSchemaFiles) {
+        einvoiceCiiSchemaFiles = fs.readdirSync(EINVOICE_CII_SCHEMA_DIR)
+            .filter(fileName => fileName.endsWith('.xsd'))
+            .map(fileName => ({ fileName, contents: fs.readFileSync(path.join(EINVOICE_CII_SCHEMA_DIR, fileName), 'utf8') }));
+    }
+    
+    const result = await validateXML({
+        xml: [{ fileName: 'invoice.xml', contents: xml }],
+        schema: einvoiceCiiSchemaFiles.filter(file => file.fileName === EINVOICE_CII_SCHEMA_ROOT),
+        preload: einvoiceCiiSchemaFiles.filter(file => file.fileName !== EINVOICE_CII_SCHEMA_ROOT)
+    });
+    
+    return result.errors.map(error => ({
+        rule: 'XSD',
+        message: error.loc ? `Zeile ${error.loc.lineNumber}: ${error.message}` : error.message
+    }));
+}
+
+/**
+ * Erzeugt und prüft eine E-Rechnung: Vorprüfung der Geschäftsregeln, Struktur und,
+ * für CII, Validierung gegen das XSD. Liefert { xml, errors, schemaValidated }.
+ */
+async function createEInvoiceXml(invoice, praxisId, syntax = 'cii', profile = 'xrechnung') {
+    const data = buildEInvoiceData(invoice, getClientById(invoice.client_id), getPraxisById(praxisId), profile);
+    const errors = precheckEInvoiceRules(data);
+    if (errors.length > 0) {
+        return { xml: null, errors, schemaValidated: false };
+    }
+    
+    const xml = syntax === 'ubl' ? buildUblXml(data) : buildCiiXml(data);
+    const structureErrors = precheckEInvoiceXml(xml, syntax);
+    if (structureErrors.length > 0 || syntax === 'ubl') {
+        return { xml, errors: structureErrors, schemaValidated: false };
+    }
+    
+    return { xml, errors: await validateEInvoiceSchema(xml), schemaValidated: true };
+}
+
+// XMP-Erweiterungsschema, ohne das Prüfwerkzeuge die Factur-X-Metadaten ablehnen
+function buildFacturXMetadata(conformanceLevel) {
+    const properties = [
+        ['DocumentFileName', 'The name of the embedded XML document'],
+        ['DocumentType', 'The type of the hybrid document in capital letters, e.g. INVOICE or ORDER'],
+        ['Version', 'The actual version of the standard applying to the embedded XML document'],
+        ['ConformanceLevel', 'The conformance level of the embedded XML document']
+    ];
+    
+    return `
+        <rdf:Description xmlns:fx="${FACTURX_NAMESPACE}" rdf:about="">
+            <fx:DocumentType>INVOICE</fx:DocumentType>
+            <fx:DocumentFileName>${FACTURX_FILENAME}</fx:DocumentFileName>
+            <fx:Version>1.0</fx:Version>
+            <fx:ConformanceLevel>${conformanceLevel}</fx:ConformanceLevel>
+        </rdf:Description>
+        <rdf:Description xmlns:pdfaExtension="http://www.aiim.org/pdfa/ns/extension/" xmlns:pdfaSchema="http://www.aiim.org/pdfa/ns/schema#" xmlns:pdfaProperty="http://www.aiim.org/pdfa/ns/property#" rdf:about="">
+            <pdfaExtension:schemas>
+                <rdf:Bag>
+                    <rdf:li rdf:parseType="Resource">
+                        <pdfaSchema:schema>Factur-X PDFA Extension Schema</pdfaSchema:schema>
+                        <pdfaSchema:namespaceURI>${FACTURX_NAMESPACE}</pdfaSchema:namespaceURI>
+                        <pdfaSchema:prefix>fx</pdfaSchema:prefix>
+                        <pdfaSchema:property>
+                            <rdf:Seq>${properties.map(([name, description]) => `
+                                <rdf:li rdf:parseType="Resource">
+                                    <pdfaProperty:name>${name}</pdfaProperty:name>
+                                    <pdfaProperty:valueType>Text</pdfaProperty:valueType>
+                                    <pdfaProperty:category>external</pdfaProperty:category>
+                                    <pdfaProperty:description>${description}</pdfaProperty:description>
+                                </rdf:li>`).join('')}
+                            </rdf:Seq>
+                        </pdfaSchema:property>
+                    </rdf:li>
+                </rdf:Bag>
+            </pdfaExtension:schemas>
+        </rdf:Description>
+        `;
+}
+
+/**
+ * ZUGFeRD/Factur-X-Hybridrechnung: Rechnungs-PDF als PDF/A-3b mit eingebettetem CII-XML
+ */
+function renderZugferdPdf(invoice, praxisId, xml) {
+    const definition = buildInvoicePdfDefinition(invoice, getClientById(invoice.client_id), getPraxisById(praxisId));
+    
+    return renderPdf({
+        ...definition,
+        pdfOptions: { pdfVersion: '1.7', subset: 'PDF/A-3b', lang: 'de-DE' },
+        beforeEnd: doc => {
+            const now = new Date();
+            doc.file(Buffer.from(xml, 'utf-8'), {
+                name: FACTURX_FILENAME,
+                type: 'text/xml',
+                relationship: 'Alternative',
+                description: `Factur-X/ZUGFeRD Rechnungsdaten ${invoice.invoice_number}`,
+                creationDate: now,
+                modifiedDate: now
+            });
+            doc.appendXML(buildFacturXMetadata('EN 16931'));
+        }
+    });
+}
+
+function getEInvoiceFileBase(invoice, praxisId) {
+    return path.join(getPraxisUploadDir(praxisId, 'invoices'), invoice.invoice_number.replace(/[^\w.-]/g, '_'));
+}
+
+// --- E-INVOICE ROUTES --- //
+
+function getExportableInvoice(req, res) {
+    const invoice = getInvoiceById(req.params.id, req.user.praxis_id);
+    if (!invoice) {
+        res.status(404).json({ error: "Rechnung nicht gefunden" });
+        return null;
+    }
+    
+    if (['draft', 'cancelled'].includes(invoice.status)) {
+        res.status(400).json({ error: "Nur abgeschlossene, nicht stornierte Rechnungen können als E-Rechnung exportiert werden" });
+        return null;
+    }
+    
+    return invoice;
+}
+
+// Prüfergebnis ohne Download, z.B. zur Anzeige fehlender Stammdaten.
+// schema_validated ist nur für CII gesetzt; UBL wird ausschließlich vorgeprüft.
+app.get("/api/invoices/:id/einvoice/validate", requireAuth, requirePraxis, async (req, res) => {
+    try {
+        const invoice = getExportableInvoice(req, res);
+        if (!invoice) return;
+        
+        const profile = req.query.profile === 'zugferd' ? 'en16931' : 'xrechnung';
+        const syntax = req.query.syntax === 'ubl' && profile === 'xrechnung' ? 'ubl' : 'cii';
+        const { errors, schemaValidated } = await createEInvoiceXml(invoice, req.user.praxis_id, syntax, profile);
+        
+        res.json({ valid: errors.length === 0, schema_validated: schemaValidated, profile, syntax, errors });
+    } catch (error) {
+        console.error("❌ Fehler bei der Prüfung der E-Rechnung:", error);
+        res.status(500).json({ error: "Fehler bei der Prüfung der E-Rechnung" });
+    }
+});
+
+app.get("/api/invoices/:id/xrechnung", requireAuth, requirePraxis, async (req, res) => {
+    try {
+        const invoice = getExportableInvoice(req, res);
+        if (!invoice) return;
+        
+        const syntax = req.query.syntax === 'ubl' ? 'ubl' : 'cii';
+        const { xml, errors } = await createEInvoiceXml(invoice, req.user.praxis_id, syntax, 'xrechnung');
+        if (errors.length > 0) {
+            return res.status(422).json({ error: "E-Rechnung ist nicht gültig", validation_errors: errors });
+        }
+        
+        const filePath = `${getEInvoiceFileBase(invoice, req.user.praxis_id)}-xrechnung-${syntax}.xml`;
+        fs.writeFileSync(filePath, xml);
+        setInvoiceDocumentPath(invoice.id, 'xml_path', filePath);
+        
+        logAction(
+            req.user.praxis_id,
+            req.user.id,
+            'DOWNLOAD',
+            'invoice',
+            invoice.id,
+            null,
+            { format: `xrechnung-${syntax}` },
+            `XRechnung downloaded: ${invoice.invoice_number}`
+        );
+        
+        res.download(path.resolve(filePath), `XRechnung-${invoice.invoice_number}.xml`);
+    } catch (error) {
+        console.error("❌ Fehler beim Erzeugen der XRechnung:", error);
+        res.status(500).json({ error: "Fehler beim Erzeugen der XRechnung" });
+    }
+});
+
+app.get("/api/invoices/:id/zugferd.pdf", requireAuth, requirePraxis, async (req, res) => {
+    try {
+        const invoice = getExportableInvoice(req, res);
+        if (!invoice) return;
+        
+        const { xml, errors } = await createEInvoiceXml(invoice, req.user.praxis_id, 'cii', 'en16931');
+        if (errors.length > 0) {
+            return res.status(422).json({ error: "E-Rechnung ist nicht gültig", validation_errors: errors });
+        }
+        
+        const fileBase = getEInvoiceFileBase(invoice, req.user.praxis_id);
+        const xmlPath = `${fileBase}-${FACTURX_FILENAME}`;
+        const pdfPath = `${fileBase}-zugferd.pdf`;
+        
+        fs.writeFileSync(xmlPath, xml);
+        fs.writeFileSync(pdfPath, await renderZugferdPdf(invoice, req.user.praxis_id, xml));
+        setInvoiceDocumentPath(invoice.id, 'xml_path', xmlPath);
+        
+        logAction(
+            req.user.praxis_id,
+            req.user.id,
+            'DOWNLOAD',
+            'invoice',
+            invoice.id,
+            null,
+            { format: 'zugferd' },
+            `ZUGFeRD invoice downloaded: ${invoice.invoice_number}`
+        );
+        
+        res.download(path.resolve(pdfPath), `Rechnung-${invoice.invoice_number}-ZUGFeRD.pdf`);
+    } catch (error) {
+        console.error("❌ Fehler beim Erzeugen der ZUGFeRD-Rechnung:", error);
+        res.status(500).json({ error: "Fehler beim Erzeugen der ZUGFeRD-Rechnung" });
+    }
+});
+
+// --- DUNNING HELPER FUNCTIONS --- //
+
+const PAYMENT_METHODS = ['ueberweisung', 'lastschrift', 'bar', 'karte', 'sonstige'];
+const DUNNING_JOB_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const REMINDER_LEVELS = {
+    1: {
+        title: 'Zahlungserinnerung',
+        text: 'sicher ist es Ihrer Aufmerksamkeit entgangen, dass die unten genannte Rechnung noch nicht vollständig beglichen ist. Wir bitten Sie, den offenen Betrag bis zum angegebenen Datum zu überweisen.'
+    },
+    2: {
+        title: '2. Mahnung',
+        text: 'leider konnten wir trotz unserer Zahlungserinnerung bislang keinen vollständigen Zahlungseingang für die unten genannte Rechnung feststellen. Bitte überweisen Sie den offenen Betrag umgehend, spätestens bis zum angegebenen Datum.'
+    },
+    3: {
+        title: 'Letzte Mahnung',
+        text: 'trotz wiederholter Aufforderung ist die unten genannte Rechnung weiterhin offen. Wir fordern Sie letztmalig auf, den offenen Betrag bis zum angegebenen Datum zu begleichen. Nach Ablauf der Frist behalten wir uns die Einleitung des gerichtlichen Mahnverfahrens vor; die dadurch entstehenden Kosten gehen zu Ihren Lasten.'
+    }
+};
+
+// Erste Stufe nach Fälligkeit, jede weitere nach der letzten Mahnung jeweils im Abstand payment_reminder_days
+function isReminderDue(invoice, today) {
+    const intervalDays = getPraxisSetting('payment_reminder_days', 'billing', invoice.praxis_id) || 14;
+    const reference = (invoice.last_reminder_sent || invoice.due_date || '').slice(0, 10);
+    
+    return Boolean(reference) && addDaysToDate(reference, intervalDays) <= today;
+}
+
+function buildReminderPdfDefinition(invoice, reminder, client, praxis) {
+    const level = REMINDER_LEVELS[reminder.level];
+    const currency = invoice.currency || 'EUR';
+    const iban = getPraxisSetting('bank_iban', 'billing', praxis.id);
+    
+    const summaryRows = [['Rechnungsbetrag', formatCurrencyDE(invoice.amount_gross, currency)]];
+    if (invoice.amount_paid > 0) {
+        summaryRows.push(['bereits gezahlt', formatCurrencyDE(-invoice.amount_paid, currency)]);
+    }
+    summaryRows.push(['Offener Betrag', formatCurrencyDE(reminder.amount_open, currency)]);
+    
+    return {
+        praxis,
+        title: level.title,
+        recipient: [client.full_name || client.name, ...splitAddressLines(client.address)],
+        meta: [
+            ['Datum', formatDateDE(reminder.reminder_date)],
+            ['Rechnungsnr.', invoice.invoice_number],
+            ['Rechnungsdatum', formatDateDE(invoice.invoice_date)],
+            ['Zahlbar bis', formatDateDE(reminder.payment_deadline)],
+            ['Klienten-Nr.', client.client_number || '']
+        ],
+        blocks: [
+            { type: 'paragraph', text: 'Sehr geehrte Damen und Herren,' },
+            { type: 'paragraph', text: level.text },
+            {
+                type: 'table',
+                columns: [
+                    { header: 'Rechnungsnr.', width: 0.3 },
+                    { header: 'Rechnungsdatum', width: 0.25 },
+                    { header: 'Ursprünglich fällig', width: 0.25 },
+                    { header: 'Betrag', width: 0.2, align: 'right' }
+                ],
+                rows: [[
+                    invoice.invoice_number,
+                    formatDateDE(invoice.invoice_date),
+                    formatDateDE(invoice.due_date),
+                    formatCurrencyDE(invoice.amount_gross, currency)
+                ]],
+                summaryRows
+            },
+            {
+                type: 'paragraph',
+                text: `Bitte überweisen Sie ${formatCurrencyDE(reminder.amount_open, currency)} bis zum ${formatDateDE(reminder.payment_deadline)} unter Angabe der Rechnungsnummer ${invoice.invoice_number}${iban ? ` auf das Konto IBAN ${iban}` : ''}.`
+            },
+            { type: 'paragraph', text: 'Sollten Sie die Zahlung zwischenzeitlich veranlasst haben, betrachten Sie dieses Schreiben bitte als gegenstandslos.' },
+            { type: 'paragraph', text: 'Mit freundlichen Grüßen' },
+            { type: 'paragraph', text: praxis.name }
+        ],
+        footer: getPraxisFooterLines(praxis)
+    };
+}
+
+/**
+ * Erzeugt das Mahnschreiben der nächsten Mahnstufe als PDF und legt die Mahnung an.
+ * Die Mahnstufe wird erst gespeichert, wenn das Dokument geschrieben ist.
+ */
+async function createInvoiceReminder(invoice, today, userId = null) {
+    const level = (invoice.reminder_count || 0) + 1;
+    const intervalDays = getPraxisSetting('payment_reminder_days', 'billing', invoice.praxis_id) || 14;
+    
+    const reminder = {
+        invoice_id: invoice.id,
+        praxis_id: invoice.praxis_id,
+        level,
+        reminder_date: today,
+        payment_deadline: addDaysToDate(today, intervalDays),
+        amount_open: invoice.amount_open
+    };
+    
+    const buffer = await renderPdf(buildReminderPdfDefinition(
+        invoice,
+        reminder,
+        getClientById(invoice.client_id),
+        getPraxisById(invoice.praxis_id)
+    ));
+    
+    reminder.pdf_path = path.join(
+        getPraxisUploadDir(invoice.praxis_id, 'reminders'),
+        `${invoice.invoice_number.replace(/[^\w.-]/g, '_')}-mahnung-${level}.pdf`
+    );
+    fs.writeFileSync(reminder.pdf_path, buffer);
+    
+    try {
+        reminder.id = addInvoiceReminder(reminder, userId);
+    } catch (error) {
+        fs.unlinkSync(reminder.pdf_path);
+        throw error;
+    }
+    
+    return reminder;
+}
+
+/**
+ * Täglicher Mahnlauf: überfällige Rechnungen markieren und fällige Mahnstufen erzeugen
+ */
+async function runDunningJob(praxisId = null) {
+    const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+    const result = { date: today, marked_overdue: 0, reminders_created: [] };
+    
+    result.marked_overdue = markOverdueInvoices(today, praxisId);
+    
+    for (const invoice of getInvoicesForDunning(praxisId)) {
+        if (!isReminderDue(invoice, today)) continue;
+        
+        try {
+            const reminder = await createInvoiceReminder(invoice, today);
+            result.reminders_created.push({ invoice_id: invoice.id, invoice_number: invoice.invoice_number, level: reminder.level });
+        } catch (error) {
+            console.error(`❌ Mahnung für Rechnung ${invoice.invoice_number} fehlgeschlagen:`, error);
+        }
+    }
+    
+    console.log(`📬 Mahnlauf ${today}: ${result.marked_overdue} überfällig, ${result.reminders_created.length} Mahnungen erstellt`);
+    return result;
+}
+
+function scheduleDunningJob() {
+    const run = () => runDunningJob().catch(error => console.error("❌ Fehler im Mahnlauf:", error));
+    
+    setTimeout(run, 5000);
+    setInterval(run, DUNNING_JOB_INTERVAL_MS).unref();
+}
+
+// --- PAYMENT & DUNNING ROUTES --- //
+
+app.get("/api/invoices/:id/payments", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const invoice = getInvoiceById(req.params.id, req.user.praxis_id);
+        if (!invoice) {
+            return res.status(404).json({ error: "Rechnung nicht gefunden" });
+        }
+        
+        res.json({
+            payments: getInvoicePayments(invoice.id),
+            amount_gross: invoice.amount_gross,
+            amount_paid: invoice.amount_paid,
+            amount_open: invoice.amount_open
+        });
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Zahlungen:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Zahlungen" });
+    }
+});
+
+// Teil- und Vollzahlungen; bei vollständiger Zahlung wird die Rechnung auf "paid" gesetzt
+app.post("/api/invoices/:id/payments", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const invoice = getInvoiceById(req.params.id, req.user.praxis_id);
+        if (!invoice) {
+            return res.status(404).json({ error: "Rechnung nicht gefunden" });
+        }
+        
+        if (!['sent', 'overdue', 'disputed'].includes(invoice.status)) {
+            return res.status(400).json({ error: "Zahlungen können nur für offene Rechnungen erfasst werden" });
+        }
+        
+        const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+        const amount = roundCurrency(Number(req.body.amount ?? invoice.amount_open));
+        const paymentDate = req.body.payment_date || today;
+        const { payment_method, payment_reference, notes } = req.body;
+        
+        if (!Number.isFinite(amount) || amount <= 0) {
+            return res.status(400).json({ error: "Ungültiger Zahlungsbetrag" });
+        }
+        
+        if (amount > invoice.amount_open) {
+            return res.status(400).json({ error: `Betrag übersteigt den offenen Betrag von ${formatCurrencyDE(invoice.amount_open, invoice.currency)}` });
+        }
+        
+        if (!isValidDateString(paymentDate) || paymentDate > today) {
+            return res.status(400).json({ error: "Ungültiges Zahlungsdatum" });
+        }
+        
+        if (payment_method && !PAYMENT_METHODS.includes(payment_method)) {
+            return res.status(400).json({ error: `Ungültige Zahlungsart. Erlaubt: ${PAYMENT_METHODS.join(', ')}` });
+        }
+        
+        const { id, status } = addInvoicePayment(invoice.id, {
+            amount,
+            payment_date: paymentDate,
+            payment_method,
+            payment_reference,
+            notes
+        }, today, req.user.praxis_id, req.user.id);
+        
+        const updated = getInvoiceById(invoice.id, req.user.praxis_id);
+        
+        res.json({
+            success: true,
+            payment_id: id,
+            status,
+            amount_paid: updated.amount_paid,
+            amount_open: updated.amount_open,
+            message: status === 'paid' ? 'Rechnung vollständig bezahlt' : 'Teilzahlung erfasst'
+        });
+    } catch (error) {
+        console.error("❌ Fehler beim Erfassen der Zahlung:", error);
+        res.status(500).json({ error: "Fehler beim Erfassen der Zahlung" });
+    }
+});
+
+app.delete("/api/invoices/:id/payments/:paymentId", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const invoice = getInvoiceById(req.params.id, req.user.praxis_id);
+        if (!invoice) {
+            return res.status(404).json({ error: "Rechnung nicht gefunden" });
+        }
+        
+        const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+        const result = deleteInvoicePayment(req.params.paymentId, invoice.id, today, req.user.praxis_id, req.user.id);
+        if (!result) {
+            return res.status(404).json({ error: "Zahlung nicht gefunden" });
+        }
+        
+        res.json({ success: true, status: result.status, message: 'Zahlung zurückgenommen' });
+    } catch (error) {
+        console.error("❌ Fehler beim Zurücknehmen der Zahlung:", error);
+        res.status(500).json({ error: "Fehler beim Zurücknehmen der Zahlung" });
+    }
+});
+
+app.post("/api/invoices/:id/dispute", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const invoice = getInvoiceById(req.params.id, req.user.praxis_id);
+        if (!invoice) {
+            return res.status(404).json({ error: "Rechnung nicht gefunden" });
+        }
+        
+        const disputed = req.body.disputed !== false;
+        const allowed = disputed ? ['sent', 'overdue'] : ['disputed'];
+        if (!allowed.includes(invoice.status)) {
+            return res.status(400).json({ error: disputed ? "Nur offene Rechnungen können beanstandet werden" : "Rechnung ist nicht beanstandet" });
+        }
+        
+        const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+        const status = setInvoiceDisputed(invoice.id, disputed, req.body.reason, today, req.user.praxis_id, req.user.id);
+        
+        res.json({ success: true, status });
+    } catch (error) {
+        console.error("❌ Fehler beim Aktualisieren des Einspruchs:", error);
+        res.status(500).json({ error: "Fehler beim Aktualisieren des Einspruchs" });
+    }
+});
+
+app.get("/api/invoices/:id/reminders", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const invoice = getInvoiceById(req.params.id, req.user.praxis_id);
+        if (!invoice) {
+            return res.status(404).json({ error: "Rechnung nicht gefunden" });
+        }
+        
+        res.json(getInvoiceReminders(invoice.id).map(reminder => ({
+            ...reminder,
+            title: REMINDER_LEVELS[reminder.level].title
+        })));
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Mahnungen:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Mahnungen" });
+    }
+});
+
+// Nächste Mahnstufe sofort erzeugen, unabhängig vom Mahnintervall
+app.post("/api/invoices/:id/reminders", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), async (req, res) => {
+    try {
+        const invoice = getInvoiceById(req.params.id, req.user.praxis_id);
+        if (!invoice) {
+            return res.status(404).json({ error: "Rechnung nicht gefunden" });
+        }
+        
+        if (invoice.status !== 'overdue' || invoice.amount_open <= 0) {
+            return res.status(400).json({ error: "Nur überfällige, offene Rechnungen können gemahnt werden" });
+        }
+        
+        if (invoice.reminder_count >= Object.keys(REMINDER_LEVELS).length) {
+            return res.status(400).json({ error: "Alle Mahnstufen sind bereits ausgeschöpft" });
+        }
+        
+        const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+        const reminder = await createInvoiceReminder(invoice, today, req.user.id);
+        
+        res.json({ success: true, reminder: { ...reminder, title: REMINDER_LEVELS[reminder.level].title } });
+    } catch (error) {
+        console.error("❌ Fehler beim Erstellen der Mahnung:", error);
+        res.status(500).json({ error: "Fehler beim Erstellen der Mahnung" });
+    }
+});
+
+app.get("/api/invoices/:id/reminders/:reminderId/pdf", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const reminder = getInvoiceReminderById(req.params.reminderId, req.user.praxis_id);
+        if (!reminder || String(reminder.invoice_id) !== String(req.params.id)) {
+            return res.status(404).json({ error: "Mahnung nicht gefunden" });
+        }
+        
+        if (!reminder.pdf_path || !fs.existsSync(reminder.pdf_path)) {
+            return res.status(404).json({ error: "Mahnschreiben nicht gefunden" });
+        }
+        
+        logAction(
+            req.user.praxis_id,
+            req.user.id,
+            'DOWNLOAD',
+            'invoice_reminder',
+            reminder.id,
+            null,
+            null,
+            `Reminder letter downloaded: level ${reminder.level}`
+        );
+        
+        res.download(path.resolve(reminder.pdf_path), path.basename(reminder.pdf_path));
+    } catch (error) {
+        console.error("❌ Fehler beim Herunterladen der Mahnung:", error);
+        res.status(500).json({ error: "Fehler beim Herunterladen der Mahnung" });
+    }
+});
+
+// Offene-Posten-Liste mit Altersstruktur
+app.get("/api/billing/open-items", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+        const aging = { not_due: 0, days_1_30: 0, days_31_60: 0, days_61_90: 0, days_over_90: 0 };
+        
+        const items = getOpenInvoices(req.user.praxis_id, { client_id: req.query.client_id }).map(invoice => {
+            const daysOverdue = invoice.due_date && invoice.due_date < today
+                ? Math.round((new Date(today + 'T00:00:00Z') - new Date(invoice.due_date.slice(0, 10) + 'T00:00:00Z')) / 86400000)
+                : 0;
+            
+            const bucket = daysOverdue === 0 ? 'not_due'
+                : daysOverdue <= 30 ? 'days_1_30'
+                : daysOverdue <= 60 ? 'days_31_60'
+                : daysOverdue <= 90 ? 'days_61_90'
+                : 'days_over_90';
+            aging[bucket] = roundCurrency(aging[bucket] + invoice.amount_open);
+            
+            return {
+                id: invoice.id,
+                invoice_number: invoice.invoice_number,
+                client_id: invoice.client_id,
+                client_name: invoice.client_name,
+                client_number: invoice.client_number,
+                invoice_date: invoice.invoice_date,
+                due_date: invoice.due_date,
+                status: invoice.status,
+                amount_gross: invoice.amount_gross,
+                amount_paid: invoice.amount_paid,
+                amount_open: invoice.amount_open,
+                days_overdue: daysOverdue,
+                reminder_count: invoice.reminder_count,
+                last_reminder_sent: invoice.last_reminder_sent
+            };
+        });
+        
+        res.json({
+            date: today,
+            items,
+            summary: {
+                count: items.length,
+                total_open: roundCurrency(items.reduce((sum, item) => sum + item.amount_open, 0)),
+                overdue_count: items.filter(item => item.days_overdue > 0).length,
+                disputed_count: items.filter(item => item.status === 'disputed').length,
+                aging
+            }
+        });
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der offenen Posten:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der offenen Posten" });
+    }
+});
+
+// Mahnlauf für die eigene Praxis manuell anstoßen
+app.post("/api/billing/dunning/run", requireAuth, requirePraxis, requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ success: true, ...(await runDunningJob(req.user.praxis_id)) });
+    } catch (error) {
+        console.error("❌ Fehler im Mahnlauf:", error);
+        res.status(500).json({ error: "Fehler im Mahnlauf" });
+    }
+});
+
+// --- BANK STATEMENT HELPER FUNCTIONS --- //
+
+const BANK_STATEMENT_EXTENSIONS = ['.xml', '.sta', '.mt940', '.940', '.txt'];
+const BANK_TRANSACTION_STATUSES = ['matched', 'review', 'unmatched', 'ignored'];
+
+const bankStatementUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (BANK_STATEMENT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+            return cb(null, true);
+        }
+        cb(new Error('Nur Kontoauszüge im Format CAMT.053 (.xml) oder MT940 (.sta, .940, .txt) erlaubt'));
+    }
+});
+
+function toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function getXmlText(node) {
+    if (node === undefined || node === null) return null;
+    if (typeof node === 'object') return node['#text'] !== undefined ? String(node['#text']).trim() : null;
+    return String(node).trim() || null;
+}
+
+// MT940 kommt je nach Bank in ISO-8859-1
+function decodeStatementBuffer(buffer) {
+    const text = buffer.toString('utf-8');
+    return text.includes('\uFFFD') ? buffer.toString('latin1') : text;
+}
+
+/**
+ * ISO 20022 camt.053 (Bank to Customer Statement), Versionen 02 bis 08
+ */
+function parseCamt053(xml) {
+    const wellFormed = XMLValidator.validate(xml);
+    if (wellFormed !== true) {
+        throw new Error(`XML nicht wohlgeformt: ${wellFormed.err.msg}`);
+    }
+    
+    const document = new XMLParser({
+        ignoreAttributes: false,
+        attributeNamePrefix: '@',
+        removeNSPrefix: true,
+        parseTagValue: false,
+        isArray: name => ['Stmt', 'Ntry', 'NtryDtls', 'TxDtls', 'Ustrd'].includes(name)
+    }).parse(xml);
+    
+    const statements = document.Document?.BkToCstmrStmt?.Stmt;
+    if (!statements) {
+        throw new Error('Kein camt.053-Kontoauszug (BkToCstmrStmt) gefunden');
+    }
+    
+    const camtDate = node => getXmlText(node?.Dt) || (getXmlText(node?.DtTm) || '').slice(0, 10) || null;
+    const transactions = [];
+    
+    statements.forEach(statement => {
+        toArray(statement.Ntry).forEach(entry => {
+            // Nur gebuchte Umsätze, vorgemerkte ändern sich noch
+            const status = getXmlText(entry.Sts?.Cd) || getXmlText(entry.Sts);
+            if (status && status !== 'BOOK') return;
+            
+            const creditDebit = getXmlText(entry.CdtDbtInd);
+            const details = toArray(entry.NtryDtls).flatMap(detail => toArray(detail.TxDtls));
+            
+            // Sammelbuchungen werden in ihre Einzelumsätze aufgeteilt
+            (details.length > 0 ? details : [{}]).forEach(transaction => {
+                const amountNode = details.length > 1 
+                    ? (transaction.AmtDtls?.TxAmt?.Amt || transaction.Amt || entry.Amt) 
+                    : entry.Amt;
+                const party = creditDebit === 'CRDT' ? transaction.RltdPties?.Dbtr : transaction.RltdPties?.Cdtr;
+                const partyAccount = creditDebit === 'CRDT' ? transaction.RltdPties?.DbtrAcct : transaction.RltdPties?.CdtrAcct;
+                const endToEndId = getXmlText(transaction.Refs?.EndToEndId);
+                
+                transactions.push({
+                    booking_date: camtDate(entry.BookgDt) || camtDate(entry.ValDt),
+                    value_date: camtDate(entry.ValDt),
+                    amount: parseFloat(getXmlText(amountNode)),
+                    currency: amountNode?.['@Ccy'] || 'EUR',
+                    credit_debit: creditDebit,
+                    counterparty_name: getXmlText(party?.Nm) || getXmlText(party?.Pty?.Nm),
+                    counterparty_iban: getXmlText(partyAccount?.Id?.IBAN),
+                    remittance_info: [
+                        ...toArray(transaction.RmtInf?.Ustrd).map(getXmlText),
+                        getXmlText(transaction.RmtInf?.Strd?.CdtrRefInf?.Ref)
+                    ].filter(Boolean).join(' ') || getXmlText(entry.AddtlNtryInf),
+                    end_to_end_id: endToEndId && endToEndId !== 'NOTPROVIDED' ? endToEndId : null,
+                    bank_reference: getXmlText(transaction.Refs?.AcctSvcrRef) || getXmlText(entry.AcctSvcrRef)
+                });
+            });
+        });
+    });
+    
+    return {
+        format: 'camt053',
+        account_iban: getXmlText(statements[0].Acct?.Id?.IBAN),
+        statement_id: getXmlText(statements[0].Id),
+        transactions
+    };
+}
+
+// :61: JJMMTT[MMTT]C|D|RC|RD[Währungskennung]Betrag Buchungsschlüssel Referenz[//Bankreferenz]
+function parseMt940StatementLine(value) {
+    const match = value.split('\n')[0].match(/^(\d{2})(\d{2})(\d{2})(\d{4})?(R?[CD])[A-Z]?(\d+,\d*)[A-Z][A-Z0-9]{3}(.*)$/);
+    if (!match) {
+        throw new Error(`Ungültige Umsatzzeile :61:${value.split('\n')[0]}`);
+    }
+    
+    const [, yy, mm, dd, entryDate, mark, amount, references] = match;
+    const valueDate = `20${yy}-${mm}-${dd}`;
+    let bookingDate = valueDate;
+    
+    if (entryDate) {
+        // Buchungsdatum ohne Jahr, Jahreswechsel zwischen Valuta und Buchung berücksichtigen
+        let year = Number(`20${yy}`);
+        if (mm === '12' && entryDate.startsWith('01')) year++;
+        if (mm === '01' && entryDate.startsWith('12')) year--;
+        bookingDate = `${year}-${entryDate.slice(0, 2)}-${entryDate.slice(2)}`;
+    }
+    
+    const [customerReference, bankReference] = references.split('//');
+    
+    return {
+        booking_date: bookingDate,
+        value_date: valueDate,
+        amount: parseFloat(amount.replace(',', '.')),
+        currency: null,
+        credit_debit: ['C', 'RD'].includes(mark) ? 'CRDT' : 'DBIT',
+        end_to_end_id: customerReference && customerReference !== 'NONREF' ? customerReference.trim() : null,
+        bank_reference: bankReference ? bankReference.trim() : null
+    };
+}
+
+// :86: strukturiert nach DFÜ-Abkommen (?20-?29 Verwendungszweck, ?31 IBAN, ?32/?33 Name)
+function parseMt940Details(value) {
+    const text = value.replace(/\n/g, '');
+    const separator = text.charAt(3);
+    
+    if (!/^\d{3}[?]/.test(text)) {
+        return { remittance_info: value.replace(/\n/g, ' ').trim() };
+    }
+    
+    const subfields = {};
+    text.slice(4).split(separator).forEach(part => {
+        const code = part.slice(0, 2);
+        subfields[code] = (subfields[code] || '') + part.slice(2);
+    });
+    
+    const purpose = ['20', '21', '22', '23', '24', '25', '26', '27', '28', '29', '60', '61', '62', '63']
+        .map(code => subfields[code] || '')
+        .join('');
+    
+    // SEPA-Kennungen (EREF+, SVWZ+ ...) im Verwendungszweck auflösen
+    const sepaFields = {};
+    const parts = purpose.split(/(EREF|KREF|MREF|CRED|DEBT|SVWZ|ABWA|ABWE|IBAN|BIC)\+/);
+    for (let i = 1; i < parts.length; i += 2) {
+        sepaFields[parts[i]] = parts[i + 1].trim();
+    }
+    
+    return {
+        remittance_info: (sepaFields.SVWZ || (parts.length > 1 ? parts[0] : purpose)).trim() || null,
+        end_to_end_id: sepaFields.EREF && sepaFields.EREF !== 'NOTPROVIDED' ? sepaFields.EREF : undefined,
+        counterparty_iban: subfields['31'] || null,
+        counterparty_name: `${subfields['32'] || ''}${subfields['33'] || ''}`.trim() || null
+    };
+}
+
+/**
+ * SWIFT MT940 (Kontoauszug), wie ihn deutsche Banken per Onlinebanking ausliefern
+ */
+function parseMt940(text) {
+    const fields = [];
+    
+    text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+        const match = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+        if (match) {
+            fields.push({ tag: match[1], value: match[2] });
+        } else if (fields.length > 0 && line.trim() !== '-' && !line.startsWith('{')) {
+            fields[fields.length - 1].value += `\n${line}`;
+        }
+    });
+    
+    if (!fields.some(field => field.tag === '61')) {
+        throw new Error('Keine MT940-Umsatzzeilen (:61:) gefunden');
+    }
+    
+    const statement = { format: 'mt940', account_iban: null, statement_id: null, transactions: [] };
+    let currency = 'EUR';
+    let previousTag = null;
+    
+    fields.forEach(field => {
+        switch (field.tag) {
+            case '20':
+                statement.statement_id = statement.statement_id || field.value.trim();
+                break;
+            case '25': {
+                const account = field.value.trim().replace(/\s+/g, '');
+                statement.account_iban = statement.account_iban || (/^[A-Z]{2}\d{2}/.test(account) ? account : null);
+                break;
+            }
+            case '60F':
+            case '60M':
+                currency = field.value.slice(7, 10) || currency;
+                break;
+            case '61':
+                statement.transactions.push({ ...parseMt940StatementLine(field.value), currency });
+                break;
+            case '86':
+                if (previousTag === '61') {
+                    const details = parseMt940Details(field.value);
+                    const transaction = statement.transactions[statement.transactions.length - 1];
+                    Object.entries(details).forEach(([key, value]) => {
+                        if (value !== undefined) transaction[key] = value;
+                    });
+                }
+                break;
+        }
+        previousTag = field.tag;
+    });
+    
+    return statement;
+}
+
+function parseBankStatement(buffer) {
+    const text = decodeStatementBuffer(buffer).replace(/^\uFEFF/, '');
+    
+    if (text.trimStart().startsWith('<')) {
+        return parseCamt053(text);
+    }
+    
+    return parseMt940(text);
+}
+
+function hashBankTransaction(praxisId, transaction) {
+    return crypto.createHash('sha256').update([
+        praxisId,
+        transaction.booking_date,
+        transaction.value_date,
+        transaction.amount,
+        transaction.credit_debit,
+        transaction.counterparty_iban,
+        transaction.remittance_info,
+        transaction.end_to_end_id,
+        transaction.bank_reference
+    ].map(value => value ?? '').join('|')).digest('hex');
+}
+
+// Rechnungsnummer auch dann erkennen, wenn die Bank den Verwendungszweck umbricht
+function buildInvoiceNumberPattern(invoiceNumber) {
+    const characters = invoiceNumber.toUpperCase().replace(/[^A-Z0-9]/g, '').split('');
+    return new RegExp(`(?<![A-Z0-9])${characters.join('[\\s\\-/._]*')}(?![0-9])`);
+}
+
+/**
+ * Zuordnung einer Buchung: eindeutig nur bei Rechnungsnummer im Verwendungszweck
+ * und passendem Betrag, alles andere landet in der Prüfliste
+ */
+function matchBankTransaction(transaction, openInvoices) {
+    if (transaction.credit_debit !== 'CRDT' || !(transaction.amount > 0)) {
+        return { match_status: 'ignored', match_reason: 'Keine Gutschrift' };
+    }
+    
+    const amount = roundCurrency(transaction.amount);
+    const invoices = openInvoices.filter(invoice => (invoice.currency || 'EUR') === (transaction.currency || 'EUR'));
+    const reference = `${transaction.remittance_info || ''} ${transaction.end_to_end_id || ''}`.toUpperCase();
+    const referenced = invoices.filter(invoice => buildInvoiceNumberPattern(invoice.invoice_number).test(reference));
+    
+    if (referenced.length > 0) {
+        const openSum = roundCurrency(referenced.reduce((sum, invoice) => sum + invoice.amount_open, 0));
+        
+        if (openSum === amount) {
+            return {
+                match_status: 'matched',
+                match_reason: 'Rechnungsnummer und Betrag stimmen überein',
+                match_candidates: referenced.map(invoice => invoice.id),
+                allocations: referenced.map(invoice => ({ invoice_id: invoice.id, amount: invoice.amount_open }))
+            };
+        }
+        
+        return {
+            match_status: 'review',
+            match_reason: amount < openSum 
+                ? 'Betrag geringer als offener Betrag (Teilzahlung?)' 
+                : 'Betrag höher als offener Betrag',
+            match_candidates: referenced.map(invoice => invoice.id)
+        };
+    }
+    
+    const sameAmount = invoices.filter(invoice => invoice.amount_open === amount);
+    if (sameAmount.length > 0) {
+        return {
+            match_status: 'review',
+            match_reason: 'Betrag passt, aber keine Rechnungsnummer im Verwendungszweck',
+            match_candidates: sameAmount.map(invoice => invoice.id)
+        };
+    }
+    
+    return { match_status: 'unmatched', match_reason: 'Keine passende offene Rechnung gefunden' };
+}
+
+function bookBankTransaction(transaction, allocations, praxisId, userId) {
+    const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+    
+    return allocations.map(allocation => {
+        const { id } = addInvoicePayment(allocation.invoice_id, {
+            amount: allocation.amount,
+            payment_date: transaction.booking_date,
+            payment_method: 'ueberweisung',
+            payment_reference: transaction.end_to_end_id || transaction.bank_reference || null,
+            source: 'bank_import',
+            notes: transaction.remittance_info ? transaction.remittance_info.slice(0, 200) : null
+        }, today, praxisId, userId);
+        
+        return { ...allocation, payment_id: id };
+    });
+}
+
+// --- BANK STATEMENT ROUTES --- //
+
+app.post("/api/bank/imports", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), bankStatementUpload.single('file'), (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: "Keine Datei hochgeladen" });
+        }
+        
+        const fileHash = crypto.createHash('sha256').update(req.file.buffer).digest('hex');
+        if (getBankStatementImportByHash(req.user.praxis_id, fileHash)) {
+            return res.status(409).json({ error: "Dieser Kontoauszug wurde bereits importiert" });
+        }
+        
+        let statement;
+        try {
+            statement = parseBankStatement(req.file.buffer);
+        } catch (error) {
+            return res.status(400).json({ error: `Kontoauszug konnte nicht gelesen werden: ${error.message}` });
+        }
+        
+        const invalid = statement.transactions.find(transaction => !isValidDateString(transaction.booking_date) || !Number.isFinite(transaction.amount));
+        if (invalid) {
+            return res.status(400).json({ error: "Kontoauszug enthält Buchungen ohne gültiges Datum oder Betrag" });
+        }
+        
+        const warnings = [];
+        const praxisIban = getPraxisSetting('bank_iban', 'billing', req.user.praxis_id);
+        if (praxisIban && statement.account_iban && statement.account_iban !== praxisIban) {
+            warnings.push(`Kontoauszug gehört zu ${statement.account_iban}, hinterlegt ist ${praxisIban}`);
+        }
+        
+        // Importsatz und alle Buchungen gemeinsam: bei einem Fehler bleibt kein Teilimport zurück,
+        // der die erneute Einspielung derselben Datei blockieren würde
+        const counts = { transaction_count: 0, duplicate_count: 0, matched_count: 0, review_count: 0, unmatched_count: 0, ignored_count: 0 };
+        let importId;
+        db.transaction(() => {
+            importId = addBankStatementImport({
+                praxis_id: req.user.praxis_id,
+                filename: req.file.originalname,
+                format: statement.format,
+                account_iban: statement.account_iban,
+                statement_id: statement.statement_id,
+                file_hash: fileHash,
+                created_by: req.user.id
+            });
+            
+            statement.transactions.forEach(transaction => {
+                const id = addBankTransaction({
+                    ...transaction,
+                    import_id: importId,
+                    praxis_id: req.user.praxis_id,
+                    transaction_hash: hashBankTransaction(req.user.praxis_id, transaction)
+                });
+                
+                if (!id) {
+                    counts.duplicate_count++;
+                    return;
+                }
+                counts.transaction_count++;
+                
+                // Offene Posten nach jeder Buchung neu laden, damit keine Rechnung doppelt ausgeglichen wird
+                const match = matchBankTransaction(transaction, getOpenInvoices(req.user.praxis_id));
+                if (match.match_status === 'matched') {
+                    match.allocations = bookBankTransaction(transaction, match.allocations, req.user.praxis_id, req.user.id);
+                }
+                
+                updateBankTransactionMatch(id, match);
+                counts[`${match.match_status}_count`]++;
+            });
+            
+            updateBankStatementImportCounts(importId, counts);
+        })();
+        
+        res.json({
+            success: true,
+            import_id: importId,
+            format: statement.format,
+            account_iban: statement.account_iban,
+            statement_id: statement.statement_id,
+            ...counts,
+            warnings
+        });
+    } catch (error) {
+        console.error("❌ Fehler beim Import des Kontoauszugs:", error);
+        res.status(500).json({ error: "Fehler beim Import des Kontoauszugs" });
+    }
+});
+
+app.get("/api/bank/imports", requireAuth, requirePraxis, (req, res) => {
+    try {
+        res.json(getBankStatementImports(req.user.praxis_id));
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Kontoauszüge:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Kontoauszüge" });
+    }
+});
+
+// Standardmäßig die Prüfliste: mehrdeutige und nicht zugeordnete Gutschriften
+app.get("/api/bank/transactions", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const statuses = req.query.status ? String(req.query.status).split(',') : ['review', 'unmatched'];
+        if (statuses.some(status => !BANK_TRANSACTION_STATUSES.includes(status))) {
+            return res.status(400).json({ error: "Ungültiger Zuordnungsstatus" });
+        }
+        
+        const transactions = getBankTransactions(req.user.praxis_id, {
+            statuses,
+            import_id: req.query.import_id,
+            limit: req.query.limit
+        });
+        
+        // Kandidaten mit Rechnungsdaten anreichern
+        const invoiceCache = {};
+        const loadInvoice = id => {
+            if (!(id in invoiceCache)) {
+                const invoice = getInvoiceById(id, req.user.praxis_id);
+                invoiceCache[id] = invoice && {
+                    id: invoice.id,
+                    invoice_number: invoice.invoice_number,
+                    client_name: invoice.client_name,
+                    status: invoice.status,
+                    amount_gross: invoice.amount_gross,
+                    amount_open: invoice.amount_open,
+                    due_date: invoice.due_date
+                };
+            }
+            return invoiceCache[id];
+        };
+        
+        res.json(transactions.map(transaction => ({
+            ...transaction,
+            candidates: transaction.match_candidates.map(loadInvoice).filter(Boolean)
+        })));
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Bankbuchungen:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Bankbuchungen" });
+    }
+});
+
+// Manuelle Zuordnung aus der Prüfliste, auch als Teilzahlung oder auf mehrere Rechnungen
+app.post("/api/bank/transactions/:id/assign", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const transaction = getBankTransactionById(req.params.id, req.user.praxis_id);
+        if (!transaction) {
+            return res.status(404).json({ error: "Buchung nicht gefunden" });
+        }
+        
+        if (transaction.match_status === 'matched') {
+            return res.status(400).json({ error: "Buchung ist bereits zugeordnet" });
+        }
+        
+        if (transaction.credit_debit !== 'CRDT') {
+            return res.status(400).json({ error: "Nur Gutschriften können Rechnungen zugeordnet werden" });
+        }
+        
+        const requested = Array.isArray(req.body.allocations) 
+            ? req.body.allocations 
+            : [{ invoice_id: req.body.invoice_id, amount: req.body.amount }];
+        
+        const allocations = [];
+        for (const allocation of requested) {
+            const invoice = allocation.invoice_id ? getInvoiceById(allocation.invoice_id, req.user.praxis_id) : null;
+            if (!invoice) {
+                return res.status(404).json({ error: "Rechnung nicht gefunden" });
+            }
+            
+            if (!['sent', 'overdue', 'disputed'].includes(invoice.status)) {
+                return res.status(400).json({ error: `Rechnung ${invoice.invoice_number} ist nicht offen` });
+            }
+            
+            const amount = roundCurrency(Number(allocation.amount ?? Math.min(invoice.amount_open, transaction.amount)));
+            if (!Number.isFinite(amount) || amount <= 0 || amount > invoice.amount_open) {
+                return res.status(400).json({ error: `Ungültiger Betrag für Rechnung ${invoice.invoice_number}` });
+            }
+            
+            allocations.push({ invoice_id: invoice.id, amount });
+        }
+        
+        // Nach einer zurückgenommenen Zahlung bleiben die übrigen Zuordnungen der Buchung bestehen
+        const alreadyAllocated = roundCurrency(transaction.allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+        const total = roundCurrency(allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+        if (allocations.length === 0 || total > roundCurrency(transaction.amount - alreadyAllocated)) {
+            return res.status(400).json({ error: "Zugeordneter Betrag übersteigt den Buchungsbetrag" });
+        }
+        
+        const booked = bookBankTransaction(transaction, allocations, req.user.praxis_id, req.user.id);
+        updateBankTransactionMatch(transaction.id, {
+            match_status: 'matched',
+            match_reason: 'Manuell zugeordnet',
+            match_candidates: transaction.match_candidates,
+            allocations: [...transaction.allocations, ...booked]
+        }, req.user.id);
+        
+        res.json({ success: true, allocations: booked, unallocated: roundCurrency(transaction.amount - alreadyAllocated - total) });
+    } catch (error) {
+        console.error("❌ Fehler bei der Zuordnung der Buchung:", error);
+        res.status(500).json({ error: "Fehler bei der Zuordnung der Buchung" });
+    }
+});
+
+app.post("/api/bank/transactions/:id/ignore", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const transaction = getBankTransactionById(req.params.id, req.user.praxis_id);
+        if (!transaction) {
+            return res.status(404).json({ error: "Buchung nicht gefunden" });
+        }
+        
+        if (transaction.match_status === 'matched' || transaction.allocations.length > 0) {
+            return res.status(400).json({ error: "Zugeordnete Buchungen bitte über die Zahlung zurücknehmen" });
+        }
+        
+        updateBankTransactionMatch(transaction.id, {
+            match_status: 'ignored',
+            match_reason: req.body.reason || 'Manuell ausgeblendet',
+            match_candidates: transaction.match_candidates
+        }, req.user.id);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error("❌ Fehler beim Ausblenden der Buchung:", error);
+        res.status(500).json({ error: "Fehler beim Ausblenden der Buchung" });
+    }
+});
+
+// --- SEPA DIRECT DEBIT HELPER FUNCTIONS --- //
+
+const SEPA_PAIN_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:pain.008.001.08';
+const SEPA_SEQUENCE_TYPES = ['FRST', 'RCUR'];
+const SEPA_MIN_LEAD_DAYS = 1; // CORE: Einreichung spätestens einen TARGET-Geschäftstag vor Fälligkeit
+const SEPA_DEFAULT_LEAD_DAYS = 2;
+const SEPA_MANDATE_VALIDITY_YEARS = 3; // Mandate verfallen nach 36 Monaten ohne Einzug
+const SEPA_TARGET_HOLIDAYS = ['Neujahr', 'Karfreitag', 'Ostermontag', 'Tag der Arbeit', '1. Weihnachtstag', '2. Weihnachtstag'];
+const SEPA_TRANSLITERATION = { 'Ä': 'Ae', 'Ö': 'Oe', 'Ü': 'Ue', 'ä': 'ae', 'ö': 'oe', 'ü': 'ue', 'ß': 'ss', '&': '+' };
+
+function isValidCreditorId(creditorId) {
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{3}[A-Z0-9]{1,28}$/.test(creditorId)) return false;
+    
+    // Prüfziffer wie bei der IBAN, die Geschäftsbereichskennung (Stelle 5–7) bleibt unberücksichtigt
+    const digits = (creditorId.slice(7) + creditorId.slice(0, 4)).replace(/[A-Z]/g, letter => letter.charCodeAt(0) - 55);
+    return digits.match(/\d{1,7}/g).reduce((remainder, chunk) => Number(String(remainder) + chunk) % 97, 0) === 1;
+}
+
+function isValidMandateReference(reference) {
+    return /^[A-Za-z0-9+?/\-:().,']{1,35}$/.test(reference) && !reference.startsWith('/') && !reference.includes('//');
+}
+
+function maskIban(iban) {
+    return `${iban.slice(0, 4)} **** ${iban.slice(-4)}`;
+}
+
+/**
+ * Reduziert Text auf den SEPA-Zeichensatz (Umlaute werden umschrieben)
+ */
+function toSepaText(value, maxLength) {
+    return String(value || '')
+        .replace(/[ÄÖÜäöüß&]/g, char => SEPA_TRANSLITERATION[char])
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9/\-?:().,'+ ]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, maxLength);
+}
+
+function isTargetBusinessDay(date) {
+    const weekday = new Date(date + 'T00:00:00Z').getUTCDay();
+    if (weekday === 0 || weekday === 6) return false;
+    
+    return !getPublicHolidays(Number(date.slice(0, 4)))
+        .some(holiday => holiday.date === date && SEPA_TARGET_HOLIDAYS.includes(holiday.name));
+}
+
+function addTargetBusinessDays(date, days) {
+    let result = date;
+    let remaining = days;
+    
+    while (remaining > 0) {
+        result = addDaysToDate(result, 1);
+        if (isTargetBusinessDay(result)) remaining--;
+    }
+    
+    return result;
+}
+
+function isSepaMandateExpired(mandate, collectionDate) {
+    const lastUse = mandate.last_collection_date || mandate.signature_date;
+    const expiresOn = `${Number(lastUse.slice(0, 4)) + SEPA_MANDATE_VALIDITY_YEARS}${lastUse.slice(4)}`;
+    return collectionDate > expiresOn;
+}
+
+function sepaFinancialInstitution(bic) {
+    return xmlElement('FinInstnId', [
+        bic
+            ? xmlElement('BICFI', bic)
+            : xmlElement('Othr', [xmlElement('Id', 'NOTPROVIDED')])
+    ]);
+}
+
+/**
+ * pain.008.001.08 (SEPA Core Direct Debit), ein PmtInf-Block je Sequenztyp
+ */
+function buildSepaDirectDebitXml(batch) {
+    const { creditor, transactions } = batch;
+    const sum = list => roundCurrency(list.reduce((total, transaction) => total + transaction.amount, 0));
+    
+    const paymentInfos = SEPA_SEQUENCE_TYPES.map(sequenceType => {
+        const group = transactions.filter(transaction => transaction.sequence_type === sequenceType);
+        if (group.length === 0) return null;
+        
+        return xmlElement('PmtInf', [
+            xmlElement('PmtInfId', `${batch.message_id}-${sequenceType}`),
+            xmlElement('PmtMtd', 'DD'),
+            xmlElement('BtchBookg', 'true'),
+            xmlElement('NbOfTxs', String(group.length)),
+            xmlElement('CtrlSum', formatXmlAmount(sum(group))),
+            xmlElement('PmtTpInf', [
+                xmlElement('SvcLvl', [xmlElement('Cd', 'SEPA')]),
+                xmlElement('LclInstrm', [xmlElement('Cd', 'CORE')]),
+                xmlElement('SeqTp', sequenceType)
+            ]),
+            xmlElement('ReqdColltnDt', batch.collection_date),
+            xmlElement('Cdtr', [xmlElement('Nm', toSepaText(creditor.name, 70))]),
+            xmlElement('CdtrAcct', [xmlElement('Id', [xmlElement('IBAN', creditor.iban)])]),
+            xmlElement('CdtrAgt', [sepaFinancialInstitution(creditor.bic)]),
+            xmlElement('ChrgBr', 'SLEV'),
+            xmlElement('CdtrSchmeId', [
+                xmlElement('Id', [
+                    xmlElement('PrvtId', [
+                        xmlElement('Othr', [
+                            xmlElement('Id', creditor.creditor_id),
+                            xmlElement('SchmeNm', [xmlElement('Prtry', 'SEPA')])
+                        ])
+                    ])
+                ])
+            ]),
+            ...group.map(transaction => xmlElement('DrctDbtTxInf', [
+                xmlElement('PmtId', [xmlElement('EndToEndId', transaction.end_to_end_id)]),
+                xmlElement('InstdAmt', formatXmlAmount(transaction.amount), { Ccy: 'EUR' }),
+                xmlElement('DrctDbtTx', [
+                    xmlElement('MndtRltdInf', [
+                        xmlElement('MndtId', transaction.mandate_reference),
+                        xmlElement('DtOfSgntr', transaction.signature_date),
+                        xmlElement('AmdmntInd', 'false')
+                    ])
+                ]),
+                xmlElement('DbtrAgt', [sepaFinancialInstitution(transaction.debtor_bic)]),
+                xmlElement('Dbtr', [xmlElement('Nm', toSepaText(transaction.debtor_name, 70))]),
+                xmlElement('DbtrAcct', [xmlElement('Id', [xmlElement('IBAN', transaction.debtor_iban)])]),
+                xmlElement('RmtInf', [xmlElement('Ustrd', toSepaText(transaction.remittance_info, 140))])
+            ]))
+        ]);
+    });
+    
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + xmlElement('Document', [
+        xmlElement('CstmrDrctDbtInitn', [
+            xmlElement('GrpHdr', [
+                xmlElement('MsgId', batch.message_id),
+                xmlElement('CreDtTm', batch.created_at),
+                xmlElement('NbOfTxs', String(transactions.length)),
+                xmlElement('CtrlSum', formatXmlAmount(sum(transactions))),
+                xmlElement('InitgPty', [xmlElement('Nm', toSepaText(creditor.name, 70))])
+            ]),
+            ...paymentInfos
+        ])
+    ], {
+        xmlns: SEPA_PAIN_NAMESPACE,
+        'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance'
+    });
+}
+
+/**
+ * Gläubigerdaten aus den Abrechnungseinstellungen; null, wenn Angaben fehlen
+ */
+function getSepaCreditor(praxis) {
+    const setting = key => getPraxisSetting(key, 'billing', praxis.id);
+    
+    if (!setting('sepa_creditor_id') || !setting('bank_iban')) {
+        return null;
+    }
+    
+    return {
+        name: setting('bank_account_holder') || praxis.name,
+        iban: String(setting('bank_iban')).replace(/\s+/g, '').toUpperCase(),
+        bic: setting('bank_bic') ? String(setting('bank_bic')).toUpperCase() : null,
+        creditor_id: setting('sepa_creditor_id')
+    };
+}
+
+/**
+ * Prüft die ausgewählten Rechnungen und stellt die Lastschriften zusammen
+ */
+function buildSepaTransactions(invoiceIds, collectionDate, praxisId) {
+    const transactions = [];
+    const errors = [];
+    const firstDebitMandates = new Set();
+    
+    invoiceIds.forEach(invoiceId => {
+        const invoice = getInvoiceById(invoiceId, praxisId);
+        const fail = error => errors.push({ invoice_id: invoiceId, invoice_number: invoice ? invoice.invoice_number : null, error });
+        
+        if (!invoice) return fail('Rechnung nicht gefunden');
+        if (!['sent', 'overdue'].includes(invoice.status) || invoice.amount_open <= 0) return fail('Rechnung ist nicht offen');
+        if ((invoice.currency || 'EUR') !== 'EUR') return fail('SEPA-Lastschriften sind nur in EUR möglich');
+        if (invoice.due_date && invoice.due_date > collectionDate) return fail('Einzugsdatum liegt vor der angekündigten Fälligkeit');
+        
+        if (invoice.sepa_batch_id) {
+            const pending = getSepaBatchById(invoice.sepa_batch_id, praxisId);
+            if (pending && pending.status === 'exported') return fail(`Rechnung ist bereits in Einreichung ${pending.message_id}`);
+        }
+        
+        const mandate = getActiveSepaMandate(invoice.client_id);
+        if (!mandate) return fail('Kein aktives SEPA-Mandat für diesen Klienten');
+        if (isSepaMandateExpired(mandate, collectionDate)) return fail('SEPA-Mandat ist verfallen (36 Monate ohne Einzug)');
+        
+        if (mandate.sequence_type === 'FRST') {
+            if (firstDebitMandates.has(mandate.id)) return fail('Erstlastschrift: nur eine Rechnung je Mandat und Einreichung');
+            firstDebitMandates.add(mandate.id);
+        }
+        
+        transactions.push({
+            invoice_id: invoice.id,
+            mandate_id: mandate.id,
+            sequence_type: mandate.sequence_type,
+            amount: invoice.amount_open,
+            end_to_end_id: toSepaText(invoice.invoice_number, 35),
+            previous_collection_date: mandate.last_collection_date,
+            mandate_reference: mandate.mandate_reference,
+            signature_date: mandate.signature_date,
+            debtor_name: mandate.account_holder,
+            debtor_iban: mandate.iban,
+            debtor_bic: mandate.bic,
+            remittance_info: `Rechnung ${invoice.invoice_number} vom ${formatDateDE(invoice.invoice_date)}`
+        });
+    });
+    
+    return { transactions, errors };
+}
+
+// --- SEPA DIRECT DEBIT ROUTES --- //
+
+app.get("/api/clients/:id/sepa-mandates", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || client.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        res.json(getSepaMandatesByClient(client.id, req.user.praxis_id));
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der SEPA-Mandate:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der SEPA-Mandate" });
+    }
+});
+
+app.post("/api/clients/:id/sepa-mandates", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || client.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+        const { bic, signature_date, notes } = req.body;
+        const iban = String(req.body.iban || '').replace(/\s+/g, '').toUpperCase();
+        const accountHolder = String(req.body.account_holder || client.full_name || '').trim();
+        const sequenceType = req.body.sequence_type || 'FRST';
+        
+        if (!isValidIban(iban)) {
+            return res.status(400).json({ error: "Ungültige IBAN" });
+        }
+        
+        if (bic && !/^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/i.test(bic)) {
+            return res.status(400).json({ error: "Ungültige BIC" });
+        }
+        
+        if (!accountHolder) {
+            return res.status(400).json({ error: "Kontoinhaber ist erforderlich" });
+        }
+        
+        if (!isValidDateString(signature_date) || signature_date > today) {
+            return res.status(400).json({ error: "Gültiges Unterschriftsdatum (nicht in der Zukunft) ist erforderlich" });
+        }
+        
+        // Übernommene, bereits genutzte Mandate können direkt als Folgelastschrift angelegt werden
+        if (!SEPA_SEQUENCE_TYPES.includes(sequenceType)) {
+            return res.status(400).json({ error: `Ungültiger Sequenztyp. Erlaubt: ${SEPA_SEQUENCE_TYPES.join(', ')}` });
+        }
+        
+        if (getActiveSepaMandate(client.id)) {
+            return res.status(409).json({ error: "Für diesen Client ist bereits ein aktives Mandat hinterlegt. Bitte zuerst widerrufen." });
+        }
+        
+        const existingCount = getSepaMandatesByClient(client.id, req.user.praxis_id).length;
+        const mandateReference = req.body.mandate_reference
+            ? String(req.body.mandate_reference).trim()
+            : toSepaText(`${client.client_number || `K${client.id}`}-${existingCount + 1}`, 35).replace(/ /g, '-');
+        
+        if (!isValidMandateReference(mandateReference)) {
+            return res.status(400).json({ error: "Ungültige Mandatsreferenz (max. 35 Zeichen: A-Z, 0-9, + ? / - : ( ) . , ')" });
+        }
+        
+        let id;
+        try {
+            id = addSepaMandate({
+                praxis_id: req.user.praxis_id,
+                client_id: client.id,
+                mandate_reference: mandateReference,
+                account_holder: accountHolder,
+                iban,
+                bic: bic ? bic.toUpperCase() : null,
+                signature_date,
+                sequence_type: sequenceType,
+                notes
+            }, req.user.id);
+        } catch (error) {
+            if (String(error.message).includes('UNIQUE')) {
+                return res.status(409).json({ error: "Mandatsreferenz ist bereits vergeben" });
+            }
+            throw error;
+        }
+        
+        res.json({ success: true, mandate: getSepaMandateById(id, req.user.praxis_id) });
+    } catch (error) {
+        console.error("❌ Fehler beim Anlegen des SEPA-Mandats:", error);
+        res.status(500).json({ error: "Fehler beim Anlegen des SEPA-Mandats" });
+    }
+});
+
+app.put("/api/sepa/mandates/:id", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const mandate = getSepaMandateById(req.params.id, req.user.praxis_id);
+        if (!mandate) {
+            return res.status(404).json({ error: "SEPA-Mandat nicht gefunden" });
+        }
+        
+        if (req.body.iban !== undefined || req.body.mandate_reference !== undefined) {
+            return res.status(400).json({ error: "IBAN und Mandatsreferenz können nicht geändert werden. Bitte ein neues Mandat anlegen." });
+        }
+        
+        const updates = {};
+        if (req.body.account_holder !== undefined) {
+            updates.account_holder = String(req.body.account_holder).trim();
+            if (!updates.account_holder) {
+                return res.status(400).json({ error: "Kontoinhaber ist erforderlich" });
+            }
+        }
+        
+        if (req.body.bic !== undefined) {
+            if (req.body.bic && !/^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/i.test(req.body.bic)) {
+                return res.status(400).json({ error: "Ungültige BIC" });
+            }
+            updates.bic = req.body.bic ? req.body.bic.toUpperCase() : null;
+        }
+        
+        if (req.body.notes !== undefined) {
+            updates.notes = req.body.notes;
+        }
+        
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: "Keine Änderungen angegeben" });
+        }
+        
+        updateSepaMandate(mandate.id, updates, req.user.praxis_id, req.user.id);
+        res.json({ success: true, mandate: getSepaMandateById(mandate.id, req.user.praxis_id) });
+    } catch (error) {
+        console.error("❌ Fehler beim Aktualisieren des SEPA-Mandats:", error);
+        res.status(500).json({ error: "Fehler beim Aktualisieren des SEPA-Mandats" });
+    }
+});
+
+app.post("/api/sepa/mandates/:id/revoke", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const mandate = getSepaMandateById(req.params.id, req.user.praxis_id);
+        if (!mandate) {
+            return res.status(404).json({ error: "SEPA-Mandat nicht gefunden" });
+        }
+        
+        if (mandate.status !== 'active') {
+            return res.status(409).json({ error: "SEPA-Mandat ist bereits widerrufen" });
+        }
+        
+        revokeSepaMandate(mandate.id, formatInPraxisTimezone(new Date()).slice(0, 10), req.user.praxis_id, req.user.id);
+        res.json({ success: true, mandate: getSepaMandateById(mandate.id, req.user.praxis_id) });
+    } catch (error) {
+        console.error("❌ Fehler beim Widerrufen des SEPA-Mandats:", error);
+        res.status(500).json({ error: "Fehler beim Widerrufen des SEPA-Mandats" });
+    }
+});
+
+// Lastschrift-Datei (pain.008) aus ausgewählten Rechnungen erzeugen
+app.post("/api/sepa/batches", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const praxis = getPraxisById(req.user.praxis_id);
+        const creditor = getSepaCreditor(praxis);
+        if (!creditor) {
+            return res.status(400).json({ error: "Gläubiger-ID und IBAN der Praxis müssen in den Abrechnungseinstellungen hinterlegt sein" });
+        }
+        
+        const invoiceIds = [...new Set((Array.isArray(req.body.invoice_ids) ? req.body.invoice_ids : []).map(Number))];
+        if (invoiceIds.length === 0 || invoiceIds.some(id => !Number.isInteger(id))) {
+            return res.status(400).json({ error: "Mindestens eine Rechnung muss ausgewählt werden" });
+        }
+        
+        const now = formatInPraxisTimezone(new Date());
+        const today = now.slice(0, 10);
+        const earliest = addTargetBusinessDays(today, SEPA_MIN_LEAD_DAYS);
+        let collectionDate = req.body.collection_date;
+        
+        if (!collectionDate) {
+            // Ohne Vorgabe: frühester Termin, jedoch nicht vor der spätesten angekündigten Fälligkeit
+            collectionDate = addTargetBusinessDays(today, SEPA_DEFAULT_LEAD_DAYS);
+            const latestDueDate = invoiceIds
+                .map(id => getInvoiceById(id, req.user.praxis_id))
+                .map(invoice => invoice && invoice.due_date)
+                .filter(Boolean)
+                .sort()
+                .pop();
+            
+            if (latestDueDate > collectionDate) {
+                collectionDate = isTargetBusinessDay(latestDueDate) ? latestDueDate : addTargetBusinessDays(latestDueDate, 1);
+            }
+        }
+        
+        if (!isValidDateString(collectionDate) || !isTargetBusinessDay(collectionDate)) {
+            return res.status(400).json({ error: "Einzugsdatum muss ein TARGET-Geschäftstag sein" });
+        }
+        
+        if (collectionDate < earliest) {
+            return res.status(400).json({ error: `Einzugsdatum frühestens ${formatDateDE(earliest)}` });
+        }
+        
+        const { transactions, errors } = buildSepaTransactions(invoiceIds, collectionDate, req.user.praxis_id);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: "Lastschrift-Datei kann nicht erstellt werden", invoice_errors: errors });
+        }
+        
+        const messageId = `LS${praxis.id}-${now.replace(/\D/g, '')}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+        const xml = buildSepaDirectDebitXml({
+            message_id: messageId,
+            created_at: now,
+            collection_date: collectionDate,
+            creditor,
+            transactions
+        });
+        
+        const filePath = path.join(getPraxisUploadDir(praxis.id, 'sepa'), `${messageId}.xml`);
+        fs.writeFileSync(filePath, xml);
+        
+        const id = addSepaBatch({
+            praxis_id: praxis.id,
+            message_id: messageId,
+            collection_date: collectionDate,
+            file_path: filePath,
+            items: transactions.map(transaction => ({
+                invoice_id: transaction.invoice_id,
+                mandate_id: transaction.mandate_id,
+                sequence_type: transaction.sequence_type,
+                amount: transaction.amount,
+                end_to_end_id: transaction.end_to_end_id,
+                previous_collection_date: transaction.previous_collection_date
+            }))
+        }, req.user.id);
+        
+        res.json({ success: true, batch: getSepaBatchById(id, req.user.praxis_id) });
+    } catch (error) {
+        console.error("❌ Fehler beim Erstellen der Lastschrift-Datei:", error);
+        res.status(500).json({ error: "Fehler beim Erstellen der Lastschrift-Datei" });
+    }
+});
+
+app.get("/api/sepa/batches", requireAuth, requirePraxis, (req, res) => {
+    try {
+        res.json(getSepaBatches(req.user.praxis_id));
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Lastschrift-Einreichungen:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Lastschrift-Einreichungen" });
+    }
+});
+
+app.get("/api/sepa/batches/:id", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const batch = getSepaBatchById(req.params.id, req.user.praxis_id);
+        if (!batch) {
+            return res.status(404).json({ error: "Lastschrift-Einreichung nicht gefunden" });
+        }
+        
+        res.json({
+            ...batch,
+            items: batch.items.map(item => {
+                const invoice = getInvoiceById(item.invoice_id, req.user.praxis_id);
+                return {
+                    ...item,
+                    invoice_number: invoice ? invoice.invoice_number : null,
+                    client_name: invoice ? invoice.client_name : null,
+                    invoice_status: invoice ? invoice.status : null
+                };
+            })
+        });
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Lastschrift-Einreichung:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Lastschrift-Einreichung" });
+    }
+});
+
+app.get("/api/sepa/batches/:id/download", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const batch = getSepaBatchById(req.params.id, req.user.praxis_id);
+        if (!batch) {
+            return res.status(404).json({ error: "Lastschrift-Einreichung nicht gefunden" });
+        }
+        
+        if (batch.status === 'cancelled') {
+            return res.status(409).json({ error: "Lastschrift-Einreichung wurde verworfen" });
+        }
+        
+        if (!batch.file_path || !fs.existsSync(batch.file_path)) {
+            return res.status(404).json({ error: "Lastschrift-Datei nicht gefunden" });
+        }
+        
+        logAction(
+            req.user.praxis_id,
+            req.user.id,
+            'DOWNLOAD',
+            'sepa_batch',
+            batch.id,
+            null,
+            null,
+            `SEPA direct debit file downloaded: ${batch.message_id}`
+        );
+        
+        res.download(path.resolve(batch.file_path), `${batch.message_id}.xml`);
+    } catch (error) {
+        console.error("❌ Fehler beim Herunterladen der Lastschrift-Datei:", error);
+        res.status(500).json({ error: "Fehler beim Herunterladen der Lastschrift-Datei" });
+    }
+});
+
+// Nach erfolgtem Einzug: Zahlungseingänge zum Einzugsdatum buchen
+app.post("/api/sepa/batches/:id/settle", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const batch = getSepaBatchById(req.params.id, req.user.praxis_id);
+        if (!batch) {
+            return res.status(404).json({ error: "Lastschrift-Einreichung nicht gefunden" });
+        }
+        
+        if (batch.status !== 'exported') {
+            return res.status(409).json({ error: "Lastschrift-Einreichung ist bereits gebucht oder verworfen" });
+        }
+        
+        const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+        if (batch.collection_date > today) {
+            return res.status(409).json({ error: `Einzug erfolgt erst am ${formatDateDE(batch.collection_date)}` });
+        }
+        
+        const result = settleSepaBatch(batch.id, today, req.user.praxis_id, req.user.id);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error("❌ Fehler beim Buchen der Lastschrift-Einreichung:", error);
+        res.status(500).json({ error: "Fehler beim Buchen der Lastschrift-Einreichung" });
+    }
+});
+
+// Nicht eingereichte Datei verwerfen
+app.delete("/api/sepa/batches/:id", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const batch = getSepaBatchById(req.params.id, req.user.praxis_id);
+        if (!batch) {
+            return res.status(404).json({ error: "Lastschrift-Einreichung nicht gefunden" });
+        }
+        
+        if (batch.status !== 'exported') {
+            return res.status(409).json({ error: "Nur nicht gebuchte Einreichungen können verworfen werden" });
+        }
+        
+        cancelSepaBatch(batch.id, req.user.praxis_id, req.user.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error("❌ Fehler beim Verwerfen der Lastschrift-Einreichung:", error);
+        res.status(500).json({ error: "Fehler beim Verwerfen der Lastschrift-Einreichung" });
+    }
+});
+
+// --- DATEV EXPORT HELPER FUNCTIONS --- //
+
+const DATEV_ACCOUNT_LENGTH = 4;
+const DATEV_DEBITOR_OFFSET = 10000; // Personenkonten: Debitor = 10000 + Client-ID
+const DATEV_CHARTS = ['SKR03', 'SKR04'];
+
+// Standardkonten je Kontenrahmen, gelten solange in den Einstellungen nichts hinterlegt ist
+const DATEV_DEFAULT_ACCOUNTS = {
+    SKR03: { revenue: '8100', revenue_taxable: '8400', bank: '1200', cash: '1000' },
+    SKR04: { revenue: '4100', revenue_taxable: '4400', bank: '1800', cash: '1600' }
+};
+
+// Buchungsstapel Formatversion 13 (125 Spalten)
+const DATEV_COLUMNS = [
+    'Umsatz (ohne Soll/Haben-Kz)', 'Soll/Haben-Kennzeichen', 'WKZ Umsatz', 'Kurs', 'Basis-Umsatz',
+    'WKZ Basis-Umsatz', 'Konto', 'Gegenkonto (ohne BU-Schlüssel)', 'BU-Schlüssel', 'Belegdatum',
+    'Belegfeld 1', 'Belegfeld 2', 'Skonto', 'Buchungstext', 'Postensperre', 'Diverse Adressnummer',
+    'Geschäftspartnerbank', 'Sachverhalt', 'Zinssperre', 'Beleglink',
+    ...Array.from({ length: 8 }, (_, i) => [`Beleginfo - Art ${i + 1}`, `Beleginfo - Inhalt ${i + 1}`]).flat(),
+    'KOST1 - Kostenstelle', 'KOST2 - Kostenstelle', 'Kost-Menge', 'EU-Land u. UStID (Bestimmung)',
+    'EU-Steuersatz (Bestimmung)', 'Abw. Versteuerungsart', 'Sachverhalt L+L', 'Funktionsergänzung L+L',
+    'BU 49 Hauptfunktionstyp', 'BU 49 Hauptfunktionsnummer', 'BU 49 Funktionsergänzung',
+    ...Array.from({ length: 20 }, (_, i) => [`Zusatzinformation - Art ${i + 1}`, `Zusatzinformation - Inhalt ${i + 1}`]).flat(),
+    'Stück', 'Gewicht', 'Zahlweise', 'Forderungsart', 'Veranlagungsjahr', 'Zugeordnete Fälligkeit',
+    'Skontotyp', 'Auftragsnummer', 'Buchungstyp', 'USt-Schlüssel (Anzahlungen)', 'EU-Land (Anzahlungen)',
+    'Sachverhalt L+L (Anzahlungen)', 'EU-Steuersatz (Anzahlungen)', 'Erlöskonto (Anzahlungen)',
+    'Herkunft-Kz', 'Buchungs GUID', 'KOST-Datum', 'SEPA-Mandatsreferenz', 'Skontosperre',
+    'Gesellschaftername', 'Beteiligtennummer', 'Identifikationsnummer', 'Zeichnernummer',
+    'Postensperre bis', 'Bezeichnung SoBil-Sachverhalt', 'Kennzeichen SoBil-Buchung', 'Festschreibung',
+    'Leistungsdatum', 'Datum Zuord. Steuerperiode', 'Fälligkeit', 'Generalumkehr (GU)', 'Steuersatz',
+    'Land', 'Abrechnungsreferenz', 'BVV-Position', 'EU-Mitgliedstaat u. UStID (Ursprung)',
+    'EU-Steuersatz (Ursprung)', 'Abw. Skontokonto'
+];
+
+function datevText(value, maxLength) {
+    const text = String(value === null || value === undefined ? '' : value).replace(/[\r\n;]+/g, ' ').slice(0, maxLength);
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+function formatDatevAmount(value) {
+    return roundCurrency(Math.abs(value)).toFixed(2).replace('.', ',');
+}
+
+// Belegdatum TTMM, das Jahr ergibt sich aus dem Stapelzeitraum
+function formatDatevDocumentDate(date) {
+    return `${date.slice(8, 10)}${date.slice(5, 7)}`;
+}
+
+function formatDatevFullDate(date) {
+    return date ? `${date.slice(8, 10)}${date.slice(5, 7)}${date.slice(0, 4)}` : '';
+}
+
+function getDatevConfig(praxisId) {
+    const setting = key => {
+        const value = getPraxisSetting(key, 'billing', praxisId);
+        return value === null || value === undefined ? '' : String(value).trim();
+    };
+    
+    const chart = DATEV_CHARTS.includes(setting('datev_chart_of_accounts')) ? setting('datev_chart_of_accounts') : 'SKR03';
+    const defaults = DATEV_DEFAULT_ACCOUNTS[chart];
+    
+    return {
+        consultant_number: setting('datev_consultant_number'),
+        client_number: setting('datev_client_number'),
+        chart,
+        revenue_accounts: {
+            gesetzlich: setting('datev_revenue_account_gesetzlich') || defaults.revenue,
+            privat: setting('datev_revenue_account_privat') || defaults.revenue,
+            selbstzahler: setting('datev_revenue_account_selbstzahler') || defaults.revenue
+        },
+        revenue_account_taxable: setting('datev_revenue_account_taxable') || defaults.revenue_taxable,
+        bank_account: setting('datev_bank_account') || defaults.bank,
+        cash_account: setting('datev_cash_account') || defaults.cash
+    };
+}
+
+function getDatevRevenueAccount(invoice, config) {
+    if (invoice.tax_rate > 0) return config.revenue_account_taxable;
+    return config.revenue_accounts[invoice.insurance_type] || config.revenue_accounts.selbstzahler;
+}
+
+/**
+ * Buchungssätze: Rechnung (Debitor an Erlös), Zahlung (Bank/Kasse an Debitor),
+ * Storno (Gegenbuchung der Rechnung zum Stornodatum)
+ */
+function buildDatevBookings(data, config) {
+    const bookings = [];
+    
+    data.invoices.forEach(invoice => {
+        bookings.push({
+            type: 'invoice',
+            date: invoice.invoice_date,
+            amount: invoice.amount_gross,
+            side: 'S',
+            account: String(DATEV_DEBITOR_OFFSET + invoice.client_id),
+            contra_account: getDatevRevenueAccount(invoice, config),
+            document_number: invoice.invoice_number,
+            text: `Rechnung ${invoice.invoice_number} ${invoice.client_name || ''}`.trim(),
+            service_date: invoice.period_end,
+            due_date: invoice.due_date
+        });
+    });
+    
+    data.payments.forEach(payment => {
+        bookings.push({
+            type: 'payment',
+            date: payment.payment_date,
+            amount: payment.amount,
+            side: 'S',
+            account: payment.payment_method === 'bar' ? config.cash_account : config.bank_account,
+            contra_account: String(DATEV_DEBITOR_OFFSET + payment.client_id),
+            document_number: payment.invoice_number,
+            text: `Zahlung ${payment.invoice_number} ${payment.client_name || ''}`.trim()
+        });
+    });
+    
+    data.cancellations.forEach(invoice => {
+        bookings.push({
+            type: 'cancellation',
+            date: invoice.cancelled_at.slice(0, 10),
+            amount: invoice.amount_gross,
+            side: 'H',
+            account: String(DATEV_DEBITOR_OFFSET + invoice.client_id),
+            contra_account: getDatevRevenueAccount(invoice, config),
+            document_number: invoice.invoice_number,
+            text: `Storno Rechnung ${invoice.invoice_number} ${invoice.client_name || ''}`.trim(),
+            service_date: invoice.period_end
+        });
+    });
+    
+    const typeOrder = ['invoice', 'payment', 'cancellation'];
+    return bookings.sort((a, b) => a.date.localeCompare(b.date) || typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type));
+}
+
+/**
+ * DATEV-Format "Buchungsstapel" (EXTF 700): Kopfzeile, Spaltenüberschriften, Buchungssätze
+ */
+function buildDatevBuchungsstapel(bookings, config, options) {
+    const { dateFrom, dateTo, createdAt, exportedBy } = options;
+    const compactDate = date => date.replace(/-/g, '');
+    
+    const header = [
+        '"EXTF"', 700, 21, '"Buchungsstapel"', 13,
+        createdAt.replace(/\D/g, '').padEnd(17, '0').slice(0, 17),
+        '', '"RE"', datevText(exportedBy, 25), '""',
+        config.consultant_number, config.client_number,
+        `${dateFrom.slice(0, 4)}0101`, DATEV_ACCOUNT_LENGTH,
+        compactDate(dateFrom), compactDate(dateTo),
+        datevText(`Rechnungen ${formatDateDE(dateFrom).slice(0, 6)}-${formatDateDE(dateTo)}`, 30),
+        '""', 1, 0, 0, '"EUR"', '', '""', '', '', `"${config.chart.slice(3)}"`, '', '', '""', '""'
+    ];
+    
+    const rows = bookings.map(booking => {
+        const row = new Array(DATEV_COLUMNS.length).fill('');
+        row[0] = formatDatevAmount(booking.amount);
+        row[1] = `"${booking.side}"`;
+        row[2] = '"EUR"';
+        row[6] = booking.account;
+        row[7] = booking.contra_account;
+        row[9] = formatDatevDocumentDate(booking.date);
+        row[10] = datevText(booking.document_number, 36);
+        row[13] = datevText(booking.text, 60);
+        row[114] = formatDatevFullDate(booking.service_date);
+        row[116] = formatDatevFullDate(booking.due_date);
+        return row.join(';');
+    });
+    
+    return [header.join(';'), DATEV_COLUMNS.join(';'), ...rows].join('\r\n') + '\r\n';
+}
+
+// --- DATEV EXPORT ROUTES --- //
+
+app.get("/api/billing/datev-export", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const { from, to } = req.query;
+        if (!isValidDateString(from) || !isValidDateString(to) || from > to) {
+            return res.status(400).json({ error: "Gültiger Zeitraum (from, to) ist erforderlich" });
+        }
+        
+        // Ein Buchungsstapel darf nur ein Wirtschaftsjahr umfassen
+        if (from.slice(0, 4) !== to.slice(0, 4)) {
+            return res.status(400).json({ error: "Zeitraum muss innerhalb eines Kalenderjahres liegen" });
+        }
+        
+        const config = getDatevConfig(req.user.praxis_id);
+        const bookings = buildDatevBookings(getAccountingExportData(req.user.praxis_id, from, to), config);
+        
+        if (req.query.format === 'json') {
+            return res.json({ from, to, chart: config.chart, bookings });
+        }
+        
+        if (!config.consultant_number || !config.client_number) {
+            return res.status(400).json({ error: "DATEV-Berater- und Mandantennummer müssen in den Abrechnungseinstellungen hinterlegt sein" });
+        }
+        
+        const csv = buildDatevBuchungsstapel(bookings, config, {
+            dateFrom: from,
+            dateTo: to,
+            createdAt: formatInPraxisTimezone(new Date()),
+            exportedBy: req.user.name
+        });
+        
+        logAction(
+            req.user.praxis_id,
+            req.user.id,
+            'EXPORT',
+            'invoice',
+            null,
+            null,
+            { from, to, bookings: bookings.length },
+            `DATEV export ${from} - ${to}`
+        );
+        
+        // DATEV erwartet ANSI (Windows-1252)
+        res.setHeader('Content-Type', 'text/csv; charset=windows-1252');
+        res.setHeader('Content-Disposition', `attachment; filename="EXTF_Buchungsstapel_${from.replace(/-/g, '')}_${to.replace(/-/g, '')}.csv"`);
+        res.send(Buffer.from(csv.replace(/[^\x00-\xff]/g, '?'), 'latin1'));
+    } catch (error) {
+        console.error("❌ Fehler beim DATEV-Export:", error);
+        res.status(500).json({ error: "Fehler beim DATEV-Export" });
+    }
+});
+
+// --- THERAPY CONTINGENT HELPER FUNCTIONS --- //
+
+const CONTINGENT_LABELS = {
+    sprechstunde: 'Sprechstunde',
+    probatorik: 'Probatorik',
+    kzt1: 'KZT 1',
+    kzt2: 'KZT 2',
+    lzt: 'LZT'
+};
+
+// Regelumfang nach Psychotherapie-Richtlinie, falls bei der Erfassung keine Stundenzahl angegeben wird
+const CONTINGENT_DEFAULT_SESSIONS = { sprechstunde: 6, probatorik: 4, kzt1: 12, kzt2: 12 };
+const LZT_DEFAULT_SESSIONS = { VT: 60, TP: 60, PA: 160, ST: 36 };
+
+function getDefaultContingentSessions(contingentType, therapyType) {
+    if (contingentType === 'lzt') {
+        return LZT_DEFAULT_SESSIONS[therapyType] || LZT_DEFAULT_SESSIONS.VT;
+    }
+    return CONTINGENT_DEFAULT_SESSIONS[contingentType];
+}
+
+function daysBetween(fromDate, toDate) {
+    return Math.round((Date.parse(toDate + 'T00:00:00Z') - Date.parse(fromDate + 'T00:00:00Z')) / 86400000);
+}
+
+/**
+ * Reichert ein Kontingent um Restsitzungen, Ablauf und Warnstatus an
+ */
+function summarizeContingent(contingent, today = formatInPraxisTimezone(new Date()).slice(0, 10)) {
+    const remaining = Math.max(0, contingent.sessions_approved - contingent.sessions_used);
+    const thresholds = getPraxisSetting('contingent_warning_thresholds', 'therapy', contingent.praxis_id) || [];
+    const daysUntilExpiry = contingent.valid_until ? daysBetween(today, contingent.valid_until) : null;
+    
+    const summary = {
+        ...contingent,
+        label: CONTINGENT_LABELS[contingent.contingent_type],
+        sessions_remaining: remaining,
+        days_until_expiry: daysUntilExpiry,
+        expired: daysUntilExpiry !== null && daysUntilExpiry < 0,
+        warning: null
+    };
+    
+    if (contingent.status !== 'active') {
+        return summary;
+    }
+    
+    if (summary.expired) {
+        summary.warning = `Bewilligung ${summary.label} ist am ${formatDateDE(contingent.valid_until)} abgelaufen`;
+    } else if (thresholds.some(threshold => remaining <= threshold)) {
+        summary.warning = `Nur noch ${remaining} ${remaining === 1 ? 'Sitzung' : 'Sitzungen'} im Kontingent ${summary.label}`;
+    } else if (daysUntilExpiry !== null && daysUntilExpiry <= (getPraxisSetting('contingent_expiry_warning_days', 'therapy', contingent.praxis_id) || 30)) {
+        summary.warning = `Bewilligung ${summary.label} läuft am ${formatDateDE(contingent.valid_until)} ab`;
+    }
+    
+    return summary;
+}
+
+/**
+ * Kontingentstand nach dem Anlegen einer Sitzung für die API-Antwort.
+ * GKV-Sitzungen ohne gültige Bewilligung werden ausdrücklich gemeldet.
+ */
+function getSessionContingentInfo(sessionId, client) {
+    const session = sessionId ? getSessionById(sessionId) : null;
+    if (!session || session.status !== 'durchgeführt') {
+        return { contingent: null, contingent_warning: null };
+    }
+    
+    if (session.contingent_id) {
+        const contingent = summarizeContingent(getTherapyContingentById(session.contingent_id));
+        const exhausted = contingent.status === 'exhausted' ? `Kontingent ${contingent.label} ist ausgeschöpft` : null;
+        return { contingent, contingent_warning: contingent.warning || exhausted };
+    }
+    
+    const requiresApproval = SESSION_TYPE_CONTINGENTS[session.type] && client.insurance_type === 'gesetzlich';
+    return {
+        contingent: null,
+        contingent_warning: requiresApproval ? `Kein gültiges Kontingent für ${session.type} am ${formatDateDE(session.date)} erfasst` : null
+    };
+}
+
+/**
+ * Prüft die Kontingentangaben aus dem Request; liefert { error } oder die bereinigten Felder
+ */
+function validateContingentInput(body, existing = null) {
+    const data = {};
+    
+    if (body.sessions_approved !== undefined) {
+        const sessions = Number(body.sessions_approved);
+        if (!Number.isInteger(sessions) || sessions < 1) {
+            return { error: "Bewilligte Sitzungen müssen eine positive ganze Zahl sein" };
+        }
+        if (existing && sessions < existing.sessions_used) {
+            return { error: `Es wurden bereits ${existing.sessions_used} Sitzungen abgebucht` };
+        }
+        data.sessions_approved = sessions;
+    }
+    
+    for (const key of ['valid_from', 'valid_until', 'approval_date']) {
+        if (body[key] === undefined) continue;
+        if (body[key] !== null && body[key] !== '' && !isValidDateString(body[key])) {
+            return { error: `Ungültiges Datum für ${key}` };
+        }
+        data[key] = body[key] || null;
+    }
+    
+    const validFrom = data.valid_from !== undefined ? data.valid_from : existing && existing.valid_from;
+    const validUntil = data.valid_until !== undefined ? data.valid_until : existing && existing.valid_until;
+    if (validFrom && validUntil && validUntil < validFrom) {
+        return { error: "Ende der Bewilligung liegt vor dem Beginn" };
+    }
+    
+    ['approval_reference', 'notes'].forEach(key => {
+        if (body[key] !== undefined) data[key] = body[key] ? String(body[key]).trim() : null;
+    });
+    
+    return { data };
+}
+
+// --- THERAPY CONTINGENT ROUTES --- //
+
+app.get("/api/clients/:id/contingents", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || client.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+        res.json(getTherapyContingentsByClient(client.id, req.user.praxis_id).map(contingent => summarizeContingent(contingent, today)));
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Kontingente:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Kontingente" });
+    }
+});
+
+app.post("/api/clients/:id/contingents", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || client.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        const contingentType = req.body.contingent_type;
+        if (!CONTINGENT_TYPES.includes(contingentType)) {
+            return res.status(400).json({ error: `Ungültiger Kontingenttyp. Erlaubt: ${CONTINGENT_TYPES.join(', ')}` });
+        }
+        
+        const input = validateContingentInput({
+            sessions_approved: getDefaultContingentSessions(contingentType, client.therapy_type),
+            ...req.body
+        });
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+        
+        const id = addTherapyContingent({
+            ...input.data,
+            praxis_id: req.user.praxis_id,
+            client_id: client.id,
+            contingent_type: contingentType
+        }, req.user.id);
+        
+        // Vor der Erfassung bereits durchgeführte Sitzungen nachträglich abbuchen
+        const assignedSessions = assignUnallocatedSessions(client.id, req.user.id);
+        
+        res.json({
+            success: true,
+            id,
+            assigned_sessions: assignedSessions,
+            contingent: summarizeContingent(getTherapyContingentById(id))
+        });
+    } catch (error) {
+        console.error("❌ Fehler beim Anlegen des Kontingents:", error);
+        res.status(500).json({ error: "Fehler beim Anlegen des Kontingents" });
+    }
+});
+
+app.get("/api/contingents/settings", requireAuth, requirePraxis, (req, res) => {
+    try {
+        res.json({
+            contingent_warning_thresholds: getPraxisSetting('contingent_warning_thresholds', 'therapy', req.user.praxis_id) || [],
+            contingent_expiry_warning_days: getPraxisSetting('contingent_expiry_warning_days', 'therapy', req.user.praxis_id)
+        });
+    } catch (error) {
+        console.error("❌ Fehler beim Laden der Kontingenteinstellungen:", error);
+        res.status(500).json({ error: "Fehler beim Laden der Kontingenteinstellungen" });
+    }
+});
+
+app.put("/api/contingents/settings", requireAuth, requirePraxis, requireRole('admin'), (req, res) => {
+    try {
+        const updates = {};
+        
+        if (req.body.contingent_warning_thresholds !== undefined) {
+            const thresholds = req.body.contingent_warning_thresholds;
+            if (!Array.isArray(thresholds) || thresholds.some(value => !Number.isInteger(value) || value < 0)) {
+                return res.status(400).json({ error: "Warnschwellen müssen eine Liste nicht-negativer ganzer Zahlen sein" });
+            }
+            updates.contingent_warning_thresholds = [...new Set(thresholds)].sort((a, b) => b - a);
+        }
+        
+        if (req.body.contingent_expiry_warning_days !== undefined) {
+            const days = Number(req.body.contingent_expiry_warning_days);
+            if (!Number.isInteger(days) || days < 1 || days > 365) {
+                return res.status(400).json({ error: "Vorlauf muss zwischen 1 und 365 Tagen liegen" });
+            }
+            updates.contingent_expiry_warning_days = days;
+        }
+        
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: "Keine Änderungen angegeben" });
+        }
+        
+        Object.entries(updates).forEach(([key, value]) => {
+            setSetting(key, value, 'therapy', null, req.user.praxis_id, req.user.id);
+        });
+        
+        logAction(req.user.praxis_id, req.user.id, 'UPDATE', 'settings', null, null, updates, 'Contingent settings updated');
+        
+        res.json({ success: true, settings: updates });
+    } catch (error) {
+        console.error("❌ Fehler beim Speichern der Kontingenteinstellungen:", error);
+        res.status(500).json({ error: "Fehler beim Speichern der Kontingenteinstellungen" });
+    }
+});
+
+app.get("/api/contingents/warnings", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+        const warnings = getActiveTherapyContingents(req.user.praxis_id)
+            .map(contingent => summarizeContingent(contingent, today))
+            .filter(contingent => contingent.warning)
+            .sort((a, b) => a.sessions_remaining - b.sessions_remaining);
+        
+        res.json(warnings);
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Kontingentwarnungen:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Kontingentwarnungen" });
+    }
+});
+
+/**
+ * Bewilligungen, die im Zeitraum ablaufen oder nach den geplanten Terminen ausgeschöpft sein werden
+ */
+app.get("/api/contingents/expiring", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const days = req.query.days !== undefined
+            ? Number(req.query.days)
+            : getPraxisSetting('contingent_expiry_warning_days', 'therapy', req.user.praxis_id) || 30;
+        
+        if (!Number.isInteger(days) || days < 1 || days > 365) {
+            return res.status(400).json({ error: "Zeitraum muss zwischen 1 und 365 Tagen liegen" });
+        }
+        
+        const now = formatInPraxisTimezone(new Date());
+        const today = now.slice(0, 10);
+        const horizon = addDaysToDate(today, days);
+        
+        const upcoming = getAppointmentsInRange(req.user.praxis_id, now, `${horizon}T23:59:59`)
+            .filter(appointment => appointment.client_id && ['scheduled', 'confirmed'].includes(appointment.status));
+        
+        const expiring = [];
+        getActiveTherapyContingents(req.user.praxis_id).forEach(contingent => {
+            const summary = summarizeContingent(contingent, today);
+            const sessionTypes = Object.keys(SESSION_TYPE_CONTINGENTS)
+                .filter(type => SESSION_TYPE_CONTINGENTS[type].includes(contingent.contingent_type));
+            
+            // Der n-te anstehende Termin verbraucht die letzte Restsitzung
+            const plannedAppointments = upcoming.filter(appointment =>
+                appointment.client_id === contingent.client_id
+                && sessionTypes.includes(APPOINTMENT_SESSION_TYPES[appointment.type])
+                && (!contingent.valid_until || appointment.start_time.slice(0, 10) <= contingent.valid_until)
+            );
+            const exhaustingAppointment = plannedAppointments[summary.sessions_remaining - 1];
+            
+            const reasons = [];
+            if (contingent.valid_until && contingent.valid_until <= horizon) {
+                reasons.push({ reason: 'expiry', date: contingent.valid_until });
+            }
+            if (exhaustingAppointment) {
+                reasons.push({ reason: 'exhaustion', date: exhaustingAppointment.start_time.slice(0, 10) });
+            }
+            
+            if (reasons.length > 0) {
+                const first = reasons.sort((a, b) => a.date.localeCompare(b.date))[0];
+                expiring.push({
+                    ...summary,
+                    planned_appointments: plannedAppointments.length,
+                    reason: first.reason,
+                    runs_out_on: first.date
+                });
+            }
+        });
+        
+        expiring.sort((a, b) => a.runs_out_on.localeCompare(b.runs_out_on));
+        
+        res.json({ from: today, to: horizon, days, contingents: expiring });
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen auslaufender Bewilligungen:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen auslaufender Bewilligungen" });
+    }
+});
+
+app.put("/api/contingents/:id", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const contingent = getTherapyContingentById(req.params.id, req.user.praxis_id);
+        if (!contingent) {
+            return res.status(404).json({ error: "Kontingent nicht gefunden" });
+        }
+        
+        const input = validateContingentInput(req.body, contingent);
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+        
+        // 'exhausted' ergibt sich aus den abgebuchten Sitzungen und wird nicht manuell gesetzt
+        if (req.body.status !== undefined) {
+            if (!['active', 'closed'].includes(req.body.status)) {
+                return res.status(400).json({ error: "Status muss 'active' oder 'closed' sein" });
+            }
+            input.data.status = req.body.status;
+        }
+        
+        if (Object.keys(input.data).length === 0) {
+            return res.status(400).json({ error: "Keine Änderungen angegeben" });
+        }
+        
+        updateTherapyContingent(contingent.id, input.data, req.user.praxis_id, req.user.id);
+        
+        res.json({ success: true, contingent: summarizeContingent(getTherapyContingentById(contingent.id)) });
+    } catch (error) {
+        console.error("❌ Fehler beim Aktualisieren des Kontingents:", error);
+        res.status(500).json({ error: "Fehler beim Aktualisieren des Kontingents" });
+    }
+});
+
+// --- TREATMENT PHASE HELPER FUNCTIONS --- //
+
+/**
+ * Prüft, ob ein Sitzungstyp in der Behandlungsphase am Sitzungsdatum erfasst werden darf.
+ * plannedUnits sind bereits gebuchte, noch nicht durchgeführte Einheiten derselben Phase.
+ * Liefert eine Fehlermeldung oder null; Sitzungen ohne erfasste Phase werden nicht geprüft.
+ */
+function validateSessionForPhase(client, sessionType, duration, status, date, plannedUnits = 0) {
+    const phase = getTreatmentPhaseAt(client.id, date);
+    if (!phase || !PHASE_SESSION_TYPES.includes(sessionType)) {
+        return null;
+    }
+    
+    const definition = TREATMENT_PHASES[phase];
+    if (!definition.session_types.includes(sessionType)) {
+        return definition.session_types.length > 0
+            ? `${sessionType} ist in der Phase „${definition.label}“ nicht zulässig. Erlaubt: ${definition.session_types.join(', ')}`
+            : `In der Phase „${definition.label}“ können keine Sitzungen erfasst werden`;
+    }
+    
+    if (status === 'durchgeführt') {
+        const usage = getTreatmentPhaseUsage(client.id)[phase];
+        if (usage.units + plannedUnits + getSessionUnits(duration, phase) > usage.max_units) {
+            const planned = plannedUnits > 0 ? `, ${plannedUnits} weitere bereits gebucht` : '';
+            return `Höchstgrenze der Phase „${definition.label}“ erreicht (${usage.units} von ${usage.max_units} Einheiten à ${definition.unit_minutes} Min.${planned})`;
+        }
+    }
+    
+    return null;
+}
+
+function getDefaultSessionType(phase, fallback) {
+    const definition = phase && TREATMENT_PHASES[phase];
+    return (definition && definition.default_session_type) || fallback;
+}
+
+/**
+ * Sitzungstyp, der beim Abschließen eines Termins angelegt wird
+ */
+function getAppointmentSessionType(appointmentType, phase) {
+    if (appointmentType === 'therapy') {
+        return getDefaultSessionType(phase, APPOINTMENT_SESSION_TYPES.therapy);
+    }
+    return APPOINTMENT_SESSION_TYPES[appointmentType] || 'Einzeltherapie';
+}
+
+/**
+ * Prüft zu buchende Termine eines Clients gegen die Regeln der Behandlungsphase am
+ * jeweiligen Termindatum. Bereits gebuchte Termine zählen zur Höchstgrenze der Phase;
+ * excludeIds sind Termine, die durch die Buchung ersetzt werden.
+ */
+function validateAppointmentsForPhase(client, appointmentType, occurrences, excludeIds = []) {
+    const getDuration = times => Math.round((Date.parse(times.end_time + 'Z') - Date.parse(times.start_time + 'Z')) / 60000);
+    
+    const plannedUnits = {};
+    getAppointmentsInRange(client.praxis_id, '0000-01-01T00:00:00', '9999-12-31T23:59:59', { client_id: client.id })
+        .filter(appointment => ['scheduled', 'confirmed'].includes(appointment.status)
+            && !appointment.session_id
+            && !excludeIds.includes(appointment.id))
+        .forEach(appointment => {
+            const phase = getTreatmentPhaseAt(client.id, appointment.start_time.slice(0, 10));
+            if (phase && TREATMENT_PHASES[phase].session_types.includes(getAppointmentSessionType(appointment.type, phase))) {
+                plannedUnits[phase] = (plannedUnits[phase] || 0) + getSessionUnits(getDuration(appointment), phase);
+            }
+        });
+    
+    for (const occurrence of occurrences) {
+        const date = occurrence.start_time.slice(0, 10);
+        const phase = getTreatmentPhaseAt(client.id, date);
+        const sessionType = getAppointmentSessionType(appointmentType, phase);
+        const duration = getDuration(occurrence);
+        
+        const error = validateSessionForPhase(client, sessionType, duration, 'durchgeführt', date, plannedUnits[phase] || 0);
+        if (error) {
+            return occurrences.length > 1 ? `Termin am ${formatDateDE(date)}: ${error}` : error;
+        }
+        
+        if (phase && PHASE_SESSION_TYPES.includes(sessionType)) {
+            plannedUnits[phase] = (plannedUnits[phase] || 0) + getSessionUnits(duration, phase);
+        }
+    }
+    
+    return null;
+}
+
+function buildTreatmentPhaseStatus(client) {
+    const definition = client.treatment_phase ? TREATMENT_PHASES[client.treatment_phase] : null;
+    
+    return {
+        client_id: client.id,
+        phase: client.treatment_phase || null,
+        label: definition ? definition.label : null,
+        allowed_transitions: definition ? definition.transitions : Object.keys(TREATMENT_PHASES),
+        allowed_session_types: definition ? definition.session_types : null,
+        ebm_codes: definition ? definition.ebm_codes : [],
+        usage: getTreatmentPhaseUsage(client.id),
+        history: getTreatmentPhaseHistory(client.id, client.praxis_id)
+    };
+}
+
+// --- TREATMENT PHASE ROUTES --- //
+
+app.get("/api/treatment-phases", requireAuth, (req, res) => {
+    try {
+        res.json(Object.entries(TREATMENT_PHASES).map(([key, phase]) => ({ key, ...phase })));
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Behandlungsphasen:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Behandlungsphasen" });
+    }
+});
+
+app.get("/api/clients/:id/treatment-phase", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || client.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        res.json(buildTreatmentPhaseStatus(client));
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Behandlungsphase:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Behandlungsphase" });
+    }
+});
+
+app.post("/api/clients/:id/treatment-phase", requireAuth, requirePraxis, requireRole('admin', 'therapeut'), (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || client.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        const { phase, reason } = req.body;
+        const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+        const changedAt = req.body.changed_at || today;
+        
+        if (!TREATMENT_PHASES[phase]) {
+            return res.status(400).json({ error: `Ungültige Phase. Erlaubt: ${Object.keys(TREATMENT_PHASES).join(', ')}` });
+        }
+        
+        if (!isValidDateString(changedAt) || changedAt > today) {
+            return res.status(400).json({ error: "Ungültiges Datum für den Phasenwechsel" });
+        }
+        
+        // Die erste Erfassung darf in jeder Phase beginnen (laufende Behandlungen übernehmen)
+        const current = client.treatment_phase;
+        if (current && !TREATMENT_PHASES[current].transitions.includes(phase)) {
+            return res.status(409).json({
+                error: `Wechsel von „${TREATMENT_PHASES[current].label}“ zu „${TREATMENT_PHASES[phase].label}“ ist nicht zulässig`,
+                allowed_transitions: TREATMENT_PHASES[current].transitions
+            });
+        }
+        
+        const history = getTreatmentPhaseHistory(client.id, req.user.praxis_id);
+        if (history.length > 0 && changedAt < history[history.length - 1].changed_at) {
+            return res.status(400).json({ error: "Phasenwechsel darf nicht vor dem letzten Wechsel liegen" });
+        }
+        
+        setTreatmentPhase(client.id, phase, { changed_at: changedAt, reason }, req.user.praxis_id, req.user.id);
+        
+        res.json({ success: true, ...buildTreatmentPhaseStatus(getClientById(client.id)) });
+    } catch (error) {
+        console.error("❌ Fehler beim Wechsel der Behandlungsphase:", error);
+        res.status(500).json({ error: "Fehler beim Wechsel der Behandlungsphase" });
+    }
+});
+
+// --- THERAPY APPLICATION HELPER FUNCTIONS --- //
+
+const APPLICATION_TYPE_LABELS = {
+    kzt1: 'Kurzzeittherapie 1',
+    kzt2: 'Kurzzeittherapie 2',
+    lzt: 'Langzeittherapie',
+    umwandlung: 'Umwandlung KZT in LZT',
+    fortfuehrung: 'Fortführung LZT'
+};
+
+// Entscheidungsfrist der Krankenkasse nach § 13 Abs. 3a SGB V (Tage ab Eingang)
+const APPLICATION_DECISION_DAYS = 21;
+const APPLICATION_DECISION_DAYS_WITH_REVIEW = 35;
+const APPLICATION_DECISIONS = ['approved', 'partially_approved', 'rejected'];
+const APPLICATION_DATE_FIELDS = ['ptv1_date', 'ptv2_date', 'consiliar_report_date', 'report_submitted_at'];
+
+function getDefaultRequestedSessions(applicationType, therapyType) {
+    if (['kzt1', 'kzt2'].includes(applicationType)) {
+        return CONTINGENT_DEFAULT_SESSIONS[applicationType];
+    }
+    return applicationType === 'fortfuehrung' ? null : getDefaultContingentSessions('lzt', therapyType);
+}
+
+/**
+ * Fehlende Unterlagen vor der Einreichung. Der Konsiliarbericht ist nur vor
+ * Beginn der Behandlung nötig, der Bericht an den Gutachter nur im Gutachterverfahren.
+ */
+function getApplicationMissingItems(application) {
+    const missing = [];
+    if (!application.ptv1_date) missing.push('PTV 1 (Antrag des Versicherten)');
+    if (!application.ptv2_date) missing.push('PTV 2 (Angaben des Therapeuten)');
+    if (['kzt1', 'lzt'].includes(application.application_type) && !application.consiliar_report_date) {
+        missing.push('Konsiliarbericht');
+    }
+    if (application.requires_review && !application.report_submitted_at) {
+        missing.push('Bericht an den Gutachter');
+    }
+    return missing;
+}
+
+function summarizeApplication(application, today = formatInPraxisTimezone(new Date()).slice(0, 10)) {
+    const daysUntilDue = application.status === 'submitted' && application.decision_due_date
+        ? daysBetween(today, application.decision_due_date)
+        : null;
+    
+    return {
+        ...application,
+        requires_review: !!application.requires_review,
+        label: APPLICATION_TYPE_LABELS[application.application_type],
+        missing_items: application.status === 'draft' ? getApplicationMissingItems(application) : [],
+        days_until_decision_due: daysUntilDue,
+        decision_overdue: daysUntilDue !== null && daysUntilDue < 0
+    };
+}
+
+function validateApplicationDates(body) {
+    for (const key of [...APPLICATION_DATE_FIELDS, 'submitted_at']) {
+        if (body[key] !== undefined && body[key] !== null && body[key] !== '' && !isValidDateString(body[key])) {
+            return `Ungültiges Datum für ${key}`;
+        }
+    }
+    return null;
+}
+
+// --- THERAPY APPLICATION ROUTES --- //
+
+app.get("/api/clients/:id/applications", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || client.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+        res.json(getTherapyApplicationsByClient(client.id, req.user.praxis_id).map(application => summarizeApplication(application, today)));
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Anträge:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Anträge" });
+    }
+});
+
+app.post("/api/clients/:id/applications", requireAuth, requirePraxis, requireRole('admin', 'therapeut'), (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || client.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        const applicationType = req.body.application_type;
+        if (!APPLICATION_CONTINGENT_TYPES[applicationType]) {
+            return res.status(400).json({ error: `Ungültige Antragsart. Erlaubt: ${Object.keys(APPLICATION_CONTINGENT_TYPES).join(', ')}` });
+        }
+        
+        const sessionsRequested = Number(req.body.sessions_requested !== undefined
+            ? req.body.sessions_requested
+            : getDefaultRequestedSessions(applicationType, client.therapy_type));
+        if (!Number.isInteger(sessionsRequested) || sessionsRequested < 1) {
+            return res.status(400).json({ error: "Beantragte Sitzungen müssen eine positive ganze Zahl sein" });
+        }
+        
+        const dateError = validateApplicationDates(req.body);
+        if (dateError) {
+            return res.status(400).json({ error: dateError });
+        }
+        
+        const openApplication = getTherapyApplicationsByClient(client.id, req.user.praxis_id)
+            .find(application => ['draft', 'submitted'].includes(application.status));
+        if (openApplication) {
+            return res.status(409).json({ error: "Für diesen Client ist bereits ein offener Antrag vorhanden", application_id: openApplication.id });
+        }
+        
+        // Kurzzeittherapie ist in der Regel gutachterfrei, LZT-Anträge gehen an den Gutachter
+        const requiresReview = req.body.requires_review !== undefined
+            ? !!req.body.requires_review
+            : !['kzt1', 'kzt2'].includes(applicationType);
+        
+        const id = addTherapyApplication({
+            praxis_id: req.user.praxis_id,
+            client_id: client.id,
+            application_type: applicationType,
+            sessions_requested: sessionsRequested,
+            requires_review: requiresReview,
+            ptv1_date: req.body.ptv1_date,
+            ptv2_date: req.body.ptv2_date,
+            consiliar_report_date: req.body.consiliar_report_date,
+            report_submitted_at: req.body.report_submitted_at,
+            reviewer_name: req.body.reviewer_name,
+            notes: req.body.notes
+        }, req.user.id);
+        
+        res.json({ success: true, id, application: summarizeApplication(getTherapyApplicationById(id)) });
+    } catch (error) {
+        console.error("❌ Fehler beim Anlegen des Antrags:", error);
+        res.status(500).json({ error: "Fehler beim Anlegen des Antrags" });
+    }
+});
+
+app.get("/api/applications/open", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+        const applications = getOpenTherapyApplications(req.user.praxis_id)
+            .map(application => summarizeApplication(application, today))
+            .sort((a, b) => (a.days_until_decision_due ?? Infinity) - (b.days_until_decision_due ?? Infinity));
+        
+        res.json(applications);
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen offener Anträge:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen offener Anträge" });
+    }
+});
+
+app.get("/api/applications/:id", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const application = getTherapyApplicationById(req.params.id, req.user.praxis_id);
+        if (!application) {
+            return res.status(404).json({ error: "Antrag nicht gefunden" });
+        }
+        
+        res.json(summarizeApplication(application));
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen des Antrags:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen des Antrags" });
+    }
+});
+
+app.put("/api/applications/:id", requireAuth, requirePraxis, requireRole('admin', 'therapeut'), (req, res) => {
+    try {
+        const application = getTherapyApplicationById(req.params.id, req.user.praxis_id);
+        if (!application) {
+            return res.status(404).json({ error: "Antrag nicht gefunden" });
+        }
+        
+        if (!['draft', 'submitted'].includes(application.status)) {
+            return res.status(409).json({ error: "Entschiedene oder zurückgezogene Anträge können nicht geändert werden" });
+        }
+        
+        const dateError = validateApplicationDates(req.body);
+        if (dateError) {
+            return res.status(400).json({ error: dateError });
+        }
+        
+        const updates = {};
+        [...APPLICATION_DATE_FIELDS, 'reviewer_name', 'notes'].forEach(key => {
+            if (req.body[key] !== undefined) updates[key] = req.body[key] || null;
+        });
+        
+        // Umfang und Verfahren liegen mit der Einreichung fest
+        if (application.status === 'draft') {
+            if (req.body.sessions_requested !== undefined) {
+                const sessionsRequested = Number(req.body.sessions_requested);
+                if (!Number.isInteger(sessionsRequested) || sessionsRequested < 1) {
+                    return res.status(400).json({ error: "Beantragte Sitzungen müssen eine positive ganze Zahl sein" });
+                }
+                updates.sessions_requested = sessionsRequested;
+            }
+            if (req.body.requires_review !== undefined) {
+                updates.requires_review = !!req.body.requires_review;
+            }
+        }
+        
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: "Keine Änderungen angegeben" });
+        }
+        
+        updateTherapyApplication(application.id, updates, req.user.praxis_id, req.user.id);
+        
+        res.json({ success: true, application: summarizeApplication(getTherapyApplicationById(application.id)) });
+    } catch (error) {
+        console.error("❌ Fehler beim Aktualisieren des Antrags:", error);
+        res.status(500).json({ error: "Fehler beim Aktualisieren des Antrags" });
+    }
+});
+
+app.post("/api/applications/:id/submit", requireAuth, requirePraxis, requireRole('admin', 'therapeut'), (req, res) => {
+    try {
+        const application = getTherapyApplicationById(req.params.id, req.user.praxis_id);
+        if (!application) {
+            return res.status(404).json({ error: "Antrag nicht gefunden" });
+        }
+        
+        if (application.status !== 'draft') {
+            return res.status(409).json({ error: "Nur Entwürfe können eingereicht werden" });
+        }
+        
+        const missingItems = getApplicationMissingItems(application);
+        if (missingItems.length > 0) {
+            return res.status(400).json({ error: "Antrag ist unvollständig", missing_items: missingItems });
+        }
+        
+        const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+        const submittedAt = req.body.submitted_at || today;
+        if (!isValidDateString(submittedAt) || submittedAt > today) {
+            return res.status(400).json({ error: "Ungültiges Einreichungsdatum" });
+        }
+        
+        const decisionDays = application.requires_review ? APPLICATION_DECISION_DAYS_WITH_REVIEW : APPLICATION_DECISION_DAYS;
+        updateTherapyApplication(application.id, {
+            status: 'submitted',
+            submitted_at: submittedAt,
+            decision_due_date: addDaysToDate(submittedAt, decisionDays)
+        }, req.user.praxis_id, req.user.id);
+        
+        res.json({ success: true, application: summarizeApplication(getTherapyApplicationById(application.id)) });
+    } catch (error) {
+        console.error("❌ Fehler beim Einreichen des Antrags:", error);
+        res.status(500).json({ error: "Fehler beim Einreichen des Antrags" });
+    }
+});
+
+app.post("/api/applications/:id/decision", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const application = getTherapyApplicationById(req.params.id, req.user.praxis_id);
+        if (!application) {
+            return res.status(404).json({ error: "Antrag nicht gefunden" });
+        }
+        
+        if (application.status !== 'submitted') {
+            return res.status(409).json({ error: "Bescheid kann nur für eingereichte Anträge erfasst werden" });
+        }
+        
+        const { decision, approval_reference, decision_notes } = req.body;
+        if (!APPLICATION_DECISIONS.includes(decision)) {
+            return res.status(400).json({ error: `Ungültige Entscheidung. Erlaubt: ${APPLICATION_DECISIONS.join(', ')}` });
+        }
+        
+        const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+        const decisionDate = req.body.decision_date || today;
+        if (!isValidDateString(decisionDate) || decisionDate > today || decisionDate < application.submitted_at) {
+            return res.status(400).json({ error: "Ungültiges Bescheiddatum" });
+        }
+        
+        let sessionsApproved = 0;
+        if (decision !== 'rejected') {
+            sessionsApproved = Number(req.body.sessions_approved !== undefined ? req.body.sessions_approved : application.sessions_requested);
+            if (!Number.isInteger(sessionsApproved) || sessionsApproved < 1) {
+                return res.status(400).json({ error: "Bewilligte Sitzungen müssen eine positive ganze Zahl sein" });
+            }
+            if (decision === 'partially_approved' && sessionsApproved >= application.sessions_requested) {
+                return res.status(400).json({ error: "Bei Teilbewilligung müssen weniger Sitzungen als beantragt bewilligt werden" });
+            }
+        }
+        
+        for (const key of ['valid_from', 'valid_until']) {
+            if (req.body[key] && !isValidDateString(req.body[key])) {
+                return res.status(400).json({ error: `Ungültiges Datum für ${key}` });
+            }
+        }
+        if (req.body.valid_from && req.body.valid_until && req.body.valid_until < req.body.valid_from) {
+            return res.status(400).json({ error: "Ende der Bewilligung liegt vor dem Beginn" });
+        }
+        
+        const { contingentId } = recordApplicationDecision(application.id, {
+            decision,
+            decision_date: decisionDate,
+            sessions_approved: sessionsApproved,
+            approval_reference,
+            decision_notes,
+            valid_from: req.body.valid_from || decisionDate,
+            valid_until: req.body.valid_until
+        }, req.user.praxis_id, req.user.id);
+        
+        const client = getClientById(application.client_id);
+        if (contingentId) {
+            assignUnallocatedSessions(client.id, req.user.id);
+            
+            // Nach der Bewilligung beginnt die Richtlinientherapie
+            const nextPhase = APPLICATION_CONTINGENT_TYPES[application.application_type] === 'lzt' ? 'lzt' : 'kzt';
+            if (client.treatment_phase === 'antrag') {
+                setTreatmentPhase(client.id, nextPhase, { changed_at: decisionDate, reason: `Bewilligung Antrag #${application.id}` }, req.user.praxis_id, req.user.id);
+            }
+        }
+        
+        res.json({
+            success: true,
+            application: summarizeApplication(getTherapyApplicationById(application.id)),
+            contingent: contingentId ? summarizeContingent(getTherapyContingentById(contingentId)) : null,
+            sessions_approved: getClientById(client.id).sessions_approved
+        });
+    } catch (error) {
+        console.error("❌ Fehler beim Erfassen des Bescheids:", error);
+        res.status(500).json({ error: "Fehler beim Erfassen des Bescheids" });
+    }
+});
+
+app.post("/api/applications/:id/withdraw", requireAuth, requirePraxis, requireRole('admin', 'therapeut'), (req, res) => {
+    try {
+        const application = getTherapyApplicationById(req.params.id, req.user.praxis_id);
+        if (!application) {
+            return res.status(404).json({ error: "Antrag nicht gefunden" });
+        }
+        
+        if (!['draft', 'submitted'].includes(application.status)) {
+            return res.status(409).json({ error: "Antrag ist bereits abgeschlossen" });
+        }
+        
+        updateTherapyApplication(application.id, {
+            status: 'withdrawn',
+            notes: req.body.reason ? [application.notes, `Zurückgezogen: ${req.body.reason}`].filter(Boolean).join('\n') : application.notes
+        }, req.user.praxis_id, req.user.id);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error("❌ Fehler beim Zurückziehen des Antrags:", error);
+        res.status(500).json({ error: "Fehler beim Zurückziehen des Antrags" });
+    }
+});
+
+// --- ANAMNESIS ROUTES --- //
+
+const ANAMNESE_TYPES = ['biographical', 'medical', 'psychological', 'social', 'family'];
+
+app.get("/api/clients/:id/anamneses", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || client.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        res.json(getAnamnesesByClient(client.id, req.user.praxis_id));
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Anamnesen:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Anamnesen" });
+    }
+});
+
+app.post("/api/clients/:id/anamneses", requireAuth, requirePraxis, requireRole('admin', 'therapeut'), (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || client.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        const type = req.body.type || 'psychological';
+        if (!ANAMNESE_TYPES.includes(type)) {
+            return res.status(400).json({ error: `Ungültiger Anamnesetyp. Erlaubt: ${ANAMNESE_TYPES.join(', ')}` });
+        }
+        
+        if (!req.body.data || typeof req.body.data !== 'object') {
+            return res.status(400).json({ error: "Anamnesedaten fehlen" });
+        }
+        
+        const result = addAnamnese({
+            client_id: client.id,
+            type,
+            data: req.body.data,
+            completion_status: req.body.completion_status,
+            completion_percentage: req.body.completion_percentage,
+            risk_factors: req.body.risk_factors,
+            protective_factors: req.body.protective_factors,
+            differential_diagnosis: req.body.differential_diagnosis,
+            treatment_recommendations: req.body.treatment_recommendations,
+            urgency_level: req.body.urgency_level,
+            created_by: req.user.id
+        });
+        
+        res.json({ success: true, id: result.lastInsertRowid });
+    } catch (error) {
+        console.error("❌ Fehler beim Speichern der Anamnese:", error);
+        res.status(500).json({ error: "Fehler beim Speichern der Anamnese" });
+    }
+});
+
+// --- REVIEWER REPORT HELPER FUNCTIONS --- //
+
+// Gliederung nach dem Leitfaden zum Bericht an die Gutachterin / den Gutachter (PTV 3)
+const REVIEWER_REPORT_SECTIONS = [
+    { key: 'sociodemographic', title: '1. Relevante soziodemographische Daten', anamneses: ['social'] },
+    { key: 'symptoms', title: '2. Symptomatik und psychischer Befund', anamneses: ['psychological'] },
+    { key: 'somatic', title: '3. Somatischer Befund / Konsiliarbericht', anamneses: ['medical'] },
+    { key: 'history', title: '4. Behandlungsrelevante Angaben zur Lebensgeschichte, zur Krankheitsanamnese, zum funktionalen Bedingungsmodell bzw. zur psychodynamischen Hypothese', anamneses: ['biographical', 'family'] },
+    { key: 'diagnosis', title: '5. Diagnose zum Zeitpunkt der Antragstellung', anamneses: [] },
+    { key: 'treatment_plan', title: '6. Behandlungsplan und Prognose', anamneses: [] },
+    { key: 'conversion', title: '7. Zusätzlich erforderliche Angaben bei einem Umwandlungsantrag', anamneses: [], application_types: ['umwandlung'] },
+    { key: 'continuation', title: '8. Zusätzlich erforderliche Angaben bei einem Fortführungsantrag', anamneses: [], application_types: ['fortfuehrung'] }
+];
+
+const THERAPY_TYPE_LABELS = {
+    VT: 'Verhaltenstherapie',
+    TP: 'Tiefenpsychologisch fundierte Psychotherapie',
+    PA: 'Analytische Psychotherapie',
+    ST: 'Systemische Therapie',
+    Gruppe: 'Gruppenpsychotherapie'
+};
+
+const REPORT_PLACEHOLDER = '[Angaben ergänzen]';
+
+function humanizeKey(key) {
+    const text = String(key).replace(/[_-]+/g, ' ').trim();
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Wandelt frei strukturierte Anamnesedaten (Frage/Antwort-Listen oder Objekte) in Textzeilen um
+ */
+function flattenAnamneseData(data, prefix = '') {
+    if (data === null || data === undefined || data === '') return [];
+    
+    if (Array.isArray(data)) {
+        return data.flatMap(entry => {
+            if (entry && typeof entry === 'object' && (entry.question || entry.label)) {
+                const answer = Array.isArray(entry.answer) ? entry.answer.join(', ') : entry.answer;
+                return answer === undefined || answer === null || answer === '' ? [] : [`${entry.question || entry.label}: ${answer}`];
+            }
+            return flattenAnamneseData(entry, prefix);
+        });
+    }
+    
+    if (typeof data === 'object') {
+        return Object.entries(data).flatMap(([key, value]) => {
+            const label = prefix ? `${prefix} – ${humanizeKey(key)}` : humanizeKey(key);
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                return flattenAnamneseData(value, label);
+            }
+            if (Array.isArray(value) && value.every(item => typeof item !== 'object')) {
+                return value.length > 0 ? [`${label}: ${value.join(', ')}`] : [];
+            }
+            if (Array.isArray(value)) {
+                return flattenAnamneseData(value, label);
+            }
+            return value === null || value === undefined || value === '' ? [] : [`${label}: ${value}`];
+        });
+    }
+    
+    return [prefix ? `${prefix}: ${data}` : String(data)];
+}
+
+function getAgeInYears(birthDate, today) {
+    if (!isValidDateString(birthDate)) return null;
+    const age = Number(today.slice(0, 4)) - Number(birthDate.slice(0, 4));
+    return today.slice(5) < birthDate.slice(5, 10) ? age - 1 : age;
+}
+
+// Chiffre für den Umschlag an den Gutachter: Anfangsbuchstabe des Nachnamens + Geburtsdatum (TTMMJJ)
+function buildReviewerChiffre(client) {
+    // "Nachname, Vorname" oder "Vorname Nachname" (bzw. Initialen "V.N.")
+    const name = String(client.name || '').trim();
+    const lastName = name.includes(',') ? name.split(',')[0] : name.split(/[\s.]+/).filter(Boolean).pop() || '';
+    const initial = lastName.replace(/[^A-Za-zÄÖÜäöü]/g, '').charAt(0).toUpperCase();
+    const birth = isValidDateString(client.birth_date)
+        ? `${client.birth_date.slice(8, 10)}${client.birth_date.slice(5, 7)}${client.birth_date.slice(2, 4)}`
+        : '';
+    return `${initial}${birth}` || null;
+}
+
+function describeAssessment(assessment) {
+    const instrument = ASSESSMENTS[assessment.assessment_type];
+    const score = instrument ? `${assessment.total_score}/${instrument.maxScore}` : String(assessment.total_score);
+    return `${assessment.assessment_type} (${formatDateDE(assessment.completed_at)}): ${score} Punkte${assessment.severity_level ? `, ${assessment.severity_level}` : ''}`;
+}
+
+/**
+ * Stellt die strukturierten Klientendaten in der Gliederung des Gutachterberichts zusammen.
+ * Jeder Abschnitt enthält die Stichpunkte (facts) und einen editierbaren Entwurfstext.
+ */
+function buildReviewerReport(client, application) {
+    const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+    const anamneses = getAnamnesesByClient(client.id, client.praxis_id);
+    const assessments = getAssessmentsByClient(client.id)
+        .sort((a, b) => a.completed_at.localeCompare(b.completed_at) || a.id - b.id);
+    const goals = getTreatmentGoalsByClient(client.id, {}, client.praxis_id)
+        .filter(goal => !['cancelled'].includes(goal.status));
+    const sessions = getSessionsByClient(client.id, 1000).filter(session => session.status === 'durchgeführt');
+    
+    const latestByType = {};
+    const firstByType = {};
+    assessments.forEach(assessment => {
+        firstByType[assessment.assessment_type] = firstByType[assessment.assessment_type] || assessment;
+        latestByType[assessment.assessment_type] = assessment;
+    });
+    
+    const anamneseFacts = types => anamneses
+        .filter(anamnese => types.includes(anamnese.type))
+        .flatMap(anamnese => flattenAnamneseData(anamnese.data));
+    
+    const age = getAgeInYears(client.birth_date, today);
+    const therapyLabel = THERAPY_TYPE_LABELS[client.therapy_type] || client.therapy_type;
+    
+    const facts = {
+        sociodemographic: [
+            age !== null ? `Alter: ${age} Jahre` : null,
+            ...anamneseFacts(['social'])
+        ],
+        symptoms: [
+            ...anamneseFacts(['psychological']),
+            ...anamneses.flatMap(anamnese => anamnese.risk_factors.map(factor => `Risikofaktor: ${factor}`)),
+            ...anamneses.flatMap(anamnese => anamnese.protective_factors.map(factor => `Schutzfaktor: ${factor}`)),
+            client.risk_level && client.risk_level !== 'niedrig' ? `Aktuelle Risikoeinschätzung: ${client.risk_level}` : null,
+            ...Object.values(latestByType).map(assessment => `Testdiagnostik ${describeAssessment(assessment)}`)
+        ],
+        somatic: [
+            application && application.consiliar_report_date
+                ? `Konsiliarbericht vom ${formatDateDE(application.consiliar_report_date)} liegt vor`
+                : null,
+            ...anamneseFacts(['medical'])
+        ],
+        history: anamneseFacts(['biographical', 'family']),
+        diagnosis: [
+            client.diagnosis_primary ? `Hauptdiagnose: ${client.diagnosis_primary}` : null,
+            client.diagnosis_secondary ? `Weitere Diagnosen: ${client.diagnosis_secondary}` : null,
+            ...anamneses.filter(anamnese => anamnese.differential_diagnosis)
+                .map(anamnese => `Differentialdiagnostische Überlegungen: ${anamnese.differential_diagnosis}`)
+        ],
+        treatment_plan: [
+            therapyLabel ? `Verfahren: ${therapyLabel}` : null,
+            application ? `Beantragt: ${APPLICATION_TYPE_LABELS[application.application_type]}, ${application.sessions_requested} Sitzungen` : null,
+            client.session_frequency ? `Frequenz: ${client.session_frequency}` : null,
+            ...goals.map(goal => `Therapieziel: ${goal.title}${goal.target_value ? ` (Zielwert: ${goal.target_value})` : ''}`),
+            ...goals.flatMap(goal => goal.interventions.map(intervention => `Geplante Intervention: ${typeof intervention === 'object' ? (intervention.name || intervention.title || JSON.stringify(intervention)) : intervention}`)),
+            ...anamneses.filter(anamnese => anamnese.treatment_recommendations)
+                .map(anamnese => `Behandlungsempfehlung: ${anamnese.treatment_recommendations}`)
+        ]
+    };
+    
+    // Verlaufsangaben für Umwandlungs- und Fortführungsanträge
+    const courseFacts = [
+        `Bisher durchgeführte Sitzungen: ${sessions.length}`,
+        ...Object.keys(latestByType)
+            .filter(type => firstByType[type].id !== latestByType[type].id)
+            .map(type => `Verlauf ${type}: ${firstByType[type].total_score} → ${latestByType[type].total_score} Punkte (${formatDateDE(firstByType[type].completed_at)} – ${formatDateDE(latestByType[type].completed_at)})`),
+        ...goals.map(goal => `Zielerreichung „${goal.title}“: ${goal.progress || 0} %${goal.status === 'completed' ? ' (erreicht)' : ''}`)
+    ];
+    facts.conversion = courseFacts;
+    facts.continuation = courseFacts;
+    
+    const sections = REVIEWER_REPORT_SECTIONS
+        .filter(section => !section.application_types || (application && section.application_types.includes(application.application_type)))
+        .map(section => {
+            const sectionFacts = facts[section.key].filter(Boolean);
+            return {
+                key: section.key,
+                title: section.title,
+                facts: sectionFacts,
+                text: sectionFacts.length > 0 ? sectionFacts.join('\n') : REPORT_PLACEHOLDER
+            };
+        });
+    
+    return {
+        client_id: client.id,
+        application_id: application ? application.id : null,
+        title: 'Bericht an die Gutachterin / den Gutachter',
+        meta: [
+            ['Chiffre', buildReviewerChiffre(client)],
+            ['Verfahren', therapyLabel],
+            ['Antrag', application ? `${APPLICATION_TYPE_LABELS[application.application_type]} (${application.sessions_requested} Sitzungen)` : null],
+            ['Stand', formatDateDE(today)]
+        ].filter(([, value]) => value),
+        sections
+    };
+}
+
+// Hinweis für den Aufrufer, welche Angaben den KI-Dienst erreichen
+const REVIEWER_REPORT_AI_NOTICE = 'Die Stichpunkte einschließlich Freitext aus den Anamnesen wurden an einen externen KI-Dienst übermittelt. ' +
+    'Name, Anschrift, Kontaktdaten und Versichertennummer des Clients sowie die Angaben zum Notfallkontakt wurden zuvor ersetzt; ' +
+    'andere Namen Dritter im Freitext werden nicht erkannt.';
+
+/**
+ * Ersetzt die bekannten Identifikatoren des Clients im Freitext: eigene Namensbestandteile durch
+ * die Chiffre, Anschrift, Kontaktdaten, Notfallkontakt und Überweiser durch Platzhalter
+ */
+function pseudonymizeReportFacts(facts, client) {
+    const chiffre = buildReviewerChiffre(client) || '[Client]';
+    // Großgeschriebene Namensbestandteile; bei Notfallkontakt und Überweiser nur der Name vor Zusätzen wie "(Ehemann), 0171 …"
+    const nameParts = value => String(value || '').split(/[\s,;.()]+/).filter(part => part.length >= 3 && /^\p{Lu}/u.test(part));
+    const contactName = value => String(value || '').split(/[,;(]|\d/)[0];
+    
+    const replacements = [
+        ...[client.full_name, client.name, ...nameParts(client.full_name)].map(value => [value, chiffre]),
+        ...[client.address, ...splitAddressLines(client.address), client.email, client.phone, client.insurance_number]
+            .map(value => [value, '[Kontaktdaten]']),
+        ...[client.emergency_contact, client.referring_doctor].flatMap(value => [value, ...nameParts(contactName(value))])
+            .map(value => [value, '[Name]'])
+    ]
+        .map(([value, replacement]) => [String(value || '').trim(), replacement])
+        .filter(([value]) => value.length >= 3)
+        .sort((a, b) => b[0].length - a[0].length);
+    
+    return facts.map(fact => replacements.reduce((text, [value, replacement]) => {
+        const pattern = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return text.replace(new RegExp(`(?<![\\p{L}\\p{N}])${pattern}(?![\\p{L}\\p{N}])`, 'giu'), replacement);
+    }, fact));
+}
+
+/**
+ * Formuliert die Stichpunkte der Abschnitte als Fließtext vor. Übermittelt werden die
+ * Stichpunkte nach pseudonymizeReportFacts, also auch der Freitext aus den Anamnesen.
+ */
+async function draftReviewerReportSections(report, client) {
+    const useOpenAI = !!process.env.OPENAI_API_KEY;
+    const procedure = THERAPY_TYPE_LABELS[client.therapy_type] || 'Psychotherapie';
+    
+    for (const section of report.sections) {
+        if (section.facts.length === 0) continue;
+        
+        const facts = pseudonymizeReportFacts(section.facts, client).join('\n');
+        const prompt = `Formuliere den Abschnitt „${section.title}“ eines Berichts an den Gutachter (PTV 3) für einen Antrag auf ${procedure}.
+Verwende ausschließlich die folgenden Angaben, ergänze keine Fakten und nenne keine Namen.
+Schreibe sachlich, in klinischer Fachsprache und als zusammenhängenden Fließtext ohne Überschrift.
+Fehlende, für den Gutachter wesentliche Angaben markiere mit ${REPORT_PLACEHOLDER}.`;
+        
+        try {
+            section.text = useOpenAI
+                ? await callOpenAI([
+                    { role: "system", content: "Du bist ein erfahrener approbierter Psychotherapeut und verfasst Berichte im Gutachterverfahren der gesetzlichen Krankenversicherung." },
+                    { role: "user", content: `${prompt}\n\nAngaben:\n${facts}` }
+                ])
+                : await analyzeTextWithClaude(facts, prompt);
+            section.ai_drafted = true;
+        } catch (error) {
+            console.error(`❌ KI-Entwurf für Abschnitt ${section.key} fehlgeschlagen:`, error);
+            section.ai_error = 'KI-Entwurf nicht verfügbar';
+        }
+    }
+    
+    return report;
+}
+
+/**
+ * Minimales, in Word/LibreOffice editierbares DOCX (WordprocessingML) aus Absätzen
+ */
+async function buildDocx(paragraphs, properties = {}) {
+    const runXml = text => `<w:r><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+    const body = paragraphs.flatMap(paragraph => String(paragraph.text || '').split('\n').map(line =>
+        `<w:p>${paragraph.style ? `<w:pPr><w:pStyle w:val="${paragraph.style}"/></w:pPr>` : ''}${line ? runXml(line) : ''}</w:p>`
+    )).join('');
+    
+    const styleXml = (id, name, runProperties, paragraphProperties = '') =>
+        `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>` +
+        `<w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/>${paragraphProperties}</w:pPr><w:rPr>${runProperties}</w:rPr></w:style>`;
+    
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml',
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+        '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+        '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+        '</Types>');
+    zip.file('_rels/.rels',
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+        '</Relationships>');
+    zip.file('word/_rels/document.xml.rels',
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        '</Relationships>');
+    zip.file('word/styles.xml',
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+        '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial" w:cs="Arial"/><w:sz w:val="22"/><w:lang w:val="de-DE"/></w:rPr></w:rPrDefault>' +
+        '<w:pPrDefault><w:pPr><w:spacing w:after="80" w:line="300" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+        '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+        styleXml('Title', 'Title', '<w:b/><w:sz w:val="32"/>', '<w:outlineLvl w:val="0"/>') +
+        styleXml('Heading1', 'heading 1', '<w:b/><w:sz w:val="24"/>', '<w:outlineLvl w:val="1"/>') +
+        '</w:styles>');
+    zip.file('docProps/core.xml',
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+        `<dc:title>${escapeXml(properties.title || '')}</dc:title><dc:creator>${escapeXml(properties.creator || '')}</dc:creator>` +
+        `<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')}</dcterms:created>` +
+        '</cp:coreProperties>');
+    zip.file('word/document.xml',
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+        body +
+        '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1417" w:right="1417" w:bottom="1134" w:left="1417" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>' +
+        '</w:body></w:document>');
+    
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+/**
+ * Liefert den Antrag zum Bericht: ausdrücklich angegeben oder der jüngste offene Antrag des Clients
+ */
+function resolveReportApplication(client, applicationId) {
+    if (applicationId) {
+        const application = getTherapyApplicationById(applicationId, client.praxis_id);
+        return application && application.client_id === client.id ? application : undefined;
+    }
+    return getTherapyApplicationsByClient(client.id, client.praxis_id)
+        .find(application => ['draft', 'submitted'].includes(application.status)) || null;
+}
+
+// --- REVIEWER REPORT ROUTES --- //
+
+app.post("/api/clients/:id/reviewer-report", requireAuth, requirePraxis, requireRole('admin', 'therapeut'), async (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || client.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        const application = resolveReportApplication(client, req.body.application_id);
+        if (application === undefined) {
+            return res.status(404).json({ error: "Antrag nicht gefunden" });
+        }
+        
+        const report = buildReviewerReport(client, application);
+        
+        if (req.body.ai_draft) {
+            if (!process.env.OPENAI_API_KEY && !anthropic) {
+                return res.status(503).json({ error: 'Kein KI-Dienst konfiguriert (OpenAI oder Anthropic API Key fehlt)' });
+            }
+            await draftReviewerReportSections(report, client);
+            report.ai_notice = REVIEWER_REPORT_AI_NOTICE;
+            logAction(req.user.praxis_id, req.user.id, 'CREATE', 'client', client.id, null, null, 'Reviewer report drafted with AI assistance');
+        }
+        
+        res.json(report);
+    } catch (error) {
+        console.error("❌ Fehler beim Erstellen des Gutachterberichts:", error);
+        res.status(500).json({ error: "Fehler beim Erstellen des Gutachterberichts" });
+    }
+});
+
+app.post("/api/clients/:id/reviewer-report.docx", requireAuth, requirePraxis, requireRole('admin', 'therapeut'), async (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || client.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        const application = resolveReportApplication(client, req.body.application_id);
+        if (application === undefined) {
+            return res.status(404).json({ error: "Antrag nicht gefunden" });
+        }
+        
+        if (req.body.sections !== undefined && !Array.isArray(req.body.sections)) {
+            return res.status(400).json({ error: "sections muss eine Liste sein" });
+        }
+        
+        // Im Editor überarbeitete Abschnittstexte ersetzen den automatisch zusammengestellten Entwurf
+        const report = buildReviewerReport(client, application);
+        (req.body.sections || []).forEach(edited => {
+            const section = report.sections.find(entry => entry.key === edited.key);
+            if (section && typeof edited.text === 'string') {
+                section.text = edited.text;
+            }
+        });
+        
+        const buffer = await buildDocx([
+            { style: 'Title', text: report.title },
+            ...report.meta.map(([label, value]) => ({ text: `${label}: ${value}` })),
+            ...report.sections.flatMap(section => [
+                { style: 'Heading1', text: section.title },
+                { text: section.text }
+            ])
+        ], { title: report.title, creator: req.user.name });
+        
+        logAction(req.user.praxis_id, req.user.id, 'EXPORT', 'client', client.id, null, { application_id: report.application_id }, 'Reviewer report exported as DOCX');
+        
+        res.set({
+            'Content-Type': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'Content-Disposition': `attachment; filename="Bericht-Gutachter-${client.client_number || client.id}.docx"`,
+            'Content-Length': buffer.length
+        });
+        res.send(buffer);
+    } catch (error) {
+        console.error("❌ Fehler beim Exportieren des Gutachterberichts:", error);
+        res.status(500).json({ error: "Fehler beim Exportieren des Gutachterberichts" });
+    }
+});
+
+// --- WAITING LIST HELPER FUNCTIONS --- //
+
+const WAITLIST_URGENCIES = ['routine', 'urgent', 'immediate'];
+const WAITLIST_CONTACT_CHANNELS = ['telefon', 'email', 'brief', 'sms', 'persoenlich'];
+const WAITLIST_CONTACT_OUTCOMES = ['erreicht', 'nicht_erreicht', 'rueckruf_erbeten', 'kein_interesse'];
+const WAITLIST_THERAPY_TYPES = ['VT', 'TP', 'PA', 'ST', 'Gruppe'];
+
+/**
+ * Zeitfenster: [{ weekday: 1–7 (Mo–So), from: 'HH:MM', to: 'HH:MM' }]
+ */
+function validateWaitlistSlots(slots) {
+    if (!Array.isArray(slots)) {
+        return "Zeitfenster müssen als Liste angegeben werden";
+    }
+    
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+    for (const slot of slots) {
+        if (!slot || !Number.isInteger(slot.weekday) || slot.weekday < 1 || slot.weekday > 7) {
+            return "Ungültiger Wochentag im Zeitfenster (1 = Montag … 7 = Sonntag)";
+        }
+        if (!timePattern.test(slot.from || '') || !timePattern.test(slot.to || '') || slot.to <= slot.from) {
+            return "Ungültige Uhrzeit im Zeitfenster (HH:MM, Ende nach Beginn)";
+        }
+    }
+    return null;
+}
+
+function matchesPreferredSlot(entry, startTime) {
+    if (!startTime || entry.preferred_slots.length === 0) return null;
+    
+    const weekday = new Date(startTime.slice(0, 10) + 'T00:00:00Z').getUTCDay() || 7;
+    const time = startTime.slice(11, 16);
+    return entry.preferred_slots.some(slot => slot.weekday === weekday && time >= slot.from && time < slot.to);
+}
+
+/**
+ * Priorität = Wartetage + Dringlichkeitszuschlag (in Tagen, praxisweit einstellbar)
+ */
+function summarizeWaitlistEntry(entry, today, weights, slotStart = null) {
+    const waitingDays = daysBetween(entry.request_date, entry.placed_at || entry.removed_at || today);
+    
+    return {
+        ...entry,
+        waiting_days: waitingDays,
+        priority_score: entry.status === 'waiting' ? waitingDays + (weights[entry.urgency] || 0) : null,
+        matches_slot: matchesPreferredSlot(entry, slotStart)
+    };
+}
+
+function validateWaitlistInput(body, req) {
+    const data = {};
+    
+    if (body.request_date !== undefined) {
+        if (!isValidDateString(body.request_date) || body.request_date > formatInPraxisTimezone(new Date()).slice(0, 10)) {
+            return { error: "Ungültiges Anfragedatum" };
+        }
+        data.request_date = body.request_date;
+    }
+    
+    if (body.urgency !== undefined) {
+        if (!WAITLIST_URGENCIES.includes(body.urgency)) {
+            return { error: `Ungültige Dringlichkeit. Erlaubt: ${WAITLIST_URGENCIES.join(', ')}` };
+        }
+        data.urgency = body.urgency;
+    }
+    
+    if (body.preferred_therapy_type !== undefined) {
+        if (body.preferred_therapy_type && !WAITLIST_THERAPY_TYPES.includes(body.preferred_therapy_type)) {
+            return { error: `Ungültiges Verfahren. Erlaubt: ${WAITLIST_THERAPY_TYPES.join(', ')}` };
+        }
+        data.preferred_therapy_type = body.preferred_therapy_type || null;
+    }
+    
+    if (body.preferred_therapist_id !== undefined) {
+        if (body.preferred_therapist_id) {
+            const therapist = getUserById(body.preferred_therapist_id);
+            if (!therapist || therapist.praxis_id !== req.user.praxis_id) {
+                return { error: "Therapeut nicht gefunden", status: 404 };
+            }
+        }
+        data.preferred_therapist_id = body.preferred_therapist_id || null;
+    }
+    
+    if (body.preferred_slots !== undefined) {
+        const slotError = validateWaitlistSlots(body.preferred_slots || []);
+        if (slotError) {
+            return { error: slotError };
+        }
+        data.preferred_slots = body.preferred_slots || [];
+    }
+    
+    if (body.notes !== undefined) {
+        data.notes = body.notes || null;
+    }
+    
+    return { data };
+}
+
+// --- WAITING LIST ROUTES --- //
+
+app.get("/api/waitlist", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const status = req.query.status || 'waiting';
+        if (!['waiting', 'placed', 'removed'].includes(status)) {
+            return res.status(400).json({ error: "Ungültiger Status" });
+        }
+        
+        const slotStart = req.query.start_time ? normalizeDateTime(req.query.start_time) : null;
+        if (req.query.start_time && !slotStart) {
+            return res.status(400).json({ error: "Ungültige Startzeit" });
+        }
+        
+        const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+        const weights = getPraxisSetting('waitlist_urgency_weights', 'therapy', req.user.praxis_id) || {};
+        const entries = getWaitlistEntries(req.user.praxis_id, { status })
+            .map(entry => summarizeWaitlistEntry(entry, today, weights, slotStart));
+        
+        // Bei freiem Termin zuerst die passenden Zeitfenster, danach nach Priorität
+        entries.sort((a, b) =>
+            (slotStart ? (b.matches_slot === true) - (a.matches_slot === true) : 0)
+            || (b.priority_score ?? 0) - (a.priority_score ?? 0)
+            || a.request_date.localeCompare(b.request_date)
+            || a.id - b.id
+        );
+        
+        res.json(entries);
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Warteliste:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Warteliste" });
+    }
+});
+
+app.post("/api/waitlist", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const client = getClientById(req.body.client_id);
+        if (!client || client.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        const input = validateWaitlistInput({
+            request_date: formatInPraxisTimezone(new Date()).slice(0, 10),
+            preferred_therapy_type: client.therapy_type,
+            ...req.body
+        }, req);
+        if (input.error) {
+            return res.status(input.status || 400).json({ error: input.error });
+        }
+        
+        if (getWaitlistEntries(req.user.praxis_id, { client_id: client.id, status: 'waiting' }).length > 0) {
+            return res.status(409).json({ error: "Client steht bereits auf der Warteliste" });
+        }
+        
+        const id = addWaitlistEntry({
+            ...input.data,
+            praxis_id: req.user.praxis_id,
+            client_id: client.id
+        }, req.user.id);
+        
+        res.json({ success: true, id });
+    } catch (error) {
+        console.error("❌ Fehler beim Aufnehmen in die Warteliste:", error);
+        res.status(500).json({ error: "Fehler beim Aufnehmen in die Warteliste" });
+    }
+});
+
+app.get("/api/waitlist/statistics", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+        const from = req.query.from || addDaysToDate(today, -365);
+        const to = req.query.to || today;
+        
+        if (!isValidDateString(from) || !isValidDateString(to) || from > to) {
+            return res.status(400).json({ error: "Ungültiger Zeitraum" });
+        }
+        
+        const stats = getWaitlistStatistics(req.user.praxis_id, from, to);
+        const round = value => value === null || value === undefined ? null : Math.round(value * 10) / 10;
+        const totals = groups => {
+            const count = groups.reduce((sum, group) => sum + group.count, 0);
+            return {
+                count,
+                avg_wait_days: count > 0 ? round(groups.reduce((sum, group) => sum + group.avg_wait_days * group.count, 0) / count) : null,
+                max_wait_days: groups.length > 0 ? round(Math.max(...groups.map(group => group.max_wait_days))) : null
+            };
+        };
+        const byUrgency = groups => Object.fromEntries(groups.map(group => [group.urgency, {
+            count: group.count,
+            avg_wait_days: round(group.avg_wait_days),
+            max_wait_days: round(group.max_wait_days)
+        }]));
+        
+        res.json({
+            from,
+            to,
+            placed: { ...totals(stats.placed), by_urgency: byUrgency(stats.placed) },
+            waiting: { ...totals(stats.waiting), by_urgency: byUrgency(stats.waiting) },
+            removed: stats.removed
+        });
+    } catch (error) {
+        console.error("❌ Fehler beim Berechnen der Wartelistenstatistik:", error);
+        res.status(500).json({ error: "Fehler beim Berechnen der Wartelistenstatistik" });
+    }
+});
+
+app.get("/api/waitlist/:id", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const entry = getWaitlistEntryById(req.params.id, req.user.praxis_id);
+        if (!entry) {
+            return res.status(404).json({ error: "Wartelisteneintrag nicht gefunden" });
+        }
+        
+        const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+        const weights = getPraxisSetting('waitlist_urgency_weights', 'therapy', req.user.praxis_id) || {};
+        
+        res.json({
+            ...summarizeWaitlistEntry(entry, today, weights),
+            contact_log: getWaitlistContactAttempts(entry.id)
+        });
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen des Wartelisteneintrags:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen des Wartelisteneintrags" });
+    }
+});
+
+app.put("/api/waitlist/:id", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const entry = getWaitlistEntryById(req.params.id, req.user.praxis_id);
+        if (!entry) {
+            return res.status(404).json({ error: "Wartelisteneintrag nicht gefunden" });
+        }
+        
+        if (entry.status !== 'waiting') {
+            return res.status(409).json({ error: "Eintrag ist nicht mehr auf der Warteliste" });
+        }
+        
+        const input = validateWaitlistInput(req.body, req);
+        if (input.error) {
+            return res.status(input.status || 400).json({ error: input.error });
+        }
+        
+        if (Object.keys(input.data).length === 0) {
+            return res.status(400).json({ error: "Keine Änderungen angegeben" });
+        }
+        
+        updateWaitlistEntry(entry.id, input.data, req.user.praxis_id, req.user.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error("❌ Fehler beim Aktualisieren des Wartelisteneintrags:", error);
+        res.status(500).json({ error: "Fehler beim Aktualisieren des Wartelisteneintrags" });
+    }
+});
+
+app.post("/api/waitlist/:id/contacts", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const entry = getWaitlistEntryById(req.params.id, req.user.praxis_id);
+        if (!entry) {
+            return res.status(404).json({ error: "Wartelisteneintrag nicht gefunden" });
+        }
+        
+        const contactedAt = req.body.contacted_at ? normalizeDateTime(req.body.contacted_at) : formatInPraxisTimezone(new Date());
+        if (!contactedAt) {
+            return res.status(400).json({ error: "Ungültiger Kontaktzeitpunkt" });
+        }
+        
+        const channel = req.body.channel || 'telefon';
+        if (!WAITLIST_CONTACT_CHANNELS.includes(channel)) {
+            return res.status(400).json({ error: `Ungültiger Kontaktweg. Erlaubt: ${WAITLIST_CONTACT_CHANNELS.join(', ')}` });
+        }
+        
+        if (!WAITLIST_CONTACT_OUTCOMES.includes(req.body.outcome)) {
+            return res.status(400).json({ error: `Ungültiges Ergebnis. Erlaubt: ${WAITLIST_CONTACT_OUTCOMES.join(', ')}` });
+        }
+        
+        const id = addWaitlistContactAttempt(entry.id, {
+            contacted_at: contactedAt,
+            channel,
+            outcome: req.body.outcome,
+            notes: req.body.notes
+        }, req.user.id);
+        
+        res.json({ success: true, id });
+    } catch (error) {
+        console.error("❌ Fehler beim Protokollieren des Kontaktversuchs:", error);
+        res.status(500).json({ error: "Fehler beim Protokollieren des Kontaktversuchs" });
+    }
+});
+
+app.post("/api/waitlist/:id/offer", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const entry = getWaitlistEntryById(req.params.id, req.user.praxis_id);
+        if (!entry) {
+            return res.status(404).json({ error: "Wartelisteneintrag nicht gefunden" });
+        }
+        
+        if (entry.status !== 'waiting') {
+            return res.status(409).json({ error: "Eintrag ist nicht mehr auf der Warteliste" });
+        }
+        
+        const input = resolveAppointmentInput({
+            therapist_id: entry.preferred_therapist_id || req.user.id,
+            ...req.body,
+            client_id: entry.client_id
+        }, req);
+        if (input.error) {
+            return res.status(input.status || 400).json({ error: input.error });
+        }
+        
+        const phaseError = validateAppointmentsForPhase(input.client, req.body.type || 'intake', [input]);
+        if (phaseError) {
+            return res.status(409).json({ error: phaseError });
+        }
+        
+        const conflicts = findAppointmentConflicts(req.user.praxis_id, input);
+        if (conflicts.length > 0 && !req.body.force) {
+            return res.status(409).json({ error: "Terminüberschneidung", conflicts });
+        }
+        
+        const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+        const { appointmentId } = placeWaitlistEntry(entry.id, {
+            praxis_id: req.user.praxis_id,
+            client_id: input.client_id,
+            therapist_id: input.therapist_id,
+            start_time: input.start_time,
+            end_time: input.end_time,
+            title: req.body.title || `Erstgespräch ${input.client.name}`,
+            type: req.body.type || 'intake',
+            location: req.body.location,
+            notes: req.body.notes,
+            status: 'scheduled'
+        }, today, req.user.praxis_id, req.user.id);
+        
+        res.json({
+            success: true,
+            appointment_id: appointmentId,
+            waiting_days: daysBetween(entry.request_date, today),
+            conflicts
+        });
+    } catch (error) {
+        console.error("❌ Fehler beim Vergeben des Therapieplatzes:", error);
+        res.status(500).json({ error: "Fehler beim Vergeben des Therapieplatzes" });
+    }
+});
+
+app.delete("/api/waitlist/:id", requireAuth, requirePraxis, requireRole('admin', 'therapeut', 'assistenz'), (req, res) => {
+    try {
+        const entry = getWaitlistEntryById(req.params.id, req.user.praxis_id);
+        if (!entry) {
+            return res.status(404).json({ error: "Wartelisteneintrag nicht gefunden" });
+        }
+        
+        if (entry.status !== 'waiting') {
+            return res.status(409).json({ error: "Eintrag ist nicht mehr auf der Warteliste" });
+        }
+        
+        removeWaitlistEntry(entry.id, req.body.reason, formatInPraxisTimezone(new Date()).slice(0, 10), req.user.praxis_id, req.user.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error("❌ Fehler beim Entfernen aus der Warteliste:", error);
+        res.status(500).json({ error: "Fehler beim Entfernen aus der Warteliste" });
+    }
+});
+
+// --- RISK ALERT ROUTES --- //
+
+app.get("/api/risk-alerts", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const status = req.query.status || 'active';
+        if (!['active', 'open', 'acknowledged', 'closed'].includes(status)) {
+            return res.status(400).json({ error: "Ungültiger Status" });
+        }
+        
+        const alerts = getRiskAlerts(req.user.praxis_id, {
+            status,
+            assigned_to: req.query.mine === 'true' ? req.user.id : null
+        });
+        res.json(alerts);
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Risikowarnungen:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Risikowarnungen" });
+    }
+});
+
+app.get("/api/clients/:id/risk-alerts", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || client.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        res.json(getRiskAlerts(req.user.praxis_id, { client_id: client.id }));
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Risikowarnungen:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Risikowarnungen" });
+    }
+});
+
+app.get("/api/risk-alerts/:id", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const alert = getRiskAlertById(req.params.id, req.user.praxis_id);
+        if (!alert) {
+            return res.status(404).json({ error: "Risikowarnung nicht gefunden" });
+        }
+        res.json(alert);
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Risikowarnung:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Risikowarnung" });
+    }
+});
+
+app.post("/api/risk-alerts/:id/acknowledge", requireAuth, requirePraxis, requireRole('admin', 'therapeut'), (req, res) => {
+    try {
+        const alert = getRiskAlertById(req.params.id, req.user.praxis_id);
+        if (!alert) {
+            return res.status(404).json({ error: "Risikowarnung nicht gefunden" });
+        }
+        
+        if (alert.status !== 'open') {
+            return res.status(409).json({ error: "Risikowarnung wurde bereits bestätigt" });
+        }
+        
+        acknowledgeRiskAlert(alert.id, req.user.praxis_id, req.user.id);
+        res.json({ success: true, alert: getRiskAlertById(alert.id) });
+    } catch (error) {
+        console.error("❌ Fehler beim Bestätigen der Risikowarnung:", error);
+        res.status(500).json({ error: "Fehler beim Bestätigen der Risikowarnung" });
+    }
+});
+
+// Abschluss nur nach Bestätigung und mit dokumentierter Risikoeinschätzung (wird in clients.risk_assessment übernommen)
+app.post("/api/risk-alerts/:id/close", requireAuth, requirePraxis, requireRole('admin', 'therapeut'), (req, res) => {
+    try {
+        const alert = getRiskAlertById(req.params.id, req.user.praxis_id);
+        if (!alert) {
+            return res.status(404).json({ error: "Risikowarnung nicht gefunden" });
+        }
+        
+        if (alert.status === 'closed') {
+            return res.status(409).json({ error: "Risikowarnung ist bereits abgeschlossen" });
+        }
+        if (alert.status !== 'acknowledged') {
+            return res.status(409).json({ error: "Risikowarnung muss vor dem Abschluss bestätigt werden" });
+        }
+        
+        const riskAssessment = typeof req.body.risk_assessment === 'string' ? req.body.risk_assessment.trim() : '';
+        if (!riskAssessment) {
+            return res.status(400).json({ error: "Dokumentierte Risikoeinschätzung erforderlich" });
+        }
+        
+        if (req.body.risk_level !== undefined && !RISK_LEVELS.includes(req.body.risk_level)) {
+            return res.status(400).json({ error: "Ungültige Risikostufe" });
+        }
+        
+        closeRiskAlert(alert.id, riskAssessment, req.body.risk_level || null, req.user.praxis_id, req.user.id);
+        res.json({ success: true, alert: getRiskAlertById(alert.id) });
+    } catch (error) {
+        console.error("❌ Fehler beim Abschließen der Risikowarnung:", error);
+        res.status(500).json({ error: "Fehler beim Abschließen der Risikowarnung" });
+    }
+});
+
+// --- SELF-REPORT LINK HELPER FUNCTIONS --- //
+
+const SELF_REPORT_MAX_VALID_HOURS = 30 * 24;
+
+function getSelfReportLinkStatus(link, now) {
+    if (link.used_at) return 'used';
+    if (link.revoked_at) return 'revoked';
+    if (link.expires_at <= now) return 'expired';
+    return 'pending';
+}
+
+function summarizeSelfReportLink(link, now) {
+    return {
+        ...link,
+        status: getSelfReportLinkStatus(link, now),
+        assessment_name: ASSESSMENTS[link.assessment_type] ? ASSESSMENTS[link.assessment_type].name : link.assessment_type
+    };
+}
+
+// Öffentliche Abfragen finden den Link nur über den Token-Hash; ungültige Links verraten nichts über den Client
+function resolvePublicSelfReportLink(req, res) {
+    res.set('Cache-Control', 'no-store');
+    
+    const link = getSelfReportLinkByTokenHash(hashFeedToken(req.params.token));
+    if (!link) {
+        res.status(404).json({ error: "Link ungültig" });
+        return null;
+    }
+    
+    if (getSelfReportLinkStatus(link, formatInPraxisTimezone(new Date())) !== 'pending' || !ASSESSMENTS[link.assessment_type]) {
+        res.status(410).json({ error: "Dieser Link ist nicht mehr gültig. Bitte wenden Sie sich an Ihre Praxis." });
+        return null;
+    }
+    
+    return link;
+}
+
+// --- SELF-REPORT LINK ROUTES --- //
+
+app.get("/api/clients/:id/self-report-links", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || client.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        const now = formatInPraxisTimezone(new Date());
+        res.json(getSelfReportLinksByClient(client.id, req.user.praxis_id).map(link => summarizeSelfReportLink(link, now)));
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Fragebogen-Links:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Fragebogen-Links" });
+    }
+});
+
+// Das Token wird nur in dieser Antwort ausgegeben, gespeichert wird lediglich sein Hash
+app.post("/api/clients/:id/self-report-links", requireAuth, requirePraxis, requireRole('admin', 'therapeut'), (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || client.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        const instrument = ASSESSMENTS[req.body.assessment_type];
+        if (!instrument || !instrument.selfReport) {
+            return res.status(400).json({
+                error: "Fragebogen ist nicht für die Selbstauskunft freigegeben",
+                allowed: Object.keys(ASSESSMENTS).filter(key => ASSESSMENTS[key].selfReport)
+            });
+        }
+        
+        const validHours = req.body.valid_hours !== undefined
+            ? Number(req.body.valid_hours)
+            : getPraxisSetting('self_report_link_valid_hours', 'therapy', req.user.praxis_id) || 72;
+        if (!Number.isInteger(validHours) || validHours < 1 || validHours > SELF_REPORT_MAX_VALID_HOURS) {
+            return res.status(400).json({ error: `Gültigkeit muss zwischen 1 und ${SELF_REPORT_MAX_VALID_HOURS} Stunden liegen` });
+        }
+        
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = addMinutesToDateTime(formatInPraxisTimezone(new Date()), validHours * 60);
+        const id = addSelfReportLink({
+            praxis_id: req.user.praxis_id,
+            client_id: client.id,
+            assessment_type: req.body.assessment_type,
+            token_hash: hashFeedToken(token),
+            expires_at: expiresAt
+        }, req.user.id);
+        
+        res.json({
+            success: true,
+            id,
+            url: `${req.protocol}://${req.get('host')}/self-report/${token}`,
+            expires_at: expiresAt
+        });
+    } catch (error) {
+        console.error("❌ Fehler beim Erstellen des Fragebogen-Links:", error);
+        res.status(500).json({ error: "Fehler beim Erstellen des Fragebogen-Links" });
+    }
+});
+
+app.delete("/api/self-report-links/:id", requireAuth, requirePraxis, requireRole('admin', 'therapeut'), (req, res) => {
+    try {
+        const link = getSelfReportLinkById(req.params.id, req.user.praxis_id);
+        if (!link) {
+            return res.status(404).json({ error: "Fragebogen-Link nicht gefunden" });
+        }
+        
+        const now = formatInPraxisTimezone(new Date());
+        if (getSelfReportLinkStatus(link, now) !== 'pending') {
+            return res.status(409).json({ error: "Fragebogen-Link ist nicht mehr offen" });
+        }
+        
+        revokeSelfReportLink(link.id, now, req.user.praxis_id, req.user.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error("❌ Fehler beim Widerrufen des Fragebogen-Links:", error);
+        res.status(500).json({ error: "Fehler beim Widerrufen des Fragebogen-Links" });
+    }
+});
+
+// Öffentlich: liefert nur den Fragebogen selbst, keine Klientendaten
+app.get("/api/public/self-report/:token", (req, res) => {
+    try {
+        const link = resolvePublicSelfReportLink(req, res);
+        if (!link) return;
+        
+        const instrument = ASSESSMENTS[link.assessment_type];
+        res.json({
+            praxis_name: link.praxis_name,
+            assessment_type: link.assessment_type,
+            name: instrument.name,
+            instructions: instrument.instructions || null,
+            questions: instrument.questions,
+            scale: instrument.scale,
+            expires_at: link.expires_at
+        });
+    } catch (error) {
+        console.error("❌ Fehler beim Laden des Fragebogens:", error);
+        res.status(500).json({ error: "Fehler beim Laden des Fragebogens" });
+    }
+});
+
+app.post("/api/public/self-report/:token", (req, res) => {
+    try {
+        const link = resolvePublicSelfReportLink(req, res);
+        if (!link) return;
+        
+        // Ohne Begleitung durch die Praxis wird nicht hochgerechnet: alle Fragen müssen beantwortet sein
+        const responses = req.body.responses;
+        if (Array.isArray(responses) && responses.some(response => response === null || response === undefined)) {
+            return res.status(400).json({ error: "Bitte beantworten Sie alle Fragen." });
+        }
+        
+        let scoreResult;
+        try {
+            scoreResult = calculateAssessmentScore(link.assessment_type, responses);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        const assessmentId = db.transaction(() => {
+            const id = completeSelfReportLink(link.id, {
+                client_id: link.client_id,
+                assessment_type: link.assessment_type,
+                responses,
+                total_score: scoreResult.totalScore,
+                subscale_scores: scoreResult.subscaleScores,
+                severity_level: scoreResult.severityLevel,
+                ...getRomAssessmentFlags(link.client_id, link.assessment_type)
+            }, formatInPraxisTimezone(new Date()));
+            if (id) {
+                raiseCriticalItemAlert(getClientById(link.client_id), link.assessment_type, id, responses, null, link.created_by);
+            }
+            return id;
+        })();
+        if (!assessmentId) {
+            return res.status(410).json({ error: "Dieser Link ist nicht mehr gültig. Bitte wenden Sie sich an Ihre Praxis." });
+        }
+        
+        res.json({ success: true, message: "Vielen Dank, Ihre Angaben wurden an Ihre Praxis übermittelt." });
+    } catch (error) {
+        console.error("❌ Fehler beim Speichern der Selbstauskunft:", error);
+        res.status(500).json({ error: "Fehler beim Speichern der Selbstauskunft" });
+    }
+});
+
+// --- ROM PLAN HELPER FUNCTIONS --- //
+
+const ROM_MAX_SESSION_INTERVAL = 50;
+const ROM_MAX_DAY_INTERVAL = 365;
+
+function validateRomPlanInput(body, existing = null) {
+    const data = {};
+    
+    if (!existing) {
+        if (!ASSESSMENTS[body.assessment_type]) {
+            return { error: `Unbekannter Fragebogen. Erlaubt: ${Object.keys(ASSESSMENTS).join(', ')}` };
+        }
+        data.assessment_type = body.assessment_type;
+    }
+    
+    const intervals = [
+        ['session_interval', ROM_MAX_SESSION_INTERVAL, 'Sitzungsintervall'],
+        ['day_interval', ROM_MAX_DAY_INTERVAL, 'Tagesintervall']
+    ];
+    for (const [key, max, label] of intervals) {
+        if (body[key] === undefined) continue;
+        if (body[key] !== null && (!Number.isInteger(body[key]) || body[key] < 1 || body[key] > max)) {
+            return { error: `${label} muss zwischen 1 und ${max} liegen` };
+        }
+        data[key] = body[key];
+    }
+    
+    ['at_start', 'at_end'].forEach(key => {
+        if (body[key] !== undefined) data[key] = !!body[key];
+    });
+    
+    if (body.start_date !== undefined) {
+        if (!isValidDateString(body.start_date)) {
+            return { error: "Ungültiges Startdatum" };
+        }
+        data.start_date = body.start_date;
+    }
+    
+    if (body.notes !== undefined) {
+        data.notes = body.notes || null;
+    }
+    
+    const merged = { at_start: true, at_end: false, ...(existing || {}), ...data };
+    if (!merged.session_interval && !merged.day_interval && !merged.at_start && !merged.at_end) {
+        return { error: "Messplan benötigt mindestens einen Messzeitpunkt" };
+    }
+    
+    return { data };
+}
+
+/**
+ * Messungen seit Planbeginn und Sitzungen seit der letzten Messung. Planbeginn und Sitzungsdaten sind
+ * Praxis-Ortszeit, completed_at ist UTC: ohne Umrechnung fielen Messungen kurz vor Mitternacht auf den falschen Tag.
+ */
+function getRomPlanMeasurements(clientId, assessmentType, startDate) {
+    const sinceUtc = startDate
+        ? zonedTimeToUtc(`${startDate}T00:00:00`).toISOString().slice(0, 19).replace('T', ' ')
+        : '0000-00-00 00:00:00';
+    const data = getRomMeasurementData(clientId, assessmentType, sinceUtc);
+    const lastDate = data.last_assessment_at
+        ? formatInPraxisTimezone(new Date(`${data.last_assessment_at.replace(' ', 'T')}Z`)).slice(0, 10)
+        : null;
+    
+    return {
+        ...data,
+        last_assessment_date: lastDate,
+        sessions_since_last: countCompletedSessionsAfter(clientId, lastDate || (startDate ? addDaysToDate(startDate, -1) : '0000-00-00'))
+    };
+}
+
+/**
+ * Erste Messung eines Instruments seit Beginn des Messplans (ohne Plan: überhaupt) ist die Baseline,
+ * alle weiteren sind Verlaufsmessungen
+ */
+function getRomAssessmentFlags(clientId, assessmentType) {
+    const plan = getRomPlansByClient(clientId).find(candidate => candidate.assessment_type === assessmentType);
+    const data = getRomPlanMeasurements(clientId, assessmentType, plan ? plan.start_date : null);
+    return data.assessment_count === 0
+        ? { is_baseline: 1, is_follow_up: 0 }
+        : { is_baseline: 0, is_follow_up: 1 };
+}
+
+/**
+ * Fälligkeit eines Messplans: Baseline ab Planbeginn, danach nach Sitzungs- und/oder Tagesintervall
+ * seit der letzten Messung, Abschlussmessung bei Therapieende bzw. letzter bewilligter Sitzung.
+ * Sitzungsbasiert ist eine Messung in der n-ten Sitzung fällig und danach überfällig,
+ * datumsbasiert gilt sie nach Ablauf der Karenztage als überfällig.
+ */
+function evaluateRomPlan(plan, today, graceDays) {
+    const data = getRomPlanMeasurements(plan.client_id, plan.assessment_type, plan.start_date);
+    const lastDate = data.last_assessment_date;
+    const therapyEnded = plan.therapy_status === 'beendet' || plan.treatment_phase === 'abgeschlossen';
+    const remainingSessions = plan.sessions_approved > 0 ? plan.sessions_approved - plan.sessions_used : null;
+    const pendingBaseline = !!plan.at_start && data.assessment_count === 0;
+    const due = [];
+    let nextDueDate = null;
+    
+    if (plan.is_active && pendingBaseline) {
+        due.push({
+            type: 'baseline',
+            due_date: plan.start_date,
+            overdue: today > addDaysToDate(plan.start_date, graceDays),
+            message: 'Eingangsmessung (Baseline) fällig'
+        });
+    }
+    
+    if (plan.is_active && !pendingBaseline && !therapyEnded) {
+        if (plan.session_interval) {
+            if (data.sessions_since_last >= plan.session_interval) {
+                due.push({
+                    type: 'sessions',
+                    due_date: null,
+                    overdue: true,
+                    message: `${data.sessions_since_last} Sitzungen ohne Messung (geplant alle ${plan.session_interval} Sitzungen)`
+                });
+            } else if (data.sessions_since_last === plan.session_interval - 1) {
+                due.push({
+                    type: 'sessions',
+                    due_date: null,
+                    overdue: false,
+                    message: `Messung in der nächsten Sitzung fällig (alle ${plan.session_interval} Sitzungen)`
+                });
+            }
+        }
+        
+        if (plan.day_interval) {
+            nextDueDate = addDaysToDate(lastDate || plan.start_date, plan.day_interval);
+            if (today >= nextDueDate) {
+                due.push({
+                    type: 'interval',
+                    due_date: nextDueDate,
+                    overdue: today > addDaysToDate(nextDueDate, graceDays),
+                    message: `Messung seit ${formatDateDE(nextDueDate)} fällig (alle ${plan.day_interval} Tage)`
+                });
+            }
+        }
+    }
+    
+    // Abschlussmessung gilt als erledigt, wenn nach der letzten Messung keine Sitzung mehr stattfand
+    const therapyEnding = therapyEnded || (remainingSessions !== null && remainingSessions <= 1);
+    if (plan.is_active && plan.at_end && therapyEnding && (data.assessment_count === 0 || data.sessions_since_last > 0)) {
+        const endDate = therapyEnded ? (plan.end_date || today) : null;
+        due.push({
+            type: 'end',
+            due_date: endDate,
+            overdue: !!endDate && today > addDaysToDate(endDate, graceDays),
+            message: therapyEnded ? 'Abschlussmessung fällig (Therapie beendet)' : 'Abschlussmessung in der letzten bewilligten Sitzung fällig'
+        });
+    }
+    
+    return {
+        ...plan,
+        at_start: !!plan.at_start,
+        at_end: !!plan.at_end,
+        is_active: !!plan.is_active,
+        assessment_name: ASSESSMENTS[plan.assessment_type] ? ASSESSMENTS[plan.assessment_type].name : plan.assessment_type,
+        status: !plan.is_active ? 'inactive' : due.some(entry => entry.overdue) ? 'overdue' : due.length > 0 ? 'due' : 'ok',
+        due,
+        next_due_date: nextDueDate,
+        last_assessment_at: data.last_assessment_at,
+        assessment_count: data.assessment_count,
+        sessions_since_last: data.sessions_since_last
+    };
+}
+
+// --- ROM PLAN ROUTES --- //
+
+app.get("/api/clients/:id/rom-plans", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || client.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+        const graceDays = getPraxisSetting('rom_overdue_grace_days', 'therapy', req.user.praxis_id) ?? 7;
+        const plans = getRomPlansByClient(client.id, req.query.include_inactive === 'true', req.user.praxis_id)
+            .map(plan => evaluateRomPlan(plan, today, graceDays));
+        
+        res.json(plans);
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen der Messpläne:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen der Messpläne" });
+    }
+});
+
+app.post("/api/clients/:id/rom-plans", requireAuth, requirePraxis, requireRole('admin', 'therapeut'), (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || client.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        const input = validateRomPlanInput(req.body);
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+        
+        if (getRomPlansByClient(client.id).some(plan => plan.assessment_type === input.data.assessment_type)) {
+            return res.status(409).json({ error: "Für diesen Fragebogen besteht bereits ein aktiver Messplan" });
+        }
+        
+        const id = addRomPlan({
+            at_start: true,
+            at_end: false,
+            start_date: formatInPraxisTimezone(new Date()).slice(0, 10),
+            ...input.data,
+            praxis_id: req.user.praxis_id,
+            client_id: client.id
+        }, req.user.id);
+        
+        res.json({ success: true, id });
+    } catch (error) {
+        console.error("❌ Fehler beim Anlegen des Messplans:", error);
+        res.status(500).json({ error: "Fehler beim Anlegen des Messplans" });
+    }
+});
+
+// Praxisweite Übersicht aller fälligen und überfälligen Messungen
+app.get("/api/rom-plans/due", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+        const graceDays = getPraxisSetting('rom_overdue_grace_days', 'therapy', req.user.praxis_id) ?? 7;
+        const plans = getActiveRomPlans(req.user.praxis_id)
+            .map(plan => evaluateRomPlan(plan, today, graceDays))
+            .filter(plan => plan.status === 'due' || plan.status === 'overdue')
+            .sort((a, b) => (b.status === 'overdue') - (a.status === 'overdue') || a.client_name.localeCompare(b.client_name));
+        
+        res.json(plans);
+    } catch (error) {
+        console.error("❌ Fehler beim Abrufen fälliger Messungen:", error);
+        res.status(500).json({ error: "Fehler beim Abrufen fälliger Messungen" });
+    }
+});
+
+app.put("/api/rom-plans/:id", requireAuth, requirePraxis, requireRole('admin', 'therapeut'), (req, res) => {
+    try {
+        const plan = getRomPlanById(req.params.id, req.user.praxis_id);
+        if (!plan || !plan.is_active) {
+            return res.status(404).json({ error: "Messplan nicht gefunden" });
+        }
+        
+        const input = validateRomPlanInput(req.body, plan);
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+        
+        if (Object.keys(input.data).length === 0) {
+            return res.status(400).json({ error: "Keine Änderungen übergeben" });
+        }
+        
+        updateRomPlan(plan.id, input.data, req.user.praxis_id, req.user.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error("❌ Fehler beim Aktualisieren des Messplans:", error);
+        res.status(500).json({ error: "Fehler beim Aktualisieren des Messplans" });
+    }
+});
+
+app.delete("/api/rom-plans/:id", requireAuth, requirePraxis, requireRole('admin', 'therapeut'), (req, res) => {
+    try {
+        const plan = getRomPlanById(req.params.id, req.user.praxis_id);
+        if (!plan || !plan.is_active) {
+            return res.status(404).json({ error: "Messplan nicht gefunden" });
+        }
+        
+        updateRomPlan(plan.id, { is_active: false }, req.user.praxis_id, req.user.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error("❌ Fehler beim Beenden des Messplans:", error);
+        res.status(500).json({ error: "Fehler beim Beenden des Messplans" });
+    }
+});
+
+// --- PROGRESS REPORT HELPER FUNCTIONS --- //
+
+const PROGRESS_CHART_WIDTH = 900;
+const PROGRESS_CHART_FONT = 'DejaVu Sans, Helvetica, Arial, sans-serif';
+const PROGRESS_LINE_COLORS = ['#667eea', '#e53e3e', '#38a169', '#d69e2e', '#805ad5', '#3182ce'];
+// Schweregradbereiche von unauffällig (grün) bis schwer (rot)
+const PROGRESS_BAND_COLORS = ['#e6f4ea', '#fef9e0', '#fde8cc', '#fcd9c8', '#fbd0d0'];
+const MILESTONE_COLOR = '#d69e2e';
+
+/**
+ * Prüft Zeitraum und Instrumentauswahl des Verlaufsberichts (Query-Parameter oder Body).
+ * types: kommagetrennte Liste oder Array von Instrumentschlüsseln.
+ */
+function validateProgressReportOptions(source) {
+    const data = { from: null, to: null, types: null, pseudonymize: source.pseudonymize === true || source.pseudonymize === 'true' };
+    
+    for (const key of ['from', 'to']) {
+        if (source[key]) {
+            if (!isValidDateString(source[key])) {
+                return { error: `${key} muss ein Datum im Format JJJJ-MM-TT sein` };
+            }
+            data[key] = source[key];
+        }
+    }
+    if (data.from && data.to && data.from > data.to) {
+        return { error: "from darf nicht nach to liegen" };
+    }
+    
+    if (source.types) {
+        const types = (Array.isArray(source.types) ? source.types : String(source.types).split(','))
+            .map(type => String(type).trim())
+            .filter(Boolean);
+        const unknown = types.filter(type => !ASSESSMENTS[type]);
+        if (unknown.length > 0) {
+            return { error: `Unbekannte Instrumente: ${unknown.join(', ')}` };
+        }
+        data.types = types;
+    }
+    
+    return { data };
+}
+
+// Schweregrade aus dem Auswertungsschlüssel als lückenlose Bereiche in Prozent des Maximalwerts
+function getSeverityBands(instrument) {
+    const ranges = Object.entries(instrument.scoring).sort(([, a], [, b]) => a[0] - b[0]);
+    const toPercentage = score => Math.round(Math.min(score / instrument.maxScore, 1) * 1000) / 10;
+    
+    return ranges.map(([level, [min, max]], index) => {
+        const rank = ranges.length > 1 ? index / (ranges.length - 1) : 0;
+        const severity = instrument.direction === 'higher_is_better' ? 1 - rank : rank;
+        return {
+            level,
+            min,
+            max,
+            from_percentage: toPercentage(min),
+            to_percentage: toPercentage(index < ranges.length - 1 ? ranges[index + 1][1][0] : instrument.maxScore),
+            color: PROGRESS_BAND_COLORS[Math.round(severity * (PROGRESS_BAND_COLORS.length - 1))]
+        };
+    });
+}
+
+/**
+ * Stellt den Verlauf eines Klienten auf einer gemeinsamen Zeitachse zusammen: alle Messinstrumente
+ * normalisiert auf Prozent ihres Maximalwerts mit Schweregradbereichen, durchgeführte Sitzungen
+ * und Meilensteine der Therapieziele. Messungen ohne geladene Instrumentdefinition entfallen.
+ */
+function buildProgressReport(client, options = {}) {
+    const { from = null, to = null, types = null } = options;
+    const inPeriod = date => !!date && (!from || date >= from) && (!to || date <= to);
+    
+    const assessments = getAssessmentsByClient(client.id)
+        .filter(assessment => ASSESSMENTS[assessment.assessment_type]
+            && (!types || types.includes(assessment.assessment_type))
+            && inPeriod(assessment.completed_at.slice(0, 10)))
+        .sort((a, b) => a.completed_at.localeCompare(b.completed_at) || a.id - b.id);
+    
+    const instruments = [...new Set(assessments.map(assessment => assessment.assessment_type))].map((type, index) => {
+        const instrument = ASSESSMENTS[type];
+        const cutoff = instrument.norms ? instrument.norms.cutoff : null;
+        const points = assessments
+            .filter(assessment => assessment.assessment_type === type)
+            .map(assessment => ({
+                assessment_id: assessment.id,
+                date: assessment.completed_at.slice(0, 10),
+                score: assessment.total_score,
+                percentage: Math.round(assessment.total_score / instrument.maxScore * 1000) / 10,
+                severity: assessment.severity_level,
+                is_baseline: !!assessment.is_baseline,
+                session_id: assessment.session_id
+            }));
+        
+        // Einordnung nur über den dargestellten Zeitraum, mit derselben Baseline-Regel wie generateOutcomeAnalysis
+        const latest = points[points.length - 1];
+        const baseline = [...points].reverse().find(point => point.is_baseline && point !== latest) || points[0];
+        const classification = points.length > 1 ? classifyOutcome(instrument, baseline.score, latest.score) : null;
+        
+        return {
+            type,
+            name: instrument.name,
+            color: PROGRESS_LINE_COLORS[index % PROGRESS_LINE_COLORS.length],
+            direction: instrument.direction,
+            max_score: instrument.maxScore,
+            clinical_cutoff: cutoff,
+            clinical_cutoff_percentage: cutoff !== null ? Math.round(cutoff / instrument.maxScore * 1000) / 10 : null,
+            bands: getSeverityBands(instrument),
+            baseline_date: points.length > 1 ? baseline.date : null,
+            classification,
+            classification_label: classification ? OUTCOME_CLASSIFICATION_LABELS[classification] : null,
+            points
+        };
+    });
+    
+    const sessions = getSessionsByClient(client.id, 1000)
+        .filter(session => session.status === 'durchgeführt' && inPeriod(session.date.slice(0, 10)))
+        .map(session => ({ id: session.id, session_number: session.session_number, date: session.date.slice(0, 10) }))
+        .sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id);
+    
+    // Erreichte Meilensteine am Erledigungsdatum, offene am Zieldatum; abgeschlossene Ziele als eigener Meilenstein
+    const milestones = getTreatmentGoalsByClient(client.id, {}, client.praxis_id)
+        .filter(goal => goal.status !== 'cancelled')
+        .flatMap(goal => [
+            ...goal.milestones.map(milestone => ({
+                goal_id: goal.id,
+                goal_title: goal.title,
+                title: milestone.title,
+                date: milestone.completed ? (milestone.completed_at || '').slice(0, 10) : milestone.target_date,
+                completed: milestone.completed,
+                goal_completed: false
+            })),
+            ...(goal.status === 'completed' && goal.completion_date ? [{
+                goal_id: goal.id,
+                goal_title: goal.title,
+                title: `Ziel erreicht: ${goal.title}`,
+                date: goal.completion_date.slice(0, 10),
+                completed: true,
+                goal_completed: true
+            }] : [])
+        ])
+        .filter(milestone => inPeriod(milestone.date))
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map((milestone, index) => ({ number: index + 1, ...milestone }));
+    
+    const dates = [
+        ...assessments.map(assessment => assessment.completed_at.slice(0, 10)),
+        ...sessions.map(session => session.date),
+        ...milestones.map(milestone => milestone.date)
+    ].sort();
+    const today = formatInPraxisTimezone(new Date()).slice(0, 10);
+    
+    return {
+        client_id: client.id,
+        generated_at: formatInPraxisTimezone(new Date()),
+        period: {
+            from: from || dates[0] || today,
+            to: to || dates[dates.length - 1] || today
+        },
+        instruments,
+        sessions,
+        milestones,
+        assessment_count: assessments.length
+    };
+}
+
+function dateToDayNumber(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / 86400000;
+}
+
+function dayNumberToDate(dayNumber) {
+    return new Date(dayNumber * 86400000).toISOString().slice(0, 10);
+}
+
+// Achsenbeschriftung: Wochen bei kurzen, Monate bzw. Quartale bei langen Zeiträumen
+function getProgressChartTicks(startDay, endDay) {
+    const span = endDay - startDay;
+    const ticks = [];
+    
+    if (span <= 120) {
+        const step = span > 42 ? 14 : 7;
+        const firstMonday = startDay + ((8 - new Date(startDay * 86400000).getUTCDay()) % 7);
+        for (let day = firstMonday; day <= endDay; day += step) {
+            ticks.push({ day, label: formatDateDE(dayNumberToDate(day)).slice(0, 6) });
+        }
+        return ticks;
+    }
+    
+    const monthStep = span > 730 ? 6 : span > 365 ? 3 : 1;
+    const start = new Date(startDay * 86400000);
+    for (let month = start.getUTCMonth() + 1, year = start.getUTCFullYear(); ; month++) {
+        if (month > 11) {
+            month = 0;
+            year++;
+        }
+        const day = Date.UTC(year, month, 1) / 86400000;
+        if (day > endDay) break;
+        if (month % monthStep === 0) {
+            ticks.push({ day, label: `${String(month + 1).padStart(2, '0')}/${year}` });
+        }
+    }
+    return ticks;
+}
+
+function svgText(x, y, text, attributes = {}) {
+    const attrs = Object.entries({ 'font-size': 11, fill: '#2d3748', ...attributes })
+        .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+        .join('');
+    return `<text x="${x}" y="${y}"${attrs}>${escapeXml(toPdfText(text))}</text>`;
+}
+
+/**
+ * Zeichnet den Verlaufsbericht als SVG: je Instrument eine Spur (0–100 % des Maximalwerts)
+ * mit Schweregradbereichen und klinischem Cut-off, darunter Sitzungen und Meilensteine
+ * auf derselben Zeitachse sowie die Legende der Meilensteine.
+ */
+function renderProgressChartSvg(report, title) {
+    const left = 70;
+    const right = 110;
+    const plotWidth = PROGRESS_CHART_WIDTH - left - right;
+    const laneHeight = 140;
+    const laneGap = 34;
+    
+    // Gleiches Start- und Enddatum würde die Zeitachse auf einen Punkt zusammenziehen
+    let startDay = dateToDayNumber(report.period.from);
+    let endDay = dateToDayNumber(report.period.to);
+    const padding = Math.max(3, Math.round((endDay - startDay) * 0.03));
+    startDay -= padding;
+    endDay += padding;
+    const xOf = date => Math.round((left + (dateToDayNumber(date) - startDay) / (endDay - startDay) * plotWidth) * 10) / 10;
+    const ticks = getProgressChartTicks(startDay, endDay);
+    
+    const parts = [];
+    let y = 30;
+    parts.push(svgText(left, y, title, { 'font-size': 15, 'font-weight': 'bold' }));
+    parts.push(svgText(PROGRESS_CHART_WIDTH - right, y, `${formatDateDE(report.period.from)} – ${formatDateDE(report.period.to)}`, { 'text-anchor': 'end', fill: PDF_MUTED_COLOR }));
+    y += 40;
+    
+    const drawGrid = (top, height) => ticks.forEach(tick => {
+        const x = xOf(dayNumberToDate(tick.day));
+        parts.push(`<line x1="${x}" y1="${top}" x2="${x}" y2="${top + height}" stroke="#e2e8f0" stroke-width="1"/>`);
+    });
+    
+    if (report.instruments.length === 0) {
+        parts.push(`<rect x="${left}" y="${y}" width="${plotWidth}" height="60" fill="#f7fafc" stroke="#cbd5e0"/>`);
+        parts.push(svgText(left + plotWidth / 2, y + 34, 'Keine Messungen im gewählten Zeitraum', { 'text-anchor': 'middle', fill: PDF_MUTED_COLOR }));
+        y += 60 + laneGap;
+    }
+    
+    report.instruments.forEach(instrument => {
+        const yOf = percentage => Math.round((y + laneHeight * (1 - percentage / 100)) * 10) / 10;
+        
+        parts.push(svgText(left, y - 8, `${instrument.name} (${instrument.type})`, { 'font-weight': 'bold', fill: instrument.color }));
+        if (instrument.classification_label) {
+            parts.push(svgText(left + plotWidth, y - 8, `${instrument.classification_label} seit ${formatDateDE(instrument.baseline_date)}`, { 'text-anchor': 'end', fill: PDF_MUTED_COLOR }));
+        }
+        
+        instrument.bands.forEach(band => {
+            const top = yOf(band.to_percentage);
+            const height = Math.max(yOf(band.from_percentage) - top, 0);
+            parts.push(`<rect x="${left}" y="${top}" width="${plotWidth}" height="${height}" fill="${band.color}"/>`);
+            if (height >= 10) {
+                parts.push(svgText(left + plotWidth + 6, top + height / 2 + 3, band.level, { 'font-size': 9, fill: PDF_MUTED_COLOR }));
+            }
+        });
+        drawGrid(y, laneHeight);
+        
+        if (instrument.clinical_cutoff_percentage !== null) {
+            const cutoffY = yOf(instrument.clinical_cutoff_percentage);
+            parts.push(`<line x1="${left}" y1="${cutoffY}" x2="${left + plotWidth}" y2="${cutoffY}" stroke="#718096" stroke-width="1" stroke-dasharray="5,4"/>`);
+        }
+        
+        [0, 50, 100].forEach(percentage => {
+            parts.push(svgText(left - 8, yOf(percentage) + 4, `${percentage} %`, { 'font-size': 9, 'text-anchor': 'end', fill: PDF_MUTED_COLOR }));
+        });
+        parts.push(`<rect x="${left}" y="${y}" width="${plotWidth}" height="${laneHeight}" fill="none" stroke="#cbd5e0"/>`);
+        
+        const coordinates = instrument.points.map(point => [xOf(point.date), yOf(point.percentage)]);
+        if (coordinates.length > 1) {
+            parts.push(`<polyline points="${coordinates.map(([x, pointY]) => `${x},${pointY}`).join(' ')}" fill="none" stroke="${instrument.color}" stroke-width="2"/>`);
+        }
+        instrument.points.forEach((point, index) => {
+            const [x, pointY] = coordinates[index];
+            // Baseline-Messungen als offener Kreis
+            parts.push(`<circle cx="${x}" cy="${pointY}" r="4" fill="${point.is_baseline ? '#ffffff' : instrument.color}" stroke="${instrument.color}" stroke-width="2"/>`);
+            if (instrument.points.length <= 20) {
+                parts.push(svgText(x, pointY - 8, point.score, { 'font-size': 9, 'text-anchor': 'middle' }));
+            }
+        });
+        
+        y += laneHeight + laneGap;
+    });
+    
+    // Sitzungen
+    y -= laneGap - 12;
+    parts.push(svgText(left - 8, y + 10, 'Sitzungen', { 'font-size': 9, 'text-anchor': 'end', fill: PDF_MUTED_COLOR }));
+    report.sessions.forEach(session => {
+        const x = xOf(session.date);
+        parts.push(`<line x1="${x}" y1="${y}" x2="${x}" y2="${y + 14}" stroke="#4a5568" stroke-width="1.5"/>`);
+    });
+    y += 28;
+    
+    // Meilensteine
+    parts.push(svgText(left - 8, y + 4, 'Meilensteine', { 'font-size': 9, 'text-anchor': 'end', fill: PDF_MUTED_COLOR }));
+    report.milestones.forEach((milestone, index) => {
+        const x = xOf(milestone.date);
+        const markerY = y + (index % 2) * 14;
+        parts.push(`<path d="M ${x} ${markerY - 6} L ${x + 6} ${markerY} L ${x} ${markerY + 6} L ${x - 6} ${markerY} Z" fill="${milestone.completed ? MILESTONE_COLOR : '#ffffff'}" stroke="${MILESTONE_COLOR}" stroke-width="1.5"/>`);
+        parts.push(svgText(x + 8, markerY + 3, milestone.number, { 'font-size': 9 }));
+    });
+    y += 30;
+    
+    parts.push(`<line x1="${left}" y1="${y}" x2="${left + plotWidth}" y2="${y}" stroke="#4a5568"/>`);
+    ticks.forEach(tick => {
+        const x = xOf(dayNumberToDate(tick.day));
+        parts.push(`<line x1="${x}" y1="${y}" x2="${x}" y2="${y + 5}" stroke="#4a5568"/>`);
+        parts.push(svgText(x, y + 18, tick.label, { 'font-size': 9, 'text-anchor': 'middle', fill: PDF_MUTED_COLOR }));
+    });
+    y += 40;
+    
+    report.milestones.forEach(milestone => {
+        const status = milestone.completed ? 'erreicht' : 'geplant';
+        const goal = milestone.goal_completed ? '' : ` – ${milestone.goal_title}`;
+        parts.push(svgText(left, y, `${milestone.number}  ${milestone.title}${goal} (${formatDateDE(milestone.date)}, ${status})`, { 'font-size': 10 }));
+        y += 15;
+    });
+    
+    const height = Math.ceil(y + 10);
+    return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${PROGRESS_CHART_WIDTH}" height="${height}" viewBox="0 0 ${PROGRESS_CHART_WIDTH} ${height}" font-family="${PROGRESS_CHART_FONT}">` +
+        `<rect width="100%" height="100%" fill="#ffffff"/>${parts.join('')}</svg>`;
+}
+
+// Rastert das Diagramm mit den eingebetteten PDF-Schriften, damit PNG und PDF gleich aussehen
+function renderProgressChartPng(svg) {
+    const fontFiles = [PDF_FONTS.regular, PDF_FONTS.bold].filter(file => path.isAbsolute(file));
+    const resvg = new Resvg(svg, {
+        fitTo: { mode: 'zoom', value: 2 },
+        font: {
+            loadSystemFonts: fontFiles.length === 0,
+            fontFiles,
+            defaultFontFamily: 'DejaVu Sans'
+        }
+    });
+    return resvg.render().asPng();
+}
+
+// Für die Anlage zum Gutachterbericht wird der Name durch die Chiffre ersetzt
+function getProgressReportLabel(client, pseudonymize) {
+    return pseudonymize ? (buildReviewerChiffre(client) || `Klient ${client.id}`) : client.name;
+}
+
+// Auch der Dateiname darf die pseudonymisierte Fassung nicht über die Klientennummer zuordenbar machen
+function getProgressReportFileLabel(client, pseudonymize) {
+    return pseudonymize
+        ? getProgressReportLabel(client, true).replace(/[^\w.-]/g, '_')
+        : (client.client_number || client.id);
+}
+
+function buildProgressReportPdfDefinition(report, client, praxis, pseudonymize) {
+    const label = getProgressReportLabel(client, pseudonymize);
+    const blocks = [
+        { type: 'image', data: renderProgressChartPng(renderProgressChartSvg(report, `Therapieverlauf – ${label}`)) },
+        { type: 'paragraph', text: 'Punktwerte in Prozent des Maximalwerts des jeweiligen Instruments. Farbige Bereiche: Schweregrade laut Auswertungsschlüssel; gestrichelte Linie: klinischer Cut-off; offene Kreise: Baseline-Messungen.' }
+    ];
+    
+    report.instruments.forEach(instrument => {
+        blocks.push({ type: 'heading', text: `${instrument.name} (${instrument.type})` });
+        blocks.push({
+            type: 'table',
+            columns: [
+                { header: 'Datum', width: 0.25 },
+                { header: 'Punktwert', width: 0.2, align: 'right' },
+                { header: 'Anteil', width: 0.15, align: 'right' },
+                { header: 'Schweregrad', width: 0.4 }
+            ],
+            rows: instrument.points.map(point => [
+                formatDateDE(point.date),
+                `${point.score} / ${instrument.max_score}`,
+                `${point.percentage} %`,
+                `${point.severity || ''}${point.is_baseline ? ' (Baseline)' : ''}`
+            ])
+        });
+        if (instrument.classification_label) {
+            blocks.push({ type: 'keyValue', rows: [['Einordnung', `${instrument.classification_label} (Baseline ${formatDateDE(instrument.baseline_date)} bis letzte Messung im Zeitraum)`]] });
+        }
+    });
+    
+    if (report.milestones.length > 0) {
+        blocks.push({ type: 'heading', text: 'Meilensteine der Therapieziele' });
+        blocks.push({
+            type: 'table',
+            columns: [
+                { header: 'Nr.', width: 0.08, align: 'right' },
+                { header: 'Datum', width: 0.17 },
+                { header: 'Meilenstein', width: 0.4 },
+                { header: 'Ziel', width: 0.23 },
+                { header: 'Status', width: 0.12 }
+            ],
+            rows: report.milestones.map(milestone => [
+                String(milestone.number),
+                formatDateDE(milestone.date),
+                milestone.title,
+                milestone.goal_title,
+                milestone.completed ? 'erreicht' : 'geplant'
+            ])
+        });
+    }
+    
+    return {
+        praxis,
+        title: 'Therapieverlauf',
+        subtitle: `Zeitraum ${formatDateDE(report.period.from)} – ${formatDateDE(report.period.to)}, Stand ${formatDateDE(report.generated_at)}`,
+        meta: [
+            [pseudonymize ? 'Chiffre' : 'Klient', label],
+            ['Klienten-Nr.', pseudonymize ? null : client.client_number],
+            ['Diagnose', client.diagnosis_primary],
+            ['Sitzungen', String(report.sessions.length)],
+            ['Anzahl Messungen', String(report.assessment_count)]
+        ],
+        blocks,
+        footer: [
+            ...getPraxisFooterLines(praxis).slice(0, 1),
+            'Vertraulich – enthält besondere Kategorien personenbezogener Daten (Art. 9 DSGVO)'
+        ]
+    };
+}
+
+// --- PROGRESS REPORT ROUTES --- //
+
+app.get("/api/clients/:id/progress-report", requireAuth, requirePraxis, async (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || client.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        const options = validateProgressReportOptions(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+        
+        res.json(buildProgressReport(client, options.data));
+    } catch (error) {
+        console.error("❌ Fehler beim Erstellen des Verlaufsdiagramms:", error);
+        res.status(500).json({ error: "Fehler beim Erstellen des Verlaufsdiagramms" });
+    }
+});
+
+app.get("/api/clients/:id/progress-chart.:format(svg|png)", requireAuth, requirePraxis, async (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || client.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        const options = validateProgressReportOptions(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+        
+        const report = buildProgressReport(client, options.data);
+        const svg = renderProgressChartSvg(report, `Therapieverlauf – ${getProgressReportLabel(client, options.data.pseudonymize)}`);
+        const buffer = req.params.format === 'png' ? renderProgressChartPng(svg) : Buffer.from(svg, 'utf8');
+        
+        logAction(req.user.praxis_id, req.user.id, 'EXPORT', 'client', client.id, null, null, `Progress chart exported as ${req.params.format.toUpperCase()}`);
+        
+        res.set({
+            'Content-Type': req.params.format === 'png' ? 'image/png' : 'image/svg+xml; charset=utf-8',
+            'Content-Disposition': `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="Verlaufsdiagramm-${getProgressReportFileLabel(client, options.data.pseudonymize)}.${req.params.format}"`,
+            'Content-Length': buffer.length
+        });
+        res.send(buffer);
+    } catch (error) {
+        console.error("❌ Fehler beim Erstellen des Verlaufsdiagramms:", error);
+        res.status(500).json({ error: "Fehler beim Erstellen des Verlaufsdiagramms" });
+    }
+});
+
+app.get("/api/clients/:id/progress-report.pdf", requireAuth, requirePraxis, async (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || client.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        const options = validateProgressReportOptions(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+        
+        const report = buildProgressReport(client, options.data);
+        const buffer = await renderPdf(buildProgressReportPdfDefinition(report, client, getPraxisById(req.user.praxis_id), options.data.pseudonymize));
+        
+        logAction(req.user.praxis_id, req.user.id, 'EXPORT', 'client', client.id, null, null, 'Progress report exported as PDF');
+        
+        sendPdf(res, buffer, `Therapieverlauf-${getProgressReportFileLabel(client, options.data.pseudonymize)}.pdf`);
+    } catch (error) {
+        console.error("❌ Fehler beim Erzeugen des Verlaufsberichts:", error);
+        res.status(500).json({ error: "Fehler beim Erzeugen des Verlaufsberichts" });
+    }
+});
+
+// Legt den Verlaufsbericht als PDF in der Klientenakte ab (z.B. als Anlage zum Gutachterbericht)
+app.post("/api/clients/:id/progress-report/attach", requireAuth, requirePraxis, requireRole('admin', 'therapeut'), async (req, res) => {
+    try {
+        const client = getClientById(req.params.id);
+        if (!client || client.praxis_id !== req.user.praxis_id) {
+            return res.status(404).json({ error: "Client nicht gefunden" });
+        }
+        
+        const options = validateProgressReportOptions(req.body);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+        
+        const report = buildProgressReport(client, options.data);
+        const buffer = await renderPdf(buildProgressReportPdfDefinition(report, client, getPraxisById(req.user.praxis_id), options.data.pseudonymize));
+        
+        const filename = `Therapieverlauf-${client.id}-${report.generated_at.replace(/\D/g, '')}.pdf`;
+        const filePath = path.join(getPraxisUploadDir(req.user.praxis_id, 'reports'), filename);
+        fs.writeFileSync(filePath, buffer);
+        
+        const result = addDocument({
+            praxis_id: req.user.praxis_id,
+            client_id: client.id,
+            category: 'bericht',
+            title: req.body.title || `Therapieverlauf ${formatDateDE(report.period.from)} – ${formatDateDE(report.period.to)}`,
+            description: options.data.pseudonymize ? 'Pseudonymisiert (Chiffre) zur Anlage an den Gutachterbericht' : null,
+            filename,
+            original_name: filename,
+            file_path: filePath,
+            file_type: 'application/pdf',
+            file_size: buffer.length,
+            file_hash: computeFileHash(filePath),
+            uploaded_by: req.user.id
+        });
+        
+        res.json({ success: true, document_id: result.lastInsertRowid });
+    } catch (error) {
+        console.error("❌ Fehler beim Ablegen des Verlaufsberichts:", error);
+        res.status(500).json({ error: "Fehler beim Ablegen des Verlaufsberichts" });
+    }
+});
+
+// --- BILLING SETTINGS ROUTES --- //
+
+// Praxisbezogene Abrechnungsdaten (Bankverbindung, Steuernummer, Fristen)
+const BILLING_SETTING_KEYS = {
+    bank_account_holder: 'string',
+    bank_name: 'string',
+    bank_iban: 'string',
+    bank_bic: 'string',
+    tax_number: 'string',
+    vat_id: 'string',
+    sepa_creditor_id: 'string',
+    datev_consultant_number: 'string',
+    datev_client_number: 'string',
+    datev_chart_of_accounts: 'string',
+    datev_revenue_account_gesetzlich: 'string',
+    datev_revenue_account_privat: 'string',
+    datev_revenue_account_selbstzahler: 'string',
+    datev_revenue_account_taxable: 'string',
+    datev_bank_account: 'string',
+    datev_cash_account: 'string',
+    invoice_number_prefix: 'string',
+    payment_terms_days: 'number',
+    payment_reminder_days: 'number',
+    goae_factor: 'number',
+    goae_point_value: 'number',
+    ebm_point_value: 'number'
+};
+
+app.get("/api/billing/settings", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const settings = {};
+        Object.keys(BILLING_SETTING_KEYS).forEach(key => {
+            settings[key] = getPraxisSetting(key, 'billing', req.user.praxis_id);
+        });
+        
+        res.json(settings);
+    } catch (error) {
+        console.error("❌ Fehler beim Laden der Abrechnungseinstellungen:", error);
+        res.status(500).json({ error: "Fehler beim Laden der Abrechnungseinstellungen" });
+    }
+});
+
+app.put("/api/billing/settings", requireAuth, requirePraxis, requireRole('admin'), (req, res) => {
+    try {
+        const updates = {};
+        
+        for (const [key, type] of Object.entries(BILLING_SETTING_KEYS)) {
+            if (req.body[key] === undefined) continue;
+            
+            let value = req.body[key];
+            if (type === 'number') {
+                value = Number(value);
+                if (!Number.isFinite(value) || value < 0) {
+                    return res.status(400).json({ error: `Ungültiger Wert für ${key}` });
+                }
+            } else {
+                value = value === null ? '' : String(value).trim();
+            }
+            
+            if (key === 'bank_iban' && value) {
+                value = value.replace(/\s+/g, '').toUpperCase();
+                if (!isValidIban(value)) {
+                    return res.status(400).json({ error: "Ungültige IBAN" });
+                }
+            }
+            
+            if (key === 'bank_bic' && value && !/^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/i.test(value)) {
+                return res.status(400).json({ error: "Ungültige BIC" });
+            }
+            
+            if (key === 'sepa_creditor_id' && value) {
+                value = value.replace(/\s+/g, '').toUpperCase();
+                if (!isValidCreditorId(value)) {
+                    return res.status(400).json({ error: "Ungültige Gläubiger-Identifikationsnummer" });
+                }
+            }
+            
+            if (key === 'datev_consultant_number' && value && !(/^\d+$/.test(value) && Number(value) >= 1001 && Number(value) <= 9999999)) {
+                return res.status(400).json({ error: "DATEV-Beraternummer muss zwischen 1001 und 9999999 liegen" });
+            }
+            
+            if (key === 'datev_client_number' && value && !(/^\d+$/.test(value) && Number(value) >= 1 && Number(value) <= 99999)) {
+                return res.status(400).json({ error: "DATEV-Mandantennummer muss zwischen 1 und 99999 liegen" });
+            }
+            
+            if (key === 'datev_chart_of_accounts' && !DATEV_CHARTS.includes(value.toUpperCase())) {
+                return res.status(400).json({ error: `Ungültiger Kontenrahmen. Erlaubt: ${DATEV_CHARTS.join(', ')}` });
+            }
+            
+            if (/^datev_\w*_account(_|$)/.test(key) && value && !new RegExp(`^\\d{${DATEV_ACCOUNT_LENGTH}}$`).test(value)) {
+                return res.status(400).json({ error: `Ungültiges Konto für ${key} (${DATEV_ACCOUNT_LENGTH}-stellig)` });
+            }
+            
+            updates[key] = ['bank_bic', 'datev_chart_of_accounts'].includes(key) ? value.toUpperCase() : value;
+        }
+        
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: "Keine Änderungen angegeben" });
+        }
+        
+        Object.entries(updates).forEach(([key, value]) => {
+            setSetting(key, value, 'billing', null, req.user.praxis_id, req.user.id);
+        });
+        
+        logAction(req.user.praxis_id, req.user.id, 'UPDATE', 'settings', null, null, updates, 'Billing settings updated');
+        
+        res.json({ success: true, settings: updates });
+    } catch (error) {
+        console.error("❌ Fehler beim Speichern der Abrechnungseinstellungen:", error);
+        res.status(500).json({ error: "Fehler beim Speichern der Abrechnungseinstellungen" });
+    }
+});
+
+// --- ASSESSMENT API ROUTES --- //
+
+app.get("/api/assessments/types", requireAuth, (req, res) => {
+    try {
+        const types = Object.keys(ASSESSMENTS).map(key => ({
+            key: key,
+            name: ASSESSMENTS[key].name,
+            type: ASSESSMENTS[key].type,
+            questionCount: ASSESSMENTS[key].questions.length
+        }));
+        res.json(types);
+    } catch (error) {
+        res.status(500).json({ error: "Fehler beim Abrufen der Assessment-Typen" });
+    }
+});
+
+app.get("/api/assessments/template/:type", requireAuth, (req, res) => {
+    try {
+        const assessment = ASSESSMENTS[req.params.type];
+        if (!assessment) {
+            return res.status(404).json({ error: "Assessment-Typ nicht gefunden" });
+        }
+        res.json(assessment);
+    } catch (error) {
+        res.status(500).json({ error: "Fehler beim Abrufen des Assessment-Templates" });
+    }
+});
+
+app.post("/api/assessments", requireAuth, requirePraxis, (req, res) => {
+    try {
+        const { client_id, session_id, assessment_type, responses, notes } = req.body;
+        
+        if (!client_id || !assessment_type || !responses) {
+            return res.status(400).json({ error: "Pflichtfelder fehlen" });
+        }
+        
+        // 'self_report' bleibt den über einen Selbstauskunfts-Link eingereichten Bögen vorbehalten
+        const administrationMethod = req.body.administration_method || 'interview';
+        if (!STAFF_ADMINISTRATION_METHODS.includes(administrationMethod)) {
+            return res.status(400).json({ error: `Ungültige Erhebungsart. Erlaubt: ${STAFF_ADMINISTRATION_METHODS.join(', ')}` });
         }
         
         const client = getClientById(client_id);
@@ -2300,7 +10994,12 @@ app.post("/api/assessments", requireAuth, requirePraxis, (req, res) => {
             return res.status(404).json({ error: "Client nicht gefunden" });
         }
         
-        const scoreResult = calculateAssessmentScore(assessment_type, responses);
+        let scoreResult;
+        try {
+            scoreResult = calculateAssessmentScore(assessment_type, responses);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
         
         const assessmentData = {
             client_id,
@@ -2308,16 +11007,27 @@ app.post("/api/assessments", requireAuth, requirePraxis, (req, res) => {
             assessment_type,
             responses,
             total_score: scoreResult.totalScore,
+            subscale_scores: scoreResult.subscaleScores,
             severity_level: scoreResult.severityLevel,
+            ...getRomAssessmentFlags(client.id, assessment_type),
+            administration_method: administrationMethod,
             notes
         };
         
-        const result = addAssessment(assessmentData);
+        // Assessment und Risikowarnung gemeinsam: ein positives kritisches Item darf nie ohne Warnung gespeichert werden
+        const { assessmentId, riskAlert } = db.transaction(() => {
+            const result = addAssessment(assessmentData);
+            return {
+                assessmentId: result.lastInsertRowid,
+                riskAlert: raiseCriticalItemAlert(client, assessment_type, result.lastInsertRowid, responses, req.user.id)
+            };
+        })();
         
         res.json({
             success: true,
-            id: result.lastInsertRowid,
-            score: scoreResult
+            id: assessmentId,
+            score: scoreResult,
+            risk_alert: riskAlert
         });
         
     } catch (error) {
@@ -2384,7 +11094,7 @@ app.get("/api/clients/:id/assessment-history/:type", requireAuth, requirePraxis,
 // --- STATISTICS ROUTE --- //
 app.get("/api/stats", requireAuth, requirePraxis, (req, res) => {
   try {
-    const stats = getStatistics();
+    const stats = getStatistics(req.user.praxis_id);
     
     const praxisStats = db.prepare(`
       SELECT COUNT(*) as client_count 
@@ -2419,18 +11129,28 @@ app.post("/api/sessions", requireAuth, requirePraxis, (req, res) => {
       return res.status(404).json({ error: "Client nicht gefunden" });
     }
     
+    const sessionDate = req.body.date || new Date().toISOString().split('T')[0];
     const sessionData = {
       client_id: req.body.client_id,
-      date: req.body.date || new Date().toISOString().split('T')[0],
+      date: sessionDate,
       duration: req.body.duration || 50,
-      type: req.body.type || 'Einzeltherapie',
+      type: req.body.type || getDefaultSessionType(getTreatmentPhaseAt(client.id, sessionDate), 'Einzeltherapie'),
+      status: req.body.status,
       notes: req.body.notes,
-      private_notes: req.body.private_notes
+      private_notes: req.body.private_notes,
+      billing_code: req.body.billing_code,
+      billing_points: req.body.billing_points,
+      created_by: req.user.id
     };
+    
+    const phaseError = validateSessionForPhase(client, sessionData.type, sessionData.duration, sessionData.status, sessionData.date);
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
+    }
 
     const result = addSession(sessionData);
     console.log(`✅ Session hinzugefügt für Client ${sessionData.client_id}`);
-    res.json({ success: true, id: result.lastInsertRowid });
+    res.json({ success: true, id: result.lastInsertRowid, ...getSessionContingentInfo(result.lastInsertRowid, client) });
   } catch (err) {
     console.error("❌ Fehler beim Hinzufügen einer Session:", err);
     res.status(500).json({ error: "Fehler beim Hinzufügen der Session" });
@@ -2459,7 +11179,7 @@ app.get("/api/clients/:id/chat", requireAuth, requirePraxis, (req, res) => {
       return res.status(404).json({ error: "Client nicht gefunden" });
     }
     
-    const history = getChatHistory(req.params.id);
+    const history = getChatHistory(req.params.id, 100, req.query.conversation_id || null);
     res.json(history);
   } catch (err) {
     console.error("❌ Fehler beim Abrufen des Chat-Verlaufs:", err);
@@ -2655,6 +11375,7 @@ async function createDemoAccounts() {
 }
 
 setTimeout(createDemoAccounts, 1000);
+scheduleDunningJob();
 
 console.log('🔐 Multi-Tenant Authentication System aktiviert!');
 console.log('📝 Registrierung: POST /api/auth/register-praxis');
@@ -2704,7 +11425,7 @@ app.listen(PORT, () => {
   console.log('🔒 Session Store: SQLite');
   console.log('⚡ Performance: WAL Mode aktiviert');
   console.log('📈 Multi-Tenant: AKTIV');
-  console.log('🎯 Assessment Tools: PHQ-9, GAD-7, PCL-5, OQ-45');
+  console.log(`🎯 Assessment Tools: ${Object.keys(ASSESSMENTS).join(', ')}`);
   console.log('🔗 System-Integration: CGM ALBIS, KV-System, Doctolib'); // ✅ NEU
   console.log('🔍 Datei-Analyse: Claude Vision, PDF Processing'); // ✅ NEU
   console.log('');